@@ -3,10 +3,18 @@
 
 console.log('🚀 AskLynk Background Script Starting...');
 
-// Production Configuration
+// Shared environment definitions (also loaded by the content scripts, popup and options page)
+importScripts('src/config/environments.js');
+importScripts('src/config/credentials.js');
+importScripts('src/config/transcription.js');
+importScripts('src/config/canvas.js');
+importScripts('src/config/lms-sites.js');
+
+// Configuration - origins start at production and follow the options page (see ENVIRONMENT below)
 const CONFIG = {
-    AUTH_ORIGIN: 'https://asklynk.vercel.app', // Hosted login page
-    API_ORIGIN: 'https://asklynk-backend-424701115132.us-central1.run.app', // Production API backend
+    AUTH_ORIGIN: AskLynkEnvironments.ENVIRONMENTS.production.authOrigin, // Hosted login page
+    API_ORIGIN: AskLynkEnvironments.ENVIRONMENTS.production.apiOrigin, // API backend
+    ENVIRONMENT: 'production',
     IS_DEVELOPMENT: false,
     EXTENSION_ID: 'gbkjeipbkdgbimeagdgomebmjaggnbel' // Production extension ID
 };
@@ -28,7 +36,8 @@ const Logger = {
 let sessionState = {
     isAuthenticated: false,
     user: null,
-    lastChecked: null
+    lastChecked: null,
+    expiresAt: null
 };
 
 // Utility functions for storage
@@ -89,28 +98,34 @@ async function checkSession() {
             const data = await response.json();
             Logger.log('✅ Session valid:', data.user);
             
+            const expiresAt = data.expires_at ? Date.parse(data.expires_at) || null : null;
             sessionState = {
                 isAuthenticated: true,
                 user: data.user,
-                lastChecked: Date.now()
+                lastChecked: Date.now(),
+                expiresAt
             };
             
             // Store minimal user data locally (no tokens)
             await storage.set({ 
                 sessionUser: data.user,
-                lastSessionCheck: Date.now()
+                lastSessionCheck: Date.now(),
+                sessionExpiresAt: expiresAt
             });
             
-            return { success: true, isAuthenticated: true, user: data.user };
+            await rememberProfile(data.user);
+            scheduleSessionRenewal();
+            return { success: true, isAuthenticated: true, user: data.user, expiresAt };
         } else {
             Logger.log('❌ Session invalid or expired');
             sessionState = {
                 isAuthenticated: false,
                 user: null,
-                lastChecked: Date.now()
+                lastChecked: Date.now(),
+                expiresAt: null
             };
             
-            await storage.remove(['sessionUser', 'lastSessionCheck']);
+            await storage.remove(['sessionUser', 'lastSessionCheck', 'sessionExpiresAt']);
             return { success: true, isAuthenticated: false, user: null };
         }
         
@@ -120,31 +135,44 @@ async function checkSession() {
     }
 }
 
+/**
+ * Run the hosted login through chrome.identity and resolve with the redirect URL.
+ * Non-interactive runs never show UI: they succeed only if the hosted login
+ * page can redirect straight back because its own session is still alive.
+ */
+function runWebAuthFlow(interactive) {
+    // Get the redirect URI from Chrome Identity API (standard pattern)
+    const redirectUri = chrome.identity.getRedirectURL('cb');
+    Logger.log('🔗 Chrome Identity Redirect URI:', redirectUri);
+    
+    // Construct the auth URL with the Chrome Identity redirect URI
+    const authUrl = `${CONFIG.AUTH_ORIGIN}/?extension=true&returnUrl=${encodeURIComponent(redirectUri)}&api_base=${encodeURIComponent(CONFIG.API_ORIGIN)}`;
+    Logger.log('🔐 Auth URL:', authUrl, interactive ? '(interactive)' : '(silent)');
+    
+    const options = { url: authUrl, interactive };
+    if (!interactive) {
+        // Let the hosted page finish its client-side redirect instead of aborting on first load
+        options.abortOnLoadForNonInteractive = false;
+        options.timeoutMsForNonInteractive = SESSION_RENEWAL_CONFIG.SILENT_AUTH_TIMEOUT;
+    }
+    
+    return new Promise((resolve, reject) => {
+        chrome.identity.launchWebAuthFlow(options, (responseUrl) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+            } else {
+                resolve(responseUrl);
+            }
+        });
+    });
+}
+
 async function startSignIn() {
     Logger.log('🚀 Starting secure sign-in flow...');
     
     try {
-        // Get the redirect URI from Chrome Identity API (standard pattern)
-        const redirectUri = chrome.identity.getRedirectURL('cb');
-        Logger.log('🔗 Chrome Identity Redirect URI:', redirectUri);
-        
-        // Construct the auth URL with the Chrome Identity redirect URI
-        const authUrl = `${CONFIG.AUTH_ORIGIN}/?extension=true&returnUrl=${encodeURIComponent(redirectUri)}&api_base=${encodeURIComponent(CONFIG.API_ORIGIN)}`;
-        Logger.log('🔐 Auth URL:', authUrl);
-        
         // Launch the web auth flow
-        const resultUrl = await new Promise((resolve, reject) => {
-            chrome.identity.launchWebAuthFlow({
-                url: authUrl,
-                interactive: true
-            }, (responseUrl) => {
-                if (chrome.runtime.lastError) {
-                    reject(new Error(chrome.runtime.lastError.message));
-                } else {
-                    resolve(responseUrl);
-                }
-            });
-        });
+        const resultUrl = await runWebAuthFlow(true);
         
         Logger.log('🔄 Auth flow completed with URL:', resultUrl);
         
@@ -160,6 +188,7 @@ async function startSignIn() {
             
             if (sessionResult.success && sessionResult.isAuthenticated) {
                 Logger.log('✅ Sign-in completed successfully');
+                clearReauthPrompt();
                 
                 // Broadcast auth change to extension components
                 broadcastAuthChange();
@@ -188,6 +217,17 @@ async function startSignIn() {
 
 async function signOut() {
     Logger.log('🚪 Starting sign-out...');
+    const signedOutUserId = sessionState.user?.id || null;
+    
+    // Stop streaming session events for the signed-out user
+    Array.from(realtimeChannels.keys()).forEach(closeRealtimeChannel);
+    
+    // Cached responses belong to the signed-out user
+    await clearHttpCache(signedOutUserId);
+    
+    // Nothing left to renew
+    await cancelSessionRenewal();
+    clearReauthPrompt();
     
     try {
         // Call logout endpoint to clear server-side session
@@ -205,11 +245,15 @@ async function signOut() {
         sessionState = {
             isAuthenticated: false,
             user: null,
-            lastChecked: Date.now()
+            lastChecked: Date.now(),
+            expiresAt: null
         };
         
         // Clear stored user data
-        await storage.remove(['sessionUser', 'lastSessionCheck']);
+        await storage.remove(['sessionUser', 'lastSessionCheck', 'sessionExpiresAt']);
+        
+        // Fall back to another signed-in profile, if there is one
+        await activateNextProfile(signedOutUserId);
         
         // Broadcast auth change
         broadcastAuthChange();
@@ -224,16 +268,528 @@ async function signOut() {
         sessionState = {
             isAuthenticated: false,
             user: null,
-            lastChecked: Date.now()
+            lastChecked: Date.now(),
+            expiresAt: null
         };
         
-        await storage.remove(['sessionUser', 'lastSessionCheck']);
+        await storage.remove(['sessionUser', 'lastSessionCheck', 'sessionExpiresAt']);
+        await activateNextProfile(signedOutUserId);
         broadcastAuthChange();
         
         return { success: true }; // Return success since local state is cleared
     }
 }
 
+// ==================== ENVIRONMENT ====================
+
+function applyEnvironment(environment) {
+    CONFIG.API_ORIGIN = environment.apiOrigin;
+    CONFIG.AUTH_ORIGIN = environment.authOrigin;
+    CONFIG.ENVIRONMENT = environment.environment;
+    CONFIG.IS_DEVELOPMENT = environment.isDevelopment;
+}
+
+/**
+ * The environment the options page saved. Content scripts can write the storage.local
+ * mirror, so a mirror that differs from it is recorded and put back, never applied.
+ * @param {Object} mirrored - The mirror as resolved by AskLynkEnvironments
+ */
+async function loadTrustedEnvironment(mirrored) {
+    let environment;
+    try {
+        environment = await AskLynkEnvironments.loadTrusted();
+    } catch (error) {
+        Logger.error('❌ Could not read the saved environment:', error);
+        return AskLynkEnvironments.resolve(null);
+    }
+    
+    if (!AskLynkEnvironments.isSame(mirrored, environment)) {
+        recordSecurityEvent('environment_mirror_rejected', {
+            mirrored: mirrored.environment,
+            mirroredApiOrigin: mirrored.apiOrigin,
+            mirroredAuthOrigin: mirrored.authOrigin
+        });
+        await AskLynkEnvironments.mirror(environment).catch(error => {
+            Logger.error('❌ Could not restore the environment mirror:', error);
+        });
+    }
+    return environment;
+}
+
+// Resolved before any message is handled so requests never go to a stale origin
+const environmentReady = AskLynkEnvironments.load().then(loadTrustedEnvironment).then((environment) => {
+    applyEnvironment(environment);
+    Logger.log('🌐 Environment:', environment.environment, environment.apiOrigin);
+});
+
+// Switching backends from the options page takes effect immediately
+AskLynkEnvironments.onChange(async (mirrored) => {
+    const environment = await loadTrustedEnvironment(mirrored);
+    const originsChanged = environment.apiOrigin !== CONFIG.API_ORIGIN ||
+        environment.authOrigin !== CONFIG.AUTH_ORIGIN;
+    applyEnvironment(environment);
+    if (!originsChanged) return;
+    
+    Logger.log('🌐 Environment changed:', environment.environment, environment.apiOrigin);
+    
+    // Streams, cached responses and the session belong to the previous backend
+    Array.from(realtimeChannels.keys()).forEach(closeRealtimeChannel);
+    await clearHttpCache();
+    await checkSession();
+    broadcastAuthChange();
+});
+
+/**
+ * Check that a backend origin answers before the options page switches to it
+ * @param {string} apiOrigin - Origin to ping
+ */
+async function validateBackend(apiOrigin) {
+    const origin = AskLynkEnvironments.normalizeOrigin(apiOrigin);
+    if (!origin) {
+        return { success: false, error: 'Not a valid backend origin' };
+    }
+    
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 8000);
+    
+    try {
+        const response = await fetch(`${origin}/health`, {
+            method: 'GET',
+            credentials: 'omit',
+            signal: controller.signal
+        });
+        return {
+            success: response.ok,
+            status: response.status,
+            latencyMs: Date.now() - startedAt,
+            error: response.ok ? null : `Health check returned ${response.status}`
+        };
+    } catch (error) {
+        return {
+            success: false,
+            status: 0,
+            error: controller.signal.aborted ? 'Timed out after 8 seconds' : error.message
+        };
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+// ==================== ACCOUNT PROFILES ====================
+
+// Several accounts can stay signed in at once. Only one cookie session can be live
+// per origin, so each inactive profile keeps a snapshot of its auth cookies and of
+// the content script's per-session storage, swapped back in when it is selected.
+// Snapshots hold cookie values, so they live in storage.session restricted to trusted
+// contexts instead of storage.local, which every content script can read. They last
+// until the browser closes, like the session cookies they hold; a profile without a
+// snapshot has to sign in again.
+const PROFILE_CONFIG = {
+    STORAGE_KEY: 'accountProfiles',
+    ACTIVE_KEY: 'activeProfileId',
+    SNAPSHOT_KEY: 'accountProfileSnapshots',
+    SCOPED_STORAGE_KEYS: [
+        'activeSession',
+        'activeTab',
+        'sessionMessages',
+        'sessionPolls',
+        'anonymousQuestions',
+        'sessionAnalytics'
+    ]
+};
+
+// storage.session defaults to trusted contexts; the snapshots rely on it, so make it explicit
+chrome.storage.session.setAccessLevel({ accessLevel: 'TRUSTED_CONTEXTS' }).catch((error) => {
+    Logger.error('❌ Could not restrict storage.session to trusted contexts:', error.message);
+});
+
+async function loadProfiles() {
+    const stored = await storage.get([PROFILE_CONFIG.STORAGE_KEY, PROFILE_CONFIG.ACTIVE_KEY]);
+    const profiles = stored[PROFILE_CONFIG.STORAGE_KEY] || {};
+    const activeId = stored[PROFILE_CONFIG.ACTIVE_KEY] || null;
+    
+    // Earlier versions kept snapshots in the profile itself; scrub them out of storage.local
+    if (Object.values(profiles).some(profile => profile.cookies || profile.data)) {
+        await saveProfiles(profiles, activeId);
+    }
+    return { profiles, activeId };
+}
+
+async function saveProfiles(profiles, activeId) {
+    Object.values(profiles).forEach(profile => {
+        delete profile.cookies;
+        delete profile.data;
+    });
+    await storage.set({
+        [PROFILE_CONFIG.STORAGE_KEY]: profiles,
+        [PROFILE_CONFIG.ACTIVE_KEY]: activeId
+    });
+}
+
+async function loadProfileSnapshot(userId) {
+    const stored = await chrome.storage.session.get([PROFILE_CONFIG.SNAPSHOT_KEY]);
+    return (stored[PROFILE_CONFIG.SNAPSHOT_KEY] || {})[userId] || null;
+}
+
+async function saveProfileSnapshot(userId, snapshot) {
+    const stored = await chrome.storage.session.get([PROFILE_CONFIG.SNAPSHOT_KEY]);
+    const snapshots = stored[PROFILE_CONFIG.SNAPSHOT_KEY] || {};
+    if (snapshot) {
+        snapshots[userId] = snapshot;
+    } else {
+        delete snapshots[userId];
+    }
+    await chrome.storage.session.set({ [PROFILE_CONFIG.SNAPSHOT_KEY]: snapshots });
+}
+
+// Record the signed-in user as a profile and mark it active
+async function rememberProfile(user) {
+    if (!user || !user.id) return;
+    
+    const { profiles } = await loadProfiles();
+    const existing = profiles[user.id] || { addedAt: Date.now() };
+    profiles[user.id] = {
+        ...existing,
+        id: user.id,
+        user,
+        role: user.role || null,
+        expired: false,
+        lastUsedAt: Date.now()
+    };
+    await saveProfiles(profiles, user.id);
+}
+
+function describeProfile(profile, activeId) {
+    return {
+        id: profile.id,
+        name: profile.user?.full_name || profile.user?.username || profile.user?.email || 'Account',
+        email: profile.user?.email || '',
+        role: profile.role,
+        active: profile.id === activeId,
+        expired: !!profile.expired,
+        lastUsedAt: profile.lastUsedAt
+    };
+}
+
+function cookieUrl(cookie) {
+    return `http${cookie.secure ? 's' : ''}://${cookie.domain.replace(/^\./, '')}${cookie.path}`;
+}
+
+async function captureAuthCookies() {
+    const seen = new Set();
+    const cookies = [];
+    for (const url of [CONFIG.API_ORIGIN, CONFIG.AUTH_ORIGIN]) {
+        const found = await chrome.cookies.getAll({ url });
+        found.forEach(cookie => {
+            const key = `${cookie.domain}|${cookie.path}|${cookie.name}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                cookies.push(cookie);
+            }
+        });
+    }
+    return cookies;
+}
+
+async function clearAuthCookies() {
+    const cookies = await captureAuthCookies();
+    await Promise.all(cookies.map(cookie => chrome.cookies.remove({
+        url: cookieUrl(cookie),
+        name: cookie.name,
+        storeId: cookie.storeId
+    })));
+}
+
+async function restoreAuthCookies(cookies) {
+    for (const cookie of cookies || []) {
+        const details = {
+            url: cookieUrl(cookie),
+            name: cookie.name,
+            value: cookie.value,
+            path: cookie.path,
+            secure: cookie.secure,
+            httpOnly: cookie.httpOnly,
+            sameSite: cookie.sameSite,
+            storeId: cookie.storeId
+        };
+        if (!cookie.hostOnly) details.domain = cookie.domain;
+        if (!cookie.session && cookie.expirationDate) details.expirationDate = cookie.expirationDate;
+        
+        try {
+            await chrome.cookies.set(details);
+        } catch (error) {
+            Logger.warn('⚠️ Could not restore cookie:', cookie.name, error.message);
+        }
+    }
+}
+
+// Save the live cookies and per-session storage into the active profile
+async function snapshotActiveProfile() {
+    const { profiles, activeId } = await loadProfiles();
+    const profile = activeId && profiles[activeId];
+    if (!profile) return null;
+    
+    await saveProfileSnapshot(activeId, {
+        cookies: await captureAuthCookies(),
+        data: await storage.get(PROFILE_CONFIG.SCOPED_STORAGE_KEYS)
+    });
+    return profile;
+}
+
+// Put a profile's cookies and per-session storage in place of the current ones
+async function loadProfileIntoBrowser(profile) {
+    Array.from(realtimeChannels.keys()).forEach(closeRealtimeChannel);
+    const snapshot = profile ? await loadProfileSnapshot(profile.id) : null;
+    
+    await clearAuthCookies();
+    await restoreAuthCookies(snapshot ? snapshot.cookies : []);
+    
+    await storage.remove(PROFILE_CONFIG.SCOPED_STORAGE_KEYS);
+    if (snapshot && snapshot.data && Object.keys(snapshot.data).length > 0) {
+        await storage.set(snapshot.data);
+    }
+}
+
+/**
+ * Make another signed-in profile the active one
+ * @param {string} userId - The profile to switch to
+ */
+async function switchAccount(userId) {
+    const { profiles, activeId } = await loadProfiles();
+    const target = profiles[userId];
+    if (!target) {
+        return { success: false, error: 'Unknown account' };
+    }
+    if (userId === activeId && sessionState.isAuthenticated) {
+        return { success: true, user: sessionState.user };
+    }
+    
+    Logger.log('🔀 Switching account to:', userId);
+    const previous = await snapshotActiveProfile();
+    
+    await loadProfileIntoBrowser(target);
+    const sessionResult = await checkSession();
+    
+    if (!sessionResult.isAuthenticated || sessionResult.user?.id !== userId) {
+        Logger.warn('⚠️ Stored session for account has expired:', userId);
+        const { profiles: latest } = await loadProfiles();
+        if (latest[userId]) latest[userId].expired = true;
+        await saveProfiles(latest, previous ? previous.id : null);
+        
+        // Put the previous account back
+        await loadProfileIntoBrowser(previous);
+        await checkSession();
+        broadcastAuthChange();
+        
+        return { success: false, expired: true, error: 'That account has been signed out. Sign in to it again.' };
+    }
+    
+    clearReauthPrompt();
+    broadcastAuthChange();
+    flushOutbox();
+    flushTranscriptQueue();
+    return { success: true, user: sessionResult.user };
+}
+
+/**
+ * Sign in an additional account while keeping the current one
+ */
+async function addAccount() {
+    const previous = await snapshotActiveProfile();
+    
+    // Start from a clean browser session so the hosted login asks for new credentials
+    await loadProfileIntoBrowser(null);
+    sessionState = { isAuthenticated: false, user: null, lastChecked: Date.now(), expiresAt: null };
+    
+    const result = await startSignIn();
+    if (!result.success && previous) {
+        Logger.log('↩️ Add account cancelled, restoring previous account');
+        await loadProfileIntoBrowser(previous);
+        await checkSession();
+        broadcastAuthChange();
+    }
+    return result;
+}
+
+/**
+ * Forget an inactive profile (the active one goes through signOut)
+ * @param {string} userId - The profile to remove
+ */
+async function removeAccount(userId) {
+    const { profiles, activeId } = await loadProfiles();
+    if (userId === activeId) {
+        return await signOut();
+    }
+    
+    delete profiles[userId];
+    await saveProfiles(profiles, activeId);
+    await saveProfileSnapshot(userId, null);
+    await clearHttpCache(userId);
+    return { success: true };
+}
+
+// After the active profile signs out, move to the most recently used remaining one
+async function activateNextProfile(signedOutUserId) {
+    const { profiles } = await loadProfiles();
+    if (signedOutUserId) {
+        delete profiles[signedOutUserId];
+        await saveProfileSnapshot(signedOutUserId, null);
+    }
+    
+    const next = Object.values(profiles)
+        .filter(profile => !profile.expired)
+        .sort((a, b) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0))[0];
+    
+    await saveProfiles(profiles, null);
+    if (!next) return;
+    
+    Logger.log('🔀 Continuing with signed-in account:', next.id);
+    await loadProfileIntoBrowser(next);
+    const sessionResult = await checkSession();
+    if (!sessionResult.isAuthenticated) {
+        profiles[next.id].expired = true;
+        await saveProfiles(profiles, null);
+    }
+}
+
+// ==================== SESSION RENEWAL ====================
+
+// Keep the cookie session alive across long lectures: check on a schedule, renew
+// silently ahead of expiry, and only ask the user to sign in when that fails
+const SESSION_RENEWAL_CONFIG = {
+    CHECK_ALARM: 'asklynk-session-check',
+    RENEW_ALARM: 'asklynk-session-renew',
+    CHECK_INTERVAL_MINUTES: 15,            // Periodic session check while signed in
+    RENEW_BEFORE_EXPIRY: 10 * 60 * 1000,   // Renew this long before expires_at (ms)
+    SILENT_AUTH_TIMEOUT: 15000             // Give the hosted login page this long to redirect back (ms)
+};
+
+let renewalInProgress = null;
+let reauthRequired = false;
+
+function scheduleSessionRenewal() {
+    // Keep the existing periodic alarm so frequent session checks don't keep pushing it back
+    chrome.alarms.get(SESSION_RENEWAL_CONFIG.CHECK_ALARM, (existing) => {
+        if (!existing) {
+            chrome.alarms.create(SESSION_RENEWAL_CONFIG.CHECK_ALARM, {
+                periodInMinutes: SESSION_RENEWAL_CONFIG.CHECK_INTERVAL_MINUTES
+            });
+        }
+    });
+    
+    if (sessionState.expiresAt) {
+        const when = Math.max(
+            sessionState.expiresAt - SESSION_RENEWAL_CONFIG.RENEW_BEFORE_EXPIRY,
+            Date.now() + 1000
+        );
+        chrome.alarms.create(SESSION_RENEWAL_CONFIG.RENEW_ALARM, { when });
+        Logger.log('⏰ Session renewal scheduled for', new Date(when).toISOString());
+    }
+}
+
+async function cancelSessionRenewal() {
+    await chrome.alarms.clear(SESSION_RENEWAL_CONFIG.CHECK_ALARM);
+    await chrome.alarms.clear(SESSION_RENEWAL_CONFIG.RENEW_ALARM);
+}
+
+function isSessionNearExpiry() {
+    return !!sessionState.expiresAt &&
+        sessionState.expiresAt - Date.now() <= SESSION_RENEWAL_CONFIG.RENEW_BEFORE_EXPIRY;
+}
+
+/**
+ * Try to renew the session without UI; fall back to prompting the user.
+ * Concurrent callers share one attempt.
+ * @param {string} reason - What triggered the renewal (for logs)
+ */
+function renewSession(reason) {
+    if (!renewalInProgress) {
+        renewalInProgress = (async () => {
+            Logger.log('🔄 Renewing session silently:', reason);
+            
+            try {
+                const resultUrl = await runWebAuthFlow(false);
+                
+                if (resultUrl && resultUrl.includes('ok=1')) {
+                    const sessionResult = await checkSession();
+                    if (sessionResult.isAuthenticated) {
+                        Logger.log('✅ Silent session renewal succeeded');
+                        clearReauthPrompt();
+                        return { success: true, silent: true };
+                    }
+                }
+                throw new Error('Hosted login did not confirm the session');
+            } catch (error) {
+                Logger.warn('⚠️ Silent renewal failed, asking the user to sign in:', error.message);
+                promptReauthentication(reason);
+                return { success: false, error: error.message };
+            }
+        })().finally(() => {
+            renewalInProgress = null;
+        });
+    }
+    return renewalInProgress;
+}
+
+// Surface the need to sign in on the toolbar icon and in every open tab
+function promptReauthentication(reason) {
+    reauthRequired = true;
+    chrome.action.setBadgeText({ text: '!' });
+    chrome.action.setBadgeBackgroundColor({ color: '#dc2626' });
+    
+    const message = {
+        type: 'REAUTH_REQUIRED',
+        reason,
+        expiresAt: sessionState.expiresAt
+    };
+    
+    chrome.runtime.sendMessage(message).catch(() => {
+        // Popup not open
+    });
+    chrome.tabs.query({}, (tabs) => {
+        tabs.forEach(tab => {
+            chrome.tabs.sendMessage(tab.id, message).catch(() => {
+                // Ignore tabs without content scripts
+            });
+        });
+    });
+}
+
+function clearReauthPrompt() {
+    if (!reauthRequired) return;
+    reauthRequired = false;
+    chrome.action.setBadgeText({ text: '' });
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== SESSION_RENEWAL_CONFIG.CHECK_ALARM && alarm.name !== SESSION_RENEWAL_CONFIG.RENEW_ALARM) {
+        return;
+    }
+    
+    Logger.log('⏰ Session alarm fired:', alarm.name);
+    const wasAuthenticated = sessionState.isAuthenticated ||
+        !!(await storage.get(['sessionUser'])).sessionUser;
+    
+    const sessionResult = await checkSession();
+    if (!sessionResult.success) {
+        // Offline or API unreachable; the next alarm will try again
+        return;
+    }
+    
+    if (sessionResult.isAuthenticated && !isSessionNearExpiry()) {
+        return;
+    }
+    
+    if (sessionResult.isAuthenticated || wasAuthenticated) {
+        await renewSession(sessionResult.isAuthenticated ? 'expiring' : 'expired');
+        broadcastAuthChange();
+    } else {
+        // Signed out on purpose; stop checking until the next sign-in
+        await cancelSessionRenewal();
+    }
+});
+
 // API proxy function - all API calls go through background with cookies
 async function proxyApiCall({ url, method = 'GET', body = null, headers = {} }) {
     Logger.log('📡 Proxying API call:', method, url);
@@ -259,17 +815,18 @@ async function proxyApiCall({ url, method = 'GET', body = null, headers = {} })
         
         // If unauthorized, check if session expired
         if (response.status === 401) {
-            Logger.log('🔒 Unauthorized response, session may have expired');
-            await checkSession(); // Update session state
-            broadcastAuthChange();
+            await handleUnauthorizedResponse();
         }
         
-        const data = await response.json();
+        // 304 carries no body; the caller already holds the cached copy
+        const data = response.status === 304 ? null : await response.json();
         
         return {
             ok: response.ok,
             status: response.status,
-            data: data
+            data: data,
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified')
         };
         
     } catch (error) {
@@ -277,11 +834,23 @@ async function proxyApiCall({ url, method = 'GET', body = null, headers = {} })
         return {
             ok: false,
             status: 0,
-            error: error.message
+            error: error.message,
+            networkError: error instanceof TypeError // fetch() rejects with TypeError when offline
         };
     }
 }
 
+// A 401 from the API usually means the session expired underneath us
+async function handleUnauthorizedResponse() {
+    Logger.log('🔒 Unauthorized response, session may have expired');
+    const wasAuthenticated = sessionState.isAuthenticated;
+    await checkSession(); // Update session state
+    if (wasAuthenticated && !sessionState.isAuthenticated) {
+        await renewSession('unauthorized');
+    }
+    broadcastAuthChange();
+}
+
 // Broadcast auth changes to all extension components
 function broadcastAuthChange() {
     const authChangeMessage = {
@@ -309,67 +878,1834 @@ function broadcastAuthChange() {
     Logger.log('📨 Auth change broadcasted');
 }
 
-// Message handlers
-const messageHandlers = {
-    // Check current authentication status
-    CHECK_AUTH: async () => {
-        Logger.log('🔍 CHECK_AUTH request');
-        
-        // If we have recent session data, return it
-        if (sessionState.lastChecked && (Date.now() - sessionState.lastChecked) < 30000) {
-            Logger.log('📊 Returning cached session state');
-            return {
-                success: true,
-                isAuthenticated: sessionState.isAuthenticated,
-                user: sessionState.user
-            };
+// ==================== REAL-TIME SESSION EVENTS ====================
+
+// One event stream per active session, fanned out to every subscribed tab
+const REALTIME_CONFIG = {
+    RECONNECT_DELAY_BASE: 1000,   // First reconnect delay (ms)
+    RECONNECT_DELAY_MAX: 30000,   // Cap for exponential backoff (ms)
+    EVENT_TYPES: [
+        'question.created',
+        'question.voted',
+        'question.resolved',
+        'poll.opened',
+        'poll.answered',
+        'chat.message',
+        'analytics.delta'
+    ]
+};
+
+// sessionId -> { subscribers: Set<tabId>, controller, connected, attempts, lastEventId, reconnectTimer }
+const realtimeChannels = new Map();
+
+/**
+ * Parse a single Server-Sent Events frame into a typed session event
+ * @param {string} frame - Raw frame text (lines separated by \n)
+ * @returns {Object|null} { id, type, data } or null for comments/keep-alives
+ */
+function parseRealtimeFrame(frame) {
+    let eventName = null;
+    let eventId = null;
+    const dataLines = [];
+
+    frame.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+            eventName = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).trimStart());
+        } else if (line.startsWith('id:')) {
+            eventId = line.slice(3).trim();
         }
-        
-        // Otherwise check with server
-        const sessionResult = await checkSession();
-        return {
-            success: sessionResult.success,
-            isAuthenticated: sessionResult.isAuthenticated,
-            user: sessionResult.user,
-            error: sessionResult.error
-        };
-    },
-    
-    // Start the sign-in flow
-    START_SIGN_IN: async () => {
-        Logger.log('🚀 START_SIGN_IN request');
-        return await startSignIn();
-    },
-    
-    // Sign out
-    SIGN_OUT: async () => {
-        Logger.log('🚪 SIGN_OUT request');
-        return await signOut();
-    },
-    
-    // Proxy API calls
-    API_CALL: async (message) => {
-        Logger.log('📡 API_CALL request:', message.url);
-        return await proxyApiCall({
-            url: message.url,
-            method: message.method,
-            body: message.body,
-            headers: message.headers
+    });
+
+    if (dataLines.length === 0) return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(dataLines.join('\n'));
+    } catch (error) {
+        Logger.warn('⚠️ Ignoring malformed realtime frame:', frame);
+        return null;
+    }
+
+    return {
+        id: eventId,
+        type: eventName || payload.type,
+        data: payload.data !== undefined ? payload.data : payload
+    };
+}
+
+/**
+ * Send a message to every tab subscribed to a session
+ */
+function sendToRealtimeSubscribers(sessionId, message) {
+    const channel = realtimeChannels.get(sessionId);
+    if (!channel) return;
+
+    channel.subscribers.forEach(tabId => {
+        chrome.tabs.sendMessage(tabId, message).catch(() => {
+            // Tab navigated away or was closed - drop it
+            channel.subscribers.delete(tabId);
         });
-    },
-    
-    // Health check
-    HEALTH_CHECK: async () => {
-        Logger.log('🏥 HEALTH_CHECK');
-        return {
+    });
+}
+
+function setRealtimeStatus(sessionId, connected) {
+    const channel = realtimeChannels.get(sessionId);
+    if (!channel || channel.connected === connected) return;
+
+    channel.connected = connected;
+    Logger.log(connected ? '🟢 Realtime connected:' : '🔴 Realtime disconnected:', sessionId);
+    sendToRealtimeSubscribers(sessionId, {
+        type: 'REALTIME_STATUS',
+        sessionId,
+        connected
+    });
+}
+
+/**
+ * Open the event stream for a session and pump events to subscribers until it closes
+ * @param {string} sessionId - The session ID
+ */
+async function openRealtimeChannel(sessionId) {
+    const channel = realtimeChannels.get(sessionId);
+    if (!channel || channel.controller) return;
+
+    const controller = new AbortController();
+    channel.controller = controller;
+
+    try {
+        const headers = { 'Accept': 'text/event-stream' };
+        if (channel.lastEventId) {
+            headers['Last-Event-ID'] = channel.lastEventId;
+        }
+
+        const response = await fetch(`${CONFIG.API_ORIGIN}/api/sessions/${encodeURIComponent(sessionId)}/events`, {
+            method: 'GET',
+            credentials: 'include',
+            headers,
+            signal: controller.signal
+        });
+
+        if (response.status === 401) {
+            await checkSession();
+            broadcastAuthChange();
+        }
+
+        if (!response.ok || !response.body) {
+            throw new Error(`Event stream request failed: ${response.status}`);
+        }
+
+        channel.attempts = 0;
+        setRealtimeStatus(sessionId, true);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+            const frames = buffer.split('\n\n');
+            buffer = frames.pop();
+
+            frames.forEach(frame => {
+                const event = parseRealtimeFrame(frame);
+                if (!event) return;
+
+                if (event.id) {
+                    channel.lastEventId = event.id;
+                }
+
+                if (!REALTIME_CONFIG.EVENT_TYPES.includes(event.type)) {
+                    Logger.log('ℹ️ Unhandled realtime event type:', event.type);
+                    return;
+                }
+
+                // Another client changed the session: cached lists must not be served as fresh to the reload this triggers
+                httpCacheWriteEpoch = Date.now();
+                sendToRealtimeSubscribers(sessionId, {
+                    type: 'SESSION_EVENT',
+                    sessionId,
+                    event: { type: event.type, data: event.data }
+                });
+            });
+        }
+
+        throw new Error('Event stream closed by server');
+
+    } catch (error) {
+        if (controller.signal.aborted) {
+            return;
+        }
+        Logger.warn('⚠️ Realtime channel error:', sessionId, error.message);
+    } finally {
+        if (channel.controller === controller) {
+            channel.controller = null;
+        }
+    }
+
+    setRealtimeStatus(sessionId, false);
+    scheduleRealtimeReconnect(sessionId);
+}
+
+function scheduleRealtimeReconnect(sessionId) {
+    const channel = realtimeChannels.get(sessionId);
+    if (!channel || channel.subscribers.size === 0 || channel.reconnectTimer) return;
+
+    channel.attempts++;
+    const delay = Math.min(
+        REALTIME_CONFIG.RECONNECT_DELAY_BASE * Math.pow(2, channel.attempts - 1),
+        REALTIME_CONFIG.RECONNECT_DELAY_MAX
+    );
+
+    Logger.log(`🔄 Realtime reconnect #${channel.attempts} for ${sessionId} in ${delay}ms`);
+    channel.reconnectTimer = setTimeout(() => {
+        channel.reconnectTimer = null;
+        openRealtimeChannel(sessionId);
+    }, delay);
+}
+
+function closeRealtimeChannel(sessionId) {
+    const channel = realtimeChannels.get(sessionId);
+    if (!channel) return;
+
+    if (channel.reconnectTimer) {
+        clearTimeout(channel.reconnectTimer);
+    }
+    if (channel.controller) {
+        channel.controller.abort();
+    }
+    realtimeChannels.delete(sessionId);
+    Logger.log('🔌 Realtime channel closed:', sessionId);
+}
+
+function subscribeToRealtime(sessionId, tabId) {
+    let channel = realtimeChannels.get(sessionId);
+    if (!channel) {
+        channel = {
+            subscribers: new Set(),
+            controller: null,
+            connected: false,
+            attempts: 0,
+            lastEventId: null,
+            reconnectTimer: null
+        };
+        realtimeChannels.set(sessionId, channel);
+    }
+
+    channel.subscribers.add(tabId);
+
+    if (!channel.controller && !channel.reconnectTimer) {
+        openRealtimeChannel(sessionId);
+    }
+
+    return { success: true, connected: channel.connected };
+}
+
+function unsubscribeFromRealtime(sessionId, tabId) {
+    const channel = realtimeChannels.get(sessionId);
+    if (!channel) return { success: true };
+
+    channel.subscribers.delete(tabId);
+    if (channel.subscribers.size === 0) {
+        closeRealtimeChannel(sessionId);
+    }
+
+    return { success: true };
+}
+
+// Drop subscriptions for closed tabs so idle streams get torn down
+chrome.tabs.onRemoved.addListener((tabId) => {
+    Array.from(realtimeChannels.keys()).forEach(sessionId => {
+        unsubscribeFromRealtime(sessionId, tabId);
+    });
+});
+
+// ==================== HTTP CACHE ====================
+
+// GET calls flagged with `cache` are answered from here first and revalidated in the background.
+// Entries live in storage.session so they survive worker restarts but not the browser session.
+const HTTP_CACHE_CONFIG = {
+    KEY_PREFIX: 'httpCache:',
+    MIN_REVALIDATE_INTERVAL: 5000 // Serve without revalidating if checked this recently (ms)
+};
+
+const cacheStorage = chrome.storage.session || chrome.storage.local;
+let httpCacheWriteEpoch = 0; // Any successful write or realtime event makes every older entry due for revalidation
+
+function httpCacheKey(url) {
+    return `${HTTP_CACHE_CONFIG.KEY_PREFIX}${sessionState.user?.id || 'anonymous'}|${url}`;
+}
+
+async function readHttpCache(key) {
+    const stored = await cacheStorage.get([key]);
+    return stored[key] || null;
+}
+
+async function writeHttpCache(key, entry) {
+    try {
+        await cacheStorage.set({ [key]: entry });
+    } catch (error) {
+        // Most likely over quota; start over rather than serving a partial cache
+        Logger.warn('⚠️ HTTP cache write failed, clearing cache:', error.message);
+        await clearHttpCache();
+    }
+}
+
+async function clearHttpCache(userId) {
+    const prefix = userId ? `${HTTP_CACHE_CONFIG.KEY_PREFIX}${userId}|` : HTTP_CACHE_CONFIG.KEY_PREFIX;
+    const all = await cacheStorage.get(null);
+    const keys = Object.keys(all).filter(key => key.startsWith(prefix));
+    if (keys.length > 0) {
+        await cacheStorage.remove(keys);
+        Logger.log('🧹 Cleared', keys.length, 'cached responses');
+    }
+}
+
+function cacheEntryFromResponse(result) {
+    return {
+        data: result.data,
+        status: result.status,
+        etag: result.etag || null,
+        lastModified: result.lastModified || null,
+        storedAt: Date.now()
+    };
+}
+
+/**
+ * Re-fetch a cached GET conditionally and tell the requesting tab whether the data changed
+ */
+async function revalidateHttpCache(key, cached, { url, headers }, tabId, requestId) {
+    const conditionalHeaders = { ...headers };
+    if (cached.etag) conditionalHeaders['If-None-Match'] = cached.etag;
+    if (cached.lastModified) conditionalHeaders['If-Modified-Since'] = cached.lastModified;
+
+    const result = await proxyApiCall({ url, method: 'GET', headers: conditionalHeaders });
+    let changed = false;
+
+    if (result.status === 304) {
+        await writeHttpCache(key, { ...cached, storedAt: Date.now() });
+    } else if (result.ok) {
+        changed = JSON.stringify(result.data) !== JSON.stringify(cached.data);
+        await writeHttpCache(key, cacheEntryFromResponse(result));
+    } else if (result.status !== 0) {
+        // The server now refuses this resource (auth, deleted session...); don't keep serving it
+        await cacheStorage.remove(key);
+        changed = true;
+    }
+    // Network failures keep the cached copy and report no change
+
+    Logger.log('🔁 Revalidated', url, changed ? '(changed)' : '(unchanged)');
+
+    if (tabId && requestId) {
+        chrome.tabs.sendMessage(tabId, {
+            type: 'API_CACHE_REVALIDATED',
+            requestId,
+            changed,
+            response: changed ? { ok: result.ok, status: result.status, data: result.data, error: result.error } : null
+        }).catch(() => {
+            // Tab went away before the fresh copy arrived
+        });
+    }
+}
+
+/**
+ * Serve a GET from cache when possible, revalidating stale entries after responding
+ */
+async function cachedApiCall({ url, headers }, tabId, requestId) {
+    const key = httpCacheKey(url);
+    const cached = await readHttpCache(key);
+
+    if (cached) {
+        const fresh = cached.storedAt > httpCacheWriteEpoch &&
+            (Date.now() - cached.storedAt) < HTTP_CACHE_CONFIG.MIN_REVALIDATE_INTERVAL;
+
+        if (!fresh) {
+            revalidateHttpCache(key, cached, { url, headers }, tabId, requestId)
+                .catch(error => Logger.error('❌ Revalidation failed:', error));
+        }
+
+        Logger.log('⚡ Serving cached response:', url);
+        return {
+            ok: true,
+            status: cached.status,
+            data: cached.data,
+            cached: true,
+            revalidating: !fresh
+        };
+    }
+
+    const result = await proxyApiCall({ url, method: 'GET', headers });
+    if (result.ok) {
+        await writeHttpCache(key, cacheEntryFromResponse(result));
+    }
+    return { ...result, cached: false, revalidating: false };
+}
+
+// ==================== OFFLINE OUTBOX ====================
+
+// Write calls flagged with `outbox` metadata are persisted before they are sent,
+// so a dropped connection queues them instead of losing them
+const OUTBOX_CONFIG = {
+    STORAGE_KEY: 'apiOutbox',
+    RETRY_DELAY_BASE: 2000,       // First replay delay (ms)
+    RETRY_DELAY_MAX: 60000,       // Cap for exponential backoff (ms)
+    MAX_ATTEMPTS: 8,              // Give up and mark the entry failed after this many tries
+    TRANSIENT_STATUSES: [408, 429, 502, 503, 504],
+    // Only questions have a Retry/Dismiss list; other kinds are dropped once rejected
+    KEEP_FAILED_KINDS: ['question'],
+    FAILED_TTL_MS: 7 * 24 * 60 * 60 * 1000,
+    MAX_FAILED_ENTRIES: 20
+};
+
+let outboxEntries = null;         // In-memory mirror of the persisted queue
+let outboxLoading = null;
+let outboxFlushing = false;
+let outboxRetryTimer = null;
+let outboxRetryAttempt = 0;
+const outboxWaiters = new Map();  // entry id -> resolve() of the API_CALL awaiting its first attempt
+
+async function loadOutbox() {
+    if (outboxEntries) return outboxEntries;
+    if (!outboxLoading) {
+        outboxLoading = storage.get([OUTBOX_CONFIG.STORAGE_KEY]).then(stored => {
+            outboxEntries = stored[OUTBOX_CONFIG.STORAGE_KEY] || [];
+            // Anything left mid-flight by a terminated worker goes back in line
+            outboxEntries.forEach(entry => {
+                if (entry.status === 'sending') entry.status = 'pending';
+            });
+            pruneFailedOutboxEntries();
+            Logger.log('📮 Outbox loaded:', outboxEntries.length, 'entries');
+            return outboxEntries;
+        });
+    }
+    return outboxLoading;
+}
+
+/**
+ * Drop failed entries nobody can act on: kinds without a Retry/Dismiss UI, entries past
+ * FAILED_TTL_MS, and the oldest beyond MAX_FAILED_ENTRIES
+ */
+function pruneFailedOutboxEntries() {
+    const now = Date.now();
+    const kept = outboxEntries.filter(entry => entry.status !== 'failed' || (
+        OUTBOX_CONFIG.KEEP_FAILED_KINDS.includes(entry.meta?.kind) &&
+        now - (entry.failedAt || entry.createdAt) < OUTBOX_CONFIG.FAILED_TTL_MS
+    ));
+    const failed = kept.filter(entry => entry.status === 'failed');
+    const overflow = new Set(failed.slice(0, Math.max(0, failed.length - OUTBOX_CONFIG.MAX_FAILED_ENTRIES)).map(entry => entry.id));
+    const pruned = outboxEntries.length - kept.length + overflow.size;
+
+    outboxEntries = kept.filter(entry => !overflow.has(entry.id));
+    if (pruned > 0) {
+        Logger.log('📮 Pruned', pruned, 'failed outbox entries');
+    }
+}
+
+async function saveOutbox() {
+    await storage.set({ [OUTBOX_CONFIG.STORAGE_KEY]: outboxEntries || [] });
+}
+
+// Public view of an entry, as sent to content scripts
+function describeOutboxEntry(entry, response) {
+    return {
+        id: entry.id,
+        idempotencyKey: entry.idempotencyKey,
+        status: entry.status === 'sending' ? 'pending' : entry.status,
+        kind: entry.meta?.kind || null,
+        sessionId: entry.meta?.sessionId || null,
+        preview: entry.meta?.preview || null,
+        attempts: entry.attempts,
+        createdAt: entry.createdAt,
+        lastError: entry.lastError || null,
+        response: response || null
+    };
+}
+
+function notifyOutboxUpdate(entry, response) {
+    if (!entry.tabId) return;
+    chrome.tabs.sendMessage(entry.tabId, {
+        type: 'OUTBOX_UPDATED',
+        entry: describeOutboxEntry(entry, response)
+    }).catch(() => {
+        // Tab closed or navigated away; the entry is still visible through OUTBOX_LIST
+    });
+}
+
+function settleOutboxWaiter(entryId, result) {
+    const resolve = outboxWaiters.get(entryId);
+    if (resolve) {
+        outboxWaiters.delete(entryId);
+        resolve(result);
+    }
+}
+
+function scheduleOutboxFlush() {
+    if (outboxRetryTimer) return;
+
+    const delay = Math.min(
+        OUTBOX_CONFIG.RETRY_DELAY_BASE * Math.pow(2, outboxRetryAttempt),
+        OUTBOX_CONFIG.RETRY_DELAY_MAX
+    );
+    outboxRetryAttempt++;
+
+    Logger.log(`⏳ Outbox replay in ${delay}ms`);
+    outboxRetryTimer = setTimeout(() => {
+        outboxRetryTimer = null;
+        flushOutbox();
+    }, delay);
+}
+
+// Replay pending entries strictly in order; stop at the first one that can't get through
+async function flushOutbox() {
+    await loadOutbox();
+    if (outboxFlushing) return;
+    outboxFlushing = true;
+
+    if (outboxRetryTimer) {
+        clearTimeout(outboxRetryTimer);
+        outboxRetryTimer = null;
+    }
+
+    try {
+        let entry;
+        while ((entry = outboxEntries.find(e => e.status === 'pending' && belongsToActiveProfile(e)))) {
+            entry.status = 'sending';
+            entry.attempts++;
+            entry.lastAttemptAt = Date.now();
+            await saveOutbox();
+
+            const result = await proxyApiCall({
+                url: entry.url,
+                method: entry.method,
+                body: entry.body,
+                headers: { ...entry.headers, 'Idempotency-Key': entry.idempotencyKey }
+            });
+
+            const transient = result.networkError || OUTBOX_CONFIG.TRANSIENT_STATUSES.includes(result.status);
+
+            if (transient && entry.attempts < OUTBOX_CONFIG.MAX_ATTEMPTS) {
+                entry.status = 'pending';
+                entry.lastError = result.error || `HTTP ${result.status}`;
+                await saveOutbox();
+
+                Logger.warn('📮 Outbox entry deferred:', entry.method, entry.url, entry.lastError);
+                // Everything behind it is stuck too; tell those callers they've been queued
+                outboxEntries
+                    .filter(e => e.status === 'pending' && belongsToActiveProfile(e))
+                    .forEach(e => settleOutboxWaiter(e.id, {
+                        ok: false,
+                        status: e.id === entry.id ? result.status : 0,
+                        error: e.id === entry.id ? result.error : undefined,
+                        queued: true,
+                        outboxId: e.id,
+                        idempotencyKey: e.idempotencyKey
+                    }));
+                notifyOutboxUpdate(entry);
+                scheduleOutboxFlush();
+                return;
+            }
+
+            outboxRetryAttempt = 0;
+            const delivered = outboxWaiters.has(entry.id);
+
+            if (result.ok) {
+                httpCacheWriteEpoch = Date.now();
+                // Sent entries leave the queue; the caller or tab has been told
+                entry.status = 'sent';
+                outboxEntries = outboxEntries.filter(e => e.id !== entry.id);
+                Logger.log('📮 Outbox entry sent:', entry.method, entry.url);
+            } else {
+                entry.status = 'failed';
+                entry.failedAt = Date.now();
+                entry.lastError = result.data?.error || result.data?.message || result.error || `HTTP ${result.status}`;
+                Logger.warn('📮 Outbox entry failed:', entry.method, entry.url, entry.lastError);
+                if (delivered) {
+                    // The caller is about to show the rejection inline; nothing left to retry from the queue
+                    outboxEntries = outboxEntries.filter(e => e.id !== entry.id);
+                } else {
+                    // Replayed later: questions stay listed as failed until retried or dismissed
+                    pruneFailedOutboxEntries();
+                }
+            }
+            await saveOutbox();
+
+            settleOutboxWaiter(entry.id, { ...result, outboxId: entry.id, idempotencyKey: entry.idempotencyKey });
+            if (!delivered) {
+                notifyOutboxUpdate(entry, result);
+            }
+        }
+    } catch (error) {
+        Logger.error('❌ Outbox replay error:', error);
+        outboxEntries.forEach(e => {
+            if (e.status === 'sending') e.status = 'pending';
+        });
+        scheduleOutboxFlush();
+    } finally {
+        outboxFlushing = false;
+    }
+}
+
+/**
+ * Queue a write call and wait for its first delivery attempt.
+ * Resolves with the API response, or with { queued: true, outboxId } when
+ * the call has been kept for replay.
+ */
+async function sendThroughOutbox({ url, method, body, headers, meta }, tabId) {
+    await loadOutbox();
+
+    const entry = {
+        id: `outbox_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        idempotencyKey: crypto.randomUUID(),
+        url,
+        method,
+        body,
+        headers: headers || {},
+        meta: meta || {},
+        userId: sessionState.user?.id || null,
+        tabId: tabId || null,
+        status: 'pending',
+        attempts: 0,
+        createdAt: Date.now()
+    };
+
+    outboxEntries.push(entry);
+    await saveOutbox();
+    Logger.log('📮 Outbox entry queued:', method, url);
+
+    const firstAttempt = new Promise(resolve => outboxWaiters.set(entry.id, resolve));
+
+    // Entries ahead of this one are waiting on backoff; don't jump the queue
+    if (!outboxRetryTimer) {
+        flushOutbox();
+    } else {
+        settleOutboxWaiter(entry.id, {
+            ok: false,
+            status: 0,
+            queued: true,
+            outboxId: entry.id,
+            idempotencyKey: entry.idempotencyKey
+        });
+    }
+
+    return firstAttempt;
+}
+
+// Writes made under one account are only replayed while that account is active
+function belongsToActiveProfile(entry) {
+    return !entry.userId || entry.userId === sessionState.user?.id;
+}
+
+async function discardOutboxEntry(entryId) {
+    await loadOutbox();
+    const before = outboxEntries.length;
+    outboxEntries = outboxEntries.filter(e => e.id !== entryId || e.status === 'sending');
+    await saveOutbox();
+    return { success: outboxEntries.length < before };
+}
+
+async function retryOutboxEntry(entryId) {
+    await loadOutbox();
+    const entry = outboxEntries.find(e => e.id === entryId);
+    if (!entry || entry.status !== 'failed') {
+        return { success: false, error: 'No failed outbox entry with that id' };
+    }
+
+    // Re-queue at the back so ordering of newer writes is preserved
+    outboxEntries = outboxEntries.filter(e => e.id !== entryId);
+    entry.status = 'pending';
+    entry.attempts = 0;
+    entry.lastError = null;
+    outboxEntries.push(entry);
+    await saveOutbox();
+
+    notifyOutboxUpdate(entry);
+    flushOutbox();
+    return { success: true, entry: describeOutboxEntry(entry) };
+}
+
+// Connectivity came back: replay right away instead of waiting out the backoff
+self.addEventListener('online', () => {
+    Logger.log('🌐 Back online, replaying outbox');
+    outboxRetryAttempt = 0;
+    flushOutbox();
+});
+
+// ==================== TRANSCRIPT DELIVERY ====================
+
+// Lecture transcript chunks get their own persisted queue instead of the outbox: each
+// session numbers its chunks 1, 2, 3..., chunks are retried until the backend
+// acknowledges them, and a periodic reconciliation asks the backend which sequence
+// numbers it is missing. Gaps in the transcript make the context-aware AI answer wrong.
+const TRANSCRIPT_CONFIG = {
+    QUEUE_KEY: 'transcriptQueue',
+    SEQUENCE_KEY: 'transcriptSequences',
+    RECONCILE_ALARM: 'asklynk-transcript-reconcile',
+    RECONCILE_INTERVAL_MINUTES: 1,
+    RETRY_DELAY_BASE: 2000,                   // First retry delay (ms)
+    RETRY_DELAY_MAX: 60000,                   // Cap for exponential backoff (ms); retries never give up
+    ACKED_RETENTION_MS: 6 * 60 * 60 * 1000,   // Keep acknowledged chunks this long for gap recovery, rejected ones for TRANSCRIPT_STATUS
+    // Retried with backoff; 401 waits for session renewal
+    TRANSIENT_STATUSES: [401, 408, 429, 500, 502, 503, 504]
+};
+
+let transcriptQueue = null;        // Chunks not yet confirmed by reconciliation
+let transcriptSequences = null;    // sessionId -> last sequence number handed out
+let transcriptLoading = null;
+let transcriptFlushing = false;
+let transcriptRetryTimer = null;
+let transcriptRetryAttempt = 0;
+let transcriptDelivery = { lastLatencyMs: null, lastAttemptAt: null, lastAckAt: null, lastError: null }; // For the voice health panel
+
+async function loadTranscriptQueue() {
+    if (transcriptQueue) return transcriptQueue;
+    if (!transcriptLoading) {
+        transcriptLoading = storage.get([TRANSCRIPT_CONFIG.QUEUE_KEY, TRANSCRIPT_CONFIG.SEQUENCE_KEY]).then(stored => {
+            transcriptQueue = stored[TRANSCRIPT_CONFIG.QUEUE_KEY] || [];
+            transcriptSequences = stored[TRANSCRIPT_CONFIG.SEQUENCE_KEY] || {};
+            // Anything left mid-flight by a terminated worker goes back in line
+            transcriptQueue.forEach(entry => {
+                if (entry.status === 'sending') entry.status = 'pending';
+            });
+            Logger.log('🎙️ Transcript queue loaded:', transcriptQueue.length, 'chunks');
+            return transcriptQueue;
+        });
+    }
+    return transcriptLoading;
+}
+
+async function saveTranscriptQueue() {
+    await storage.set({
+        [TRANSCRIPT_CONFIG.QUEUE_KEY]: transcriptQueue || [],
+        [TRANSCRIPT_CONFIG.SEQUENCE_KEY]: transcriptSequences || {}
+    });
+    
+    // Reconcile on a schedule only while something is left to confirm
+    if (transcriptQueue && transcriptQueue.length > 0) {
+        chrome.alarms.get(TRANSCRIPT_CONFIG.RECONCILE_ALARM, (existing) => {
+            if (!existing) {
+                chrome.alarms.create(TRANSCRIPT_CONFIG.RECONCILE_ALARM, {
+                    periodInMinutes: TRANSCRIPT_CONFIG.RECONCILE_INTERVAL_MINUTES
+                });
+            }
+        });
+    } else {
+        chrome.alarms.clear(TRANSCRIPT_CONFIG.RECONCILE_ALARM);
+    }
+}
+
+function transcriptUrl(sessionId, suffix = '') {
+    return `${CONFIG.API_ORIGIN}/api/sessions/${encodeURIComponent(sessionId)}/voice-transcript${suffix}`;
+}
+
+/**
+ * Number a transcript chunk and persist it before anything is sent
+ * @param {string} sessionId - Session the lecture belongs to
+ * @param {Object} payload - Chunk body built by the content script
+ * @returns {Promise<Object>} The queued entry
+ */
+async function queueTranscriptChunk(sessionId, payload) {
+    await loadTranscriptQueue();
+    
+    // Allocated synchronously after the load, so concurrent chunks can't share a number
+    const sequence = (transcriptSequences[sessionId] || 0) + 1;
+    transcriptSequences[sessionId] = sequence;
+    
+    const entry = {
+        id: `${sessionId}:${sequence}`,
+        sessionId,
+        sequence,
+        payload: { ...payload, sessionId, sequence, chunkIndex: sequence },
+        userId: sessionState.user?.id || null,
+        status: 'pending',
+        attempts: 0,
+        createdAt: Date.now()
+    };
+    
+    transcriptQueue.push(entry);
+    await saveTranscriptQueue();
+    Logger.log('🎙️ Transcript chunk queued:', entry.id);
+    
+    flushTranscriptQueue();
+    return entry;
+}
+
+function scheduleTranscriptFlush() {
+    if (transcriptRetryTimer) return;
+    
+    const delay = Math.min(
+        TRANSCRIPT_CONFIG.RETRY_DELAY_BASE * Math.pow(2, transcriptRetryAttempt),
+        TRANSCRIPT_CONFIG.RETRY_DELAY_MAX
+    );
+    transcriptRetryAttempt++;
+    
+    Logger.log(`⏳ Transcript retry in ${delay}ms`);
+    transcriptRetryTimer = setTimeout(() => {
+        transcriptRetryTimer = null;
+        flushTranscriptQueue();
+    }, delay);
+}
+
+// Send pending chunks in sequence order; back off at the first one that can't get through
+async function flushTranscriptQueue() {
+    await loadTranscriptQueue();
+    if (transcriptFlushing) return;
+    transcriptFlushing = true;
+    
+    if (transcriptRetryTimer) {
+        clearTimeout(transcriptRetryTimer);
+        transcriptRetryTimer = null;
+    }
+    
+    const nextPending = () => transcriptQueue
+        .filter(e => e.status === 'pending' && belongsToActiveProfile(e))
+        .sort((a, b) => a.createdAt - b.createdAt || a.sequence - b.sequence)[0];
+    
+    try {
+        let entry;
+        while ((entry = nextPending())) {
+            entry.status = 'sending';
+            entry.attempts++;
+            await saveTranscriptQueue();
+            
+            const sentAt = Date.now();
+            const result = await proxyApiCall({
+                url: transcriptUrl(entry.sessionId),
+                method: 'POST',
+                body: entry.payload,
+                headers: { 'Idempotency-Key': `transcript:${entry.id}` }
+            });
+            transcriptDelivery = {
+                ...transcriptDelivery,
+                lastLatencyMs: result.networkError ? null : Date.now() - sentAt,
+                lastAttemptAt: sentAt,
+                lastError: result.ok || result.status === 409 ? null : (result.error || `HTTP ${result.status}`)
+            };
+            
+            // 409: the backend already has this sequence number
+            if (result.ok || result.status === 409) {
+                transcriptDelivery.lastAckAt = Date.now();
+                entry.status = 'acked';
+                entry.ackedAt = Date.now();
+                entry.lastError = null;
+                transcriptRetryAttempt = 0;
+                Logger.log('✅ Transcript chunk acknowledged:', entry.id,
+                    result.data?.embeddingGenerated ? '(embedding generated)' : '');
+            } else if (result.networkError || TRANSCRIPT_CONFIG.TRANSIENT_STATUSES.includes(result.status)) {
+                entry.status = 'pending';
+                entry.lastError = result.error || `HTTP ${result.status}`;
+                await saveTranscriptQueue();
+                Logger.warn('🎙️ Transcript chunk deferred:', entry.id, entry.lastError);
+                scheduleTranscriptFlush();
+                return;
+            } else {
+                // The backend refused this chunk (e.g. the session ended); reported until the retention window passes
+                entry.status = 'rejected';
+                entry.rejectedAt = Date.now();
+                entry.lastError = result.data?.error || result.data?.message || result.error || `HTTP ${result.status}`;
+                Logger.warn('🎙️ Transcript chunk rejected:', entry.id, entry.lastError);
+            }
+            await saveTranscriptQueue();
+        }
+    } catch (error) {
+        Logger.error('❌ Transcript delivery error:', error);
+        transcriptQueue.forEach(e => {
+            if (e.status === 'sending') e.status = 'pending';
+        });
+        scheduleTranscriptFlush();
+    } finally {
+        transcriptFlushing = false;
+    }
+}
+
+/**
+ * Ask the backend which sequence numbers it is missing for a session and resend them.
+ * Acknowledged chunks the backend confirms are dropped from the queue.
+ * @param {string} sessionId - Session to reconcile
+ */
+async function reconcileTranscriptSession(sessionId) {
+    await loadTranscriptQueue();
+    
+    const through = transcriptSequences[sessionId] || 0;
+    if (!through) {
+        return { success: true, sessionId, missing: [], resent: [], unrecoverable: [] };
+    }
+    
+    const result = await proxyApiCall({
+        url: `${transcriptUrl(sessionId, '/missing')}?through=${through}`,
+        method: 'GET'
+    });
+    
+    if (!result.ok || !Array.isArray(result.data?.missing)) {
+        Logger.warn('⚠️ Transcript reconciliation unavailable for', sessionId, result.error || `HTTP ${result.status}`);
+        return { success: false, sessionId, error: result.error || `HTTP ${result.status}` };
+    }
+    
+    const missing = result.data.missing.map(Number).filter(Number.isInteger);
+    const resent = [];
+    const unrecoverable = [];
+    
+    missing.forEach(sequence => {
+        const entry = transcriptQueue.find(e => e.sessionId === sessionId && e.sequence === sequence);
+        if (!entry) {
+            unrecoverable.push(sequence);
+        } else if (entry.status === 'acked') {
+            // Acknowledged but lost on the backend's side: send it again
+            entry.status = 'pending';
+            resent.push(sequence);
+        }
+    });
+    
+    // Everything else up to `through` is safely stored
+    transcriptQueue = transcriptQueue.filter(e =>
+        e.sessionId !== sessionId || e.status !== 'acked' || missing.includes(e.sequence));
+    await saveTranscriptQueue();
+    
+    if (resent.length > 0) {
+        Logger.warn('🧩 Resending transcript chunks the backend is missing:', sessionId, resent);
+        flushTranscriptQueue();
+    }
+    if (unrecoverable.length > 0) {
+        Logger.error('❌ Transcript gap cannot be recovered (chunks no longer held):', sessionId, unrecoverable);
+    }
+    
+    return { success: true, sessionId, missing, resent, unrecoverable };
+}
+
+async function reconcileTranscripts() {
+    await loadTranscriptQueue();
+    
+    const sessionIds = [...new Set(transcriptQueue
+        .filter(e => e.status === 'acked' && belongsToActiveProfile(e))
+        .map(e => e.sessionId))];
+    for (const sessionId of sessionIds) {
+        await reconcileTranscriptSession(sessionId);
+    }
+    
+    // Backends without the reconciliation route would otherwise keep every chunk forever,
+    // and rejected chunks are never sent again, so both go once they have been reported
+    const cutoff = Date.now() - TRANSCRIPT_CONFIG.ACKED_RETENTION_MS;
+    const expired = (e) => (e.status === 'acked' && e.ackedAt <= cutoff) ||
+        (e.status === 'rejected' && (e.rejectedAt || 0) <= cutoff);
+    const before = transcriptQueue.length;
+    transcriptQueue = transcriptQueue.filter(e => !expired(e));
+    if (transcriptQueue.length !== before) {
+        await saveTranscriptQueue();
+    }
+}
+
+// Delivery and reconciliation counts for one session (or all of them)
+function describeTranscriptQueue(sessionId) {
+    const entries = (transcriptQueue || []).filter(e => !sessionId || e.sessionId === sessionId);
+    const count = (status) => entries.filter(e => e.status === status || (status === 'pending' && e.status === 'sending')).length;
+    const waiting = entries.filter(e => e.status === 'pending' || e.status === 'sending');
+    return {
+        lastSequence: sessionId ? (transcriptSequences?.[sessionId] || 0) : null,
+        pending: count('pending'),
+        acked: count('acked'),
+        retrying: waiting.filter(e => e.attempts > 0).length,
+        oldestPendingAt: waiting.length > 0 ? Math.min(...waiting.map(e => e.createdAt)) : null,
+        delivery: { ...transcriptDelivery },
+        rejected: entries
+            .filter(e => e.status === 'rejected')
+            .map(e => ({ sequence: e.sequence, sessionId: e.sessionId, lastError: e.lastError }))
+    };
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== TRANSCRIPT_CONFIG.RECONCILE_ALARM) return;
+    
+    flushTranscriptQueue();
+    await reconcileTranscripts();
+});
+
+self.addEventListener('online', () => {
+    transcriptRetryAttempt = 0;
+    flushTranscriptQueue();
+});
+
+// ==================== AI STREAMING ====================
+
+// AI answers arrive as Server-Sent Events. The content script opens a port, sends one
+// START frame, and receives the stream back as frames:
+//   → { type: 'START', url, method, headers, body }   → { type: 'CANCEL' }
+//   ← { type: 'OPEN', status }  ← { type: 'DATA', data }  ← { type: 'END' }
+//   ← { type: 'ERROR', status, error }
+// Disconnecting the port cancels the upstream request.
+const STREAM_CONFIG = {
+    PORT_NAME: 'asklynk-ai-stream',
+    PATH_PATTERNS: [
+        /^\/api\/enhanced\/sessions\/[\w-]+\/ask-stream$/,
+        /^\/api\/ai-general\/general\/ask-stream$/
+    ],
+    START_SCHEMA: {
+        senders: ['extension', 'content'],
+        fields: { url: 'string', method: 'string?', headers: 'object?', body: 'any?' }
+    }
+};
+
+// Extract the payload of an SSE "data:" line, or null for any other line
+function parseSseData(line) {
+    const trimmed = line.replace(/\r$/, '');
+    if (!trimmed.startsWith('data:')) return null;
+    const data = trimmed.slice(5);
+    return data.startsWith(' ') ? data.slice(1) : data;
+}
+
+/**
+ * Run one streaming request and relay its SSE data lines over the port
+ * @param {chrome.runtime.Port} port - Port opened by the requester
+ * @param {Object} request - { url, method, headers, body }
+ * @param {AbortController} controller - Aborted when the requester cancels or disconnects
+ */
+async function proxyStream(port, { url, method = 'POST', headers = {}, body = null }, controller) {
+    const startedAt = Date.now();
+    let frames = 0;
+    
+    const post = (frame) => {
+        try {
+            port.postMessage(frame);
+        } catch (error) {
+            // Requester went away mid-stream
+            controller.abort();
+        }
+    };
+    
+    Logger.log('🌊 Streaming API call:', method, url);
+    
+    try {
+        const response = await fetch(url, {
+            method,
+            credentials: 'include',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream',
+                ...headers
+            },
+            body: body && method !== 'GET' ? (typeof body === 'string' ? body : JSON.stringify(body)) : undefined,
+            signal: controller.signal
+        });
+        
+        if (!response.ok) {
+            let error = `Request failed with status ${response.status}`;
+            try {
+                const data = await response.json();
+                error = data.message || data.error || error;
+            } catch (e) {
+                // Non-JSON error body
+            }
+            
+            if (response.status === 401) {
+                await handleUnauthorizedResponse();
+            }
+            post({ type: 'ERROR', status: response.status, error });
+            return;
+        }
+        
+        post({ type: 'OPEN', status: response.status });
+        
+        // Lines can be split across chunks, so keep the unfinished tail for the next read
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            
+            for (const line of lines) {
+                const data = parseSseData(line);
+                if (data !== null) {
+                    frames++;
+                    post({ type: 'DATA', data });
+                }
+            }
+        }
+        
+        const tail = parseSseData(buffer + decoder.decode());
+        if (tail !== null) {
+            frames++;
+            post({ type: 'DATA', data: tail });
+        }
+        post({ type: 'END' });
+        
+    } catch (error) {
+        if (controller.signal.aborted) {
+            Logger.log('🛑 Stream cancelled by requester:', url);
+            return;
+        }
+        Logger.error('❌ Streaming API call failed:', error);
+        post({ type: 'ERROR', status: 0, error: error.message });
+    } finally {
+        Logger.log('🌊 Stream finished:', url, { frames, ms: Date.now() - startedAt });
+        try {
+            port.disconnect();
+        } catch (e) {
+            // Already disconnected
+        }
+    }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== STREAM_CONFIG.PORT_NAME) return;
+    
+    let controller = null;
+    
+    // The sender is checked on START: campus LMS origins may still be loading after a worker restart
+    port.onMessage.addListener(async (message) => {
+        if (message && message.type === 'CANCEL') {
+            if (controller) controller.abort();
+            return;
+        }
+        
+        if (!message || message.type !== 'START' || controller) {
+            port.postMessage({ type: 'ERROR', status: 0, error: 'Expected a single START frame' });
+            port.disconnect();
+            return;
+        }
+        
+        controller = new AbortController();
+        await campusSitesReady;
+        if (controller.signal.aborted) return;  // Port closed while waiting
+        const senderKind = classifySender(port.sender);
+        if (!senderKind || !STREAM_CONFIG.START_SCHEMA.senders.includes(senderKind)) {
+            recordSecurityEvent('stream_sender_rejected', { senderKind, ...describeSender(port.sender || {}) });
+            port.disconnect();
+            return;
+        }
+        
+        const error = validateMessageFields(message, STREAM_CONFIG.START_SCHEMA) ||
+            validateApiRequest(message, STREAM_CONFIG.PATH_PATTERNS);
+        if (error) {
+            recordSecurityEvent('stream_request_blocked', {
+                senderKind,
+                reason: error,
+                url: String(message.url).slice(0, 500),
+                ...describeSender(port.sender)
+            });
+            port.postMessage({ type: 'ERROR', status: 0, error, blocked: true });
+            port.disconnect();
+            return;
+        }
+        
+        proxyStream(port, {
+            url: message.url,
+            method: (message.method || 'POST').toUpperCase(),
+            headers: message.headers,
+            body: message.body
+        }, controller);
+    });
+    
+    port.onDisconnect.addListener(() => {
+        if (controller) controller.abort();
+    });
+});
+
+// ==================== TRANSCRIPTION ====================
+const TRANSCRIPTION_CONFIG = {
+    MAX_AUDIO_BASE64_LENGTH: 8 * 1024 * 1024, // ~6 MB of audio per segment
+    TIMEOUT_MS: 60000
+};
+
+function base64ToBlob(base64, mimeType) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+}
+
+/**
+ * Transcribe one recorded audio segment with the Whisper-compatible endpoint from
+ * the transcription settings. The endpoint and key never come from the message, and
+ * both are read from the credential store, which content scripts cannot write.
+ * @param {Object} request - { audio (base64), mimeType, language }
+ */
+async function transcribeAudio({ audio, mimeType, language }) {
+    if (audio.length > TRANSCRIPTION_CONFIG.MAX_AUDIO_BASE64_LENGTH) {
+        return { success: false, status: 413, error: 'Audio segment too large' };
+    }
+    
+    const settings = await AskLynkTranscriptionSettings.load();
+    let endpoint, apiKey;
+    try {
+        endpoint = await AskLynkTranscriptionSettings.loadEndpoint();
+        apiKey = await AskLynkTranscriptionSettings.loadApiKey();
+    } catch (error) {
+        Logger.warn('⚠️ Could not read the transcription endpoint:', error.message);
+        return { success: false, status: 0, error: 'Transcription settings are unavailable' };
+    }
+    const extension = mimeType.includes('ogg') ? 'ogg' : 'webm';
+    
+    let file;
+    try {
+        file = base64ToBlob(audio, mimeType.split(';')[0] || 'audio/webm');
+    } catch (error) {
+        return { success: false, status: 400, error: 'Audio is not valid base64' };
+    }
+    
+    const form = new FormData();
+    form.append('file', file, `segment.${extension}`);
+    form.append('model', settings.model);
+    form.append('response_format', 'json');
+    if (language) {
+        // Whisper expects ISO-639-1 ('en'), not a BCP-47 tag ('en-US')
+        form.append('language', language.split('-')[0].toLowerCase());
+    }
+    
+    const headers = {};
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), TRANSCRIPTION_CONFIG.TIMEOUT_MS);
+    
+    try {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers,
+            body: form,
+            credentials: 'omit',
+            signal: controller.signal
+        });
+        
+        if (!response.ok) {
+            Logger.warn('⚠️ Transcription endpoint returned', response.status);
+            return { success: false, status: response.status, error: `Transcription failed (${response.status})` };
+        }
+        
+        const data = await response.json();
+        return { success: true, status: response.status, text: data.text || '' };
+    } catch (error) {
+        Logger.warn('⚠️ Transcription request failed:', error.message);
+        return {
+            success: false,
+            status: 0,
+            error: controller.signal.aborted ? 'Transcription timed out' : error.message
+        };
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+// ==================== CANVAS PUBLISHING ====================
+const CANVAS_CONFIG = {
+    MAX_TITLE_LENGTH: 255,
+    MAX_BODY_LENGTH: 200000,  // Recap HTML; Canvas accepts far more, a recap never needs it
+    TIMEOUT_MS: 20000
+};
+
+/**
+ * Whether a course on `host` belongs to the configured Canvas instance. Course IDs are
+ * only unique per instance, so a recap is never sent to a course on another host.
+ */
+function isConfiguredCanvasHost(baseUrl, host) {
+    return new URL(baseUrl).hostname === host;
+}
+
+/**
+ * Create an unpublished page or announcement in a Canvas course with the instance and
+ * access token from the Canvas settings. The token never comes from, or goes back to,
+ * the content script.
+ * @param {Object} request - { courseId, host (Canvas hostname of the course), kind: 'page' | 'announcement', title, body (HTML) }
+ * @returns {Promise<Object>} { success, status, url, error, needsSettings }
+ */
+async function publishToCanvas({ courseId, host, kind, title, body }) {
+    // Both from the credential store: content scripts can write storage.local, not these
+    const settings = await AskLynkCanvasSettings.load().catch(() => AskLynkCanvasSettings.resolve(null));
+    const token = await AskLynkCanvasSettings.loadToken().catch(() => '');
+    if (!settings.baseUrl || !token) {
+        return { success: false, status: 0, needsSettings: true, error: 'Add your Canvas URL and access token in the extension options first' };
+    }
+    
+    if (!isConfiguredCanvasHost(settings.baseUrl, host)) {
+        Logger.warn('⚠️ Canvas course host', host, 'does not match', settings.baseUrl);
+        return {
+            success: false,
+            status: 400,
+            error: `This course is on ${host}, but recaps are published to ${new URL(settings.baseUrl).hostname}. Change the Canvas URL in the extension options.`
+        };
+    }
+    
+    if (!/^\d+$/.test(String(courseId))) {
+        return { success: false, status: 400, error: 'Canvas course ID must be numeric' };
+    }
+    if (kind !== 'page' && kind !== 'announcement') {
+        return { success: false, status: 400, error: `Unknown Canvas draft type: ${kind}` };
+    }
+    if (!title.trim() || title.length > CANVAS_CONFIG.MAX_TITLE_LENGTH || body.length > CANVAS_CONFIG.MAX_BODY_LENGTH) {
+        return { success: false, status: 413, error: 'Recap title or body is too long for Canvas' };
+    }
+    
+    // Both are created unpublished so the professor can review them in Canvas first
+    const coursePath = `${settings.baseUrl}/api/v1/courses/${courseId}`;
+    const [url, payload] = kind === 'page'
+        ? [`${coursePath}/pages`, { wiki_page: { title, body, published: false } }]
+        : [`${coursePath}/discussion_topics`, { title, message: body, is_announcement: true, published: false }];
+    
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), CANVAS_CONFIG.TIMEOUT_MS);
+    
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(payload),
+            credentials: 'omit',
+            signal: controller.signal
+        });
+        
+        if (!response.ok) {
+            Logger.warn('⚠️ Canvas returned', response.status, 'for', kind, 'in course', courseId);
+            const error = response.status === 401 ? 'Canvas rejected the access token'
+                : response.status === 403 ? 'Your Canvas account cannot create this in the course'
+                : response.status === 404 ? 'Canvas course not found'
+                : `Canvas request failed (${response.status})`;
+            return { success: false, status: response.status, needsSettings: response.status === 401, error };
+        }
+        
+        const data = await response.json().catch(() => ({}));
+        Logger.log('📤 Canvas', kind, 'draft created in course', courseId);
+        return { success: true, status: response.status, url: data.html_url || null };
+    } catch (error) {
+        Logger.warn('⚠️ Canvas request failed:', error.message);
+        return {
+            success: false,
+            status: 0,
+            error: controller.signal.aborted ? 'Canvas did not respond in time' : error.message
+        };
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+// ==================== CAMPUS LMS SITES ====================
+
+// Self-hosted LMS sites from the options page (src/config/lms-sites.js) get the manifest's
+// content scripts registered at runtime, behind a marker script naming their platform
+const CAMPUS_SITES_CONFIG = {
+    SCRIPT_ID_PREFIX: 'asklynk-campus-'
+};
+
+let campusSiteOrigins = new Set();  // Origins the router accepts content-script messages from
+
+/**
+ * Register content scripts for the campus sites AskLynk has host access to, replacing
+ * the previous registration
+ * @param {Object[]} sites - { platform, origin }
+ */
+async function applyCampusSites(sites) {
+    const granted = [];
+    for (const site of sites) {
+        if (await chrome.permissions.contains({ origins: AskLynkLmsSites.matchPatterns(site) })) {
+            granted.push(site);
+        } else {
+            Logger.warn('⚠️ No host access for campus LMS site, skipping:', site.origin);
+        }
+    }
+    campusSiteOrigins = new Set(granted.map(site => site.origin));
+    
+    const registered = await chrome.scripting.getRegisteredContentScripts();
+    const ids = registered.map(script => script.id).filter(id => id.startsWith(CAMPUS_SITES_CONFIG.SCRIPT_ID_PREFIX));
+    if (ids.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids });
+    }
+    
+    const contentScripts = chrome.runtime.getManifest().content_scripts[0].js;
+    const scripts = Object.keys(AskLynkLmsSites.PLATFORMS)
+        .map(platform => ({
+            id: `${CAMPUS_SITES_CONFIG.SCRIPT_ID_PREFIX}${platform}`,
+            matches: granted.filter(site => site.platform === platform).flatMap(AskLynkLmsSites.matchPatterns),
+            js: [`src/platforms/sites/${platform}.js`, ...contentScripts]
+        }))
+        .filter(script => script.matches.length > 0);
+    if (scripts.length > 0) {
+        await chrome.scripting.registerContentScripts(scripts);
+    }
+    Logger.log('🏫 Campus LMS sites active:', granted.map(site => site.origin));
+}
+
+function reloadCampusSites() {
+    return AskLynkLmsSites.load().then(applyCampusSites).catch((error) => {
+        Logger.error('❌ Could not apply campus LMS sites:', error.message);
+    });
+}
+
+// Messages from campus pages wait for this after a worker restart
+let campusSitesReady = reloadCampusSites();
+AskLynkLmsSites.onChange(() => {
+    campusSitesReady = reloadCampusSites();
+});
+chrome.permissions.onRemoved.addListener(() => {
+    campusSitesReady = reloadCampusSites();
+});
+
+// ==================== MESSAGE SECURITY ====================
+
+// Every runtime message is checked before it reaches a handler: who sent it, which
+// fields it carries, and - for API_CALL - where the session cookies would be sent.
+const SECURITY_CONFIG = {
+    AUDIT_LOG_KEY: 'securityAuditLog',
+    AUDIT_LOG_LIMIT: 200,
+    // Pages our content scripts run on (mirrors manifest content_scripts.matches); campus
+    // LMS sites from the options page are accepted through campusSiteOrigins
+    CONTENT_SCRIPT_ORIGINS: [
+        /^https:\/\/meet\.google\.com$/,
+        /^https:\/\/([a-z0-9-]+\.)?zoom\.us$/,
+        /^https:\/\/teams\.(microsoft|live)\.com$/,
+        /^https:\/\/([a-z0-9-]+\.)+webex\.com$/,
+        /^https:\/\/[a-z0-9-]+\.instructure\.com$/,
+        /^https:\/\/[a-z0-9-]+\.moodlecloud\.com$/,
+        /^https:\/\/[a-z0-9-]+\.blackboard\.com$/,
+        /^https:\/\/[a-z0-9-]+\.(brightspace|desire2learn)\.com$/
+    ],
+    // Backend routes the content script is allowed to reach through the proxy
+    API_PATH_PATTERNS: [
+        /^\/api\/sessions(\/[\w-]+)*$/,
+        /^\/api\/students\/[\w-]+\/sessions$/,
+        /^\/api\/courses\/[\w-]+\/[\w.-]+\/[\w-]+\/sessions$/,
+        /^\/api\/questions\/[\w-]+\/(vote|resolve|respond)$/,
+        /^\/api\/anonymous(\/[\w-]+)+$/,
+        /^\/api\/ai\/(chats|messages|interactions)(\/[\w-]+)*$/,
+        /^\/api\/ai-general\/general\/ask$/
+    ],
+    API_METHODS: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    API_HEADERS: ['content-type', 'accept', 'x-request-id']
+};
+
+// Field types: 'string' | 'number' | 'boolean' | 'object' | 'id' (string or number) | 'any'.
+// A trailing '?' makes the field optional (undefined or null).
+const MESSAGE_SCHEMAS = {
+    CHECK_AUTH: { senders: ['extension', 'content'], fields: {} },
+    START_SIGN_IN: { senders: ['extension', 'content'], fields: {} },
+    SIGN_OUT: { senders: ['extension', 'content'], fields: {} },
+    LIST_ACCOUNTS: { senders: ['extension'], fields: {} },
+    SWITCH_ACCOUNT: { senders: ['extension'], fields: { userId: 'id' } },
+    ADD_ACCOUNT: { senders: ['extension'], fields: {} },
+    REMOVE_ACCOUNT: { senders: ['extension'], fields: { userId: 'id' } },
+    API_CALL: {
+        senders: ['extension', 'content'],
+        fields: {
+            url: 'string',
+            method: 'string?',
+            headers: 'object?',
+            body: 'any?',
+            outbox: 'object?',
+            cache: 'boolean?',
+            requestId: 'string?'
+        }
+    },
+    OUTBOX_LIST: { senders: ['extension', 'content'], fields: { sessionId: 'id?' } },
+    QUEUE_TRANSCRIPT_CHUNK: { senders: ['content'], fields: { sessionId: 'id', payload: 'object' } },
+    RECONCILE_TRANSCRIPT: { senders: ['extension', 'content'], fields: { sessionId: 'id' } },
+    TRANSCRIPT_STATUS: { senders: ['extension', 'content'], fields: { sessionId: 'id?' } },
+    OUTBOX_RETRY: { senders: ['extension', 'content'], fields: { outboxId: 'string' } },
+    OUTBOX_DISCARD: { senders: ['extension', 'content'], fields: { outboxId: 'string' } },
+    REALTIME_SUBSCRIBE: { senders: ['content'], fields: { sessionId: 'id' } },
+    REALTIME_UNSUBSCRIBE: { senders: ['content'], fields: { sessionId: 'id' } },
+    HEALTH_CHECK: { senders: ['extension', 'content'], fields: { ping: 'boolean?' } },
+    AUTH_CALLBACK_RESULT: { senders: ['extension'], fields: { success: 'boolean', error: 'string?' } },
+    CONSUME_PENDING_JOIN: { senders: ['content'], fields: {} },
+    GET_SECURITY_AUDIT_LOG: { senders: ['extension'], fields: { limit: 'number?' } },
+    VALIDATE_BACKEND: { senders: ['extension'], fields: { apiOrigin: 'string' } },
+    TRANSCRIBE_AUDIO: { senders: ['content'], fields: { audio: 'string', mimeType: 'string', language: 'string?' } },
+    PUBLISH_TO_CANVAS: { senders: ['content'], fields: { courseId: 'id', host: 'string', kind: 'string', title: 'string', body: 'string' } }
+};
+
+let auditLogWrite = Promise.resolve();
+
+/**
+ * Append an entry to the persisted security audit log (newest last, capped)
+ * @param {string} event - Short machine-readable reason, e.g. 'api_url_blocked'
+ * @param {Object} details - What was attempted and by whom
+ */
+function recordSecurityEvent(event, details = {}) {
+    const entry = { event, at: Date.now(), ...details };
+    Logger.warn('🛡️ Security event:', event, details);
+    
+    // Serialize writes so concurrent events don't overwrite each other
+    auditLogWrite = auditLogWrite.then(async () => {
+        const stored = await storage.get([SECURITY_CONFIG.AUDIT_LOG_KEY]);
+        const log = stored[SECURITY_CONFIG.AUDIT_LOG_KEY] || [];
+        log.push(entry);
+        await storage.set({ [SECURITY_CONFIG.AUDIT_LOG_KEY]: log.slice(-SECURITY_CONFIG.AUDIT_LOG_LIMIT) });
+    }).catch(error => {
+        Logger.error('❌ Failed to write security audit log:', error);
+    });
+    return auditLogWrite;
+}
+
+function describeSender(sender) {
+    return {
+        senderId: sender.id || null,
+        senderUrl: sender.url || null,
+        tabId: sender.tab?.id ?? null,
+        frameId: sender.frameId ?? null
+    };
+}
+
+/**
+ * Work out which part of the extension a message came from
+ * @returns {string|null} 'extension' for our own pages, 'content' for our content scripts, null otherwise
+ */
+function classifySender(sender) {
+    if (!sender || sender.id !== chrome.runtime.id) return null;
+    
+    const extensionOrigin = `chrome-extension://${chrome.runtime.id}/`;
+    if (sender.url && sender.url.startsWith(extensionOrigin)) {
+        return 'extension';
+    }
+    
+    // Content scripts only run in the top frame of the manifest's pages and campus LMS sites
+    if (sender.tab && sender.frameId === 0 && sender.url) {
+        let origin;
+        try {
+            origin = new URL(sender.url).origin;
+        } catch (error) {
+            return null;
+        }
+        if (SECURITY_CONFIG.CONTENT_SCRIPT_ORIGINS.some(pattern => pattern.test(origin)) || campusSiteOrigins.has(origin)) {
+            return 'content';
+        }
+    }
+    
+    return null;
+}
+
+function matchesFieldType(value, type) {
+    const optional = type.endsWith('?');
+    const baseType = optional ? type.slice(0, -1) : type;
+    
+    if (value === undefined || value === null) return optional;
+    switch (baseType) {
+        case 'any':
+            return true;
+        case 'id':
+            return (typeof value === 'string' && value.length > 0) || typeof value === 'number';
+        case 'object':
+            return typeof value === 'object' && !Array.isArray(value);
+        default:
+            return typeof value === baseType;
+    }
+}
+
+/**
+ * Check a message against its schema
+ * @returns {string|null} Error description, or null when the message is valid
+ */
+function validateMessageFields(message, schema) {
+    for (const [field, type] of Object.entries(schema.fields)) {
+        if (!matchesFieldType(message[field], type)) {
+            return `Invalid or missing field: ${field}`;
+        }
+    }
+    
+    const unexpected = Object.keys(message).filter(key => key !== 'type' && !(key in schema.fields));
+    if (unexpected.length > 0) {
+        return `Unexpected fields: ${unexpected.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Make sure a proxied request only goes to our API with our session cookies
+ * @returns {string|null} Error description, or null when the request is allowed
+ */
+function validateApiRequest(message, pathPatterns = SECURITY_CONFIG.API_PATH_PATTERNS) {
+    let url;
+    try {
+        url = new URL(message.url);
+    } catch (error) {
+        return 'Malformed URL';
+    }
+    
+    if (url.origin !== CONFIG.API_ORIGIN) {
+        return `Origin not allowed: ${url.origin}`;
+    }
+    if (url.username || url.password) {
+        return 'Credentials in URL are not allowed';
+    }
+    if (!pathPatterns.some(pattern => pattern.test(url.pathname))) {
+        return `Path not allowed: ${url.pathname}`;
+    }
+    
+    const method = (message.method || 'GET').toUpperCase();
+    if (!SECURITY_CONFIG.API_METHODS.includes(method)) {
+        return `Method not allowed: ${method}`;
+    }
+    
+    const headers = Object.keys(message.headers || {});
+    const disallowed = headers.filter(name => !SECURITY_CONFIG.API_HEADERS.includes(name.toLowerCase()));
+    if (disallowed.length > 0) {
+        return `Headers not allowed: ${disallowed.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Resolve the handler for a message after all security checks pass
+ * @returns {{ handler: Function }|{ error: string }}
+ */
+function routeMessage(message, sender) {
+    const type = message && typeof message.type === 'string' ? message.type : null;
+    const senderKind = classifySender(sender);
+    
+    if (!senderKind) {
+        recordSecurityEvent('sender_rejected', { type, ...describeSender(sender) });
+        return { error: 'Sender not allowed' };
+    }
+    
+    const schema = type && MESSAGE_SCHEMAS[type];
+    const handler = type && messageHandlers[type];
+    if (!schema || !handler) {
+        recordSecurityEvent('unknown_message_type', { type, senderKind, ...describeSender(sender) });
+        return { error: `Unknown message type: ${type}` };
+    }
+    
+    if (!schema.senders.includes(senderKind)) {
+        recordSecurityEvent('sender_not_permitted', { type, senderKind, ...describeSender(sender) });
+        return { error: `${type} is not available to this sender` };
+    }
+    
+    const fieldError = validateMessageFields(message, schema);
+    if (fieldError) {
+        recordSecurityEvent('schema_violation', { type, senderKind, reason: fieldError, ...describeSender(sender) });
+        return { error: fieldError };
+    }
+    
+    if (type === 'API_CALL') {
+        const apiError = validateApiRequest(message);
+        if (apiError) {
+            recordSecurityEvent('api_request_blocked', {
+                type,
+                senderKind,
+                reason: apiError,
+                url: String(message.url).slice(0, 500),
+                method: message.method || 'GET',
+                ...describeSender(sender)
+            });
+            return { error: apiError, blocked: true };
+        }
+    }
+    
+    return { handler };
+}
+
+// Message handlers
+const messageHandlers = {
+    // Check current authentication status
+    CHECK_AUTH: async () => {
+        Logger.log('🔍 CHECK_AUTH request');
+        
+        // If we have recent session data, return it
+        if (sessionState.lastChecked && (Date.now() - sessionState.lastChecked) < 30000) {
+            Logger.log('📊 Returning cached session state');
+            return {
+                success: true,
+                isAuthenticated: sessionState.isAuthenticated,
+                user: sessionState.user
+            };
+        }
+        
+        // Otherwise check with server
+        const sessionResult = await checkSession();
+        return {
+            success: sessionResult.success,
+            isAuthenticated: sessionResult.isAuthenticated,
+            user: sessionResult.user,
+            error: sessionResult.error
+        };
+    },
+    
+    // Start the sign-in flow
+    START_SIGN_IN: async () => {
+        Logger.log('🚀 START_SIGN_IN request');
+        return await startSignIn();
+    },
+    
+    // Sign out
+    SIGN_OUT: async () => {
+        Logger.log('🚪 SIGN_OUT request');
+        return await signOut();
+    },
+    
+    // Account profiles
+    LIST_ACCOUNTS: async () => {
+        const { profiles, activeId } = await loadProfiles();
+        return {
+            success: true,
+            accounts: Object.values(profiles)
+                .map(profile => describeProfile(profile, activeId))
+                .sort((a, b) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0))
+        };
+    },
+    
+    SWITCH_ACCOUNT: async (message) => {
+        Logger.log('🔀 SWITCH_ACCOUNT request:', message.userId);
+        return await switchAccount(message.userId);
+    },
+    
+    ADD_ACCOUNT: async () => {
+        Logger.log('➕ ADD_ACCOUNT request');
+        return await addAccount();
+    },
+    
+    REMOVE_ACCOUNT: async (message) => {
+        Logger.log('➖ REMOVE_ACCOUNT request:', message.userId);
+        return await removeAccount(message.userId);
+    },
+    
+    // Proxy API calls
+    API_CALL: async (message, sender) => {
+        Logger.log('📡 API_CALL request:', message.url);
+        
+        // Writes that opted into the outbox survive connectivity drops
+        const method = (message.method || 'GET').toUpperCase();
+        if (message.outbox && method !== 'GET') {
+            return await sendThroughOutbox({
+                url: message.url,
+                method,
+                body: message.body,
+                headers: message.headers,
+                meta: message.outbox
+            }, sender.tab?.id);
+        }
+        
+        // Reads that opted into caching return immediately and revalidate afterwards
+        if (message.cache && method === 'GET') {
+            return await cachedApiCall({
+                url: message.url,
+                headers: message.headers
+            }, sender.tab?.id, message.requestId);
+        }
+        
+        const result = await proxyApiCall({
+            url: message.url,
+            method: message.method,
+            body: message.body,
+            headers: message.headers
+        });
+        
+        if (result.ok && method !== 'GET') {
+            httpCacheWriteEpoch = Date.now();
+        }
+        return result;
+    },
+    
+    // List outbox entries, optionally for one session
+    OUTBOX_LIST: async (message) => {
+        const entries = await loadOutbox();
+        return {
+            success: true,
+            entries: entries
+                .filter(e => !message.sessionId || e.meta?.sessionId === message.sessionId)
+                .map(e => describeOutboxEntry(e))
+        };
+    },
+    
+    OUTBOX_RETRY: async (message) => {
+        Logger.log('📮 OUTBOX_RETRY request:', message.outboxId);
+        return await retryOutboxEntry(message.outboxId);
+    },
+    
+    OUTBOX_DISCARD: async (message) => {
+        Logger.log('📮 OUTBOX_DISCARD request:', message.outboxId);
+        return await discardOutboxEntry(message.outboxId);
+    },
+    
+    // Content script: persist and number a lecture transcript chunk, then deliver it
+    QUEUE_TRANSCRIPT_CHUNK: async (message) => {
+        const entry = await queueTranscriptChunk(String(message.sessionId), message.payload);
+        return { success: true, ok: true, status: 202, data: { sequence: entry.sequence, status: entry.status } };
+    },
+    
+    // Ask the backend for gaps now (e.g. when voice capture stops)
+    RECONCILE_TRANSCRIPT: async (message) => {
+        Logger.log('🧩 RECONCILE_TRANSCRIPT request:', message.sessionId);
+        await flushTranscriptQueue();
+        return await reconcileTranscriptSession(String(message.sessionId));
+    },
+    
+    TRANSCRIPT_STATUS: async (message) => {
+        await loadTranscriptQueue();
+        return { success: true, ...describeTranscriptQueue(message.sessionId ? String(message.sessionId) : null) };
+    },
+    
+    // Subscribe the sending tab to a session's real-time event stream
+    REALTIME_SUBSCRIBE: async (message, sender) => {
+        Logger.log('📡 REALTIME_SUBSCRIBE request:', message.sessionId);
+        if (!message.sessionId || !sender.tab) {
+            return { success: false, error: 'sessionId and a tab sender are required' };
+        }
+        return subscribeToRealtime(message.sessionId, sender.tab.id);
+    },
+    
+    REALTIME_UNSUBSCRIBE: async (message, sender) => {
+        Logger.log('📡 REALTIME_UNSUBSCRIBE request:', message.sessionId);
+        if (!message.sessionId || !sender.tab) {
+            return { success: false, error: 'sessionId and a tab sender are required' };
+        }
+        return unsubscribeFromRealtime(message.sessionId, sender.tab.id);
+    },
+    
+    // Health check; ping: also measure the round trip to the backend's /health
+    HEALTH_CHECK: async (message) => {
+        Logger.log('🏥 HEALTH_CHECK');
+        return {
             success: true,
             timestamp: Date.now(),
             extensionId: CONFIG.EXTENSION_ID,
+            environment: CONFIG.ENVIRONMENT,
+            apiOrigin: CONFIG.API_ORIGIN,
             authStatus: sessionState.isAuthenticated,
+            backend: message.ping ? await validateBackend(CONFIG.API_ORIGIN) : undefined,
             message: 'Background script is working!'
         };
     },
     
+    // Options page: ping a backend before switching to it
+    VALIDATE_BACKEND: async (message) => {
+        Logger.log('🩺 VALIDATE_BACKEND request:', message.apiOrigin);
+        return await validateBackend(message.apiOrigin);
+    },
+    
+    // Content script (HTTP transcription engine): one recorded audio segment
+    TRANSCRIBE_AUDIO: async (message) => {
+        return await transcribeAudio(message);
+    },
+    
+    // Content script (professor session history): session recap as a Canvas draft
+    PUBLISH_TO_CANVAS: async (message) => {
+        return await publishToCanvas(message);
+    },
+    
+    // Recent security audit entries, newest first
+    GET_SECURITY_AUDIT_LOG: async (message) => {
+        await auditLogWrite;
+        const stored = await storage.get([SECURITY_CONFIG.AUDIT_LOG_KEY]);
+        const log = stored[SECURITY_CONFIG.AUDIT_LOG_KEY] || [];
+        return { success: true, entries: log.slice(-(message.limit || 50)).reverse() };
+    },
+    
+    // Hand a website "join session" deep link to the Meet tab opened for it
+    CONSUME_PENDING_JOIN: async (message, sender) => {
+        const pending = await takePendingJoin(sender.tab.id);
+        return { success: true, pendingJoin: pending };
+    },
+    
     // Handle callback result from callback.html
     AUTH_CALLBACK_RESULT: async (message) => {
         Logger.log('🔄 AUTH_CALLBACK_RESULT received:', message);
@@ -388,17 +2724,19 @@ const messageHandlers = {
 
 // Main message listener
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    Logger.log('📨 Message received:', message.type);
+    Logger.log('📨 Message received:', message?.type);
     
     (async () => {
         try {
-            const handler = messageHandlers[message.type];
-            if (!handler) {
-                Logger.warn('❓ Unknown message type:', message.type);
-                return { success: false, error: `Unknown message type: ${message.type}` };
+            await environmentReady;
+            await campusSitesReady;
+            const route = routeMessage(message, sender);
+            if (route.error) {
+                Logger.warn('🛡️ Message rejected:', message?.type, route.error);
+                return { success: false, ok: false, status: 0, error: route.error, blocked: !!route.blocked };
             }
             
-            const result = await handler(message);
+            const result = await route.handler(message, sender);
             Logger.log('✅ Message handled:', message.type, result);
             return result;
         } catch (error) {
@@ -423,11 +2761,164 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep message channel open for async response
 });
 
+// ==================== EXTERNAL MESSAGING ====================
+
+// Protocol for pages on our website (see documentation/EXTERNAL_MESSAGING_PROTOCOL.md).
+// Only origins we serve the dashboard from may talk to the extension; the manifest's
+// externally_connectable list is broader (it also covers the API host), so it is
+// checked again here.
+const EXTERNAL_CONFIG = {
+    PROTOCOL_VERSION: 1,
+    ALLOWED_ORIGINS: [
+        /^https:\/\/asklynk\.vercel\.app$/,
+        /^https:\/\/(www\.)?asklynk\.com$/,
+        /^https:\/\/[a-z0-9-]+\.asklynk\.com$/
+    ],
+    DEV_ORIGINS: [/^http:\/\/localhost:5173$/],
+    MEET_URL_PATTERN: /^https:\/\/meet\.google\.com\/[a-z0-9-]*$/,
+    DEFAULT_MEET_URL: 'https://meet.google.com/',
+    PENDING_JOIN_KEY: 'pendingJoin',
+    PENDING_JOIN_TTL: 5 * 60 * 1000, // Deep link must be picked up within 5 minutes
+    SESSION_CODE_PATTERN: /^[A-Za-z0-9-]{4,32}$/
+};
+
+const EXTERNAL_MESSAGE_SCHEMAS = {
+    CHECK_EXTENSION: { fields: {} },
+    SIGN_IN_COMPLETE: { fields: {} },
+    JOIN_SESSION: { fields: { sessionCode: 'string', meetUrl: 'string?' } }
+};
+
+function externalSenderOrigin(sender) {
+    if (sender.origin) return sender.origin;
+    try {
+        return sender.url ? new URL(sender.url).origin : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function isAllowedExternalOrigin(origin) {
+    if (!origin) return false;
+    const patterns = CONFIG.IS_DEVELOPMENT
+        ? [...EXTERNAL_CONFIG.ALLOWED_ORIGINS, ...EXTERNAL_CONFIG.DEV_ORIGINS]
+        : EXTERNAL_CONFIG.ALLOWED_ORIGINS;
+    return patterns.some(pattern => pattern.test(origin));
+}
+
+/**
+ * Open Meet and leave a join request for the content script in that tab
+ */
+async function openJoinDeepLink(sessionCode, meetUrl) {
+    const url = meetUrl || EXTERNAL_CONFIG.DEFAULT_MEET_URL;
+    const tab = await chrome.tabs.create({ url });
+    
+    await storage.set({
+        [EXTERNAL_CONFIG.PENDING_JOIN_KEY]: {
+            sessionCode,
+            tabId: tab.id,
+            createdAt: Date.now()
+        }
+    });
+    Logger.log('🔗 Opened Meet for session join deep link:', sessionCode, tab.id);
+    return tab;
+}
+
+/**
+ * Return and clear the pending join for a tab, if it is still fresh
+ */
+async function takePendingJoin(tabId) {
+    const stored = await storage.get([EXTERNAL_CONFIG.PENDING_JOIN_KEY]);
+    const pending = stored[EXTERNAL_CONFIG.PENDING_JOIN_KEY];
+    if (!pending || pending.tabId !== tabId) return null;
+    
+    await storage.remove([EXTERNAL_CONFIG.PENDING_JOIN_KEY]);
+    if (Date.now() - pending.createdAt > EXTERNAL_CONFIG.PENDING_JOIN_TTL) {
+        Logger.log('⏰ Ignoring expired session join deep link');
+        return null;
+    }
+    return { sessionCode: pending.sessionCode };
+}
+
+const externalMessageHandlers = {
+    // Lets the website detect the extension and its version
+    CHECK_EXTENSION: async () => ({
+        success: true,
+        installed: true,
+        version: chrome.runtime.getManifest().version,
+        protocolVersion: EXTERNAL_CONFIG.PROTOCOL_VERSION
+    }),
+    
+    // The website finished a login; re-check the cookie session rather than trusting the page
+    SIGN_IN_COMPLETE: async () => {
+        const sessionResult = await checkSession();
+        if (sessionResult.isAuthenticated) {
+            clearReauthPrompt();
+        }
+        broadcastAuthChange();
+        return { success: true, isAuthenticated: !!sessionResult.isAuthenticated };
+    },
+    
+    // "Join session X" from the dashboard: open Meet and join once the overlay loads
+    JOIN_SESSION: async (message) => {
+        if (!EXTERNAL_CONFIG.SESSION_CODE_PATTERN.test(message.sessionCode)) {
+            return { success: false, error: 'Invalid session code' };
+        }
+        if (message.meetUrl && !EXTERNAL_CONFIG.MEET_URL_PATTERN.test(message.meetUrl)) {
+            return { success: false, error: 'meetUrl must be a https://meet.google.com/ link' };
+        }
+        
+        const tab = await openJoinDeepLink(message.sessionCode, message.meetUrl);
+        return { success: true, tabId: tab.id, isAuthenticated: sessionState.isAuthenticated };
+    }
+};
+
+chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+    const origin = externalSenderOrigin(sender);
+    const type = message && typeof message.type === 'string' ? message.type : null;
+    Logger.log('🌐 External message received:', type, origin);
+    
+    (async () => {
+        if (!isAllowedExternalOrigin(origin)) {
+            recordSecurityEvent('external_origin_rejected', { type, origin, senderUrl: sender.url || null });
+            return { success: false, error: 'Origin not allowed' };
+        }
+        
+        const schema = type && EXTERNAL_MESSAGE_SCHEMAS[type];
+        if (!schema) {
+            recordSecurityEvent('external_unknown_message_type', { type, origin });
+            return { success: false, error: `Unknown message type: ${type}` };
+        }
+        
+        const fieldError = validateMessageFields(message, schema);
+        if (fieldError) {
+            recordSecurityEvent('external_schema_violation', { type, origin, reason: fieldError });
+            return { success: false, error: fieldError };
+        }
+        
+        try {
+            return await externalMessageHandlers[type](message, sender);
+        } catch (error) {
+            Logger.error('❌ External message handler error:', error);
+            return { success: false, error: error.message };
+        }
+    })().then((result) => {
+        try {
+            sendResponse(result);
+        } catch (e) {
+            Logger.log('ℹ️ External response channel already closed for:', type);
+        }
+    });
+    
+    return true; // Keep message channel open for async response
+});
+
 // Initialize extension
 async function init() {
     Logger.log('🚀 Initializing extension...');
     
     try {
+        await environmentReady;
+        
         // Load any stored user data
         const stored = await storage.get(['sessionUser', 'lastSessionCheck']);
         
@@ -439,6 +2930,10 @@ async function init() {
             await checkSession();
         }
         
+        // Resume replaying anything queued before the worker was stopped
+        flushOutbox();
+        flushTranscriptQueue();
+        
         Logger.log('✅ Extension initialized');
         Logger.log('📊 Session state:', sessionState);
     } catch (error) {
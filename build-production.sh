@@ -12,11 +12,29 @@ rm -rf build-production/*
 
 # Copy all necessary files to production build
 echo "📋 Copying extension files..."
-cp config.js build-production/
+mkdir -p build-production/src/api build-production/src/config build-production/src/platforms build-production/src/transcription
+cp src/config/environments.js build-production/src/config/
+cp src/config/credentials.js build-production/src/config/
+cp src/config/transcription.js build-production/src/config/
+cp src/config/canvas.js build-production/src/config/
+cp src/config/lms-sites.js build-production/src/config/
+cp src/platforms/adapters.js build-production/src/platforms/
+cp src/platforms/lms.js build-production/src/platforms/
+cp src/platforms/page-context.js build-production/src/platforms/
+cp -r src/platforms/sites build-production/src/platforms/
+cp src/transcription/engines.js build-production/src/transcription/
+cp src/transcription/captions.js build-production/src/transcription/
+cp src/transcription/redaction.js build-production/src/transcription/
+cp src/transcription/chunking.js build-production/src/transcription/
+cp src/transcription/export.js build-production/src/transcription/
+cp src/transcription/recap.js build-production/src/transcription/
+cp src/api/api-client.js build-production/src/api/
 cp content.js build-production/
 cp background.js build-production/
 cp popup.html build-production/
 cp popup.js build-production/
+cp options.html build-production/
+cp options.js build-production/
 cp Popup.css build-production/
 cp -r icon build-production/
 
@@ -24,12 +42,6 @@ cp -r icon build-production/
 echo "🔧 Using production manifest..."
 cp manifest-production.json build-production/manifest.json
 
-# Update config.js to force production mode
-echo "⚙️ Configuring for production environment..."
-sed -i '' 's/chrome.runtime.id === '\''development-extension-id'\''/false/g' build-production/config.js
-sed -i '' 's/manifest.name.includes('\''Dev'\'')/false/g' build-production/config.js
-sed -i '' 's/manifest.name.includes('\''Development'\'')/false/g' build-production/config.js
-
 # Create submission package
 echo "📦 Creating Chrome Web Store submission package..."
 cd build-production
@@ -46,17 +58,16 @@ echo "  ✅ Permissions - Minimized for security"
 echo "  ✅ Icons - All required sizes included"
 echo "  ✅ Package - Created asklynk-extension-v1.0.0.zip"
 echo ""
-echo "🚨 IMPORTANT: Update the backend URL in config.js before final submission!"
-echo "   Current: https://asklynk-backend-production.vercel.app"
-echo "   Update to your actual backend domain"
+echo "🚨 IMPORTANT: The extension defaults to the production origins in src/config/environments.js"
+echo "   Other backends are chosen at runtime on the extension options page"
 echo ""
 echo "📁 Files ready for submission:"
 echo "   📦 asklynk-extension-v1.0.0.zip (upload this to Chrome Web Store)"
 echo "   📂 build-production/ (contains all extension files)"
 echo ""
 echo "🔗 Next steps:"
-echo "   1. Update backend URL in build-production/config.js"
-echo "   2. Re-zip the files if URL was changed"
+echo "   1. Confirm the production origins in build-production/src/config/environments.js"
+echo "   2. Re-zip the files if they were changed"
 echo "   3. Upload asklynk-extension-v1.0.0.zip to Chrome Web Store"
 echo "   4. Fill out store listing with screenshots and description"
 echo "   5. Submit for review"
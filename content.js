@@ -8,8 +8,8 @@
 console.log('🔧 AskLynk Content Script LOADED!');
 console.log('🌍 Current URL:', window.location.href);
 
-// Production configuration
-let API_BASE_URL = 'https://asklynk-backend-424701115132.us-central1.run.app';
+// Production configuration until the stored environment loads (see applyEnvironment below)
+let API_BASE_URL = AskLynkEnvironments.ENVIRONMENTS.production.apiOrigin;
 let CONFIG = null;
 
 // Try to get enhanced config from window if available
@@ -19,6 +19,38 @@ if (typeof window.AuthConfig !== 'undefined') {
   console.log('✅ Content script using enhanced config:', CONFIG.ENVIRONMENT);
 }
 
+// All backend calls go through the shared client (src/api/api-client.js)
+AskLynkApi.configure({ baseUrl: API_BASE_URL });
+
+// Backend chosen on the options page; followed live when it changes
+function applyEnvironment(environment) {
+  API_BASE_URL = environment.apiOrigin;
+  AskLynkApi.configure({ baseUrl: API_BASE_URL });
+  console.log('🌐 AskLynk environment:', environment.environment, API_BASE_URL);
+}
+AskLynkEnvironments.load().then(applyEnvironment);
+AskLynkEnvironments.onChange(applyEnvironment);
+
+// Meeting or LMS platform this page belongs to (src/platforms/); null on unsupported pages
+const currentPlatform = AskLynkPlatforms.detect();
+
+// Speech-to-text engine chosen on the options page (src/config/transcription.js); the
+// endpoint and its key are the service worker's business
+let transcriptionEngine = AskLynkTranscriptionSettings.DEFAULTS.engine;
+let captionStudentNames = AskLynkTranscriptionSettings.DEFAULTS.captionStudentNames;
+AskLynkTranscriptionSettings.load().then(settings => {
+  transcriptionEngine = settings.engine;
+  captionStudentNames = settings.captionStudentNames;
+});
+AskLynkTranscriptionSettings.onChange(settings => {
+  transcriptionEngine = settings.engine;
+  captionStudentNames = settings.captionStudentNames;
+  // Picked up on the next capture; a running engine keeps going until stopped
+  if (!isVoiceCapturing) {
+    voiceRecognition = null;
+  }
+});
+
 // Enhanced logger for content script
 const Logger = {
   log: (...args) => {
@@ -64,7 +96,6 @@ const TRANSCRIPT_DEBOUNCE_TIME = 1000; // 1 second debounce
 // Enhanced voice capture with chunked processing and intelligent restart
 let voiceTranscriptBuffer = '';
 let bufferStartTime = 0;
-const CHUNK_DURATION = 7000; // 7 seconds per chunk
 let chunkTimer = null;
 let consecutiveSilenceCount = 0;
 let voiceActivityDetected = false;
@@ -72,6 +103,83 @@ let lastVoiceActivityTime = 0;
 let restartAttempts = 0;
 let isManuallyPaused = false;
 
+// Lecture language (BCP-47). Set per session on the create form, switchable from the voice indicator
+const LECTURE_LANGUAGES = [
+  { code: 'en-US', label: 'English' },
+  { code: 'es-ES', label: 'Español (España)' },
+  { code: 'es-MX', label: 'Español (Latinoamérica)' },
+  { code: 'fr-FR', label: 'Français' },
+  { code: 'fr-CA', label: 'Français (Canada)' },
+  { code: 'de-DE', label: 'Deutsch' },
+  { code: 'pt-BR', label: 'Português (Brasil)' }
+];
+const DEFAULT_LECTURE_LANGUAGE = 'en-US';
+let lectureLanguage = DEFAULT_LECTURE_LANGUAGE;
+
+// Transcript tab: timestamped segments for the current session
+const TRANSCRIPT_PANEL_LIMIT = 500; // Oldest segments drop off the panel (they stay on the backend)
+let transcriptSegments = [];
+let transcriptSegmentsSessionId = null;
+let transcriptHistoryLoaded = false;
+let transcriptInterimText = '';
+let transcriptEditingSegmentId = null; // Chunks wait while a professor is correcting a segment
+let transcriptSearchQuery = '';
+let transcriptSearchIndex = 0;
+
+// PII redaction (src/transcription/redaction.js) applied to every chunk before it is sent
+const REDACTION_TERMS_STORAGE_KEY = 'redactionTermsBySession';
+let redactionTerms = [];            // Professor's names/terms for the current session
+let redactionTermsSessionId = null;
+let redactionTermsLoading = Promise.resolve();
+let redactionCounts = {};           // Running totals for the voice indicator
+
+// Where lecture speech comes from: the microphone (transcription settings) or the meeting's own captions
+const VOICE_CAPTURE_SOURCES = {
+  microphone: 'Microphone',
+  captions: `${currentPlatform?.label || 'Meeting'} captions`
+};
+const VOICE_CAPTURE_SOURCE_KEY = 'voiceCaptureSource';
+let voiceCaptureSource = 'microphone';
+chrome.storage.local.get([VOICE_CAPTURE_SOURCE_KEY], (result) => {
+  // 'meet-captions' was stored before captions worked on every platform
+  const stored = result[VOICE_CAPTURE_SOURCE_KEY] === 'meet-captions' ? 'captions' : result[VOICE_CAPTURE_SOURCE_KEY];
+  if (VOICE_CAPTURE_SOURCES[stored]) {
+    voiceCaptureSource = stored;
+  }
+});
+
+// Adaptive chunking (src/transcription/chunking.js): sentence/pause boundaries, profile chosen per session
+const CHUNKING_PROFILE_STORAGE_KEY = 'chunkingProfileBySession';
+const CHUNK_EDIT_HOLD_MS = 1000;    // Recheck interval while a professor is correcting a segment
+let chunkingProfile = AskLynkChunking.DEFAULT_PROFILE;
+let chunkingProfileSessionId = null;
+let speechPaused = false;           // Recognizer reported a pause since the last result
+let chunkOverlap = '';              // Tail of the last queued chunk, carried into the next
+let chunkOverlapSessionId = null;
+
+// Speaker attribution: caption speaker names, or the professor's "student speaking" toggle
+const STUDENT_SPEAKING_HOTKEY = 'Alt+Shift+S';
+const OWN_CAPTION_LABELS = ['you', 'vous', 'tú', 'tu', 'du', 'você']; // Meet and Zoom label your own captions "You"
+let studentSpeakingActive = false;
+
+// Voice capture health: restarts, errors and chunk counts for the diagnostics panel on the voice indicator
+const VOICE_HEALTH_LOG_LIMIT = 20;         // Restart reasons and errors kept
+const VOICE_HEALTH_REFRESH_MS = 10000;     // Queue status and backend latency refresh while the panel is open
+let voiceHealth = createVoiceHealth();
+let voiceHealthQueue = null;               // Last TRANSCRIPT_STATUS from the background transcript queue
+let voiceHealthBackend = null;             // Last round trip to the backend's /health
+let voiceHealthExpanded = false;
+let voiceHealthTimer = null;
+
+// Real-time session events (pushed from the background service worker)
+let realtimeSessionId = null;
+let realtimeConnected = false;
+let realtimeFallbackTimer = null;
+const REALTIME_FALLBACK_REFRESH_MS = 30000; // Poll session data only while the event stream is down
+
+// Offline outbox (writes queued in the background while the network is down)
+const outboxCallbacks = new Map(); // outboxId -> callback(entry) for items rendered on this page
+
 // Replacement for getAuthToken - now uses cookie-based auth through background script
 async function getAuthToken() {
   Logger.log('🔍 getAuthToken called - using cookie-based auth, no tokens needed');
@@ -139,29 +247,6 @@ async function isAuthenticated() {
   }
 }
 
-/**
- * Make an API call through the background script proxy (with cookies)
- * @param {string} url - Full API URL
- * @param {string} method - HTTP method
- * @param {Object} body - Request body
- * @returns {Promise<Object>} API response
- */
-async function makeApiCall(url, method = 'GET', body = null) {
-  try {
-    const response = await chrome.runtime.sendMessage({
-      type: 'API_CALL',
-      url: url,
-      method: method,
-      body: body
-    });
-    
-    return response;
-  } catch (error) {
-    Logger.error('❌ API call failed:', error);
-    return { ok: false, error: error.message };
-  }
-}
-
 /**
  * Check if voice API calls are available (user authenticated)
  * With cookie-based auth, voice API calls will use cookies automatically
@@ -193,6 +278,9 @@ async function checkAuthState() {
         // CRITICAL: Restore active session for students!
         restoreActiveSession();
         
+        // Join a session the website asked us to open this tab for
+        consumePendingJoin();
+        
         // Update UI if chat container exists
         if (chatContainerCreated) {
           updateChatUI();
@@ -217,6 +305,56 @@ async function checkAuthState() {
   }
 }
 
+/**
+ * Ask the user to sign in again after the background couldn't renew the session silently.
+ * Stays pinned until the user signs in (AUTH_CHANGED) or dismisses it.
+ * @param {string} reason - 'expiring' | 'expired' | 'unauthorized'
+ */
+function showReauthBanner(reason) {
+  let banner = document.getElementById('lynkk-reauth-banner');
+  if (!banner) {
+    banner = document.createElement('div');
+    banner.id = 'lynkk-reauth-banner';
+    banner.style.cssText = 'position: fixed; top: 16px; left: 50%; transform: translateX(-50%); z-index: 2147483647; display: flex; align-items: center; gap: 12px; padding: 12px 16px; background-color: #fef2f2; color: #991b1b; border: 1px solid #fecaca; border-radius: 10px; box-shadow: 0 6px 20px rgba(0,0,0,0.15); font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; font-size: 14px;';
+    document.body.appendChild(banner);
+  }
+  
+  const headline = reason === 'expiring'
+    ? 'Your AskLynk sign-in is about to expire.'
+    : 'You have been signed out of AskLynk.';
+  const detail = isVoiceCapturing
+    ? ' Lecture transcripts cannot be saved until you sign in again.'
+    : '';
+  
+  banner.innerHTML = `
+    <span>${headline}${detail}</span>
+    <button id="lynkk-reauth-signin" style="padding: 6px 12px; background-color: #dc2626; color: white; border: none; border-radius: 6px; font-size: 13px; font-weight: 500; cursor: pointer;">Sign in again</button>
+    <button id="lynkk-reauth-dismiss" aria-label="Dismiss" style="background: none; border: none; color: #991b1b; font-size: 18px; line-height: 1; cursor: pointer;">×</button>
+  `;
+  
+  document.getElementById('lynkk-reauth-signin').addEventListener('click', async () => {
+    const button = document.getElementById('lynkk-reauth-signin');
+    button.disabled = true;
+    button.textContent = 'Signing in...';
+    
+    const result = await chrome.runtime.sendMessage({ type: 'START_SIGN_IN' });
+    if (result && result.success) {
+      hideReauthBanner();
+      showToast('Signed in again - you are all set', 'success');
+    } else {
+      button.disabled = false;
+      button.textContent = 'Sign in again';
+    }
+  });
+  
+  document.getElementById('lynkk-reauth-dismiss').addEventListener('click', hideReauthBanner);
+}
+
+function hideReauthBanner() {
+  const banner = document.getElementById('lynkk-reauth-banner');
+  if (banner) banner.remove();
+}
+
 /**
  * Restore the active session from storage - CRITICAL for students to use context-aware AI
  */
@@ -247,6 +385,37 @@ function restoreActiveSession() {
   });
 }
 
+/**
+ * Pick up a "join session" deep link the website sent through the background.
+ * The background only hands it to the Meet tab it opened for that link.
+ */
+function consumePendingJoin() {
+  chrome.runtime.sendMessage({ type: 'CONSUME_PENDING_JOIN' }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.pendingJoin) return;
+    joinSessionFromLink(response.pendingJoin.sessionCode);
+  });
+}
+
+/**
+ * Join a session by code without the join form and open it in the overlay
+ * @param {string} sessionCode - Code from the website deep link
+ */
+async function joinSessionFromLink(sessionCode) {
+  Logger.log('🔗 Joining session from website link:', sessionCode);
+  
+  const response = await AskLynkApi.sessions.join(sessionCode);
+  const sessionData = response.ok && response.data ? (response.data.data || response.data) : null;
+  
+  if (!sessionData || !sessionData.id) {
+    Logger.error('Error joining session from link:', response.error);
+    showToast(response.error || 'Could not join the session from the link', 'error');
+    return;
+  }
+  
+  showToast('Joined session from AskLynk', 'success');
+  openSession(sessionData.id);
+}
+
 
 /**
  * Helper function to capitalize the first letter of a string
@@ -370,165 +539,333 @@ function formatAIResponse(text) {
 // ==================== VOICE CAPTURE FUNCTIONS ====================
 
 /**
- * Initialize voice recognition for professor's speech capture with chunked processing
+ * Initialize the transcription engine for professor's speech capture with chunked processing.
+ * The engine (browser speech recognition or a Whisper-compatible HTTP endpoint) comes from
+ * the transcription settings on the options page; see src/transcription/engines.js.
  */
-function initializeVoiceCapture() {
-  if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-    Logger.warn('Speech recognition not supported in this browser');
-    showToast('Voice capture not supported in this browser', 'error');
+function initializeVoiceCapture(engineId = captureEngineId()) {
+  // Events from an engine that was replaced (language switch, fallback) are ignored
+  let engine = null;
+  const isCurrentEngine = () => engine !== null && engine === voiceRecognition;
+  
+  engine = voiceRecognition = AskLynkTranscription.createEngine(engineId, {
+    // Handle recognized speech with chunked processing
+    onResult: ({ finalText, interimText, speaker }) => {
+      if (!isCurrentEngine()) return;
+      Logger.log('🎤 Transcription result from', voiceRecognition?.id);
+      
+      // Mark voice activity detected
+      voiceActivityDetected = true;
+      lastVoiceActivityTime = Date.now();
+      restartAttempts = 0; // Reset restart attempts on successful speech
+      
+      if (interimText) {
+        Logger.log('🔄 Interim transcript:', interimText);
+      }
+      transcriptInterimText = interimText;
+      updateTranscriptInterim();
+      
+      // Add final transcript to buffer
+      if (finalText.trim()) {
+        Logger.log('📝 Adding final transcript to buffer:', finalText.trim());
+        addToTranscriptBuffer(finalText.trim(), speaker);
+        consecutiveSilenceCount = 0; // Reset silence counter on speech
+      }
+      
+      // Update UI with current recognition status
+      updateVoiceRecognitionUI(interimText || 'Listening... (speech detected)');
+    },
+    
+    // The speaker stopped talking: a natural place to end a chunk
+    onPause: () => {
+      if (!isCurrentEngine()) return;
+      speechPaused = true;
+      checkChunkBoundary();
+    },
+    
+    onError: (error) => {
+      if (!isCurrentEngine()) return;
+      Logger.error('🚨 Speech recognition error:', error);
+      recordVoiceHealthEvent('errors', { code: error, engine: voiceRecognition?.id });
+      
+      switch (error) {
+        case 'not-allowed':
+          showToast('Microphone access denied. Please allow microphone permissions.', 'error');
+          stopVoiceCapture();
+          break;
+        case 'no-speech':
+          Logger.log('⏸️ No speech detected, but continuing to listen...');
+          consecutiveSilenceCount++;
+          // Don't stop - just log the silence
+          break;
+        case 'captions-off':
+          // Captions source: nothing to read until captions are switched on in the meeting
+          showToast(`${currentPlatform?.captions?.enableHint || 'Turn on captions in the meeting'} so AskLynk can follow the lecture`, 'warning');
+          updateVoiceRecognitionUI(`Waiting for ${currentPlatform?.label || 'meeting'} captions...`);
+          break;
+        case 'segment-failed':
+          // HTTP engine keeps recording; only this segment's text is lost
+          Logger.warn('⚠️ Transcription endpoint could not transcribe a segment');
+          updateVoiceRecognitionUI('Listening... (transcription endpoint error)');
+          break;
+        case 'service-not-allowed':
+        case 'network':
+          // Chromium builds without Google's speech service fail here on every start
+          if (fallBackToHttpEngine(error)) break;
+          showToast('Network error during voice recognition. Auto-retrying...', 'warning');
+          // Auto-retry after network error with exponential backoff
+          scheduleVoiceRecognitionRestart('network error');
+          break;
+        case 'aborted':
+          Logger.log('🔄 Speech recognition aborted, restarting...');
+          scheduleVoiceRecognitionRestart('aborted');
+          break;
+        case 'audio-capture':
+          showToast('Audio capture error. Check microphone connection.', 'error');
+          scheduleVoiceRecognitionRestart('audio capture error');
+          break;
+        default:
+          Logger.warn('⚠️ Speech recognition error:', error);
+          scheduleVoiceRecognitionRestart(`unknown error: ${error}`);
+      }
+    },
+    
+    onEnd: () => {
+      if (!isCurrentEngine()) return;
+      Logger.log('🔚 Voice recognition ended');
+      
+      // NEVER stop automatically due to silence - always restart unless manually paused
+      if (isVoiceCapturing && currentSessionId && !isManuallyPaused) {
+        Logger.log('🔄 Auto-restarting voice recognition for continuous capture...');
+        scheduleVoiceRecognitionRestart('normal end event');
+      } else if (isManuallyPaused) {
+        Logger.log('⏸️ Voice recognition paused manually');
+        updateVoiceRecognitionUI('Paused - Click to resume');
+      } else {
+        Logger.log('❌ Voice recognition stopped (capture disabled or no session)');
+        updateVoiceRecognitionUI('Stopped');
+      }
+    },
+    
+    onStart: () => {
+      if (!isCurrentEngine()) return;
+      Logger.log('🎤 Voice recognition started successfully:', voiceRecognition?.label, lectureLanguage);
+      restartAttempts = 0; // Reset restart attempts on successful start
+      updateVoiceRecognitionUI('Listening for voice...');
+      
+      // Start monitoring for prolonged silence
+      startSilenceMonitoring();
+    }
+  }, { lang: lectureLanguage });
+  
+  if (!voiceRecognition) {
+    Logger.warn('No transcription engine available for setting:', transcriptionEngine);
+    showToast('Voice capture not supported in this browser. Choose a transcription endpoint in AskLynk settings.', 'error');
     return false;
   }
+  
+  Logger.log('🎙️ Using transcription engine:', voiceRecognition.id);
+  return true;
+}
+
+/**
+ * Engine for the chosen capture source (the microphone where the platform has no captions)
+ */
+function captureEngineId() {
+  return voiceCaptureSource === 'captions' && currentPlatform?.captions ? 'captions' : transcriptionEngine;
+}
 
-  const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-  voiceRecognition = new SpeechRecognition();
+/**
+ * Remember the professor's capture source for the next session
+ * @param {string} source - 'microphone' | 'captions'
+ */
+function setVoiceCaptureSource(source) {
+  if (!VOICE_CAPTURE_SOURCES[source] || source === voiceCaptureSource) return;
+  voiceCaptureSource = source;
+  chrome.storage.local.set({ [VOICE_CAPTURE_SOURCE_KEY]: source });
   
-  // Configure speech recognition for continuous chunked processing
-  voiceRecognition.continuous = true;
-  voiceRecognition.interimResults = true;
-  voiceRecognition.lang = 'en-US';
-  voiceRecognition.maxAlternatives = 1;
+  // Built again for the new source on the next start
+  if (!isVoiceCapturing) {
+    voiceRecognition = null;
+  }
+}
+
+function professorDisplayName() {
+  return currentUser?.full_name || currentUser?.username || 'Professor';
+}
+
+/**
+ * Who said a segment
+ * @param {string} [captionSpeaker] - Name from meeting captions, when that is the source
+ * @returns {{ speaker: string, role: 'professor' | 'student' }}
+ */
+function resolveSpeaker(captionSpeaker) {
+  if (captionSpeaker) {
+    const name = captionSpeaker.trim();
+    const lower = name.toLowerCase();
+    const isProfessor = OWN_CAPTION_LABELS.includes(lower) ||
+      [currentUser?.full_name, currentUser?.username].some(own => own && own.toLowerCase() === lower);
+    if (isProfessor) return { speaker: professorDisplayName(), role: 'professor' };
+    // Other participants' caption names only go out when the professor opted in
+    return { speaker: captionStudentNames ? name : 'Student', role: 'student' };
+  }
   
-  // Handle speech recognition results with chunked processing
-  voiceRecognition.onresult = (event) => {
-    let finalTranscript = '';
-    let interimTranscript = '';
-    
-    Logger.log('🎤 Voice recognition onresult triggered, results count:', event.results.length);
-    
-    // Mark voice activity detected
-    voiceActivityDetected = true;
-    lastVoiceActivityTime = Date.now();
-    restartAttempts = 0; // Reset restart attempts on successful speech
-    
-    // Process all results from the last result index
-    for (let i = event.resultIndex; i < event.results.length; i++) {
-      const transcript = event.results[i][0].transcript;
-      
-      if (event.results[i].isFinal) {
-        finalTranscript += transcript;
-        Logger.log('🎯 Final transcript detected:', transcript);
-      } else {
-        interimTranscript += transcript;
-        Logger.log('🔄 Interim transcript:', transcript);
-      }
-    }
-    
-    // Add final transcript to buffer
-    if (finalTranscript.trim()) {
-      Logger.log('📝 Adding final transcript to buffer:', finalTranscript.trim());
-      addToTranscriptBuffer(finalTranscript.trim());
-      consecutiveSilenceCount = 0; // Reset silence counter on speech
-    }
-    
-    // Update UI with current recognition status
-    updateVoiceRecognitionUI(interimTranscript || 'Listening... (speech detected)');
-  };
+  return studentSpeakingActive
+    ? { speaker: 'Student', role: 'student' }
+    : { speaker: professorDisplayName(), role: 'professor' };
+}
+
+/**
+ * Flip the "student speaking" flag for microphone capture (hotkey or indicator button)
+ */
+function toggleStudentSpeaking() {
+  if (!isVoiceCapturing) return;
   
-  voiceRecognition.onerror = (event) => {
-    Logger.error('🚨 Speech recognition error:', event.error);
-    
-    switch (event.error) {
-      case 'not-allowed':
-        showToast('Microphone access denied. Please allow microphone permissions.', 'error');
-        stopVoiceCapture();
-        break;
-      case 'no-speech':
-        Logger.log('⏸️ No speech detected, but continuing to listen...');
-        consecutiveSilenceCount++;
-        // Don't stop - just log the silence
-        break;
-      case 'network':
-        showToast('Network error during voice recognition. Auto-retrying...', 'warning');
-        // Auto-retry after network error with exponential backoff
-        scheduleVoiceRecognitionRestart('network error');
-        break;
-      case 'aborted':
-        Logger.log('🔄 Speech recognition aborted, restarting...');
-        scheduleVoiceRecognitionRestart('aborted');
-        break;
-      case 'audio-capture':
-        showToast('Audio capture error. Check microphone connection.', 'error');
-        scheduleVoiceRecognitionRestart('audio capture error');
-        break;
-      default:
-        Logger.warn('⚠️ Speech recognition error:', event.error);
-        scheduleVoiceRecognitionRestart(`unknown error: ${event.error}`);
-    }
-  };
+  studentSpeakingActive = !studentSpeakingActive;
+  Logger.log('🙋 Student speaking:', studentSpeakingActive);
   
-  voiceRecognition.onend = () => {
-    Logger.log('🔚 Voice recognition ended');
-    
-    // NEVER stop automatically due to silence - always restart unless manually paused
-    if (isVoiceCapturing && currentSessionId && !isManuallyPaused) {
-      Logger.log('🔄 Auto-restarting voice recognition for continuous capture...');
-      scheduleVoiceRecognitionRestart('normal end event');
-    } else if (isManuallyPaused) {
-      Logger.log('⏸️ Voice recognition paused manually');
-      updateVoiceRecognitionUI('Paused - Click to resume');
+  const toggle = document.getElementById('lynkk-voice-student-toggle');
+  if (toggle) {
+    toggle.textContent = studentSpeakingActive ? '🙋 Student' : '🎓 Professor';
+  }
+  showToast(studentSpeakingActive
+    ? `Attributing speech to a student (${STUDENT_SPEAKING_HOTKEY} to switch back)`
+    : 'Attributing speech to you', 'info');
+}
+
+document.addEventListener('keydown', (e) => {
+  if (e.altKey && e.shiftKey && !e.ctrlKey && !e.metaKey && e.code === 'KeyS' && isVoiceCapturing) {
+    e.preventDefault();
+    toggleStudentSpeaking();
+  }
+});
+
+/**
+ * Merge consecutive segments by the same speaker into the chunk's speaker segments,
+ * redacted the same way as the chunk text (speaker names included)
+ * @param {Object[]} segments - Transcript segments in the chunk
+ */
+function buildSpeakerSegments(segments) {
+  const merged = [];
+  
+  segments.forEach(segment => {
+    const last = merged[merged.length - 1];
+    if (last && last.speaker === segment.speaker && last.role === segment.role) {
+      last.text += ' ' + segment.text.trim();
     } else {
-      Logger.log('❌ Voice recognition stopped (capture disabled or no session)');
-      updateVoiceRecognitionUI('Stopped');
+      merged.push({
+        speaker: segment.speaker,
+        role: segment.role,
+        text: segment.text.trim(),
+        startedAt: new Date(segment.at).toISOString()
+      });
     }
-  };
+  });
   
-  voiceRecognition.onstart = () => {
-    Logger.log('🎤 Voice recognition started successfully');
-    restartAttempts = 0; // Reset restart attempts on successful start
-    updateVoiceRecognitionUI('Listening for voice...');
-    
-    // Start monitoring for prolonged silence
-    startSilenceMonitoring();
-  };
+  return merged.map(entry => ({
+    ...entry,
+    speaker: AskLynkRedaction.redact(entry.speaker, { terms: redactionTerms }).text,
+    text: AskLynkRedaction.redact(entry.text, { terms: redactionTerms }).text
+  }));
+}
+
+/**
+ * In 'auto' mode, switch from browser speech recognition to the HTTP engine when the
+ * browser's speech service is unavailable
+ * @param {string} reason - Web Speech error that triggered the switch
+ * @returns {boolean} Whether the HTTP engine took over
+ */
+function fallBackToHttpEngine(reason) {
+  if (transcriptionEngine !== 'auto' || voiceRecognition?.id !== 'webspeech' ||
+      !AskLynkTranscription.isSupported('whisper')) {
+    return false;
+  }
+  
+  Logger.warn('🔀 Browser speech recognition unavailable (' + reason + '), switching to transcription endpoint');
+  const previousEngine = voiceRecognition;
+  if (!initializeVoiceCapture('whisper')) {
+    voiceRecognition = previousEngine;
+    return false;
+  }
   
+  try {
+    previousEngine.stop();
+  } catch (error) {
+    // Already stopped after the error
+  }
+  if (isVoiceCapturing && !isManuallyPaused) {
+    voiceRecognition.start();
+  }
+  showToast('Using the transcription endpoint for voice capture', 'info');
   return true;
 }
 
 /**
  * Add transcript to buffer and manage chunked processing
  * @param {string} transcript - The new transcript to add
+ * @param {string} [speaker] - Speaker name, when the source knows it (meeting captions)
  */
-function addToTranscriptBuffer(transcript) {
+function addToTranscriptBuffer(transcript, speaker = null) {
   const now = Date.now();
   
   // Initialize buffer timing if this is the first transcript
   if (!bufferStartTime) {
     bufferStartTime = now;
-    startChunkTimer();
   }
   
-  // Add transcript to buffer with spacing
-  if (voiceTranscriptBuffer) {
-    voiceTranscriptBuffer += ' ' + transcript;
-  } else {
-    voiceTranscriptBuffer = transcript;
-  }
+  // Each final result is a segment in the Transcript tab; the buffer is built from the unsent ones
+  ensureTranscriptSession(currentSessionId);
+  addTranscriptSegment({ text: transcript, at: now, status: 'buffered', ...resolveSpeaker(speaker) });
+  rebuildTranscriptBuffer();
   
   Logger.log('Added to buffer:', transcript);
   Logger.log('Current buffer length:', voiceTranscriptBuffer.length);
   
-  // Check if buffer is getting too long (safety measure)
-  if (voiceTranscriptBuffer.length > 1000) {
-    Logger.log('Buffer getting too long, processing early');
+  speechPaused = false;
+  checkChunkBoundary();
+}
+
+/**
+ * Send the buffer if the chunking profile says this is a boundary, otherwise wait for the next one
+ */
+function checkChunkBoundary() {
+  if (!voiceTranscriptBuffer.trim()) return;
+  
+  const reason = AskLynkChunking.flushReason({
+    text: voiceTranscriptBuffer,
+    startedAt: bufferStartTime,
+    lastSpeechAt: lastVoiceActivityTime,
+    paused: speechPaused
+  }, chunkingProfile);
+  
+  // Let the professor finish correcting a segment before it is sent
+  if (reason && !transcriptEditingSegmentId) {
+    Logger.log('✂️ Chunk boundary:', reason, '- length:', voiceTranscriptBuffer.length);
     processTranscriptChunk();
+    return;
   }
+  startChunkTimer();
 }
 
 /**
- * Start timer for chunk processing
+ * Start timer for the next boundary check (the next possible pause or the profile's duration limit)
  */
 function startChunkTimer() {
-  Logger.log('⏰ Starting chunk timer for', CHUNK_DURATION / 1000, 'seconds');
-  
   if (chunkTimer) {
     clearTimeout(chunkTimer);
-    Logger.log('⏰ Cleared existing timer');
   }
   
+  const delay = transcriptEditingSegmentId
+    ? CHUNK_EDIT_HOLD_MS
+    : AskLynkChunking.nextCheckDelay({ startedAt: bufferStartTime, lastSpeechAt: lastVoiceActivityTime }, chunkingProfile);
+  
   chunkTimer = setTimeout(() => {
-    Logger.log('⏰ Timer expired, processing chunk');
-    processTranscriptChunk();
-  }, CHUNK_DURATION);
+    chunkTimer = null;
+    if (transcriptEditingSegmentId) {
+      Logger.log('⏰ Segment being corrected, holding the chunk');
+    }
+    checkChunkBoundary();
+  }, delay);
 }
 
 /**
@@ -544,19 +881,54 @@ async function processTranscriptChunk() {
   }
   
   const chunkToProcess = voiceTranscriptBuffer.trim();
-  Logger.log('Processing transcript chunk:', chunkToProcess);
-  Logger.log('Chunk length:', chunkToProcess.length);
+  const sessionId = currentSessionId;
+  const chunkSegments = transcriptSegments.filter(segment => segment.status === 'buffered');
+  Logger.log('Processing transcript chunk, length:', chunkToProcess.length);
   
-  // Reset buffer for next chunk
+  // Reset buffer for next chunk; these segments can no longer be corrected
+  chunkSegments.forEach(segment => { segment.status = 'queued'; });
+  renderTranscriptSegments();
   resetTranscriptBuffer();
   
-  // Send to backend for processing and embedding generation
+  // Hand off to the background queue, which owns delivery from here on
+  let queued = false;
   try {
-    Logger.log('Calling sendTranscriptToBackend with:', chunkToProcess.substring(0, 50) + '...');
-    await sendTranscriptToBackend(chunkToProcess);
+    // Names, emails, ID and phone numbers never leave the browser
+    await redactionTermsLoading;
+    const redaction = AskLynkRedaction.redact(chunkToProcess, { terms: redactionTerms });
+    const speakerSegments = buildSpeakerSegments(chunkSegments.filter(segment => segment.text.trim()));
+    const overlap = chunkOverlapSessionId === sessionId ? chunkOverlap : '';
+    
+    queued = await sendTranscriptToBackend(redaction.text, sessionId, { speakerSegments, overlap });
+    if (queued) {
+      chunkOverlap = AskLynkChunking.overlapTail(redaction.text, chunkingProfile);
+      chunkOverlapSessionId = sessionId;
+      voiceHealth.chunksCaptured++;
+      voiceHealth.lastChunkAt = Date.now();
+    } else {
+      voiceHealth.handoffFailures++;
+    }
+    if (queued && redaction.total > 0) {
+      Logger.log('🛡️ Redacted before sending:', AskLynkRedaction.describeCounts(redaction.counts));
+      redactionCounts = AskLynkRedaction.mergeCounts(redactionCounts, redaction.counts);
+      updateRedactionIndicator();
+    }
   } catch (error) {
     Logger.error('Error processing transcript chunk:', error);
-    // Could implement retry logic here
+  }
+  
+  // Not queued: put the segments back in front of anything heard since, and try again next chunk
+  if (!queued) {
+    chunkSegments.forEach(segment => { segment.status = 'buffered'; });
+    renderTranscriptSegments();
+  }
+  if (!queued && isVoiceCapturing && currentSessionId === sessionId) {
+    Logger.warn('🔁 Transcript chunk kept in buffer for the next attempt');
+    rebuildTranscriptBuffer();
+    if (!bufferStartTime) {
+      bufferStartTime = Date.now();
+      startChunkTimer();
+    }
   }
 }
 
@@ -689,6 +1061,7 @@ window.checkAIAssistantStatus = function() {
  * Restart voice recognition with error handling
  */
 function restartVoiceRecognition() {
+  recordVoiceHealthEvent('restarts', { reason: 'restart' });
   try {
     if (voiceRecognition) {
       voiceRecognition.stop();
@@ -726,6 +1099,7 @@ function scheduleVoiceRecognitionRestart(reason) {
   }
   
   restartAttempts++;
+  recordVoiceHealthEvent('restarts', { reason, attempt: restartAttempts });
   
   // Calculate exponential backoff delay
   const delay = Math.min(
@@ -782,6 +1156,7 @@ function startSilenceMonitoring() {
       
       showToast(`Voice capture active - ${minutes}min of silence. Still listening...`, 'info', 5000);
       lastNotificationTime = now;
+      voiceHealth.silenceNotices++;
     }
     
     // Optional: suggest manual pause after very long silence
@@ -797,6 +1172,7 @@ function startSilenceMonitoring() {
         8000
       );
       lastNotificationTime = now;
+      voiceHealth.silenceNotices++;
     }
     
   }, 30000); // Check every 30 seconds
@@ -860,9 +1236,11 @@ function resumeVoiceCapture() {
 /**
  * Start voice capture for the current session with enhanced error handling
  * @param {string} sessionId - The session ID to associate with voice capture
+ * @param {string} [language] - Lecture language stored with the session (defaults to English)
+ * @param {string} [source] - 'microphone' | 'captions' (defaults to the last one chosen)
  */
-function startVoiceCapture(sessionId) {
-  Logger.log('Attempting to start voice capture for session:', sessionId);
+function startVoiceCapture(sessionId, language, source) {
+  Logger.log('Attempting to start voice capture for session:', sessionId, language);
   
   // Validate prerequisites
   if (!currentUser || currentUser.role !== 'professor') {
@@ -881,6 +1259,27 @@ function startVoiceCapture(sessionId) {
     return true;
   }
   
+  // An engine built for another language is rebuilt
+  const sessionLanguage = normalizeLectureLanguage(language);
+  if (voiceRecognition && sessionLanguage !== lectureLanguage) {
+    voiceRecognition = null;
+  }
+  lectureLanguage = sessionLanguage;
+  
+  if (source) {
+    setVoiceCaptureSource(source);
+  }
+  if (voiceRecognition && voiceRecognition.id !== captureEngineId() &&
+      (voiceCaptureSource === 'captions' || voiceRecognition.id === 'captions')) {
+    voiceRecognition = null;
+  }
+  
+  redactionCounts = {};
+  loadRedactionTerms(sessionId);
+  if (chunkingProfileSessionId !== sessionId) {
+    loadChunkingProfile(sessionId);
+  }
+  
   // Initialize voice recognition if not already done
   if (!voiceRecognition && !initializeVoiceCapture()) {
     showToast('Voice capture not available in this browser', 'error');
@@ -897,20 +1296,34 @@ function startVoiceCapture(sessionId) {
     lastVoiceActivityTime = Date.now();
     restartAttempts = 0;
     resetTranscriptBuffer();
+    voiceHealth = createVoiceHealth(sessionId);
+    watchMicrophonePermission();
     
     Logger.log('🎯 Starting smart continuous voice capture...');
     
-    // Request microphone permission and start recognition
-    navigator.mediaDevices.getUserMedia({ audio: true })
-      .then(() => {
-        Logger.log('🎤 Microphone permission granted');
+    // Request microphone permission and start recognition (caption sources never touch the microphone)
+    const followsCaptions = voiceRecognition.usesMicrophone === false;
+    const permission = followsCaptions
+      ? Promise.resolve(null)
+      : navigator.mediaDevices.getUserMedia({ audio: true });
+    
+    permission
+      .then((stream) => {
+        // Only needed for the permission prompt; the engine opens its own capture
+        if (stream) {
+          stream.getTracks().forEach(track => track.stop());
+          Logger.log('🎤 Microphone permission granted');
+        }
         voiceRecognition.start();
-        Logger.log('✅ Voice capture started for session:', sessionId);
+        Logger.log('✅ Voice capture started for session:', sessionId, voiceRecognition.id);
         showVoiceRecordingIndicator(true, false);
-        showToast('Smart voice capture started - will continuously listen during lecture', 'success');
+        showToast(followsCaptions
+          ? `Following ${currentPlatform.label} captions - AskLynk will not use your microphone`
+          : 'Smart voice capture started - will continuously listen during lecture', 'success');
       })
       .catch((error) => {
         Logger.error('❌ Microphone permission denied:', error);
+        recordVoiceHealthEvent('errors', { code: 'not-allowed', engine: voiceRecognition?.id });
         isVoiceCapturing = false;
         isManuallyPaused = false;
         currentSessionId = null;
@@ -938,14 +1351,25 @@ function stopVoiceCapture() {
     return;
   }
   
-  // Process any remaining transcript in buffer
+  // Process any remaining transcript in buffer, then have the background check for gaps
+  const sessionId = currentSessionId;
+  let finalChunk = Promise.resolve();
   if (voiceTranscriptBuffer.trim()) {
     Logger.log('📝 Processing final transcript chunk before stopping');
-    processTranscriptChunk();
+    finalChunk = processTranscriptChunk();
+  }
+  if (sessionId) {
+    finalChunk.then(() => AskLynkApi.sessions.reconcileVoiceTranscript(sessionId)).then((response) => {
+      if (response.ok && response.data.unrecoverable?.length) {
+        Logger.error('❌ Transcript has gaps that could not be recovered:', response.data.unrecoverable);
+      }
+    });
   }
   
   // Stop recognition and reset all state
   isVoiceCapturing = false;
+  studentSpeakingActive = false;
+  speechPaused = false;
   isManuallyPaused = false;
   currentSessionId = null;
   consecutiveSilenceCount = 0;
@@ -971,6 +1395,8 @@ function stopVoiceCapture() {
   // Update UI
   showVoiceRecordingIndicator(false, false);
   updateVoiceRecognitionUI('');
+  transcriptInterimText = '';
+  updateTranscriptInterim();
   
   Logger.log('✅ Voice capture stopped completely');
   showToast('Voice capture stopped', 'info');
@@ -989,6 +1415,7 @@ function showVoiceRecordingIndicator(show, isPaused = false) {
   }
   
   if (!show && !isPaused) {
+    closeVoiceHealthPanel();
     return;
   }
   
@@ -1025,7 +1452,13 @@ function showVoiceRecordingIndicator(show, isPaused = false) {
   if (isActive) {
     indicator.innerHTML = `
       <div style="width: 8px; height: 8px; background: white; border-radius: 50%; animation: lynkk-blink 1s infinite;"></div>
-      Recording Voice
+      ${voiceRecognition && voiceRecognition.usesMicrophone === false ? 'Following Captions' : 'Recording Voice'}
+      ${renderLectureLanguageSelect()}
+      ${voiceRecognition && voiceRecognition.usesMicrophone === false ? '' : `
+        <button id="lynkk-voice-student-toggle" title="Who is speaking (${STUDENT_SPEAKING_HOTKEY})" style="background: rgba(255,255,255,0.2); color: white; border: 1px solid rgba(255,255,255,0.5); border-radius: 10px; font-size: 11px; padding: 2px 6px; cursor: pointer;">${studentSpeakingActive ? '🙋 Student' : '🎓 Professor'}</button>
+      `}
+      ${renderRedactionBadge()}
+      ${renderVoiceHealthToggle()}
       <div style="font-size: 10px; opacity: 0.7; margin-left: 4px;">📱 Tap to pause</div>
     `;
     indicator.title = 'Smart voice capture active - Click to pause';
@@ -1033,162 +1466,1252 @@ function showVoiceRecordingIndicator(show, isPaused = false) {
     indicator.innerHTML = `
       <div style="width: 8px; height: 8px; background: white; border-radius: 50%;"></div>
       Voice Paused
+      ${renderLectureLanguageSelect()}
+      ${renderRedactionBadge()}
+      ${renderVoiceHealthToggle()}
       <div style="font-size: 10px; opacity: 0.7; margin-left: 4px;">▶️ Tap to resume</div>
     `;
     indicator.title = 'Voice capture paused - Click to resume';
   }
   
-  // Add CSS animations if not already present
-  if (!document.querySelector('#lynkk-voice-animations')) {
-    const style = document.createElement('style');
-    style.id = 'lynkk-voice-animations';
-    style.textContent = `
-      @keyframes lynkk-pulse {
-        0%, 100% { transform: scale(1); }
-        50% { transform: scale(1.05); }
-      }
-      @keyframes lynkk-blink {
-        0%, 50% { opacity: 1; }
-        51%, 100% { opacity: 0.3; }
-      }
-    `;
-    document.head.appendChild(style);
+  // Add CSS animations if not already present
+  if (!document.querySelector('#lynkk-voice-animations')) {
+    const style = document.createElement('style');
+    style.id = 'lynkk-voice-animations';
+    style.textContent = `
+      @keyframes lynkk-pulse {
+        0%, 100% { transform: scale(1); }
+        50% { transform: scale(1.05); }
+      }
+      @keyframes lynkk-blink {
+        0%, 50% { opacity: 1; }
+        51%, 100% { opacity: 0.3; }
+      }
+    `;
+    document.head.appendChild(style);
+  }
+  
+  document.body.appendChild(indicator);
+  
+  // Language switcher sits inside the indicator, so keep its clicks from pausing capture
+  const languageSelect = indicator.querySelector('#lynkk-voice-language');
+  if (languageSelect) {
+    languageSelect.addEventListener('click', (event) => event.stopPropagation());
+    languageSelect.addEventListener('change', (event) => {
+      event.stopPropagation();
+      switchLectureLanguage(event.target.value);
+    });
+  }
+  
+  const healthToggle = indicator.querySelector('#lynkk-voice-health-toggle');
+  if (healthToggle) {
+    healthToggle.addEventListener('click', (event) => {
+      event.stopPropagation();
+      toggleVoiceHealthPanel();
+    });
+  }
+  
+  const studentToggle = indicator.querySelector('#lynkk-voice-student-toggle');
+  if (studentToggle) {
+    studentToggle.addEventListener('click', (event) => {
+      event.stopPropagation();
+      toggleStudentSpeaking();
+    });
+  }
+  
+  // Add click handler for pause/resume/stop
+  indicator.addEventListener('click', () => {
+    if (isPaused) {
+      // Resume from pause
+      resumeVoiceCapture();
+    } else if (isActive) {
+      // Show options: pause or stop
+      const action = confirm('Pause voice capture temporarily? (Cancel to stop completely)');
+      if (action) {
+        pauseVoiceCapture();
+      } else {
+        // User cancelled - ask if they want to stop
+        const stop = confirm('Stop voice capture completely for this session?');
+        if (stop) {
+          stopVoiceCapture();
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Language picker shown inside the voice indicator
+ */
+function renderLectureLanguageSelect() {
+  const options = LECTURE_LANGUAGES.map(language => `
+    <option value="${language.code}" ${language.code === lectureLanguage ? 'selected' : ''} style="color: #111827;">${language.label}</option>
+  `).join('');
+  
+  return `
+    <select id="lynkk-voice-language" title="Lecture language" style="background: rgba(255,255,255,0.2); color: white; border: 1px solid rgba(255,255,255,0.5); border-radius: 10px; font-size: 11px; padding: 2px 6px; cursor: pointer;">
+      ${options}
+    </select>
+  `;
+}
+
+/**
+ * Redaction count shown inside the voice indicator
+ */
+function renderRedactionBadge() {
+  const total = Object.values(redactionCounts).reduce((sum, value) => sum + value, 0);
+  return `
+    <span id="lynkk-voice-redactions" title="${escapeHTML(AskLynkRedaction.describeCounts(redactionCounts) || 'Nothing redacted yet')}" style="display: ${total > 0 ? 'inline-flex' : 'none'}; align-items: center; gap: 3px; font-size: 10px; background: rgba(255,255,255,0.2); padding: 2px 6px; border-radius: 10px;">
+      🛡️ <span class="lynkk-redaction-total">${total}</span> redacted
+    </span>
+  `;
+}
+
+function updateRedactionIndicator() {
+  const badge = document.getElementById('lynkk-voice-redactions');
+  if (!badge) return;
+  
+  const total = Object.values(redactionCounts).reduce((sum, value) => sum + value, 0);
+  badge.style.display = total > 0 ? 'inline-flex' : 'none';
+  badge.title = AskLynkRedaction.describeCounts(redactionCounts) || 'Nothing redacted yet';
+  badge.querySelector('.lynkk-redaction-total').textContent = total;
+}
+
+/**
+ * Load the professor's redaction terms for a session
+ * @param {string} sessionId - Session the terms belong to
+ */
+function loadRedactionTerms(sessionId) {
+  redactionTermsSessionId = sessionId;
+  redactionTermsLoading = new Promise(resolve => {
+    chrome.storage.local.get([REDACTION_TERMS_STORAGE_KEY], (result) => {
+      if (redactionTermsSessionId === sessionId) {
+        const bySession = result[REDACTION_TERMS_STORAGE_KEY] || {};
+        redactionTerms = Array.isArray(bySession[sessionId]) ? bySession[sessionId] : [];
+        renderRedactionTerms();
+      }
+      resolve();
+    });
+  });
+  return redactionTermsLoading;
+}
+
+function saveRedactionTerms() {
+  const sessionId = redactionTermsSessionId;
+  if (!sessionId) return;
+  
+  chrome.storage.local.get([REDACTION_TERMS_STORAGE_KEY], (result) => {
+    const bySession = { ...(result[REDACTION_TERMS_STORAGE_KEY] || {}) };
+    if (redactionTerms.length > 0) {
+      bySession[sessionId] = redactionTerms;
+    } else {
+      delete bySession[sessionId];
+    }
+    chrome.storage.local.set({ [REDACTION_TERMS_STORAGE_KEY]: bySession });
+  });
+}
+
+/**
+ * Add names or terms to mask for the current session (comma-separated input)
+ * @param {string} input - e.g. "Ana Lopez, Marcus"
+ */
+function addRedactionTerms(input) {
+  const terms = input.split(',').map(term => term.trim()).filter(term => term.length >= 2);
+  const added = terms.filter(term => !redactionTerms.some(existing => existing.toLowerCase() === term.toLowerCase()));
+  if (added.length === 0) return;
+  
+  redactionTerms = [...redactionTerms, ...added];
+  saveRedactionTerms();
+  renderRedactionTerms();
+}
+
+function removeRedactionTerm(term) {
+  redactionTerms = redactionTerms.filter(existing => existing !== term);
+  saveRedactionTerms();
+  renderRedactionTerms();
+}
+
+/**
+ * Term chips in the Transcript tab (professors only)
+ */
+function renderRedactionTerms() {
+  const container = document.getElementById('lynkk-redaction-terms');
+  if (!container) return;
+  
+  container.innerHTML = redactionTerms.length === 0
+    ? '<span style="color: #94a3b8; font-size: 12px;">Emails, phone numbers and letter-prefixed IDs (A01234567) are always masked. Add student names and numeric IDs to mask them too.</span>'
+    : redactionTerms.map(term => `
+      <span style="display: inline-flex; align-items: center; gap: 4px; background: #eef2ff; color: #4338ca; font-size: 12px; padding: 2px 8px; border-radius: 9999px;">
+        ${escapeHTML(term)}
+        <button class="lynkk-redaction-remove" data-term="${escapeHTML(term)}" title="Stop masking" style="background: none; border: none; cursor: pointer; color: #6366f1; padding: 0; font-size: 12px;">✕</button>
+      </span>
+    `).join('');
+}
+
+/**
+ * Load the chunking profile chosen for a session (default profile when none was chosen)
+ */
+function loadChunkingProfile(sessionId) {
+  chunkingProfileSessionId = sessionId;
+  return new Promise(resolve => {
+    chrome.storage.local.get([CHUNKING_PROFILE_STORAGE_KEY], (result) => {
+      if (chunkingProfileSessionId === sessionId) {
+        const bySession = result[CHUNKING_PROFILE_STORAGE_KEY] || {};
+        chunkingProfile = AskLynkChunking.resolveProfile(bySession[sessionId]);
+        const select = document.getElementById('lynkk-chunking-profile');
+        if (select) select.value = chunkingProfile;
+      }
+      resolve(chunkingProfile);
+    });
+  });
+}
+
+/**
+ * Choose how a session's transcript is chunked; takes effect from the next chunk
+ * @param {string} sessionId
+ * @param {string} profileId - Key of AskLynkChunking.PROFILES
+ */
+function setChunkingProfile(sessionId, profileId) {
+  if (!sessionId) return;
+  const profile = AskLynkChunking.resolveProfile(profileId);
+  
+  chunkingProfileSessionId = sessionId;
+  chunkingProfile = profile;
+  checkChunkBoundary();
+  Logger.log('✂️ Chunking profile for session', sessionId, '→', profile);
+  
+  chrome.storage.local.get([CHUNKING_PROFILE_STORAGE_KEY], (result) => {
+    const bySession = { ...(result[CHUNKING_PROFILE_STORAGE_KEY] || {}), [sessionId]: profile };
+    chrome.storage.local.set({ [CHUNKING_PROFILE_STORAGE_KEY]: bySession });
+  });
+}
+
+function renderChunkingProfileOptions(selectedProfile = chunkingProfile) {
+  return Object.entries(AskLynkChunking.PROFILES).map(([id, profile]) => `
+    <option value="${id}" ${id === selectedProfile ? 'selected' : ''}>${profile.label}</option>
+  `).join('');
+}
+
+/**
+ * Options for the create-session language field
+ */
+function renderLectureLanguageOptions(selectedCode = DEFAULT_LECTURE_LANGUAGE) {
+  return LECTURE_LANGUAGES.map(language => `
+    <option value="${language.code}" ${language.code === selectedCode ? 'selected' : ''}>${language.label}</option>
+  `).join('');
+}
+
+/**
+ * Map a stored language code onto a supported lecture language
+ * @param {string} code - BCP-47 tag from the session ('es', 'es-ES', ...)
+ */
+function normalizeLectureLanguage(code) {
+  if (!code || typeof code !== 'string') return DEFAULT_LECTURE_LANGUAGE;
+  
+  const exact = LECTURE_LANGUAGES.find(language => language.code.toLowerCase() === code.toLowerCase());
+  if (exact) return exact.code;
+  
+  // Bare language ('fr') → first regional variant we offer
+  const base = code.split('-')[0].toLowerCase();
+  const variant = LECTURE_LANGUAGES.find(language => language.code.toLowerCase().startsWith(base + '-'));
+  return variant ? variant.code : DEFAULT_LECTURE_LANGUAGE;
+}
+
+/**
+ * Switch the lecture language mid-session (bilingual sections).
+ * Text heard so far is sent under the old language, then the engine restarts in the new one.
+ * @param {string} code - Lecture language code
+ */
+async function switchLectureLanguage(code) {
+  const language = normalizeLectureLanguage(code);
+  if (language === lectureLanguage) return;
+  
+  Logger.log('🌍 Switching lecture language:', lectureLanguage, '→', language);
+  
+  if (voiceTranscriptBuffer.trim()) {
+    await processTranscriptChunk();
+  }
+  
+  const previousEngine = voiceRecognition;
+  lectureLanguage = language;
+  voiceRecognition = null;
+  
+  if (previousEngine) {
+    try {
+      previousEngine.stop();
+    } catch (error) {
+      Logger.warn('⚠️ Error stopping previous engine:', error);
+    }
+  }
+  
+  if (isVoiceCapturing && initializeVoiceCapture() && !isManuallyPaused) {
+    try {
+      voiceRecognition.start();
+    } catch (error) {
+      Logger.error('Error restarting voice recognition in new language:', error);
+      scheduleVoiceRecognitionRestart('language switch');
+    }
+  }
+  
+  const label = LECTURE_LANGUAGES.find(entry => entry.code === language)?.label || language;
+  showToast(`Lecture language: ${label}`, 'info');
+  
+  // Store it with the session so reopening it (and the AI) uses the same language
+  if (currentSessionId) {
+    const response = await AskLynkApi.sessions.updateLanguage(currentSessionId, language);
+    if (!response.ok) {
+      Logger.warn('⚠️ Could not save lecture language on the session:', response.error);
+    }
+  }
+}
+
+/**
+ * Update voice recognition UI with current status
+ * @param {string} status - Current recognition status
+ */
+function updateVoiceRecognitionUI(status) {
+  const indicator = document.getElementById('lynkk-voice-indicator');
+  if (indicator && status) {
+    const statusEl = indicator.querySelector('.status-text');
+    if (statusEl) {
+      statusEl.textContent = status;
+    } else {
+      // Add status text if not present (appended, so the language picker keeps its listeners)
+      const statusText = document.createElement('div');
+      statusText.className = 'status-text';
+      statusText.style.cssText = 'font-size: 10px; opacity: 0.9;';
+      statusText.textContent = status;
+      indicator.appendChild(statusText);
+    }
+  }
+}
+
+/**
+ * Hand a transcript chunk to the background transcript queue, which numbers it per session,
+ * persists it and retries until the backend acknowledges it (see TRANSCRIPT DELIVERY in background.js)
+ * @param {string} transcript - The transcribed text chunk from speech
+ * @param {string} [sessionId] - Session the chunk was captured in (defaults to the current one)
+ * @param {Object} [details]
+ * @param {Object[]} [details.speakerSegments] - [{ speaker, role: 'professor' | 'student', text, startedAt }]
+ * @param {string} [details.overlap] - End of the previous chunk, for embedding context only
+ * @returns {Promise<boolean>} Whether the chunk is safely queued (false means the caller still owns it)
+ */
+async function sendTranscriptToBackend(transcript, sessionId = currentSessionId, { speakerSegments = [], overlap = '' } = {}) {
+  Logger.log('🎤 sendTranscriptToBackend called with transcript:', transcript.substring(0, 100) + '...');
+  
+  if (!transcript || transcript.length < 5) {
+    Logger.log('❌ Skipping short transcript:', transcript);
+    return true; // Ignore very short utterances
+  }
+  
+  // Check if user is authenticated (using cookie-based auth)
+  if (!currentUser) {
+    Logger.error('❌ User not authenticated - cannot send voice transcript');
+    return false;
+  }
+  
+  if (!sessionId) {
+    Logger.error('❌ No current session ID available');
+    return false;
+  }
+  
+  const payload = {
+    transcript: transcript,
+    timestamp: new Date().toISOString(),
+    professorId: currentUser?.id,
+    processingType: 'voice_chunk', // Helps backend identify this as voice data
+    transcriptionEngine: voiceRecognition?.id || null,
+    language: lectureLanguage, // Lets embeddings and the context-aware AI handle non-English lectures
+    speakerSegments, // Tells professor explanations apart from student questions
+    overlap, // Already sent with the previous chunk; prepend for embeddings, don't store twice
+    chunkingProfile
+  };
+  
+  Logger.log('📤 Queueing transcript chunk (length:', transcript.length, ') for session:', sessionId);
+  
+  const response = await AskLynkApi.sessions.sendVoiceTranscript(sessionId, payload);
+  if (response.ok) {
+    Logger.log('📮 Transcript chunk queued as sequence', response.data?.sequence);
+    return true;
+  }
+  
+  // Only reachable when the extension background can't be reached (e.g. it was reloaded)
+  Logger.error('❌ Could not queue transcript chunk:', response.error);
+  return false;
+}
+
+// ==================== VOICE CAPTURE HEALTH ====================
+
+/**
+ * Fresh health record for a capture run
+ * @param {string} [sessionId] - Session being captured (null before any capture)
+ */
+function createVoiceHealth(sessionId = null) {
+  return {
+    sessionId,
+    startedAt: sessionId ? Date.now() : null,
+    restarts: [],              // { at, reason, attempt }
+    errors: [],                // { at, code, engine }
+    silenceNotices: 0,
+    chunksCaptured: 0,         // Handed to the background transcript queue
+    handoffFailures: 0,        // Could not be queued (kept in the buffer and retried)
+    lastChunkAt: null,
+    microphonePermission: 'unknown'
+  };
+}
+
+/**
+ * Log a restart or error for the health panel
+ * @param {'restarts' | 'errors'} kind
+ * @param {Object} detail
+ */
+function recordVoiceHealthEvent(kind, detail) {
+  const log = voiceHealth[kind];
+  log.push({ at: Date.now(), ...detail });
+  if (log.length > VOICE_HEALTH_LOG_LIMIT) {
+    log.splice(0, log.length - VOICE_HEALTH_LOG_LIMIT);
+  }
+  renderVoiceHealthPanel();
+}
+
+/**
+ * Track the microphone permission ('granted' | 'denied' | 'prompt') for the current capture run
+ */
+function watchMicrophonePermission() {
+  if (!navigator.permissions?.query) {
+    voiceHealth.microphonePermission = 'unsupported';
+    return;
+  }
+  
+  const health = voiceHealth;
+  navigator.permissions.query({ name: 'microphone' })
+    .then((status) => {
+      health.microphonePermission = status.state;
+      status.onchange = () => {
+        health.microphonePermission = status.state;
+        Logger.log('🎤 Microphone permission changed:', status.state);
+        renderVoiceHealthPanel();
+      };
+      renderVoiceHealthPanel();
+    })
+    .catch(() => {
+      health.microphonePermission = 'unsupported';
+    });
+}
+
+/**
+ * Pull transcript queue counts and the backend round trip from the background
+ */
+async function refreshVoiceHealth() {
+  const sessionId = voiceHealth.sessionId || currentSessionId;
+  
+  const [queue, health] = await Promise.all([
+    sessionId ? AskLynkApi.sessions.getVoiceTranscriptStatus(sessionId) : Promise.resolve(null),
+    new Promise(resolve => {
+      chrome.runtime.sendMessage({ type: 'HEALTH_CHECK', ping: true }, (response) => {
+        resolve(chrome.runtime.lastError ? null : response);
+      });
+    })
+  ]);
+  
+  voiceHealthQueue = queue && queue.ok ? queue.data : null;
+  voiceHealthBackend = health?.backend || { success: false, error: 'Extension background not responding' };
+  renderVoiceHealthPanel();
+}
+
+function toggleVoiceHealthPanel() {
+  if (voiceHealthExpanded) {
+    closeVoiceHealthPanel();
+    return;
+  }
+  
+  voiceHealthExpanded = true;
+  renderVoiceHealthPanel();
+  refreshVoiceHealth();
+  voiceHealthTimer = setInterval(refreshVoiceHealth, VOICE_HEALTH_REFRESH_MS);
+}
+
+function closeVoiceHealthPanel() {
+  voiceHealthExpanded = false;
+  if (voiceHealthTimer) {
+    clearInterval(voiceHealthTimer);
+    voiceHealthTimer = null;
+  }
+  document.getElementById('lynkk-voice-health')?.remove();
+}
+
+/**
+ * Health button shown inside the voice indicator
+ */
+function renderVoiceHealthToggle() {
+  const warnings = diagnoseVoiceCapture().filter(hint => hint.level === 'error').length;
+  return `
+    <button id="lynkk-voice-health-toggle" title="Voice capture health" style="background: rgba(255,255,255,0.2); color: white; border: 1px solid rgba(255,255,255,0.5); border-radius: 10px; font-size: 11px; padding: 2px 6px; cursor: pointer;">🩺${warnings > 0 ? ` ${warnings}` : ''}</button>
+  `;
+}
+
+function formatHealthDuration(ms) {
+  if (ms === null || ms === undefined || ms < 0) return '—';
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Likely reasons for a missing or thin transcript, most serious first
+ * @returns {{ level: 'error' | 'warning' | 'ok', message: string }[]}
+ */
+function diagnoseVoiceCapture() {
+  const hints = [];
+  const now = Date.now();
+  const recentErrors = voiceHealth.errors.filter(entry => now - entry.at < 5 * 60 * 1000);
+  const usesMicrophone = !voiceRecognition || voiceRecognition.usesMicrophone !== false;
+  
+  if (!isVoiceCapturing) {
+    hints.push({ level: 'error', message: 'Voice capture is not running. Open or create a session as a professor to start it.' });
+  } else if (isManuallyPaused) {
+    hints.push({ level: 'warning', message: 'Voice capture is paused. Tap the indicator to resume.' });
+  }
+  if (usesMicrophone && voiceHealth.microphonePermission === 'denied') {
+    hints.push({ level: 'error', message: 'Microphone access is blocked for this site. Allow it from the address bar.' });
+  }
+  if (recentErrors.some(entry => entry.code === 'captions-off')) {
+    hints.push({ level: 'error', message: `Captions are off, so there is nothing to follow. ${currentPlatform?.captions?.enableHint || 'Turn them on in the meeting'}.` });
+  }
+  if (recentErrors.some(entry => entry.code === 'segment-failed')) {
+    hints.push({ level: 'error', message: 'The transcription endpoint is failing. Check it under Options → Transcription.' });
+  }
+  if (recentErrors.some(entry => entry.code === 'network' || entry.code === 'service-not-allowed')) {
+    hints.push({ level: 'warning', message: 'Browser speech recognition is unavailable here. Choose the HTTP engine in Options → Transcription.' });
+  }
+  if (voiceHealthBackend && !voiceHealthBackend.success) {
+    hints.push({ level: 'error', message: `The AskLynk backend is unreachable (${voiceHealthBackend.error || 'no response'}). Chunks wait in the queue until it is back.` });
+  }
+  if (voiceHealthQueue?.rejected?.length > 0) {
+    hints.push({ level: 'error', message: `${voiceHealthQueue.rejected.length} chunk(s) were refused by the backend: ${voiceHealthQueue.rejected[0].lastError || 'unknown error'}` });
+  }
+  if (voiceHealthQueue?.oldestPendingAt && now - voiceHealthQueue.oldestPendingAt > 2 * 60 * 1000) {
+    hints.push({ level: 'warning', message: `Chunks have been waiting to send for ${formatHealthDuration(now - voiceHealthQueue.oldestPendingAt)}.` });
+  }
+  if (isVoiceCapturing && !isManuallyPaused && lastVoiceActivityTime && now - lastVoiceActivityTime > VOICE_CAPTURE_CONFIG.SILENCE_NOTIFICATION_THRESHOLD) {
+    hints.push({ level: 'warning', message: `No speech recognized for ${formatHealthDuration(now - lastVoiceActivityTime)}. Check the microphone input.` });
+  }
+  if (voiceHealth.restarts.filter(entry => now - entry.at < 5 * 60 * 1000).length >= VOICE_CAPTURE_CONFIG.MAX_RESTART_ATTEMPTS) {
+    hints.push({ level: 'warning', message: 'Speech recognition keeps restarting. See the restart reasons below.' });
+  }
+  
+  if (hints.length === 0) {
+    hints.push({ level: 'ok', message: 'Everything looks healthy.' });
+  }
+  return hints;
+}
+
+/**
+ * Expandable health view under the voice indicator
+ */
+function renderVoiceHealthPanel() {
+  if (!voiceHealthExpanded) return;
+  
+  let panel = document.getElementById('lynkk-voice-health');
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.id = 'lynkk-voice-health';
+    panel.style.cssText = `
+      position: fixed;
+      top: 64px;
+      right: 20px;
+      width: 300px;
+      max-height: 70vh;
+      overflow-y: auto;
+      background: white;
+      color: #1f2937;
+      border: 1px solid #e5e7eb;
+      border-radius: 12px;
+      box-shadow: 0 10px 25px rgba(0, 0, 0, 0.15);
+      font-size: 12px;
+      z-index: 10000;
+      padding: 12px;
+    `;
+    panel.addEventListener('click', (e) => {
+      if (e.target.closest('#lynkk-voice-health-close')) closeVoiceHealthPanel();
+      if (e.target.closest('#lynkk-voice-health-refresh')) refreshVoiceHealth();
+      if (e.target.closest('#lynkk-voice-health-report')) downloadVoiceDiagnostics();
+    });
+    document.body.appendChild(panel);
+  }
+  
+  const now = Date.now();
+  const queue = voiceHealthQueue;
+  const levelColors = { error: '#dc2626', warning: '#d97706', ok: '#059669' };
+  const row = (label, value) => `
+    <div style="display: flex; justify-content: space-between; padding: 3px 0;">
+      <span style="color: #6b7280;">${label}</span>
+      <span style="font-weight: 500;">${value}</span>
+    </div>
+  `;
+  const failed = voiceHealth.handoffFailures + (queue?.rejected?.length || 0);
+  const latency = voiceHealthBackend
+    ? (voiceHealthBackend.success ? `${voiceHealthBackend.latencyMs} ms` : '<span style="color: #dc2626;">unreachable</span>')
+    : 'checking…';
+  const events = [
+    ...voiceHealth.restarts.map(entry => ({ at: entry.at, text: `↻ ${entry.reason}` })),
+    ...voiceHealth.errors.map(entry => ({ at: entry.at, text: `⚠ ${entry.code}` }))
+  ].sort((a, b) => b.at - a.at).slice(0, 8);
+  
+  panel.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+      <strong style="font-size: 13px;">🩺 Voice capture health</strong>
+      <button id="lynkk-voice-health-close" title="Close" style="background: none; border: none; cursor: pointer; color: #6b7280; font-size: 14px;">✕</button>
+    </div>
+    ${diagnoseVoiceCapture().map(hint => `
+      <div style="padding: 6px 8px; margin-bottom: 4px; border-radius: 6px; background: #f9fafb; border-left: 3px solid ${levelColors[hint.level]}; color: #374151;">${escapeHTML(hint.message)}</div>
+    `).join('')}
+    <div style="margin-top: 8px; border-top: 1px solid #f3f4f6; padding-top: 6px;">
+      ${row('Uptime', voiceHealth.startedAt ? formatHealthDuration(now - voiceHealth.startedAt) : '—')}
+      ${row('Engine', escapeHTML(voiceRecognition?.label || 'none'))}
+      ${row('Microphone permission', escapeHTML(voiceHealth.microphonePermission))}
+      ${row('Last speech', lastVoiceActivityTime && isVoiceCapturing ? `${formatHealthDuration(now - lastVoiceActivityTime)} ago` : '—')}
+      ${row('Backend latency', latency)}
+      ${row('Transcript latency', queue?.delivery?.lastLatencyMs != null ? `${queue.delivery.lastLatencyMs} ms` : '—')}
+    </div>
+    <div style="margin-top: 6px; border-top: 1px solid #f3f4f6; padding-top: 6px;">
+      ${row('Chunks captured', voiceHealth.chunksCaptured)}
+      ${row('Sent', queue ? queue.acked : '—')}
+      ${row('Queued', queue ? `${queue.pending}${queue.retrying ? ` (${queue.retrying} retrying)` : ''}` : '—')}
+      ${row('Failed', failed > 0 ? `<span style="color: #dc2626;">${failed}</span>` : 0)}
+      ${row('Restarts', voiceHealth.restarts.length)}
+      ${row('Silence notices', voiceHealth.silenceNotices)}
+    </div>
+    ${events.length > 0 ? `
+    <div style="margin-top: 6px; border-top: 1px solid #f3f4f6; padding-top: 6px;">
+      <div style="color: #6b7280; margin-bottom: 4px;">Recent restarts and errors</div>
+      ${events.map(event => `
+        <div style="display: flex; gap: 6px; padding: 2px 0; font-family: monospace; font-size: 11px;">
+          <span style="color: #9ca3af;">${new Date(event.at).toLocaleTimeString()}</span>
+          <span>${escapeHTML(event.text)}</span>
+        </div>
+      `).join('')}
+    </div>
+    ` : ''}
+    <div style="display: flex; gap: 6px; margin-top: 10px;">
+      <button id="lynkk-voice-health-refresh" style="flex: 1; background: #f3f4f6; color: #374151; border: 1px solid #e5e7eb; border-radius: 6px; padding: 6px; cursor: pointer; font-size: 12px;">Refresh</button>
+      <button id="lynkk-voice-health-report" style="flex: 2; background: #4a66dd; color: white; border: none; border-radius: 6px; padding: 6px; cursor: pointer; font-size: 12px;">⬇️ Diagnostics report</button>
+    </div>
+  `;
+}
+
+/**
+ * Everything support needs to answer "why is my transcript empty?", as a JSON download.
+ * Transcript text is left out.
+ */
+async function downloadVoiceDiagnostics() {
+  await refreshVoiceHealth();
+  
+  const report = {
+    generatedAt: new Date().toISOString(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    userAgent: navigator.userAgent,
+    page: location.hostname,
+    online: navigator.onLine,
+    session: {
+      id: voiceHealth.sessionId || currentSessionId,
+      role: currentUser?.role || null,
+      lectureLanguage,
+      captureSource: voiceCaptureSource,
+      chunkingProfile
+    },
+    capture: {
+      active: isVoiceCapturing,
+      paused: isManuallyPaused,
+      engine: voiceRecognition ? { id: voiceRecognition.id, label: voiceRecognition.label } : null,
+      enginePreference: transcriptionEngine,
+      uptimeMs: voiceHealth.startedAt ? Date.now() - voiceHealth.startedAt : null,
+      lastSpeechAgoMs: lastVoiceActivityTime ? Date.now() - lastVoiceActivityTime : null,
+      bufferedChars: voiceTranscriptBuffer.length,
+      microphonePermission: voiceHealth.microphonePermission
+    },
+    health: voiceHealth,
+    transcriptQueue: voiceHealthQueue,
+    backend: voiceHealthBackend,
+    diagnosis: diagnoseVoiceCapture()
+  };
+  
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  downloadTextFile(`asklynk-voice-diagnostics-${stamp}.json`, JSON.stringify(report, null, 2), 'application/json');
+  showToast('Diagnostics report downloaded', 'success');
+}
+
+// ==================== TRANSCRIPT PANEL ====================
+
+/**
+ * Start a fresh transcript when the session changes
+ * @param {string} sessionId - Session the segments belong to
+ */
+function ensureTranscriptSession(sessionId) {
+  if (transcriptSegmentsSessionId === sessionId) return;
+  transcriptSegmentsSessionId = sessionId;
+  transcriptSegments = [];
+  transcriptInterimText = '';
+  transcriptEditingSegmentId = null;
+  transcriptHistoryLoaded = false;
+}
+
+/**
+ * Record a segment for the Transcript tab
+ * @param {Object} segment - { text, at, status: 'buffered' | 'queued' | 'received', sequence }
+ * @returns {Object} The stored segment
+ */
+function addTranscriptSegment(segment) {
+  const stored = {
+    id: `seg_${segment.at}_${Math.random().toString(36).slice(2, 8)}`,
+    sequence: null,
+    ...segment
+  };
+  transcriptSegments.push(stored);
+  
+  if (transcriptSegments.length > TRANSCRIPT_PANEL_LIMIT) {
+    transcriptSegments.splice(0, transcriptSegments.length - TRANSCRIPT_PANEL_LIMIT);
+  }
+  
+  renderTranscriptSegments();
+  return stored;
+}
+
+/**
+ * Rebuild the pending chunk from the segments that have not been sent yet,
+ * so a professor's corrections are what gets sent
+ */
+function rebuildTranscriptBuffer() {
+  let previousSpeaker = null;
+  voiceTranscriptBuffer = transcriptSegments
+    .filter(segment => segment.status === 'buffered' && segment.text.trim())
+    .map(segment => {
+      // Name the speaker whenever it changes; a chunk that is all professor stays unlabeled
+      const changed = segment.speaker && segment.speaker !== previousSpeaker &&
+        (previousSpeaker !== null || segment.role !== 'professor');
+      const label = changed ? `${segment.speaker}: ` : '';
+      previousSpeaker = segment.speaker || previousSpeaker;
+      return label + segment.text.trim();
+    })
+    .join(' ');
+}
+
+/**
+ * Replace the text of a segment that is still waiting in the buffer
+ * @param {string} segmentId - Segment to correct
+ * @param {string} text - Corrected text
+ */
+function correctTranscriptSegment(segmentId, text) {
+  const segment = transcriptSegments.find(entry => entry.id === segmentId);
+  if (!segment || segment.status !== 'buffered') {
+    Logger.warn('✏️ Segment already sent, correction ignored:', segmentId);
+    return false;
+  }
+  
+  const corrected = text.replace(/\s+/g, ' ').trim();
+  if (corrected === segment.text) return true;
+  
+  Logger.log('✏️ Transcript corrected:', segment.text, '→', corrected);
+  segment.text = corrected;
+  segment.corrected = true;
+  rebuildTranscriptBuffer();
+  return true;
+}
+
+/**
+ * Previously captured transcript for the session (students, or a professor reopening it)
+ * @param {string} sessionId - Session to load
+ */
+async function loadTranscriptHistory(sessionId) {
+  ensureTranscriptSession(sessionId);
+  if (transcriptHistoryLoaded) return;
+  transcriptHistoryLoaded = true;
+  
+  const response = await AskLynkApi.sessions.getTranscriptChunks(sessionId);
+  if (transcriptSegmentsSessionId !== sessionId) return;
+  
+  if (!response.ok) {
+    Logger.warn('⚠️ Could not load transcript history:', response.error);
+    transcriptHistoryLoaded = false;
+    renderTranscriptSegments(response.status === 403 ? 'The transcript is not shared for this session yet.' : null);
+    return;
+  }
+  
+  const chunks = Array.isArray(response.data) ? response.data : (response.data?.chunks || response.data?.data || []);
+  const known = new Set(transcriptSegments.map(segment => segment.sequence).filter(sequence => sequence !== null));
+  
+  const history = chunks
+    .map(chunk => ({
+      text: chunk.transcript || chunk.content || '',
+      at: new Date(chunk.timestamp || chunk.created_at || Date.now()).getTime(),
+      sequence: chunk.sequence ?? chunk.chunkIndex ?? null,
+      status: 'received'
+    }))
+    .filter(segment => segment.text && (segment.sequence === null || !known.has(segment.sequence)))
+    .map(segment => ({ id: `seg_${segment.at}_${Math.random().toString(36).slice(2, 8)}`, ...segment }));
+  
+  transcriptSegments = [...history, ...transcriptSegments].sort((a, b) => a.at - b.at);
+  renderTranscriptSegments();
+}
+
+/**
+ * Append a chunk pushed over the session event stream
+ * @param {Object} chunk - { transcript, timestamp, sequence }
+ */
+function receiveTranscriptChunk(sessionId, chunk) {
+  ensureTranscriptSession(sessionId);
+  
+  // The professor's own tab already shows what it captured
+  if (isVoiceCapturing && currentSessionId === sessionId) return;
+  
+  const sequence = chunk.sequence ?? chunk.chunkIndex ?? null;
+  if (sequence !== null && transcriptSegments.some(segment => segment.sequence === sequence)) return;
+  
+  addTranscriptSegment({
+    text: chunk.transcript || chunk.content || '',
+    at: new Date(chunk.timestamp || Date.now()).getTime(),
+    sequence,
+    status: 'received'
+  });
+}
+
+/**
+ * Wire up the Transcript tab rendered by renderSessionTabs
+ */
+function initializeTranscriptPanel() {
+  const searchInput = document.getElementById('lynkk-transcript-search');
+  if (!searchInput) return;
+  
+  searchInput.value = transcriptSearchQuery;
+  searchInput.addEventListener('input', () => {
+    transcriptSearchQuery = searchInput.value;
+    transcriptSearchIndex = 0;
+    renderTranscriptSegments();
+    jumpToTranscriptMatch(0);
+  });
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      jumpToTranscriptMatch(e.shiftKey ? -1 : 1);
+    }
+  });
+  
+  document.getElementById('lynkk-transcript-prev').addEventListener('click', () => jumpToTranscriptMatch(-1));
+  document.getElementById('lynkk-transcript-next').addEventListener('click', () => jumpToTranscriptMatch(1));
+  
+  // Corrections: edit a segment that hasn't been sent yet
+  const list = document.getElementById('lynkk-transcript-list');
+  list.addEventListener('click', (e) => {
+    const editButton = e.target.closest('.lynkk-transcript-edit');
+    if (editButton) {
+      startTranscriptEdit(editButton.getAttribute('data-segment-id'));
+    }
+  });
+  
+  // Professors: download the transcript captured so far
+  const exportButton = document.getElementById('lynkk-transcript-export');
+  if (exportButton) {
+    exportButton.addEventListener('click', () => {
+      if (!currentSessionId) return;
+      const format = document.getElementById('lynkk-transcript-export-format').value;
+      exportButton.disabled = true;
+      chrome.storage.local.get(['activeSession'], async (result) => {
+        const session = result.activeSession || {};
+        // Send what is still buffered first, so the export ends where the lecture is now,
+        // and wait for the backend to have it before reading the transcript back
+        if (isVoiceCapturing && voiceTranscriptBuffer.trim()) {
+          await processTranscriptChunk();
+        }
+        if (!(await waitForTranscriptDelivery(currentSessionId))) {
+          showToast('The latest transcript lines are still being delivered; the export may end a little early', 'info');
+        }
+        await exportSessionTranscript(currentSessionId, format, { title: session.title, startedAt: session.created_at });
+        exportButton.disabled = false;
+      });
+    });
+  }
+  
+  // Professors: per-session redaction terms
+  const redactionInput = document.getElementById('lynkk-redaction-input');
+  if (redactionInput) {
+    const addTerms = () => {
+      addRedactionTerms(redactionInput.value);
+      redactionInput.value = '';
+    };
+    document.getElementById('lynkk-redaction-add').addEventListener('click', addTerms);
+    redactionInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        addTerms();
+      }
+    });
+    document.getElementById('lynkk-redaction-terms').addEventListener('click', (e) => {
+      const removeButton = e.target.closest('.lynkk-redaction-remove');
+      if (removeButton) {
+        removeRedactionTerm(removeButton.getAttribute('data-term'));
+      }
+    });
+    document.getElementById('lynkk-chunking-profile').addEventListener('change', (e) => {
+      setChunkingProfile(currentSessionId, e.target.value);
+    });
+  }
+  
+  if (currentSessionId) {
+    ensureTranscriptSession(currentSessionId);
+    loadTranscriptHistory(currentSessionId);
+    if (redactionInput && redactionTermsSessionId !== currentSessionId) {
+      loadRedactionTerms(currentSessionId);
+    }
+    if (redactionInput && chunkingProfileSessionId !== currentSessionId) {
+      loadChunkingProfile(currentSessionId);
+    }
+  }
+  renderRedactionTerms();
+  renderTranscriptSegments();
+}
+
+/**
+ * Turn a buffered segment into an inline editor
+ * @param {string} segmentId - Segment to edit
+ */
+function startTranscriptEdit(segmentId) {
+  const segment = transcriptSegments.find(entry => entry.id === segmentId);
+  const textElement = document.querySelector(`.lynkk-transcript-segment[data-segment-id="${segmentId}"] .lynkk-transcript-text`);
+  if (!segment || segment.status !== 'buffered' || !textElement) return;
+  
+  transcriptEditingSegmentId = segmentId;
+  textElement.textContent = segment.text;
+  textElement.contentEditable = 'true';
+  textElement.style.outline = '2px solid #6366f1';
+  textElement.style.borderRadius = '4px';
+  textElement.style.padding = '2px 4px';
+  textElement.focus();
+  
+  let finished = false;
+  const finish = (save) => {
+    if (finished) return;
+    finished = true;
+    transcriptEditingSegmentId = null;
+    if (save) {
+      correctTranscriptSegment(segmentId, textElement.textContent);
+    }
+    renderTranscriptSegments();
+  };
+  
+  textElement.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      finish(true);
+    } else if (e.key === 'Escape') {
+      finish(false);
+    }
+  });
+  textElement.addEventListener('blur', () => finish(true));
+}
+
+/**
+ * Scroll to the next/previous search match
+ * @param {number} direction - 1 next, -1 previous, 0 first
+ */
+function jumpToTranscriptMatch(direction) {
+  const matches = document.querySelectorAll('#lynkk-transcript-list .lynkk-transcript-segment[data-match="true"]');
+  if (matches.length === 0) return;
+  
+  transcriptSearchIndex = (transcriptSearchIndex + direction + matches.length) % matches.length;
+  matches.forEach(match => { match.style.backgroundColor = ''; });
+  
+  const target = matches[transcriptSearchIndex];
+  target.style.backgroundColor = '#eef2ff';
+  target.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  
+  const counter = document.getElementById('lynkk-transcript-match-count');
+  if (counter) counter.textContent = `${transcriptSearchIndex + 1}/${matches.length}`;
+}
+
+/**
+ * Render the segment list (skipped while a correction is being typed)
+ * @param {string} [emptyMessage] - Shown instead of the default when there are no segments
+ */
+function renderTranscriptSegments(emptyMessage) {
+  const list = document.getElementById('lynkk-transcript-list');
+  if (!list || transcriptEditingSegmentId) return;
+  
+  const query = transcriptSearchQuery.trim().toLowerCase();
+  const isProfessor = currentUser && currentUser.role === 'professor';
+  const stickToBottom = !query && list.scrollHeight - list.scrollTop - list.clientHeight < 40;
+  
+  if (transcriptSegments.length === 0) {
+    list.innerHTML = `
+      <div style="padding: 32px 20px; text-align: center; color: #6e6e80; font-size: 14px;">
+        ${escapeHTML(emptyMessage || (isProfessor ? 'Start voice capture to see the live transcript here.' : 'Nothing has been transcribed yet.'))}
+      </div>
+    `;
+  } else {
+    list.innerHTML = transcriptSegments.map((segment, index) => {
+      const showSpeaker = segment.speaker && (index === 0 || transcriptSegments[index - 1].speaker !== segment.speaker);
+      const matches = !!query && segment.text.toLowerCase().includes(query);
+      const editable = isProfessor && segment.status === 'buffered';
+      const time = new Date(segment.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+      
+      return `
+        <div class="lynkk-transcript-segment" data-segment-id="${segment.id}" data-match="${matches}" style="display: flex; gap: 10px; padding: 8px 6px; border-bottom: 1px solid #f1f5f9; border-radius: 6px;">
+          <div style="flex-shrink: 0; width: 64px; color: #94a3b8; font-size: 11px; font-variant-numeric: tabular-nums; padding-top: 2px;">${time}</div>
+          <div style="flex: 1; font-size: 14px; color: #1e293b; line-height: 1.5;">
+            ${showSpeaker ? `<strong style="color: ${segment.role === 'student' ? '#b45309' : '#475569'}; font-weight: 600; margin-right: 4px;">${escapeHTML(segment.speaker)}</strong>` : ''}
+            <span class="lynkk-transcript-text">${highlightTranscriptText(segment.text, query)}</span>
+            ${segment.corrected ? '<span title="Corrected before sending" style="color: #6366f1; font-size: 11px; margin-left: 4px;">edited</span>' : ''}
+          </div>
+          ${isProfessor ? `
+            <div style="flex-shrink: 0; display: flex; align-items: flex-start; gap: 4px;">
+              ${editable ? `
+                <button class="lynkk-transcript-edit" data-segment-id="${segment.id}" title="Correct before it is sent" style="background: none; border: none; cursor: pointer; color: #6366f1; font-size: 12px; padding: 2px 4px;">✏️</button>
+                <span style="font-size: 10px; color: #92400e; background: #fef3c7; padding: 2px 6px; border-radius: 9999px;">Not sent</span>
+              ` : `
+                <span style="font-size: 10px; color: #065f46; background: #d1fae5; padding: 2px 6px; border-radius: 9999px;">Sent</span>
+              `}
+            </div>
+          ` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+  
+  const counter = document.getElementById('lynkk-transcript-match-count');
+  if (counter) {
+    const count = query ? transcriptSegments.filter(segment => segment.text.toLowerCase().includes(query)).length : 0;
+    counter.textContent = query ? (count ? `${Math.min(transcriptSearchIndex + 1, count)}/${count}` : 'No matches') : '';
   }
   
-  document.body.appendChild(indicator);
+  if (stickToBottom) {
+    list.scrollTop = list.scrollHeight;
+  }
+  updateTranscriptInterim();
+}
+
+function highlightTranscriptText(text, query) {
+  if (!query) return escapeHTML(text);
   
-  // Add click handler for pause/resume/stop
-  indicator.addEventListener('click', () => {
-    if (isPaused) {
-      // Resume from pause
-      resumeVoiceCapture();
-    } else if (isActive) {
-      // Show options: pause or stop
-      const action = confirm('Pause voice capture temporarily? (Cancel to stop completely)');
-      if (action) {
-        pauseVoiceCapture();
-      } else {
-        // User cancelled - ask if they want to stop
-        const stop = confirm('Stop voice capture completely for this session?');
-        if (stop) {
-          stopVoiceCapture();
-        }
-      }
-    }
+  // Match on the raw text and escape each piece, so entities are never split
+  const lower = text.toLowerCase();
+  let html = '';
+  let index = 0;
+  let found;
+  while ((found = lower.indexOf(query, index)) !== -1) {
+    html += escapeHTML(text.slice(index, found)) +
+      `<mark style="background: #fde68a; border-radius: 2px;">${escapeHTML(text.slice(found, found + query.length))}</mark>`;
+    index = found + query.length;
+  }
+  return html + escapeHTML(text.slice(index));
+}
+
+/**
+ * Show what the engine is hearing right now under the segment list
+ */
+function updateTranscriptInterim() {
+  const interim = document.getElementById('lynkk-transcript-interim');
+  if (!interim) return;
+  
+  interim.textContent = transcriptInterimText;
+  interim.style.display = transcriptInterimText ? 'block' : 'none';
+}
+
+/**
+ * Save generated text (transcripts, diagnostics) through a temporary download link
+ */
+function downloadTextFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Redaction terms saved for any session (the Transcript tab keeps only the current one loaded)
+ */
+function readRedactionTerms(sessionId) {
+  return new Promise(resolve => {
+    chrome.storage.local.get([REDACTION_TERMS_STORAGE_KEY], (result) => {
+      const terms = (result[REDACTION_TERMS_STORAGE_KEY] || {})[sessionId];
+      resolve(Array.isArray(terms) ? terms : []);
+    });
   });
 }
 
+// Chunks go to the backend through the background transcript queue; an export waits this long for them
+const TRANSCRIPT_EXPORT_CONFIG = {
+  DELIVERY_WAIT_MS: 15000,
+  DELIVERY_POLL_MS: 500
+};
+
 /**
- * Update voice recognition UI with current status
- * @param {string} status - Current recognition status
+ * Wait until the background transcript queue has no chunk of the session left to send
+ * @param {string} sessionId
+ * @returns {Promise<boolean>} Whether everything was delivered in time
  */
-function updateVoiceRecognitionUI(status) {
-  const indicator = document.getElementById('lynkk-voice-indicator');
-  if (indicator && status) {
-    const statusEl = indicator.querySelector('.status-text');
-    if (statusEl) {
-      statusEl.textContent = status;
-    } else {
-      // Add status text if not present
-      indicator.innerHTML += `<div class="status-text" style="font-size: 10px; opacity: 0.9;">${status}</div>`;
-    }
+async function waitForTranscriptDelivery(sessionId) {
+  const deadline = Date.now() + TRANSCRIPT_EXPORT_CONFIG.DELIVERY_WAIT_MS;
+  while (true) {
+    const status = await AskLynkApi.sessions.getVoiceTranscriptStatus(sessionId);
+    if (!status.ok) return false;
+    if (status.data.pending === 0) return true;
+    if (Date.now() >= deadline) return false;
+    await new Promise(resolve => setTimeout(resolve, TRANSCRIPT_EXPORT_CONFIG.DELIVERY_POLL_MS));
   }
 }
 
+function renderTranscriptExportOptions() {
+  return Object.entries(AskLynkTranscriptExport.FORMATS).map(([id, format]) => `
+    <option value="${id}">${format.label}</option>
+  `).join('');
+}
+
 /**
- * Send transcript chunk to backend for processing and embedding generation
- * @param {string} transcript - The transcribed text chunk from speech
+ * Download a session's captured transcript as TXT, SRT, WebVTT or Markdown.
+ * The session's redaction terms are applied again, so terms added after class count too.
+ * @param {string} sessionId
+ * @param {string} format - Key of AskLynkTranscriptExport.FORMATS
+ * @param {{ title?: string, startedAt?: string }} [session]
  */
-async function sendTranscriptToBackend(transcript) {
-  Logger.log('🎤 sendTranscriptToBackend called with transcript:', transcript.substring(0, 100) + '...');
+async function exportSessionTranscript(sessionId, format, { title = '', startedAt = null } = {}) {
+  Logger.log('📄 Exporting transcript:', sessionId, format);
   
-  if (!transcript || transcript.length < 5) {
-    Logger.log('❌ Skipping short transcript:', transcript);
-    return; // Ignore very short utterances
+  const [response, terms] = await Promise.all([
+    AskLynkApi.sessions.getTranscriptChunks(sessionId, { all: true }),
+    readRedactionTerms(sessionId)
+  ]);
+  
+  if (!response.ok) {
+    Logger.error('❌ Could not load transcript for export:', response.error);
+    showToast(`Could not export transcript: ${response.error}`, 'error');
+    return false;
   }
   
-  Logger.log('✅ Sending transcript to backend (length:', transcript.length, ')');
+  const chunks = Array.isArray(response.data) ? response.data : (response.data?.chunks || response.data?.data || []);
+  const file = AskLynkTranscriptExport.build(format, chunks, { title, startedAt, terms });
+  if (file.entryCount === 0) {
+    showToast('No transcript has been captured for this session yet', 'info');
+    return false;
+  }
   
-  try {
-    // Check if user is authenticated (using cookie-based auth)
-    if (!currentUser) {
-      Logger.error('❌ User not authenticated - cannot send voice transcript');
-      return;
-    }
-    
-    Logger.log('✅ User authenticated for voice transcript:', currentUser.username || currentUser.email);
-    
-    if (!currentSessionId) {
-      Logger.error('❌ No current session ID available');
-      return;
-    }
-    
-    Logger.log('✅ Current session ID:', currentSessionId);
-    
-    const payload = {
-      transcript: transcript,
-      timestamp: new Date().toISOString(),
-      professorId: currentUser?.id,
-      sessionId: currentSessionId,
-      chunkIndex: Date.now(), // Simple chunk identifier
-      processingType: 'voice_chunk' // Helps backend identify this as voice data
-    };
-    
-    Logger.log('📤 Sending payload to backend:', {
-      ...payload,
-      transcript: payload.transcript.substring(0, 50) + '...'
-    });
-    
-    const apiUrl = `${API_BASE_URL}/api/sessions/${currentSessionId}/voice-transcript`;
-    Logger.log('🌐 API URL:', apiUrl);
-    
-    // Send transcript to backend for processing and embedding generation
-    chrome.runtime.sendMessage({
-      type: 'API_CALL',
-      url: apiUrl,
-      method: 'POST',
-      body: payload
-    }, (response) => {
-      Logger.log('📥 Backend response received:', response);
-      
-      if (response && response.ok) {
-        Logger.log('✅ Voice transcript processed successfully:', {
-          chunkLength: transcript.length,
-          processingTime: response.data?.processingTime,
-          embeddingGenerated: response.data?.embeddingGenerated
-        });
-        
-        // Optional: Show success indicator (but don't spam user)
-        if (response.data?.embeddingGenerated) {
-          Logger.log('🧠 Embedding generated for transcript chunk');
-        }
-      } else {
-        Logger.error('❌ Error processing voice transcript. Status:', response?.status);
-        Logger.error('❌ Error details:', response?.data);
-        Logger.error('❌ Error message:', response?.error);
-        Logger.error('❌ Full response object:', JSON.stringify(response, null, 2));
-        
-        // Show detailed error information
-        if (response?.data) {
-          Logger.error('🔍 Backend error details:', response.data);
-          if (response.data.message) {
-            Logger.error('🔍 Backend error message:', response.data.message);
-          }
-          if (response.data.errors) {
-            Logger.error('🔍 Backend validation errors:', response.data.errors);
-          }
-        }
-        
-        // For important errors, show user feedback
-        if (response?.error?.includes('authentication') || response?.error?.includes('session')) {
-          showToast('Voice processing error: ' + response.error, 'error');
-        }
-      }
-    });
-    
-  } catch (error) {
-    Logger.error('❌ Error sending transcript to backend:', error);
+  downloadTextFile(file.filename, file.content, file.mimeType);
+  showToast(`Transcript exported: ${file.filename}`, 'success');
+  return true;
+}
+
+// ==================== CANVAS RECAP ====================
+
+/**
+ * Canvas course an ended session belongs to: the backend's course binding, the local one,
+ * or the Canvas course page the professor is on (confirmed first, since the session was
+ * not created there). Sessions linked before hosts were recorded only get a host when the
+ * professor is on that course's page; without one the background cannot check the course
+ * is on the configured Canvas instance.
+ * @returns {Promise<{ courseId: string, courseName: string|null, host: string|null }|null>}
+ */
+async function resolveRecapCourse(session) {
+  const course = currentCourse();
+  const linked = (courseId, courseName, host) => {
+    const onCoursePage = course?.platform === 'canvas' && course.courseId === courseId;
+    return { courseId, courseName, host: host || (onCoursePage ? course.host : null) };
+  };
+
+  if (session.lms_platform === 'canvas' && session.course_id) {
+    return linked(String(session.course_id), session.course_name || null, session.lms_host);
+  }
+
+  const binding = (await loadCourseBindings())[session.id];
+  if (binding?.platform === 'canvas') {
+    return linked(String(binding.courseId), binding.courseName, binding.host);
+  }
+
+  if (course?.platform === 'canvas' &&
+      confirm(`"${session.title || 'This session'}" isn't linked to a Canvas course. Publish its recap to ${course.courseName || 'this course'}?`)) {
+    return { courseId: course.courseId, courseName: course.courseName, host: course.host };
+  }
+  return null;
+}
+
+/**
+ * Publish an ended session's recap (transcript summary, resolved questions with their
+ * responses, poll results) to its Canvas course as an unpublished page or announcement
+ * @param {Object} session - From the professor's session history
+ * @param {'page'|'announcement'} kind
+ * @param {HTMLElement} statusEl - Shows the outcome and the link to the draft
+ * @returns {Promise<boolean>} Whether a draft was created
+ */
+async function publishSessionRecap(session, kind, statusEl) {
+  const setStatus = (html, color = '#6b7280') => {
+    statusEl.style.display = 'block';
+    statusEl.style.color = color;
+    statusEl.innerHTML = html;
+  };
+
+  const course = await resolveRecapCourse(session);
+  if (!course) {
+    setStatus('Open the Canvas course page and try again, or create sessions from the course so they are linked to it.');
+    return false;
+  }
+  if (!course.host) {
+    setStatus(`Open ${escapeHTML(course.courseName || 'the linked course')} in Canvas and publish from there, so AskLynk can check it is on your Canvas site.`);
+    return false;
+  }
+
+  Logger.log('📤 Building recap for session', session.id, 'in Canvas course', course.courseId);
+  setStatus('Building recap...');
+
+  const [questionsResponse, pollsResponse, analyticsResponse, terms] = await Promise.all([
+    AskLynkApi.questions.listForSession(session.id, { resolved: true }),
+    AskLynkApi.polls.list(session.id),
+    AskLynkApi.sessions.getAnalytics(session.id),
+    readRedactionTerms(session.id)
+  ]);
+
+  const analytics = analyticsResponse.ok ? (analyticsResponse.data?.data || analyticsResponse.data) : null;
+  const recap = AskLynkRecap.build({
+    session,
+    questions: extractQuestionsFromResponse(questionsResponse).filter(question => question.resolved !== false),
+    polls: extractArrayFromResponse(pollsResponse),
+    transcriptSummary: analytics?.contentAnalysis?.transcriptSummary,
+    terms
+  });
+
+  if (!recap.counts.summary && recap.counts.questions === 0 && recap.counts.polls === 0) {
+    setStatus('Nothing to publish yet: this session has no summary, resolved questions or polls.');
+    return false;
+  }
+
+  setStatus(`Publishing to ${escapeHTML(course.courseName || 'Canvas')}...`);
+  const response = await AskLynkApi.canvas.publishDraft({
+    courseId: course.courseId,
+    host: course.host,
+    kind,
+    title: recap.title,
+    body: recap.html
+  });
+
+  if (!response.ok) {
+    Logger.error('❌ Could not publish recap to Canvas:', response.error);
+    const hint = response.data?.needsSettings ? ' Check the Canvas URL and access token in the AskLynk extension options.' : '';
+    setStatus(`Could not publish: ${escapeHTML(response.error)}.${hint}`, '#dc2626');
+    return false;
   }
+
+  const label = kind === 'page' ? 'Page' : 'Announcement';
+  const url = /^https?:\/\//.test(response.data?.url || '') ? response.data.url : null;
+  setStatus(
+    `✅ ${label} draft created (unpublished).` +
+    (url ? ` <a href="${escapeHTML(url)}" target="_blank" rel="noopener noreferrer" style="color: #4338ca;">Review it in Canvas</a>` : ''),
+    '#15803d'
+  );
+  showToast(`Recap saved to Canvas as an unpublished ${kind}`, 'success');
+  return true;
 }
 
 // ==================== CHAT UI FUNCTIONS ====================
@@ -1707,10 +3230,11 @@ function createDraggableChatButton() {
   // Set button content
   button.innerHTML = currentUser ? 'AL' : 'AL';
   
-  // Style the button with improved visibility
+  // Style the button with improved visibility; the platform adapter keeps it clear of call controls
+  const offset = currentPlatform?.buttonOffset || { bottom: 20, right: 20 };
   button.style.position = 'fixed';
-  button.style.bottom = '20px';
-  button.style.right = '20px';
+  button.style.bottom = `${offset.bottom}px`;
+  button.style.right = `${offset.right}px`;
   button.style.width = '56px';
   button.style.height = '56px';
   button.style.backgroundColor = currentUser ? '#4a66dd' : '#6c757d';
@@ -1734,8 +3258,8 @@ function createDraggableChatButton() {
   style.textContent = `
     @media (max-width: 768px) {
       #lynkk-float-button {
-        bottom: 10px !important;
-        right: 10px !important;
+        bottom: ${Math.max(offset.bottom - 10, 10)}px !important;
+        right: ${Math.max(offset.right - 10, 10)}px !important;
         width: 50px !important;
         height: 50px !important;
         font-size: 20px !important;
@@ -1744,8 +3268,8 @@ function createDraggableChatButton() {
     
     @media (max-width: 480px) {
       #lynkk-float-button {
-        bottom: 5px !important;
-        right: 5px !important;
+        bottom: ${Math.max(offset.bottom - 15, 5)}px !important;
+        right: ${Math.max(offset.right - 15, 5)}px !important;
         width: 48px !important;
         height: 48px !important;
       }
@@ -2008,6 +3532,9 @@ function renderRoleBasedDashboard() {
   const dashboardContainer = document.getElementById('lynkk-dashboard-container');
   if (!dashboardContainer) return;
   
+  // The dashboard replaces the session view, so the user has left the open session
+  unsubscribeFromSessionEvents();
+  
   // Clear the container
   dashboardContainer.innerHTML = '';
   
@@ -2023,6 +3550,7 @@ function renderRoleBasedDashboard() {
  * @param {HTMLElement} container - The container element
  */
 function renderProfessorDashboard(container) {
+  const course = currentCourse();
   container.innerHTML = `
     <div style="padding: 20px; font-family: 'Segoe UI', Roboto, -apple-system, BlinkMacSystemFont, sans-serif;">
       <div style="display: flex; margin-bottom: 24px; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.08);">
@@ -2036,6 +3564,11 @@ function renderProfessorDashboard(container) {
       
       <div id="lynkk-assistant-section" style="background-color: #ffffff; border-radius: 10px; padding: 28px; box-shadow: 0 3px 10px rgba(0,0,0,0.06);">
         <p style="margin-top: 0; margin-bottom: 28px; color: #4a5568; font-size: 15px; line-height: 1.5;">Create a new teaching session for your students to join.</p>
+        ${course ? `
+        <div id="lynkk-course-banner" style="margin: -12px 0 24px; padding: 10px 12px; background-color: #eef2ff; border-radius: 8px; color: #4338ca; font-size: 13px; line-height: 1.5;">
+          📚 Sessions you create here are linked to <strong>${escapeHTML(course.courseName || `this ${currentPlatform.label} course`)}</strong>; students in the course can join them with one click.
+        </div>
+        ` : ''}
         
         <button 
           id="lynkk-create-session-btn" 
@@ -2140,6 +3673,9 @@ function renderStudentDashboard(container) {
     <div class="student-dashboard" style="display: flex; flex-direction: column; height: 100%; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, sans-serif; background-color: #f8fafc;">      
       <!-- Content Area (scrollable) -->
       <div style="flex: 1; overflow-y: auto; padding: 16px;">
+        <!-- Live sessions of this page's LMS course (filled by loadCourseSessionsForStudent) -->
+        <div id="lynkk-course-sessions" style="display: none; background-color: white; border-radius: 8px; box-shadow: 0 1px 2px rgba(0,0,0,0.05); border-left: 3px solid #5373E7; padding: 16px; margin-bottom: 16px;"></div>
+        
         <!-- Join Session Card -->
         <div style="background-color: white; border-radius: 8px; box-shadow: 0 1px 2px rgba(0,0,0,0.05); padding: 16px; margin-bottom: 16px;">
           <h2 style="font-size: 18px; font-weight: 600; color: #334155; margin-top: 0; margin-bottom: 8px;">Join a Session</h2>
@@ -2222,8 +3758,9 @@ function renderStudentDashboard(container) {
     if (sessionCodeInput) sessionCodeInput.focus();
   }, 100);
   
-  // Load recent sessions
+  // Load recent sessions, and the course's live sessions on an LMS page
   loadStudentSessionHistory();
+  loadCourseSessionsForStudent();
   
   // Join session button functionality
   if (joinSessionBtn) {
@@ -2277,6 +3814,136 @@ function renderStudentDashboard(container) {
   }
 }
 
+// ==================== COURSE BINDING ====================
+
+// LMS course of sessions created or joined from a course page, by session ID:
+// { platform, host, courseId, courseName }. The backend stores the same binding on the session
+// (lms_platform/lms_host/course_id); this keeps it for sessions listed before the backend returns it.
+// Course IDs are only unique within one LMS instance, so a course is always matched with its host
+const COURSE_BINDINGS_STORAGE_KEY = 'courseBindingBySession';
+
+/**
+ * The LMS course the current page belongs to (src/platforms/lms.js), or null
+ */
+function currentCourse() {
+  return AskLynkLms.getCourseContext(currentPlatform);
+}
+
+function loadCourseBindings() {
+  return new Promise(resolve => {
+    chrome.storage.local.get([COURSE_BINDINGS_STORAGE_KEY], (result) => {
+      resolve(result[COURSE_BINDINGS_STORAGE_KEY] || {});
+    });
+  });
+}
+
+/**
+ * Remember that a session belongs to a course
+ * @param {string} sessionId
+ * @param {{ platform: string, host: string, courseId: string, courseName?: string }} course - From currentCourse()
+ */
+function bindSessionToCourse(sessionId, course) {
+  if (!sessionId || !course) return;
+  Logger.log('📚 Session', sessionId, 'bound to course', course.platform, course.host, course.courseId);
+
+  chrome.storage.local.get([COURSE_BINDINGS_STORAGE_KEY], (result) => {
+    const bySession = {
+      ...(result[COURSE_BINDINGS_STORAGE_KEY] || {}),
+      [sessionId]: { platform: course.platform, host: course.host, courseId: course.courseId, courseName: course.courseName || null }
+    };
+    chrome.storage.local.set({ [COURSE_BINDINGS_STORAGE_KEY]: bySession });
+  });
+}
+
+/**
+ * Split a session list into the given course's sessions and the rest, keeping their order
+ */
+function splitCourseSessions(sessions, course, bindings = {}) {
+  const courseSessions = [];
+  const otherSessions = [];
+
+  sessions.forEach(session => {
+    const binding = bindings[session.id] || {};
+    const platform = session.lms_platform || binding.platform;
+    const host = session.lms_host || binding.host;
+    const courseId = session.course_id || binding.courseId;
+    const inCourse = !!course && platform === course.platform && host === course.host &&
+      String(courseId) === String(course.courseId);
+    (inCourse ? courseSessions : otherSessions).push(session);
+  });
+
+  return { courseSessions, otherSessions };
+}
+
+/**
+ * Fill the student dashboard's course card with the course's live sessions, each joinable
+ * with one click instead of typing its code. The card stays hidden when there are none.
+ */
+async function loadCourseSessionsForStudent() {
+  const card = document.getElementById('lynkk-course-sessions');
+  const course = currentCourse();
+  if (!card || !course || !currentUser) return;
+
+  const response = await AskLynkApi.sessions.listForCourse(course);
+  const sessions = extractArrayFromResponse(response).filter(session => session.status === 'active');
+  if (!response.ok) {
+    Logger.warn('⚠️ Could not load course sessions:', response.error);
+  }
+  if (sessions.length === 0) {
+    card.style.display = 'none';
+    return;
+  }
+
+  card.innerHTML = `
+    <h2 style="font-size: 16px; font-weight: 600; color: #334155; margin: 0 0 4px;">📚 Live in ${escapeHTML(course.courseName || `this ${currentPlatform.label} course`)}</h2>
+    <p style="font-size: 13px; color: #64748b; margin: 0 0 12px;">Your professor started ${sessions.length === 1 ? 'a session' : 'sessions'} for this course.</p>
+    ${sessions.map(session => `
+      <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px; padding: 8px 0; border-top: 1px solid #f1f5f9;">
+        <span style="font-size: 14px; font-weight: 500; color: #334155; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHTML(session.title || 'Untitled Session')}</span>
+        <button
+          class="lynkk-course-join-btn"
+          data-session-code="${escapeHTML(session.join_code || session.code || '')}"
+          style="flex-shrink: 0; padding: 6px 14px; background-color: #5373E7; color: white; border: none; border-radius: 6px; font-size: 13px; font-weight: 500; cursor: pointer;"
+        >
+          Join
+        </button>
+      </div>
+    `).join('')}
+  `;
+  card.style.display = 'block';
+
+  card.querySelectorAll('.lynkk-course-join-btn').forEach(button => {
+    button.addEventListener('click', () => joinCourseSession(button.getAttribute('data-session-code'), course, button));
+  });
+}
+
+/**
+ * One-click join from the course card
+ * @param {string} sessionCode
+ * @param {Object} course - From currentCourse()
+ * @param {HTMLButtonElement} button - Shows progress while joining
+ */
+async function joinCourseSession(sessionCode, course, button) {
+  if (!sessionCode) return;
+  button.disabled = true;
+  button.textContent = 'Joining...';
+
+  const response = await AskLynkApi.sessions.join(sessionCode);
+  const sessionData = response.ok && response.data ? (response.data.data || response.data) : null;
+
+  if (!sessionData || !sessionData.id) {
+    Logger.error('Error joining course session:', response.error);
+    showToast(response.error || 'Could not join the session', 'error');
+    button.disabled = false;
+    button.textContent = 'Join';
+    return;
+  }
+
+  bindSessionToCourse(sessionData.id, course);
+  showToast('Successfully joined session!', 'success');
+  openSession(sessionData.id);
+}
+
 // ==================== SESSION MANAGEMENT FUNCTIONS ====================
 
 function loadProfessorSessionHistory() {
@@ -2312,7 +3979,7 @@ function loadProfessorSessionHistory() {
       const loginBtn = document.getElementById('lynkk-login-btn');
       if (loginBtn) {
         loginBtn.addEventListener('click', () => {
-          chrome.runtime.sendMessage({ type: 'OPEN_AUTH_PAGE' });
+          chrome.runtime.sendMessage({ type: 'START_SIGN_IN' });
         });
       }
       return;
@@ -2339,24 +4006,19 @@ function loadProfessorSessionHistory() {
         const retryLoginBtn = document.getElementById('lynkk-retry-login');
         if (retryLoginBtn) {
           retryLoginBtn.addEventListener('click', () => {
-            chrome.runtime.sendMessage({ type: 'OPEN_AUTH_PAGE' });
+            chrome.runtime.sendMessage({ type: 'START_SIGN_IN' });
           });
         }
         return;
   }
       
   const professorId = currentUser.id;
-  const apiBaseUrl = API_BASE_URL;
-  const sessionsUrl = `${apiBaseUrl}/api/sessions/professor/${professorId}`;
+  const course = currentCourse();
+  let courseBindings = {};
   
-  Logger.log('Fetching sessions from URL:', sessionsUrl);
+  Logger.log('Fetching sessions for professor:', professorId);
   
-  // Make API request for sessions using background script proxy
-  chrome.runtime.sendMessage({
-    type: 'API_CALL',
-    url: sessionsUrl,
-    method: 'GET'
-      }, (response) => {
+  const renderProfessorSessions = (response) => {
         Logger.log('Session API response:', response);
         
         if (!response || !response.ok) {
@@ -2441,9 +4103,12 @@ function loadProfessorSessionHistory() {
           return;
         }
         
+        // This course's sessions come first, in their own group (see COURSE BINDING)
+        const { courseSessions, otherSessions } = splitCourseSessions(sessions, course, courseBindings);
+        
         // Group sessions by date for better organization
         const dateGroups = {};
-        sessions.forEach(session => {
+        otherSessions.forEach(session => {
           const date = new Date(session.created_at);
           const dateKey = date.toDateString();
           
@@ -2458,20 +4123,30 @@ function loadProfessorSessionHistory() {
           return new Date(b) - new Date(a);
         });
         
-        // Generate HTML for sessions grouped by date
-        let html = '<div style="padding: 10px 0;">';
-        
-        sortedDateKeys.forEach(dateKey => {
-          const dateSessions = dateGroups[dateKey];
+        const groups = sortedDateKeys.map(dateKey => {
           const date = new Date(dateKey);
           const isToday = new Date().toDateString() === dateKey;
           const isYesterday = new Date(Date.now() - 86400000).toDateString() === dateKey;
           
-          let dateLabel = isToday 
-            ? 'Today' 
-            : isYesterday 
-              ? 'Yesterday' 
-              : date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+          return {
+            label: isToday 
+              ? 'Today' 
+              : isYesterday 
+                ? 'Yesterday' 
+                : date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' }),
+            sessions: dateGroups[dateKey]
+          };
+        });
+        if (courseSessions.length > 0) {
+          groups.unshift({ label: `📚 ${escapeHTML(course.courseName || `This ${currentPlatform.label} course`)}`, sessions: courseSessions });
+        }
+        
+        // Generate HTML for sessions grouped by date
+        let html = '<div style="padding: 10px 0;">';
+        
+        groups.forEach(group => {
+          const dateSessions = group.sessions;
+          const dateLabel = group.label;
           
           html += `
             <div style="margin-bottom: 20px;">
@@ -2591,6 +4266,44 @@ function loadProfessorSessionHistory() {
                     </button>
                     `}
                   </div>
+                  
+                  <!-- Transcript export -->
+                  <div style="display: flex; gap: 8px; margin-top: 10px;">
+                    <select 
+                      class="lynkk-export-format" 
+                      style="flex: 1; padding: 8px; border: 1px solid #e5e7eb; border-radius: 8px; font-size: 13px; background: white; color: #374151;"
+                    >
+                      ${renderTranscriptExportOptions()}
+                    </select>
+                    <button 
+                      data-session-id="${session.id}" 
+                      class="lynkk-export-transcript-btn" 
+                      style="background: #eef2ff; color: #4338ca; border: 1px solid #e0e7ff; padding: 8px 12px; cursor: pointer; font-size: 13px; font-weight: 500; border-radius: 8px;"
+                    >
+                      📄 Export Transcript
+                    </button>
+                  </div>
+                  
+                  ${isActive ? '' : `
+                  <!-- Canvas recap -->
+                  <div style="display: flex; gap: 8px; margin-top: 10px;">
+                    <select 
+                      class="lynkk-canvas-recap-kind" 
+                      style="flex: 1; padding: 8px; border: 1px solid #e5e7eb; border-radius: 8px; font-size: 13px; background: white; color: #374151;"
+                    >
+                      <option value="page">Canvas page (draft)</option>
+                      <option value="announcement">Canvas announcement (draft)</option>
+                    </select>
+                    <button 
+                      data-session-id="${session.id}" 
+                      class="lynkk-canvas-recap-btn" 
+                      style="background: #eef2ff; color: #4338ca; border: 1px solid #e0e7ff; padding: 8px 12px; cursor: pointer; font-size: 13px; font-weight: 500; border-radius: 8px;"
+                    >
+                      📤 Publish Recap
+                    </button>
+                  </div>
+                  <div class="lynkk-canvas-recap-status" style="display: none; margin-top: 6px; font-size: 12px; line-height: 1.4;"></div>
+                  `}
                 </div>
               </div>
             `;
@@ -2611,7 +4324,9 @@ function loadProfessorSessionHistory() {
         document.querySelectorAll('.lynkk-session-header').forEach(header => {
           header.addEventListener('click', (e) => {
             // Ignore clicks on buttons
-            if (e.target.closest('.lynkk-open-session-btn') || e.target.closest('.lynkk-end-session-btn')) {
+            if (e.target.closest('.lynkk-open-session-btn') || e.target.closest('.lynkk-end-session-btn') ||
+                e.target.closest('.lynkk-export-transcript-btn') || e.target.closest('.lynkk-export-format') ||
+                e.target.closest('.lynkk-canvas-recap-btn') || e.target.closest('.lynkk-canvas-recap-kind')) {
               return;
             }
             
@@ -2663,6 +4378,35 @@ function loadProfessorSessionHistory() {
           });
         });
         
+        // Export the captured transcript in the format picked next to the button
+        document.querySelectorAll('.lynkk-export-transcript-btn').forEach(button => {
+          button.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const sessionId = button.getAttribute('data-session-id');
+            const session = sessions.find(entry => String(entry.id) === sessionId) || {};
+            const format = button.closest('.lynkk-session-details').querySelector('.lynkk-export-format').value;
+            
+            button.disabled = true;
+            await exportSessionTranscript(sessionId, format, { title: session.title, startedAt: session.created_at });
+            button.disabled = false;
+          });
+        });
+        
+        // Publish an ended session's recap to its Canvas course as a draft
+        document.querySelectorAll('.lynkk-canvas-recap-btn').forEach(button => {
+          button.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const sessionId = button.getAttribute('data-session-id');
+            const session = sessions.find(entry => String(entry.id) === sessionId);
+            const details = button.closest('.lynkk-session-details');
+            if (!session) return;
+            
+            button.disabled = true;
+            await publishSessionRecap(session, details.querySelector('.lynkk-canvas-recap-kind').value, details.querySelector('.lynkk-canvas-recap-status'));
+            button.disabled = false;
+          });
+        });
+        
         // Add event listeners for end session buttons
         document.querySelectorAll('.lynkk-end-session-btn').forEach(button => {
           button.addEventListener('click', (e) => {
@@ -2685,7 +4429,14 @@ function loadProfessorSessionHistory() {
             button.style.transform = 'translateY(0)';
           });
         });
-      });
+  };
+  
+  // Cached copy renders first; a fresher copy re-renders if the list changed
+  loadCourseBindings().then((bindings) => {
+    courseBindings = bindings;
+    AskLynkApi.sessions.listForProfessor(professorId, { slot: 'professor-sessions', onRevalidated: renderProfessorSessions })
+      .then(renderProfessorSessions);
+  });
   }
 /**
 * Function to load student's session history
@@ -2706,17 +4457,10 @@ async function loadStudentSessionHistory() {
   
     // Using cookie-based auth - no tokens needed
     const userId = currentUser.id;
+    const course = currentCourse();
+    const courseBindings = await loadCourseBindings();
     
-    // Fetch student's session history with UPDATED URL
-    chrome.runtime.sendMessage({
-        type: 'API_CALL',
-        // Fix URL to match your backend API route
-        url: `${API_BASE_URL}/api/students/${userId}/sessions`,
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      }, (response) => {
+    const renderStudentSessions = (response) => {
         // Rest of the function remains the same
         Logger.log('Student session history response:', response);
         if (!response.ok || response.error) {
@@ -2729,7 +4473,9 @@ async function loadStudentSessionHistory() {
           return;
         }
     
-    const sessions = response.data || [];
+    // Sessions bound to the course on this page come first
+    const { courseSessions, otherSessions } = splitCourseSessions(response.data || [], course, courseBindings);
+    const sessions = [...courseSessions, ...otherSessions];
     
     if (sessions.length === 0) {
       sessionListContainer.innerHTML = `
@@ -2755,6 +4501,7 @@ async function loadStudentSessionHistory() {
               <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 6px;">
                 <span style="font-family: monospace; font-size: 12px; color: #64748b; background-color: #f1f5f9; padding: 2px 6px; border-radius: 4px;">${session.code}</span>
                 <span style="font-size: 12px; color: white; background-color: ${isActive ? '#22c55e' : '#94a3b8'}; padding: 2px 6px; border-radius: 4px;">${isActive ? 'Active' : 'Ended'}</span>
+                ${courseSessions.includes(session) ? '<span style="font-size: 12px; color: #4338ca; background-color: #eef2ff; padding: 2px 6px; border-radius: 4px;">📚 This course</span>' : ''}
               </div>
             </div>
             <div style="font-size: 12px; color: #64748b;">${date}</div>
@@ -2818,7 +4565,11 @@ async function loadStudentSessionHistory() {
         button.style.backgroundColor = '#5373E7';
       });
     });
-  });
+    };
+    
+    // Cached copy renders first; a fresher copy re-renders if the list changed
+    AskLynkApi.sessions.listForStudent(userId, { slot: 'student-sessions', onRevalidated: renderStudentSessions })
+      .then(renderStudentSessions);
 }
 
 /**
@@ -2848,29 +4599,8 @@ function endSession(sessionId) {
   }
   
   // Send the API request to end the session
-  chrome.runtime.sendMessage({
-    type: 'API_CALL',
-    url: `${API_BASE_URL}/api/sessions/${sessionId}/end`,
-    method: 'PUT',
-    headers: {
-      'Content-Type': 'application/json'
-    }
-  }, (response) => {
-    if (chrome.runtime.lastError) {
-      Logger.error('Runtime error:', chrome.runtime.lastError);
-      alert(`Error ending session: ${chrome.runtime.lastError.message}`);
-      
-      // Restore button
-      if (endButton) {
-        endButton.innerHTML = originalContent;
-        endButton.disabled = false;
-        endButton.style.opacity = '1';
-        endButton.style.cursor = 'pointer';
-      }
-      return;
-    }
-    
-    if (!response.ok || response.error) {
+  AskLynkApi.sessions.end(sessionId).then((response) => {
+    if (!response.ok) {
       Logger.error('API response error:', response.error || 'Unknown error');
       alert(`Error ending session: ${response.error || 'Unknown error'}`);
       
@@ -2884,6 +4614,11 @@ function endSession(sessionId) {
       return;
     }
     
+    // Nothing more will happen in an ended session; stop its event stream and polling
+    if (realtimeSessionId === sessionId) {
+      unsubscribeFromSessionEvents();
+    }
+    
     // Success - reload the session list
     loadProfessorSessionHistory();
   });
@@ -3021,6 +4756,20 @@ function endSession(sessionId) {
 //   document.getElementById('lynkk-session-title').focus();
 // }
 
+/**
+ * Suggested session title: the meeting's title during a call, the course on an LMS page
+ */
+function defaultSessionTitle() {
+  if (currentPlatform?.isInMeeting()) {
+    return currentPlatform.getMeetingTitle() || '';
+  }
+  const course = currentCourse();
+  if (!course?.courseName) return '';
+  return course.pageTitle && course.pageTitle !== course.courseName
+    ? `${course.courseName} - ${course.pageTitle}`
+    : course.courseName;
+}
+
 /**
  * Function to show create session modal inside the chat container
  */
@@ -3054,6 +4803,7 @@ function showCreateSessionModal() {
           <input 
             id="lynkk-session-title" 
             type="text" 
+            value="${escapeHTML(defaultSessionTitle())}"
             style="width: 100%; padding: 12px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 14px; transition: border-color 0.2s;"
             placeholder="Enter a title for your session"
           />
@@ -3068,6 +4818,43 @@ function showCreateSessionModal() {
           ></textarea>
         </div>
         
+        <div style="margin-bottom: 20px;">
+          <label style="display: block; margin-bottom: 8px; font-weight: 500; font-size: 14px; color: #374151;">Lecture Language</label>
+          <select 
+            id="lynkk-session-language" 
+            style="width: 100%; padding: 12px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 14px; background: white;"
+          >
+            ${renderLectureLanguageOptions(lectureLanguage)}
+          </select>
+          <div style="color: #6b7280; font-size: 12px; margin-top: 4px;">Used for live transcription. You can switch it during the session from the recording indicator.</div>
+        </div>
+        
+        <div style="margin-bottom: 20px;">
+          <label style="display: block; margin-bottom: 8px; font-weight: 500; font-size: 14px; color: #374151;">Transcript Chunking</label>
+          <select 
+            id="lynkk-session-chunking" 
+            style="width: 100%; padding: 12px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 14px; background: white;"
+          >
+            ${renderChunkingProfileOptions()}
+          </select>
+          <div style="color: #6b7280; font-size: 12px; margin-top: 4px;">Chunks end on sentences and pauses. Shorter chunks reach the AI sooner; longer ones keep whole explanations together.</div>
+        </div>
+        
+        ${currentPlatform?.captions ? `
+        <div style="margin-bottom: 20px;">
+          <label style="display: block; margin-bottom: 8px; font-weight: 500; font-size: 14px; color: #374151;">Transcript Source</label>
+          <select 
+            id="lynkk-session-capture-source" 
+            style="width: 100%; padding: 12px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 14px; background: white;"
+          >
+            ${Object.entries(VOICE_CAPTURE_SOURCES).map(([value, label]) => `
+              <option value="${value}" ${value === voiceCaptureSource ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+          <div style="color: #6b7280; font-size: 12px; margin-top: 4px;">${currentPlatform?.label} captions leave the microphone to ${currentPlatform?.label}. Turn captions on in the call.</div>
+        </div>
+        ` : ''}
+        
         <div style="margin-bottom: 20px;">
           <label style="display: block; margin-bottom: 8px; font-weight: 500; font-size: 14px; color: #374151;">Session Type</label>
           <div style="display: flex; gap: 10px;">
@@ -3208,9 +4995,14 @@ async function createSession() {
   const titleInput = document.getElementById('lynkk-session-title');
   const descriptionInput = document.getElementById('lynkk-session-description');
   const sessionTypeInputs = document.querySelectorAll('input[name="session-type"]');
+  const languageInput = document.getElementById('lynkk-session-language');
   
   const title = titleInput.value.trim();
   const description = descriptionInput.value.trim();
+  const language = normalizeLectureLanguage(languageInput?.value);
+  const captureSource = document.getElementById('lynkk-session-capture-source')?.value || null; // Platforms with captions only
+  const chunkingProfileId = AskLynkChunking.resolveProfile(document.getElementById('lynkk-session-chunking')?.value);
+  const course = currentCourse(); // LMS course page the session is created from, if any
   let sessionType = 'lecture'; // Default
   
   // Get selected session type
@@ -3271,41 +5063,40 @@ async function createSession() {
     }
     
     // Make API request to create session using background script proxy
-    chrome.runtime.sendMessage({
-      type: 'API_CALL',
-      url: `${API_BASE_URL}/api/sessions`,
-      method: 'POST',
-      body: {
-        title: title,
-        description: description || null,
-        type: sessionType
-      }
-    }, (response) => {
+    AskLynkApi.sessions.create({
+      title: title,
+      description: description,
+      type: sessionType,
+      language: language,
+      // Links the session to the call or LMS course it was created in
+      platform: currentPlatform?.id || null,
+      meetingId: currentPlatform?.getMeetingId() || null,
+      course
+    }).then((response) => {
       // Reset button state
       submitButton.innerHTML = originalButtonHTML;
       submitButton.disabled = false;
       
-      if (chrome.runtime.lastError) {
-        Logger.error('Runtime error:', chrome.runtime.lastError);
-        showToast(`Error: ${chrome.runtime.lastError.message}`, 'error');
-        return;
-      }
-      
-      if (!response.ok || response.error) {
-        Logger.error('API response error:', response.error || 'Unknown error');
-        showToast(`Error creating session: ${response.error || 'Unknown error'}`, 'error');
+      if (!response.ok) {
+        Logger.error('API response error:', response.errorCode, response.error);
+        showToast(`Error creating session: ${response.error}`, 'error');
         return;
       }
       
       Logger.log('Session created successfully:', response.data);
       
+      if (course) {
+        bindSessionToCourse(response.data.id || response.data.data?.id, course);
+      }
+      
       // Start voice capture for the new session if user is professor
       if (currentUser && currentUser.role === 'professor' && response.data) {
         const sessionId = response.data.id || response.data.data?.id;
         if (sessionId) {
           Logger.log('Starting voice capture for new session:', sessionId);
+          setChunkingProfile(sessionId, chunkingProfileId);
           setTimeout(() => {
-            startVoiceCapture(sessionId);
+            startVoiceCapture(sessionId, response.data.language || response.data.data?.language || language, captureSource);
           }, 1000); // Small delay to ensure session is fully set up
         }
       }
@@ -3642,12 +5433,7 @@ Logger.log('wwwwwOpening session with ID:', sessionData.data.id);
             Logger.log('Attempting to join session with code:', sessionCode);
             
             // Make API request to join session using background script proxy
-            chrome.runtime.sendMessage({
-                type: 'API_CALL',
-                url: `${API_BASE_URL}/api/sessions/join`,
-                method: 'POST',
-                body: { code: sessionCode }
-            }, (response) => {
+            AskLynkApi.sessions.join(sessionCode).then((response) => {
             // Reset button state
             joinButton.innerHTML = originalContent;
             joinButton.disabled = false;
@@ -3746,12 +5532,8 @@ async function openSession(sessionId) {
     }
     
     // Fetch session data
-    chrome.runtime.sendMessage({
-      type: 'API_CALL',
-      url: `${API_BASE_URL}/api/sessions/${sessionId}`,
-      method: 'GET'
-    }, (response) => {
-      if (!response.ok || response.error) {
+    AskLynkApi.sessions.get(sessionId).then((response) => {
+      if (!response.ok) {
         Logger.error('Error fetching session:', response.error || 'Unknown error');
         showToast('Could not open session. Please try again later.', 'error');
         return;
@@ -3771,7 +5553,7 @@ async function openSession(sessionId) {
         if (currentUser && currentUser.role === 'professor') {
           Logger.log('Starting voice capture for session:', sessionId);
           setTimeout(() => {
-            startVoiceCapture(sessionId);
+            startVoiceCapture(sessionId, session.language || session.data?.language);
           }, 1000); // Small delay to ensure session is fully set up
         }
         
@@ -3781,6 +5563,9 @@ async function openSession(sessionId) {
         // Load session data (messages, polls, etc.)
         loadSessionData(sessionId);
         
+        // Keep views live via pushed events instead of polling
+        subscribeToSessionEvents(sessionId);
+        
         // Load previous AI conversations for this session
         loadPreviousAIConversations().then(messages => {
           Logger.log(`Loaded ${messages.length} previous AI messages for this session`);
@@ -3842,94 +5627,82 @@ async function loadSessionData(sessionId) {
       chrome.storage.local.get(['authState'], result => resolve(result.authState || {}));
     });
   
+    // Each loader runs once with the cached copy and again if the background finds newer data.
+    // Late copies for a session the user already left are ignored.
+    const isCurrentSession = () => currentSessionId === sessionId;
+    const loadCached = async (fetcher, slot, apply) => {
+      const onRevalidated = (response) => {
+        if (isCurrentSession()) {
+          apply(response);
+        }
+      };
+      onRevalidated(await fetcher({ slot, onRevalidated }));
+    };
+  
     // Load messages
     Logger.log('Fetching messages...');
-    const messagesResponse = await new Promise(resolve => {
-      chrome.runtime.sendMessage({
-        type: 'API_CALL',
-        url: `${API_BASE_URL}/api/sessions/${sessionId}/messages`,
-        method: 'GET'
-      }, resolve);
+    await loadCached(cache => AskLynkApi.messages.list(sessionId, cache), 'session-messages', (messagesResponse) => {
+      if (messagesResponse.ok && messagesResponse.data) {
+        Logger.log(`Loaded ${messagesResponse.data.length} messages`);
+        // Store messages in local storage
+        chrome.storage.local.set({ sessionMessages: messagesResponse.data });
+        // Render chat messages (won't be visible until chat tab is active)
+        renderChatMessages(messagesResponse.data);
+      } else {
+        Logger.error('Failed to load messages:', messagesResponse.error);
+      }
     });
     
-    if (messagesResponse.ok && messagesResponse.data) {
-      Logger.log(`Loaded ${messagesResponse.data.length} messages`);
-      // Store messages in local storage
-      chrome.storage.local.set({ sessionMessages: messagesResponse.data });
-      // Render chat messages (won't be visible until chat tab is active)
-      renderChatMessages(messagesResponse.data);
-    } else {
-      Logger.error('Failed to load messages:', messagesResponse.error);
-    }
-    
     // Load polls
     Logger.log('Fetching polls...');
-    const pollsResponse = await new Promise(resolve => {
-      chrome.runtime.sendMessage({
-        type: 'API_CALL',
-        url: `${API_BASE_URL}/api/sessions/${sessionId}/polls`,
-        method: 'GET'
-      }, resolve);
+    await loadCached(cache => AskLynkApi.polls.list(sessionId, cache), 'session-polls', (pollsResponse) => {
+      if (pollsResponse.ok && pollsResponse.data) {
+        Logger.log(`Loaded ${pollsResponse.data.length} polls`);
+        // Store polls in local storage
+        chrome.storage.local.set({ sessionPolls: pollsResponse.data });
+        // Render polls (won't be visible until polls tab is active)
+        renderPolls(pollsResponse.data);
+      } else {
+        Logger.error('Failed to load polls:', pollsResponse.error);
+      }
     });
     
-    if (pollsResponse.ok && pollsResponse.data) {
-      Logger.log(`Loaded ${pollsResponse.data.length} polls`);
-      // Store polls in local storage
-      chrome.storage.local.set({ sessionPolls: pollsResponse.data });
-      // Render polls (won't be visible until polls tab is active)
-      renderPolls(pollsResponse.data);
-    } else {
-      Logger.error('Failed to load polls:', pollsResponse.error);
-    }
-    
     // Load anonymous questions (for students)
     Logger.log('Fetching anonymous questions...');
-    const anonymousResponse = await new Promise(resolve => {
-      chrome.runtime.sendMessage({
-        type: 'API_CALL',
-        url: `${API_BASE_URL}/api/anonymous/user/${sessionId}`,
-        method: 'GET',
-        headers: {}
-      }, resolve);
-    });
-    Logger.log('Anonymous questions response:', anonymousResponse);
-    if (anonymousResponse.ok && anonymousResponse.data) {
-      Logger.log(`Loaded ${anonymousResponse.data.length} anonymous questions`);
-      // Store anonymous questions in local storage
-      chrome.storage.local.set({ anonymousQuestions: anonymousResponse.data });
-      
-      // FIX 2: Use the new function name instead of the removed one
-      // Get the container and call the new function
-      const container = document.getElementById('lynkk-student-questions-history-container');
-      if (container) {
-        loadStudentQuestionsForSession(sessionId);
-      } else {
-        Logger.log('Student questions container not found - will load later when tab is active');
+    await loadCached(cache => AskLynkApi.anonymous.listMineForUser(sessionId, cache), 'session-anonymous', (anonymousResponse) => {
+      Logger.log('Anonymous questions response:', anonymousResponse);
+      if (anonymousResponse.ok && anonymousResponse.data) {
+        Logger.log(`Loaded ${anonymousResponse.data.length} anonymous questions`);
+        // Store anonymous questions in local storage
+        chrome.storage.local.set({ anonymousQuestions: anonymousResponse.data });
+        
+        // FIX 2: Use the new function name instead of the removed one
+        // Get the container and call the new function
+        const container = document.getElementById('lynkk-student-questions-history-container');
+        if (container) {
+          loadStudentQuestionsForSession(sessionId);
+        } else {
+          Logger.log('Student questions container not found - will load later when tab is active');
+        }
       }
-    }
+    });
     
     // Setup session analytics (student count, message count, etc.)
     Logger.log('Fetching analytics...');
-    const analyticsResponse = await new Promise(resolve => {
-      chrome.runtime.sendMessage({
-        type: 'API_CALL',
-        url: `${API_BASE_URL}/api/sessions/${sessionId}/analytics`,
-        method: 'GET'
-      }, resolve);
+    await loadCached(cache => AskLynkApi.sessions.getAnalytics(sessionId, cache), 'session-analytics', (analyticsResponse) => {
+      // Better error handling
+      if (analyticsResponse.ok && analyticsResponse.data) {
+        Logger.log('Loaded analytics:', analyticsResponse.data);
+        // Store analytics in local storage
+        chrome.storage.local.set({ sessionAnalytics: analyticsResponse.data });
+        // Update analytics display
+        updateAnalyticsDisplay(analyticsResponse.data);
+      } else {
+        Logger.error('Failed to load analytics:', analyticsResponse.error || 'Unknown error');
+        // Display fallback message in UI
+        updateAnalyticsDisplay(null);
+      }
     });
-
-    // Better error handling
-    if (analyticsResponse.ok && analyticsResponse.data) {
-      Logger.log('Loaded analytics:', analyticsResponse.data);
-      // Store analytics in local storage
-      chrome.storage.local.set({ sessionAnalytics: analyticsResponse.data });
-      // Update analytics display
-      updateAnalyticsDisplay(analyticsResponse.data);
-    } else {
-      Logger.error('Failed to load analytics:', analyticsResponse.error || 'Unknown error');
-      // Display fallback message in UI
-      updateAnalyticsDisplay(null);
-    }
   } catch (error) {
     Logger.error('Error loading session data:', error);
   }
@@ -3990,6 +5763,308 @@ function updateAnalyticsDisplay(analytics) {
     }
   }
 
+// ==================== REAL-TIME SESSION EVENTS ====================
+
+/**
+ * Subscribe this tab to pushed events for a session (one stream per session lives in the background)
+ * @param {string} sessionId - The session ID
+ */
+function subscribeToSessionEvents(sessionId) {
+  if (!sessionId || realtimeSessionId === sessionId) return;
+  
+  if (realtimeSessionId) {
+    unsubscribeFromSessionEvents();
+  }
+  
+  realtimeSessionId = sessionId;
+  realtimeConnected = false;
+  
+  chrome.runtime.sendMessage({ type: 'REALTIME_SUBSCRIBE', sessionId }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      Logger.warn('⚠️ Realtime subscribe failed, falling back to polling:', chrome.runtime.lastError?.message || response?.error);
+      startRealtimeFallback();
+      return;
+    }
+    
+    Logger.log('📡 Subscribed to realtime events for session:', sessionId);
+    setRealtimeConnected(response.connected);
+  });
+}
+
+/**
+ * Drop the current session subscription and any fallback polling
+ */
+function unsubscribeFromSessionEvents() {
+  if (!realtimeSessionId) return;
+  
+  chrome.runtime.sendMessage({ type: 'REALTIME_UNSUBSCRIBE', sessionId: realtimeSessionId }, () => {
+    // Ignore lastError - the background may already have torn the channel down
+    void chrome.runtime.lastError;
+  });
+  
+  stopRealtimeFallback();
+  realtimeSessionId = null;
+  realtimeConnected = false;
+}
+
+/**
+ * Track stream health; polling only runs while the stream is down
+ * @param {boolean} connected - Whether the event stream is live
+ */
+function setRealtimeConnected(connected) {
+  realtimeConnected = !!connected;
+  
+  if (realtimeConnected) {
+    stopRealtimeFallback();
+  } else {
+    startRealtimeFallback();
+  }
+}
+
+function startRealtimeFallback() {
+  if (realtimeFallbackTimer || !realtimeSessionId) return;
+  
+  Logger.log('⏱️ Realtime unavailable - polling session data every', REALTIME_FALLBACK_REFRESH_MS / 1000, 'seconds');
+  realtimeFallbackTimer = setInterval(() => {
+    if (document.visibilityState === 'visible' && realtimeSessionId) {
+      loadSessionData(realtimeSessionId);
+      document.dispatchEvent(new CustomEvent('lynkk:questions-changed', { detail: { sessionId: realtimeSessionId } }));
+    }
+  }, REALTIME_FALLBACK_REFRESH_MS);
+}
+
+function stopRealtimeFallback() {
+  if (realtimeFallbackTimer) {
+    clearInterval(realtimeFallbackTimer);
+    realtimeFallbackTimer = null;
+  }
+}
+
+/**
+ * Apply a pushed session event to whichever views are currently rendered
+ * @param {string} sessionId - The session the event belongs to
+ * @param {Object} event - { type, data }
+ */
+function handleSessionEvent(sessionId, event) {
+  if (!event || sessionId !== realtimeSessionId) return;
+  
+  Logger.log('⚡ Session event:', event.type, event.data);
+  
+  switch (event.type) {
+    case 'question.created':
+    case 'question.voted':
+    case 'question.resolved':
+      // Professor dashboard listens for this and re-runs its current search/filter/sort
+      document.dispatchEvent(new CustomEvent('lynkk:questions-changed', { detail: { sessionId, event } }));
+      
+      if (document.getElementById('lynkk-student-questions-history-container')) {
+        loadStudentQuestionsForSession(sessionId);
+      }
+      if (document.getElementById('lynkk-class-questions')) {
+        loadClassQuestionsForSession(sessionId);
+      }
+      break;
+      
+    case 'poll.opened':
+    case 'poll.answered':
+      chrome.storage.local.get(['sessionPolls'], (result) => {
+        const polls = Array.isArray(result.sessionPolls) ? result.sessionPolls : [];
+        const poll = event.data?.poll || event.data;
+        if (!poll || !poll.id) return;
+        
+        const index = polls.findIndex(p => p.id === poll.id);
+        if (index >= 0) {
+          polls[index] = { ...polls[index], ...poll };
+        } else {
+          polls.unshift(poll);
+        }
+        
+        chrome.storage.local.set({ sessionPolls: polls }, () => renderPolls(polls));
+      });
+      break;
+      
+    case 'chat.message':
+      chrome.storage.local.get(['sessionMessages'], (result) => {
+        const messages = Array.isArray(result.sessionMessages) ? result.sessionMessages : [];
+        const message = event.data?.message || event.data;
+        if (!message || messages.some(m => m.id === message.id)) return;
+        
+        messages.push(message);
+        chrome.storage.local.set({ sessionMessages: messages }, () => renderChatMessages(messages));
+      });
+      break;
+      
+    case 'transcript.chunk':
+      receiveTranscriptChunk(sessionId, event.data?.chunk || event.data || {});
+      break;
+      
+    case 'analytics.delta':
+      chrome.storage.local.get(['sessionAnalytics'], (result) => {
+        const analytics = { ...(result.sessionAnalytics || {}) };
+        Object.entries(event.data || {}).forEach(([key, delta]) => {
+          if (typeof delta === 'number') {
+            analytics[key] = (analytics[key] || 0) + delta;
+          }
+        });
+        
+        chrome.storage.local.set({ sessionAnalytics: analytics }, () => updateAnalyticsDisplay(analytics));
+      });
+      break;
+      
+    default:
+      Logger.log('ℹ️ Ignoring unknown session event:', event.type);
+  }
+}
+
+// ==================== OFFLINE OUTBOX ====================
+
+const OUTBOX_STATUS_STYLES = {
+  pending: { label: 'Pending', color: '#92400e', background: '#fef3c7' },
+  sent: { label: 'Sent', color: '#065f46', background: '#d1fae5' },
+  failed: { label: 'Failed', color: '#991b1b', background: '#fee2e2' }
+};
+
+// Queued writes without a Retry/Dismiss list; the background drops them once rejected
+const OUTBOX_KIND_LABELS = {
+  chat: 'Your chat message',
+  vote: 'Your vote',
+  poll_answer: 'Your poll answer'
+};
+
+/**
+ * Small status pill for an item that went through the outbox
+ * @param {string} outboxId - The background outbox entry ID
+ * @param {string} status - pending | sent | failed
+ * @returns {string} HTML for the badge
+ */
+function renderOutboxBadge(outboxId, status) {
+  const style = OUTBOX_STATUS_STYLES[status] || OUTBOX_STATUS_STYLES.pending;
+  return `
+    <span class="lynkk-outbox-status" data-outbox-id="${outboxId}" data-status="${status}" style="display: inline-flex; align-items: center; gap: 4px; font-size: 11px; font-weight: 500; padding: 2px 8px; border-radius: 9999px; color: ${style.color}; background-color: ${style.background};">
+      ${status === 'pending' ? '⏳' : status === 'sent' ? '✓' : '⚠️'} ${style.label}
+    </span>
+  `;
+}
+
+/**
+ * Update every badge rendered for an outbox entry
+ * @param {string} outboxId - The background outbox entry ID
+ * @param {string} status - pending | sent | failed
+ */
+function setOutboxBadgeStatus(outboxId, status) {
+  document.querySelectorAll(`.lynkk-outbox-status[data-outbox-id="${outboxId}"]`).forEach(badge => {
+    badge.outerHTML = renderOutboxBadge(outboxId, status);
+  });
+}
+
+/**
+ * Run a callback when a queued write is finally sent or rejected
+ * @param {string} outboxId - The background outbox entry ID
+ * @param {Function} callback - Receives the OUTBOX_UPDATED entry
+ */
+function onOutboxUpdate(outboxId, callback) {
+  outboxCallbacks.set(outboxId, callback);
+}
+
+/**
+ * Apply a status change pushed from the background outbox
+ * @param {Object} entry - { id, status, kind, sessionId, preview, lastError, response }
+ */
+function handleOutboxUpdate(entry) {
+  if (!entry || !entry.id) return;
+  
+  Logger.log('📮 Outbox update:', entry.id, entry.status);
+  setOutboxBadgeStatus(entry.id, entry.status);
+  
+  const callback = outboxCallbacks.get(entry.id);
+  if (callback && entry.status !== 'pending') {
+    outboxCallbacks.delete(entry.id);
+    try {
+      callback(entry);
+    } catch (error) {
+      Logger.error('Error in outbox callback:', error);
+    }
+  }
+  
+  if (entry.kind === 'question') {
+    if (entry.status === 'sent') {
+      showToast('Your question was delivered', 'success');
+    } else if (entry.status === 'failed') {
+      showToast('Your question could not be delivered', 'error');
+    }
+    
+    if (entry.status !== 'pending' && entry.sessionId === currentSessionId) {
+      loadStudentQuestionsForSession(entry.sessionId);
+      loadClassQuestionsForSession(entry.sessionId);
+    }
+  } else if (entry.status === 'failed' && !callback) {
+    // Items rendered on this page report their own failure from the callback
+    showToast(`${OUTBOX_KIND_LABELS[entry.kind] || 'A queued change'} could not be delivered`, 'error');
+  }
+}
+
+/**
+ * List questions still sitting in the outbox (queued or rejected) above the student's history
+ * @param {string} sessionId - The session ID
+ */
+function renderOutboxQuestions(sessionId) {
+  const container = document.getElementById('lynkk-student-questions-history-container');
+  if (!container) return;
+  
+  chrome.runtime.sendMessage({ type: 'OUTBOX_LIST', sessionId }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) return;
+    
+    const questions = response.entries.filter(entry => entry.kind === 'question');
+    let list = document.getElementById('lynkk-outbox-questions');
+    
+    if (questions.length === 0) {
+      if (list) list.remove();
+      return;
+    }
+    
+    if (!list) {
+      list = document.createElement('div');
+      list.id = 'lynkk-outbox-questions';
+      list.style.cssText = 'margin-bottom: 12px; display: flex; flex-direction: column; gap: 8px;';
+      container.prepend(list);
+    }
+    
+    list.innerHTML = '';
+    questions.forEach(entry => {
+      const item = document.createElement('div');
+      item.style.cssText = 'padding: 10px 12px; border: 1px dashed #cbd5e1; border-radius: 8px; background-color: #f8fafc;';
+      item.innerHTML = `
+        <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px;">
+          <p class="lynkk-outbox-preview" style="margin: 0; font-size: 14px; color: #334155; word-break: break-word;"></p>
+          ${renderOutboxBadge(entry.id, entry.status)}
+        </div>
+        ${entry.status === 'failed' ? `
+          <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 6px; font-size: 12px; color: #991b1b;">
+            <span class="lynkk-outbox-error"></span>
+            <span>
+              <button class="lynkk-outbox-retry" style="background: none; border: none; color: #4f46e5; cursor: pointer; font-size: 12px;">Retry</button>
+              <button class="lynkk-outbox-discard" style="background: none; border: none; color: #6b7280; cursor: pointer; font-size: 12px;">Dismiss</button>
+            </span>
+          </div>
+        ` : ''}
+      `;
+      item.querySelector('.lynkk-outbox-preview').textContent = entry.preview || 'Question';
+      
+      if (entry.status === 'failed') {
+        item.querySelector('.lynkk-outbox-error').textContent = entry.lastError || 'Not delivered';
+        item.querySelector('.lynkk-outbox-retry').addEventListener('click', () => {
+          chrome.runtime.sendMessage({ type: 'OUTBOX_RETRY', outboxId: entry.id }, () => renderOutboxQuestions(sessionId));
+        });
+        item.querySelector('.lynkk-outbox-discard').addEventListener('click', () => {
+          chrome.runtime.sendMessage({ type: 'OUTBOX_DISCARD', outboxId: entry.id }, () => renderOutboxQuestions(sessionId));
+        });
+      }
+      
+      list.appendChild(item);
+    });
+  });
+}
+
 // ==================== SESSION TABS & UI FUNCTIONS ====================
 
 
@@ -4271,6 +6346,10 @@ function renderSessionTabs() {
               <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M22 12h-4l-3 9L9 3l-3 9H2"/></svg>
               <span>Polls</span>
             </button>
+            <button id="lynkk-transcript-tab" class="lynkk-tab" data-tab="transcript">
+              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/></svg>
+              <span>Transcript</span>
+            </button>
           </nav>
         </div>
         
@@ -4292,6 +6371,14 @@ function renderSessionTabs() {
               
               <!-- Input area -->
               <div style="padding: 20px; border-top: 1px solid #e5e5e5; background: #ffffff;">
+                ${AskLynkPageContext.isAvailable(currentPlatform) ? `
+                <div style="max-width: 768px; margin: 0 auto 8px; display: flex; align-items: center; gap: 8px;">
+                  <button id="lynkk-ask-page" title="Send this ${currentPlatform.label} page's content with your question" style="display: inline-flex; align-items: center; gap: 4px; padding: 4px 10px; background: #f5f7fa; border: 1px solid #e0e7ff; border-radius: 999px; color: #4338ca; font-size: 12px; font-weight: 500; cursor: pointer;">
+                    📄 Ask about this page
+                  </button>
+                  <span id="lynkk-page-context-chip" style="display: none; align-items: center; gap: 8px; max-width: 100%; padding: 4px 10px; background: #eef2ff; border-radius: 999px; color: #4338ca; font-size: 12px;"></span>
+                </div>
+                ` : ''}
                 <div style="max-width: 768px; margin: 0 auto; position: relative;">
                   <textarea 
                     id="lynkk-ai-input" 
@@ -4346,6 +6433,53 @@ function renderSessionTabs() {
               </div>
             </div>
           </div>
+          
+          <!-- Transcript Tab -->
+          <div id="lynkk-transcript-content" class="lynkk-content">
+            <div style="display: flex; flex-direction: column; height: 100%; background-color: #ffffff;">
+              <div style="display: flex; align-items: center; gap: 6px; padding: 10px 4px; border-bottom: 1px solid #e2e8f0;">
+                <input 
+                  id="lynkk-transcript-search" 
+                  type="search" 
+                  placeholder="Search transcript..." 
+                  style="flex: 1; padding: 8px 12px; border: 1px solid #d1d5db; border-radius: 8px; font-size: 13px; outline: none;"
+                />
+                <span id="lynkk-transcript-match-count" style="font-size: 11px; color: #64748b; min-width: 48px; text-align: center;"></span>
+                <button id="lynkk-transcript-prev" title="Previous match" style="background: none; border: 1px solid #e2e8f0; border-radius: 6px; cursor: pointer; padding: 4px 8px; color: #475569;">↑</button>
+                <button id="lynkk-transcript-next" title="Next match" style="background: none; border: 1px solid #e2e8f0; border-radius: 6px; cursor: pointer; padding: 4px 8px; color: #475569;">↓</button>
+              </div>
+              ${currentUser && currentUser.role === 'professor' ? `
+              <div style="display: flex; align-items: center; gap: 6px; padding: 8px 4px; border-bottom: 1px solid #e2e8f0;">
+                <select id="lynkk-transcript-export-format" style="flex: 1; padding: 4px 6px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 12px; background: white;">
+                  ${renderTranscriptExportOptions()}
+                </select>
+                <button id="lynkk-transcript-export" style="background: #eef2ff; color: #4338ca; border: 1px solid #e0e7ff; border-radius: 6px; cursor: pointer; padding: 4px 10px; font-size: 12px;">📄 Export</button>
+              </div>
+              ` : ''}
+              ${currentUser && currentUser.role === 'professor' ? `
+              <div style="padding: 8px 4px; border-bottom: 1px solid #e2e8f0;">
+                <div style="display: flex; gap: 6px; margin-bottom: 6px;">
+                  <input 
+                    id="lynkk-redaction-input" 
+                    type="text" 
+                    placeholder="🛡️ Names or terms to mask (comma-separated)" 
+                    style="flex: 1; padding: 6px 10px; border: 1px solid #d1d5db; border-radius: 8px; font-size: 12px; outline: none;"
+                  />
+                  <button id="lynkk-redaction-add" style="background: #6366f1; color: white; border: none; border-radius: 8px; cursor: pointer; padding: 6px 10px; font-size: 12px;">Mask</button>
+                </div>
+                <div id="lynkk-redaction-terms" style="display: flex; flex-wrap: wrap; gap: 4px;"></div>
+                <label style="display: flex; align-items: center; gap: 6px; margin-top: 6px; font-size: 12px; color: #475569;">
+                  ✂️ Chunking
+                  <select id="lynkk-chunking-profile" style="flex: 1; padding: 4px 6px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 12px; background: white;">
+                    ${renderChunkingProfileOptions()}
+                  </select>
+                </label>
+              </div>
+              ` : ''}
+              <div id="lynkk-transcript-list" style="flex: 1; overflow-y: auto; padding: 4px;"></div>
+              <div id="lynkk-transcript-interim" style="display: none; padding: 8px 12px; margin: 4px; background: #f5f3ff; border-left: 3px solid #8b5cf6; border-radius: 6px; color: #6d28d9; font-size: 13px; font-style: italic;"></div>
+            </div>
+          </div>
         </div>
         
         <!-- Input Boxes - Only for Chat Tab -->
@@ -4440,6 +6574,13 @@ function renderSessionTabs() {
       });
       aiSendBtn.setAttribute('data-handler-added', 'true');
     }
+    
+    // LMS pages: attach the page's content to the next question
+    const askPageBtn = document.getElementById('lynkk-ask-page');
+    if (askPageBtn) {
+      askPageBtn.addEventListener('click', attachPageContext);
+      renderPageContextChip();
+    }
 
     // Initialize AI interface based on session status
     initializeAIInterface();
@@ -4457,6 +6598,8 @@ function renderSessionTabs() {
     
     // Render custom components for the anonymous tab
     renderAnonymousComponents();
+    
+    initializeTranscriptPanel();
   }
 
 /**
@@ -4770,6 +6913,17 @@ function renderProfessorQuestionDashboard(container, sessionId) {
     }
   }
 
+  // Pushed question events for this session trigger a refresh with the current controls
+  function handleQuestionsChanged(e) {
+    if (!container.isConnected) {
+      document.removeEventListener('lynkk:questions-changed', handleQuestionsChanged);
+      return;
+    }
+    if (e.detail?.sessionId === sessionId) {
+      refreshQuestions();
+    }
+  }
+
   // Centralized function to fetch questions
   function refreshQuestions() {
     const searchInput = document.getElementById('lynkk-question-search');
@@ -4793,7 +6947,7 @@ function renderProfessorQuestionDashboard(container, sessionId) {
     
     // Set up the refresh interval - only refreshes when tab is visible
     refreshInterval = setInterval(() => {
-      if (document.visibilityState === 'visible') {
+      if (document.visibilityState === 'visible' && !realtimeConnected) {
         Logger.log('Auto-refreshing questions...');
         refreshQuestions();
       }
@@ -4924,6 +7078,9 @@ function renderProfessorQuestionDashboard(container, sessionId) {
       });
     }
     
+    // Refresh when the realtime channel reports question changes
+    document.addEventListener('lynkk:questions-changed', handleQuestionsChanged);
+    
     // Set up search input event with debounce
     if (searchInput) {
       searchInput.addEventListener('input', debounce(() => {
@@ -4977,6 +7134,7 @@ document.addEventListener('visibilitychange', handleVisibilityChange);
 return () => {
   Logger.log('Running dashboard cleanup function');
   document.removeEventListener('visibilitychange', handleVisibilityChange);
+  document.removeEventListener('lynkk:questions-changed', handleQuestionsChanged);
   stopAutoRefresh();
   if (container._cleanupOverridden) {
     Element.prototype.remove = originalRemove;
@@ -5011,49 +7169,37 @@ function fetchAndDisplayQuestions(sessionId, sortBy = 'latest', options = {}) {
     questionsList.classList.add('loading');
   }
   
-  // Build the URL with query parameters
-  let url = `${API_BASE_URL}/api/sessions/${sessionId}/questions`;
-  const queryParams = [];
+  // Build the query parameters
+  const query = {};
   
   // Add filter parameters
   if (filter !== 'all') {
     if (filter === 'resolved') {
-      queryParams.push('resolved=true');
+      query.resolved = 'true';
     } else if (filter === 'unresolved') {
-      queryParams.push('resolved=false');
+      query.resolved = 'false';
     } else if (filter === 'anonymous') {
-      queryParams.push('type=anonymous');
+      query.type = 'anonymous';
     } else if (filter === 'priority') {
-      queryParams.push('minRelevance=0.8');
+      query.minRelevance = '0.8';
     }
   }
   
   // Add sort parameter
   if (sortBy) {
-    queryParams.push(`sortBy=${sortBy}`);
+    query.sortBy = sortBy;
   }
   
   // Add search parameter if present
   if (search.trim()) {
-    queryParams.push(`search=${encodeURIComponent(search.trim())}`);
-  }
-  
-  if (queryParams.length > 0) {
-    url += '?' + queryParams.join('&');
+    query.search = search.trim();
   }
   
-  Logger.log("Fetching questions from:", url);
+  Logger.log("Fetching questions with:", query);
   
   // Make the API request with error handling
   try {
-    chrome.runtime.sendMessage({
-      type: 'API_CALL',
-      url: url,
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    }, (response) => {
+    const renderResponse = (response) => {
       // Always remove the loading state
       questionsList.classList.remove('loading');
       
@@ -5077,7 +7223,11 @@ function fetchAndDisplayQuestions(sessionId, sortBy = 'latest', options = {}) {
       
       // Sort and render questions
       renderQuestionsList(questionsList, questions, sortBy, sessionId);
-    });
+    };
+    
+    // Cached copy renders first; a fresher copy re-renders if the questions changed
+    AskLynkApi.questions.listForSession(sessionId, query, { slot: 'professor-questions', onRevalidated: renderResponse })
+      .then(renderResponse);
   } catch (error) {
     // Handle any unexpected errors
     Logger.error("Unexpected error:", error);
@@ -5547,15 +7697,7 @@ function resolveQuestion(sessionId, questionId, resolved) {
     button.style.cursor = 'wait';
     
     // Make the API request
-    chrome.runtime.sendMessage({
-      type: 'API_CALL',
-      url: `${API_BASE_URL}/api/sessions/${sessionId}/questions/${questionId}/resolve`,
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: { resolved }
-    }, (response) => {
+    AskLynkApi.questions.setResolvedInSession(sessionId, questionId, resolved).then((response) => {
       // Restore button state
       button.disabled = false;
       button.style.opacity = '1';
@@ -6002,14 +8144,7 @@ function refreshAnonymousIdentityInBackground(sessionId, currentName) {
   Logger.log(`Refreshing anonymous identity in background for session ${sessionId}...`);
   
   // Make API request without blocking the main flow
-  chrome.runtime.sendMessage({
-    type: 'API_CALL',
-    url: `${API_BASE_URL}/api/anonymous/${sessionId}/identity`,
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json'
-    }
-  }, (response) => {
+  AskLynkApi.anonymous.getIdentity(sessionId).then((response) => {
     try {
       if (!response || !response.ok) {
         Logger.log("Background refresh failed, keeping current identity");
@@ -6059,14 +8194,7 @@ function refreshAnonymousIdentityInBackground(sessionId, currentName) {
 
 // Helper function to make the actual API request
 function makeIdentityApiRequest(sessionId, resolve, reject) {
-  chrome.runtime.sendMessage({
-    type: 'API_CALL',
-    url: `${API_BASE_URL}/api/anonymous/${sessionId}/identity`,
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json'
-    }
-  }, (response) => {
+  AskLynkApi.anonymous.getIdentity(sessionId).then((response) => {
     Logger.log("Identity API response:", response);
     
     try {
@@ -6226,37 +8354,28 @@ function generateTemporaryName() {
       Logger.log(`Submitting question as ${identity.anonymous_name}`);
       
       // Submit question with synchronized identity
-      return new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          type: 'API_CALL',
-          url: `${API_BASE_URL}/api/anonymous/${sessionId}/questions`,
-          method: 'POST',
-          timeoutMS: 10000, // 10 second timeout
-          headers: {
-                'Content-Type': 'application/json'
-          },
-          body: {
-            content: questionText.trim(),
-            is_anonymous: true
-          }
-        }, (response) => {
-          if (!response || !response.ok) {
-            Logger.error('Failed to submit question:', response);
-            return reject(new Error(response?.data?.error || 'Failed to submit question'));
-          }
-          
-          Logger.log('Question submitted successfully');
-          
-          // Update any UI elements as needed
-          const questionsList = document.getElementById('lynkk-class-questions');
-          if (questionsList) {
-            // Trigger a refresh of questions
-            loadClassQuestionsForSession(sessionId);
-          }
-          
-          resolve(response.data);
-        });
-      });
+      const response = await AskLynkApi.anonymous.submitQuestion(sessionId, questionText.trim());
+      
+      if (response.queued) {
+        Logger.log('📮 Question queued for delivery:', response.outboxId);
+        return { queued: true, outboxId: response.outboxId };
+      }
+      
+      if (!response.ok) {
+        Logger.error('Failed to submit question:', response.errorCode, response.error);
+        throw new Error(response.error || 'Failed to submit question');
+      }
+      
+      Logger.log('Question submitted successfully');
+      
+      // Update any UI elements as needed
+      const questionsList = document.getElementById('lynkk-class-questions');
+      if (questionsList) {
+        // Trigger a refresh of questions
+        loadClassQuestionsForSession(sessionId);
+      }
+      
+      return response.data;
     } catch (error) {
       Logger.error('Error submitting question:', error);
       throw error;
@@ -6354,14 +8473,7 @@ function renderStudentQuestionHistory(container, sessionId) {
   `;
   
   // This function uses a different endpoint - critical fix from your original code
-  chrome.runtime.sendMessage({
-    type: 'API_CALL',
-    url: `${API_BASE_URL}/api/anonymous/${sessionId}/questions`,
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json'
-    }
-  }, (response) => {
+  AskLynkApi.anonymous.listMine(sessionId).then((response) => {
     Logger.log("Student history response:", response);
   
     try {
@@ -7102,14 +9214,7 @@ function loadClassQuestionsForSession(sessionId) {
   `;
   
   // Make API request to the correct endpoint
-  chrome.runtime.sendMessage({
-    type: 'API_CALL',
-    url: `${API_BASE_URL}/api/anonymous/session/${sessionId}`,
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json'
-    }
-  }, (response) => {
+  AskLynkApi.anonymous.listForSession(sessionId).then((response) => {
     Logger.log("Class questions response:", response);
     
     try {
@@ -7359,13 +9464,17 @@ window.voteQuestion = function(questionId, voteType) {
   }, 200);
 
   // API call to vote
-  chrome.runtime.sendMessage({
-    type: 'API_CALL',
-    url: `${API_BASE_URL}/api/questions/${questionId}/vote`,
-    method: 'POST',
-    body: { vote_type: voteType }
-  }, (response) => {
-    if (response && response.ok) {
+  AskLynkApi.questions.vote(questionId, voteType, sessionId).then((response) => {
+    if (response && response.queued) {
+      showToast("You're offline - your vote will be sent when you reconnect", 'info');
+      onOutboxUpdate(response.outboxId, (entry) => {
+        if (entry.status === 'sent') {
+          loadClassQuestionsForSession(sessionId);
+        } else {
+          showToast('Your vote could not be recorded', 'error');
+        }
+      });
+    } else if (response && response.ok) {
       Logger.log('Vote recorded successfully');
       // Refresh the questions to show updated counts
       setTimeout(() => loadClassQuestionsForSession(sessionId), 500);
@@ -7387,12 +9496,7 @@ window.markAsAnswered = function(questionId) {
   button.innerHTML = '⏳ Updating...';
   button.disabled = true;
 
-  chrome.runtime.sendMessage({
-    type: 'API_CALL',
-    url: `${API_BASE_URL}/api/questions/${questionId}/resolve`,
-    method: 'POST',
-    body: { resolved: true }
-  }, (response) => {
+  AskLynkApi.questions.markAnswered(questionId).then((response) => {
     if (response && response.ok) {
       Logger.log('Question marked as answered');
       button.innerHTML = '✓ Answered';
@@ -7469,12 +9573,7 @@ window.sendQuestionResponse = function(questionId, response) {
   
   Logger.log(`Sending response to question ${questionId}:`, response);
   
-  chrome.runtime.sendMessage({
-    type: 'API_CALL',
-    url: `${API_BASE_URL}/api/questions/${questionId}/respond`,
-    method: 'POST',
-    body: { response: response.trim() }
-  }, (result) => {
+  AskLynkApi.questions.respond(questionId, response.trim()).then((result) => {
     if (result && result.ok) {
       showNotification('Response sent successfully!', 'success');
       markAsAnswered(questionId);
@@ -7551,14 +9650,7 @@ function loadStudentQuestionsForSession(sessionId) {
     </div>
   `;
   
-  chrome.runtime.sendMessage({
-    type: 'API_CALL',
-    url: `${API_BASE_URL}/api/anonymous/${sessionId}/questions`,
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json'
-    }
-  }, (response) => {
+  AskLynkApi.anonymous.listMine(sessionId).then((response) => {
     try {
       Logger.log("Student questions response:", response);
       
@@ -7588,6 +9680,7 @@ function loadStudentQuestionsForSession(sessionId) {
             <p style="margin: 0; font-size: 14px; color: #64748b; max-width: 260px;">You haven't asked any questions in this session. Use the form above to get started!</p>
           </div>
         `;
+        renderOutboxQuestions(sessionId);
         return;
       }
       
@@ -7673,6 +9766,9 @@ function loadStudentQuestionsForSession(sessionId) {
       container.innerHTML = html;
       Logger.log(`Rendered ${sortedQuestions.length} questions for session ${sessionId}`);
       
+      // Questions still waiting in the offline outbox go on top
+      renderOutboxQuestions(sessionId);
+      
       // Add hover effects with JavaScript
       const questionCards = container.querySelectorAll('.lynkk-my-question-card');
       questionCards.forEach(card => {
@@ -7852,15 +9948,17 @@ function setupQuestionForm(sessionId) {
         Logger.log('Submitting question with toggle state:', anonymousToggle ? anonymousToggle.checked : 'toggle not found');
         
         // Use different API calls based on toggle state
+        let result;
         if (!anonymousToggle || anonymousToggle.checked) {
           // Submit anonymously
           Logger.log('Submitting as ANONYMOUS user');
-          await submitAnonymousQuestion(sessionId, questionText);
+          result = await submitAnonymousQuestion(sessionId, questionText);
         } else {
           // Submit with real identity
           Logger.log('Submitting as REAL user');
-          await submitIdentifiedQuestion(sessionId, questionText);
+          result = await submitIdentifiedQuestion(sessionId, questionText);
         }
+        const queued = !!(result && result.queued);
         
         // Success - clear input
         questionInput.value = '';
@@ -7871,9 +9969,11 @@ function setupQuestionForm(sessionId) {
         
         // Show success feedback
         if (feedbackElement) {
-          feedbackElement.textContent = 'Question submitted successfully!';
-          feedbackElement.style.backgroundColor = '#d1fae5';
-          feedbackElement.style.color = '#065f46';
+          feedbackElement.textContent = queued
+            ? "You're offline - your question is saved and will be sent automatically."
+            : 'Question submitted successfully!';
+          feedbackElement.style.backgroundColor = queued ? '#fef3c7' : '#d1fae5';
+          feedbackElement.style.color = queued ? '#92400e' : '#065f46';
           feedbackElement.style.padding = '8px 12px';
           feedbackElement.style.borderRadius = '6px';
           feedbackElement.style.display = 'block';
@@ -7920,38 +10020,28 @@ async function submitIdentifiedQuestion(sessionId, questionText) {
     
     Logger.log('Submitting identified question for session:', sessionId);
     
-    return new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({
-        type: 'API_CALL',
-        url: `${API_BASE_URL}/api/anonymous/${sessionId}/identified-questions`,
-        method: 'POST',
-        timeoutMS: 10000, // Add timeout for consistency
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: {
-          content: questionText.trim()
-          // Note: 'type' parameter is unnecessary as the endpoint already knows it's for identified questions
-        }
-      }, (response) => {
-        Logger.log('Identified question API response:', response);
-        
-        if (!response || !response.ok) {
-          reject(new Error(response?.error || 'Failed to submit question'));
-        } else {
-          Logger.log('Identified question submitted successfully');
-          
-          // Update any UI elements as needed
-          const questionsList = document.getElementById('lynkk-class-questions');
-          if (questionsList) {
-            // Trigger a refresh of questions
-            loadClassQuestionsForSession(sessionId);
-          }
-          
-          resolve(response.data);
-        }
-      });
-    });
+    const response = await AskLynkApi.anonymous.submitIdentifiedQuestion(sessionId, questionText.trim());
+    Logger.log('Identified question API response:', response);
+    
+    if (response.queued) {
+      Logger.log('📮 Question queued for delivery:', response.outboxId);
+      return { queued: true, outboxId: response.outboxId };
+    }
+    
+    if (!response.ok) {
+      throw new Error(response.error || 'Failed to submit question');
+    }
+    
+    Logger.log('Identified question submitted successfully');
+    
+    // Update any UI elements as needed
+    const questionsList = document.getElementById('lynkk-class-questions');
+    if (questionsList) {
+      // Trigger a refresh of questions
+      loadClassQuestionsForSession(sessionId);
+    }
+    
+    return response.data;
   } catch (error) {
     Logger.error('Error submitting identified question:', error);
     throw error;
@@ -7975,14 +10065,7 @@ function loadRecentQuestionsPreview(sessionId) {
   if (!container) return;
   
   // Make API request for recent questions, limit to 3
-  chrome.runtime.sendMessage({
-    type: 'API_CALL',
-    url: `${API_BASE_URL}/api/anonymous/session/${sessionId}?limit=3`,
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json'
-    }
-  }, (response) => {
+  AskLynkApi.anonymous.listForSession(sessionId, 3).then((response) => {
     try {
       if (!response || !response.ok) {
         container.innerHTML = `<p style="font-size: 11px; color: #6b7280; text-align: center;">Could not load recent questions</p>`;
@@ -8056,14 +10139,7 @@ function loadClassQuestions(sessionId, targetContainer) {
   container.style.display = 'block';
   
   // Use the proper endpoint and handle the response correctly
-  chrome.runtime.sendMessage({
-    type: 'API_CALL',
-    url: `${API_BASE_URL}/api/anonymous/session/${sessionId}`,
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json'
-    }
-  }, (response) => {
+  AskLynkApi.anonymous.listForSession(sessionId).then((response) => {
     Logger.log("Class questions response:", response);
     
     try {
@@ -8302,9 +10378,9 @@ async function sendSmartAIMessage(question = null) {
     throttleTime: currentTime
   });
   
-  if (activeSession && activeSession.id) {
-    // User is in a session - use context-aware AI (with relevance scoring)
-    Logger.log('🎓 Using Context-Aware AI (Session Context)');
+  if ((activeSession && activeSession.id) || attachedPageContext) {
+    // User is in a session or asking about the LMS page - use context-aware AI
+    Logger.log('🎓 Using Context-Aware AI', attachedPageContext ? '(Page Context)' : '(Session Context)');
     await sendContextAwareAIMessage(question);
   } else {
     // User is not in a session - use generic AI (no relevance scoring)
@@ -8377,20 +10453,10 @@ async function sendGenericAIMessage(question = null) {
 
 /**
  * Stream generic AI response with real-time updates
- * TODO: Implement streaming through background script proxy
  * @param {string} question - The user's question
  * @param {string} messageId - The message ID to update
  */
 async function streamGenericAIResponse(question, messageId) {
-  // DISABLED: Streaming API calls must go through background script
-  // This function needs to be rewritten to use background proxy
-  const messageElement = document.getElementById(messageId);
-  if (messageElement) {
-    messageElement.innerHTML = '<div style="color: #999;">Streaming API temporarily disabled - needs background proxy implementation</div>';
-  }
-  return;
-  
-  // Original streaming code commented out:
   try {
     // Check if user is authenticated (with new cookie-based auth)
     let userAuthenticated = false;
@@ -8404,66 +10470,53 @@ async function streamGenericAIResponse(question, messageId) {
       authenticated: userAuthenticated
     });
     
-    // TODO: Streaming API calls need to be routed through background script
-    // For now, use makeApiCall for non-streaming version
-    const response = await makeApiCall(`${API_BASE_URL}/api/ai-general/general/ask`, 'POST', { question });
+    // Stream through the background proxy so cookies and allowlisting apply
+    const stream = AskLynkApi.ai.streamGeneralAnswer(question);
+    const opened = await stream.opened;
     
-    if (!response.ok) {
-      throw new Error(`API call failed: ${response.error}`);
+    if (!opened.ok) {
+      throw new Error(opened.status ? `HTTP error! status: ${opened.status}` : opened.error);
     }
     
-    // Handle non-streaming response
-    const data = response.data;
     let aiResponse = '';
     let hasError = false; // Track if we've encountered an error
     
     try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        
-        const chunk = decoder.decode(value, { stream: true });
-        const lines = chunk.split('\n');
-        
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') {
-              break;
-            }
-            
-            try {
-              const parsed = JSON.parse(data);
-              Logger.log('📨 Parsed Generic AI SSE data:', parsed);
-              
-              // Handle error responses from backend
-              if (parsed.type === 'error' && parsed.error) {
-                Logger.error('❌ Generic AI Backend error received:', parsed.error);
-                const errorMessage = `❌ ${parsed.error}`;
-                updateGenericAIMessage(messageId, errorMessage, true);
-                hasError = true; // Mark that we've handled an error
-                return; // Stop processing further
-              }
-              
-              if (parsed.type === 'chunk' && parsed.content) {
-                aiResponse += parsed.content;
-                Logger.log('✅ Adding chunk content:', parsed.content, 'Total response:', aiResponse.length, 'chars');
-                updateGenericAIMessage(messageId, aiResponse, false);
-              } else if (parsed.content) {
-                aiResponse += parsed.content;
-                Logger.log('✅ Adding direct content:', parsed.content, 'Total response:', aiResponse.length, 'chars');
-                updateGenericAIMessage(messageId, aiResponse, false);
-              } else {
-                Logger.warn('⚠️ No content found in parsed data:', parsed);
-              }
-            } catch (parseError) {
-              Logger.warn('❌ Failed to parse Generic AI SSE data:', data, 'Error:', parseError.message);
-            }
+      for await (const data of stream) {
+        if (data === '[DONE]') {
+          break;
+        }
+        
+        try {
+          const parsed = JSON.parse(data);
+          Logger.log('📨 Parsed Generic AI SSE data:', parsed);
+          
+          // Handle error responses from backend
+          if (parsed.type === 'error' && parsed.error) {
+            Logger.error('❌ Generic AI Backend error received:', parsed.error);
+            const errorMessage = `❌ ${parsed.error}`;
+            updateGenericAIMessage(messageId, errorMessage, true);
+            hasError = true; // Mark that we've handled an error
+            return; // Stop processing further
           }
+          
+          if (parsed.type === 'chunk' && parsed.content) {
+            aiResponse += parsed.content;
+            Logger.log('✅ Adding chunk content:', parsed.content, 'Total response:', aiResponse.length, 'chars');
+            updateGenericAIMessage(messageId, aiResponse, false);
+          } else if (parsed.content) {
+            aiResponse += parsed.content;
+            Logger.log('✅ Adding direct content:', parsed.content, 'Total response:', aiResponse.length, 'chars');
+            updateGenericAIMessage(messageId, aiResponse, false);
+          } else {
+            Logger.warn('⚠️ No content found in parsed data:', parsed);
+          }
+        } catch (parseError) {
+          Logger.warn('❌ Failed to parse Generic AI SSE data:', data, 'Error:', parseError.message);
         }
       }
     } finally {
-      reader.releaseLock();
+      stream.cancel();
     }
     
     // Only proceed with normal completion if we didn't encounter an error
@@ -8570,6 +10623,100 @@ function updateGenericAIMessage(messageId, content, isComplete = true) {
   }
 }
 
+// ==================== ASK ABOUT THIS PAGE ====================
+
+// LMS page content attached to the next context-aware question (src/platforms/page-context.js)
+let attachedPageContext = null;
+
+/**
+ * Extract the current LMS page and attach it to the next question
+ */
+function attachPageContext() {
+  // The quiz may have been opened in this tab after the assistant was rendered
+  if (!AskLynkPageContext.isAvailable(currentPlatform)) {
+    showToast("Page content can't be shared during a quiz attempt", 'warning');
+    return;
+  }
+
+  const extracted = AskLynkPageContext.extract(currentPlatform);
+  if (!extracted) {
+    showToast('No readable content found on this page', 'warning');
+    return;
+  }
+
+  const course = currentCourse();
+  attachedPageContext = {
+    ...extracted,
+    // Emails, phone numbers and IDs on the page stay on the page
+    text: AskLynkRedaction.redact(extracted.text).text,
+    platform: currentPlatform.id,
+    courseId: course?.courseId || null
+  };
+  Logger.log('📄 Page attached to the next question:', attachedPageContext.title, `~${attachedPageContext.estimatedTokens} tokens`, attachedPageContext.truncated ? '(trimmed)' : '');
+  renderPageContextChip();
+
+  const aiInput = document.getElementById('lynkk-ai-input');
+  if (aiInput) aiInput.focus();
+}
+
+function detachPageContext() {
+  attachedPageContext = null;
+  renderPageContextChip();
+}
+
+/**
+ * Show which page the next question will be asked about, next to the "Ask about this page" button
+ */
+function renderPageContextChip() {
+  const chip = document.getElementById('lynkk-page-context-chip');
+  const button = document.getElementById('lynkk-ask-page');
+  const aiInput = document.getElementById('lynkk-ai-input');
+  if (!chip || !button) return;
+
+  if (!attachedPageContext) {
+    chip.style.display = 'none';
+    chip.innerHTML = '';
+    button.style.display = 'inline-flex';
+    if (aiInput) aiInput.placeholder = currentSessionId ? 'Ask about this session...' : 'Ask me anything educational...';
+    return;
+  }
+
+  chip.innerHTML = `
+    <span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">📄 ${escapeHTML(attachedPageContext.title)}</span>
+    <span style="color: #6b7280; flex-shrink: 0;">~${attachedPageContext.estimatedTokens} tokens${attachedPageContext.truncated ? ', trimmed' : ''}</span>
+    <button id="lynkk-page-context-remove" title="Don't use this page" style="background: none; border: none; cursor: pointer; color: #4338ca; padding: 0; font-size: 12px; flex-shrink: 0;">✕</button>
+  `;
+  chip.style.display = 'inline-flex';
+  button.style.display = 'none';
+  if (aiInput) aiInput.placeholder = `Ask about "${attachedPageContext.title}"...`;
+
+  document.getElementById('lynkk-page-context-remove').addEventListener('click', detachPageContext);
+}
+
+/**
+ * Under an answer, show the page it used and the excerpt it relied on. The backend names
+ * the passage with a page_excerpt event; without one, the start of what was sent is shown.
+ * @param {string} messageId - Context-aware AI message
+ * @param {Object} pageContext - The attached page that was sent
+ * @param {string|null} excerpt - Passage reported by the backend
+ */
+function renderPageContextSource(messageId, pageContext, excerpt) {
+  const contentEl = document.getElementById(`ctx-content-${messageId}`);
+  if (!contentEl || document.getElementById(`ctx-page-source-${messageId}`)) return;
+
+  const source = document.createElement('details');
+  source.id = `ctx-page-source-${messageId}`;
+  source.style.cssText = 'margin: -4px 0 12px; padding: 8px 12px; background: #eef2ff; border-radius: 8px; font-size: 13px; color: #4338ca;';
+  source.innerHTML = `
+    <summary style="cursor: pointer; font-weight: 500;">📄 Based on: ${escapeHTML(pageContext.title)}${pageContext.truncated ? ' (trimmed)' : ''}</summary>
+    <blockquote style="margin: 8px 0 0; padding-left: 10px; border-left: 3px solid #c7d2fe; color: #374151; font-size: 13px; line-height: 1.5;">
+      ${escapeHTML(excerpt ? excerpt : AskLynkPageContext.preview(pageContext.text))}
+    </blockquote>
+    ${excerpt ? '' : '<div style="margin-top: 6px; color: #6b7280; font-size: 12px;">Start of the page excerpt that was sent</div>'}
+  `;
+  contentEl.insertAdjacentElement('afterend', source);
+}
+
 // Keep track of conversation for context-aware AI
 const contextAwareConversation = [];
 
@@ -8597,6 +10744,10 @@ async function sendContextAwareAIMessage(question = null) {
   // Add user message
   addContextAwareAIMessage(messageText, true);
   
+  // The attached page goes with this question only
+  const pageContext = attachedPageContext;
+  if (pageContext) detachPageContext();
+  
   // Add to conversation history
   contextAwareConversation.push({
     role: 'user',
@@ -8610,7 +10761,7 @@ async function sendContextAwareAIMessage(question = null) {
   updateContextAwareAIMessage(aiMessageId, 'Thinking...', false);
   
   try {
-    await streamContextAwareAIResponse(messageText, aiMessageId);
+    await streamContextAwareAIResponse(messageText, aiMessageId, { pageContext });
   } catch (error) {
     Logger.error('❌ Context-Aware AI Request failed:', error);
     
@@ -9007,11 +11158,20 @@ function startTypewriterEffect(messageId, isComplete) {
 }
 
 // Stream context-aware AI response with real word-by-word streaming
-async function streamContextAwareAIResponse(question, messageId) {
+// options.pageContext: LMS page attached with "Ask about this page", sent along with the question
+async function streamContextAwareAIResponse(question, messageId, { pageContext = null } = {}) {
   try {
     
     // Determine which endpoint to use based on session and authentication status
     let endpoint, requestBody;
+    const pagePayload = pageContext ? {
+      platform: pageContext.platform,
+      courseId: pageContext.courseId,
+      title: pageContext.title,
+      url: pageContext.url,
+      text: pageContext.text,
+      truncated: pageContext.truncated
+    } : undefined;
     
     // Log current state for debugging
     Logger.log('🔍 Context-Aware AI Routing Decision for:', {
@@ -9024,8 +11184,8 @@ async function streamContextAwareAIResponse(question, messageId) {
     
     if (currentSessionId && currentUser) {
       // Use context-aware AI for session users (with session context)
-      endpoint = `${API_BASE_URL}/api/enhanced/sessions/${currentSessionId}/ask-stream`;
-      requestBody = { question };
+      endpoint = `/api/enhanced/sessions/${currentSessionId}/ask-stream`;
+      requestBody = { question, pageContext: pagePayload };
       Logger.log(`✅ ROUTING ${currentUser?.role?.toUpperCase() || 'USER'} TO PERSONALIZED ENDPOINT:`, {
         role: currentUser?.role,
         sessionId: currentSessionId,
@@ -9034,8 +11194,8 @@ async function streamContextAwareAIResponse(question, messageId) {
       });
     } else {
       // Use general AI for standalone users (no session context)
-      endpoint = `${API_BASE_URL}/api/ai-general/general/ask-stream`;
-      requestBody = { question };
+      endpoint = '/api/ai-general/general/ask-stream';
+      requestBody = { question, pageContext: pagePayload };
       Logger.log(`🔄 ROUTING ${currentUser?.role?.toUpperCase() || 'USER'} TO GENERIC ENDPOINT:`, {
         role: currentUser?.role,
         reason: !currentSessionId ? 'No session' : 'No token',
@@ -9050,81 +11210,68 @@ async function streamContextAwareAIResponse(question, messageId) {
       question: question,
       sessionId: currentSessionId,
       hasCurrentUser: !!currentUser,
-      user: currentUser?.username || 'Unknown'
+      user: currentUser?.username || 'Unknown',
+      page: pageContext ? `${pageContext.title} (~${pageContext.estimatedTokens} tokens)` : null
     });
     
-    // Make API request with dynamic endpoint
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      credentials: 'include', // Include cookies for authentication
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'text/event-stream',
-      },
-      body: JSON.stringify(requestBody)
-    });
+    // Stream through the background proxy so cookies and allowlisting apply
+    const stream = AskLynkApi.stream('POST', endpoint, { body: requestBody });
+    const opened = await stream.opened;
     
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    if (!opened.ok) {
+      throw new Error(opened.status ? `HTTP error! status: ${opened.status}` : opened.error);
     }
     
     // Handle Server-Sent Events stream
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
     let aiResponse = '';
     let hasError = false; // Track if we've encountered an error
+    let pageExcerpt = null; // Passage of the attached page the answer relied on
     
     try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        
-        const chunk = decoder.decode(value, { stream: true });
-        const lines = chunk.split('\n');
-        
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') {
-              // Stream finished
-              break;
-            }
-            
-            try {
-              const parsed = JSON.parse(data);
-              Logger.log('📨 Parsed SSE data:', parsed);
-              
-              // Handle error responses from backend
-              if (parsed.type === 'error' && parsed.error) {
-                Logger.error('❌ Backend error received:', parsed.error);
-                const errorMessage = `❌ ${parsed.error}`;
-                updateContextAwareAIMessage(messageId, errorMessage, true);
-                hasError = true; // Mark that we've handled an error
-                return; // Stop processing further
-              }
-              
-              // Handle both the expected structure and the actual backend structure
-              if (parsed.type === 'chunk' && parsed.content) {
-                aiResponse += parsed.content;
-                Logger.log('✅ Adding chunk content:', parsed.content, 'Total response:', aiResponse.length, 'chars');
-                // Update UI with real-time streaming
-                updateContextAwareAIMessage(messageId, aiResponse, false);
-              } else if (parsed.content) {
-                // Fallback for direct content structure
-                aiResponse += parsed.content;
-                Logger.log('✅ Adding direct content:', parsed.content, 'Total response:', aiResponse.length, 'chars');
-                updateContextAwareAIMessage(messageId, aiResponse, false);
-              } else {
-                Logger.warn('⚠️ No content found in parsed data:', parsed);
-              }
-            } catch (parseError) {
-              Logger.warn('❌ Failed to parse SSE data:', data, 'Error:', parseError.message);
-            }
+      for await (const data of stream) {
+        if (data === '[DONE]') {
+          // Stream finished
+          break;
+        }
+        
+        try {
+          const parsed = JSON.parse(data);
+          Logger.log('📨 Parsed SSE data:', parsed);
+          
+          if (parsed.type === 'page_excerpt') {
+            pageExcerpt = parsed.excerpt || null;
+            continue;
+          }
+          
+          // Handle error responses from backend
+          if (parsed.type === 'error' && parsed.error) {
+            Logger.error('❌ Backend error received:', parsed.error);
+            const errorMessage = `❌ ${parsed.error}`;
+            updateContextAwareAIMessage(messageId, errorMessage, true);
+            hasError = true; // Mark that we've handled an error
+            return; // Stop processing further
           }
+          
+          // Handle both the expected structure and the actual backend structure
+          if (parsed.type === 'chunk' && parsed.content) {
+            aiResponse += parsed.content;
+            Logger.log('✅ Adding chunk content:', parsed.content, 'Total response:', aiResponse.length, 'chars');
+            // Update UI with real-time streaming
+            updateContextAwareAIMessage(messageId, aiResponse, false);
+          } else if (parsed.content) {
+            // Fallback for direct content structure
+            aiResponse += parsed.content;
+            Logger.log('✅ Adding direct content:', parsed.content, 'Total response:', aiResponse.length, 'chars');
+            updateContextAwareAIMessage(messageId, aiResponse, false);
+          } else {
+            Logger.warn('⚠️ No content found in parsed data:', parsed);
+          }
+        } catch (parseError) {
+          Logger.warn('❌ Failed to parse SSE data:', data, 'Error:', parseError.message);
         }
       }
     } finally {
-      reader.releaseLock();
+      stream.cancel();
     }
     
     // Only proceed with normal completion if we didn't encounter an error
@@ -9139,6 +11286,10 @@ async function streamContextAwareAIResponse(question, messageId) {
       
       // Final update to mark as complete
       updateContextAwareAIMessage(messageId, aiResponse, true);
+      
+      if (pageContext) {
+        renderPageContextSource(messageId, pageContext, pageExcerpt);
+      }
     }
     
   } catch (error) {
@@ -9208,86 +11359,59 @@ async function makeEnhancedBackendRequest(question) {
       throw new Error('🔑 Authentication required. Please log in first.');
     }
 
-    const response = await fetch(`${API_BASE_URL}/api/enhanced/sessions/${currentSessionId}/ask-stream`, {
-      method: 'POST',
-      credentials: 'include', // Include cookies for auth
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'text/event-stream'
-      },
-      body: JSON.stringify({
-        sessionId: currentSessionId,
-        question: question,
-        userId: currentUser.id,
-        studentName: currentUser.username || currentUser.full_name || 'Anonymous Student'
-      })
+    const stream = AskLynkApi.ai.streamSessionAnswer(currentSessionId, {
+      sessionId: currentSessionId,
+      question: question,
+      userId: currentUser.id,
+      studentName: currentUser.username || currentUser.full_name || 'Anonymous Student'
     });
+    const opened = await stream.opened;
 
-    if (!response.ok) {
-      let errorMessage = `Backend request failed: ${response.statusText}`;
+    if (!opened.ok) {
+      let errorMessage = `Backend request failed: ${opened.error}`;
       
-      if (response.status === 401) {
+      if (opened.status === 401) {
         errorMessage = '🔑 Authentication required. Please log in and try again.';
-      } else if (response.status === 403) {
+      } else if (opened.status === 403) {
         errorMessage = '🚫 Access denied. You may not have permission to access this session.';
-      } else if (response.status === 404) {
+      } else if (opened.status === 404) {
         errorMessage = '📂 Session not found. Please check if the session is still active.';
-      } else {
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.message || errorMessage;
-        } catch (e) {
-          // Use default error message if JSON parsing fails
-        }
       }
       
       throw new Error(errorMessage);
     }
 
     // Handle Server-Sent Events stream
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
     let fullResponse = '';
     
     try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        
-        const chunk = decoder.decode(value, { stream: true });
-        const lines = chunk.split('\n');
-        
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') {
-              break;
-            }
-            
-            try {
-              const parsed = JSON.parse(data);
-              
-              // Handle error responses from backend
-              if (parsed.type === 'error' && parsed.error) {
-                Logger.error('❌ Enhanced Backend error received:', parsed.error);
-                throw new Error(parsed.error);
-              }
-              
-              if (parsed.content) {
-                fullResponse += parsed.content;
-              }
-            } catch (parseError) {
-              // If it's an error we threw above, re-throw it
-              if (parseError.message.includes('error received')) {
-                throw parseError;
-              }
-              Logger.warn('Failed to parse SSE data:', data);
-            }
+      for await (const data of stream) {
+        if (data === '[DONE]') {
+          break;
+        }
+        
+        try {
+          const parsed = JSON.parse(data);
+          
+          // Handle error responses from backend
+          if (parsed.type === 'error' && parsed.error) {
+            Logger.error('❌ Enhanced Backend error received:', parsed.error);
+            throw new Error(parsed.error);
+          }
+          
+          if (parsed.content) {
+            fullResponse += parsed.content;
           }
+        } catch (parseError) {
+          // If it's an error we threw above, re-throw it
+          if (parseError.message.includes('error received')) {
+            throw parseError;
+          }
+          Logger.warn('Failed to parse SSE data:', data);
         }
       }
     } finally {
-      reader.releaseLock();
+      stream.cancel();
     }
     
     Logger.log('✅ Enhanced Backend Response via SSE:', fullResponse);
@@ -9825,26 +11949,7 @@ async function saveAIConversation(question, response) {
       store_chat: true
     });
     
-    const newChatResponse = await new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({
-        type: 'API_CALL',
-        url: `${API_BASE_URL}/api/ai/chats`,
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: {
-          session_id: sessionId,
-          store_chat: true
-        }
-      }, result => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve(result);
-        }
-      });
-    });
+    const newChatResponse = await AskLynkApi.ai.createChat(sessionId);
     
     Logger.log('New chat creation response:', newChatResponse);
     
@@ -9876,27 +11981,7 @@ async function saveAIConversation(question, response) {
     Logger.log('Saving messages to chat ID:', chatId);
     
    // Now save the user's question
-   const userMessageResponse = await new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage({
-      type: 'API_CALL',
-      url: `${API_BASE_URL}/api/ai/messages`,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: {
-        chat_id: chatId,
-        role: 'user',
-        content: question
-      }
-    }, result => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else {
-        resolve(result);
-      }
-    });
-  });
+   const userMessageResponse = await AskLynkApi.ai.saveMessage(chatId, 'user', question);
   
   Logger.log('User message save response:', userMessageResponse);
   
@@ -9908,27 +11993,7 @@ async function saveAIConversation(question, response) {
   }
   
   // And save the AI's response
-  const aiMessageResponse = await new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage({
-      type: 'API_CALL',
-      url: `${API_BASE_URL}/api/ai/messages`,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: {
-        chat_id: chatId,
-        role: 'assistant',
-        content: response
-      }
-    }, result => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else {
-        resolve(result);
-      }
-    });
-  });
+  const aiMessageResponse = await AskLynkApi.ai.saveMessage(chatId, 'assistant', response);
   
   Logger.log('AI message save response:', aiMessageResponse);
   
@@ -9941,29 +12006,16 @@ async function saveAIConversation(question, response) {
   
   // Optional: Log the interaction for analytics
   try {
-    await new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({
-        type: 'API_CALL',
-        url: `${API_BASE_URL}/api/ai/interactions`,
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: {
-          session_id: sessionId,
-          question: question,
-          answer: response,
-          model: 'enhanced-backend',
-          response_time: Date.now() // You can calculate actual response time
-        }
-      }, result => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve(result);
-        }
-      });
+    const interactionResponse = await AskLynkApi.ai.logInteraction({
+      session_id: sessionId,
+      question: question,
+      answer: response,
+      model: 'enhanced-backend',
+      response_time: Date.now() // You can calculate actual response time
     });
+    if (!interactionResponse.ok) {
+      throw new Error(interactionResponse.error);
+    }
     Logger.log('Analytics logged successfully');
   } catch (analyticsError) {
     // Just log analytics errors but don't fail the whole save
@@ -10016,26 +12068,7 @@ try {
   
   // Get or create a chat for this session
   Logger.log('Getting or creating chat for user and session');
-  const chatResponse = await new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage({
-      type: 'API_CALL',
-      url: `${API_BASE_URL}/api/ai/chats`,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: {
-        session_id: sessionId,
-        store_chat: true
-      }
-    }, result => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else {
-        resolve(result);
-      }
-    });
-  });
+  const chatResponse = await AskLynkApi.ai.createChat(sessionId);
   
   if (!chatResponse || !chatResponse.ok || !chatResponse.data) {
     Logger.log('No chat found or could not be created');
@@ -10056,20 +12089,7 @@ try {
   Logger.log('Found/created chat with ID:', chatId);
   
   // Fetch messages for this chat
-  const messagesResponse = await new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage({
-      type: 'API_CALL',
-      url: `${API_BASE_URL}/api/ai/messages/${chatId}`,
-      method: 'GET',
-      headers: {}
-    }, result => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else {
-        resolve(result);
-      }
-    });
-  });
+  const messagesResponse = await AskLynkApi.ai.listChatMessages(chatId);
   
   // Handle nested response structure
   let messages = [];
@@ -10108,22 +12128,7 @@ try {
 */
 async function getSessionAIInteractions(sessionId) {
   try {
-    const interactionsResponse = await new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({
-        type: 'API_CALL',
-        url: `${API_BASE_URL}/api/ai/interactions/session/${sessionId}`,
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      }, result => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve(result);
-        }
-      });
-    });
+    const interactionsResponse = await AskLynkApi.ai.listSessionInteractions(sessionId);
 
     if (interactionsResponse && interactionsResponse.ok) {
       return interactionsResponse.data || [];
@@ -10144,26 +12149,7 @@ async function getSessionAIInteractions(sessionId) {
 */
 async function getUserAIInteractions(sessionId = null) {
   try {
-    const url = sessionId 
-      ? `${API_BASE_URL}/api/ai/interactions/user?session_id=${sessionId}`
-      : `${API_BASE_URL}/api/ai/interactions/user`;
-
-    const interactionsResponse = await new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({
-        type: 'API_CALL',
-        url: url,
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      }, result => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve(result);
-        }
-      });
-    });
+    const interactionsResponse = await AskLynkApi.ai.listUserInteractions(sessionId);
 
     if (interactionsResponse && interactionsResponse.ok) {
       return interactionsResponse.data || [];
@@ -10519,73 +12505,53 @@ async function streamStandaloneAIResponseForContextUI(question, messageId) {
       note: 'Fallback for failed session AI'
     });
     
-    const response = await fetch(`${API_BASE_URL}/api/ai-general/general/ask-stream`, {
-      method: 'POST',
-      credentials: 'include',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'text/event-stream',
-      },
-      body: JSON.stringify({ question })
-    });
+    const stream = AskLynkApi.ai.streamGeneralAnswer(question);
+    const opened = await stream.opened;
     
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    if (!opened.ok) {
+      throw new Error(opened.status ? `HTTP error! status: ${opened.status}` : opened.error);
     }
     
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
     let aiResponse = '';
     
     try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        
-        const chunk = decoder.decode(value, { stream: true });
-        const lines = chunk.split('\n');
+      for await (const data of stream) {
+        if (data === '[DONE]') break;
         
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') break;
+        try {
+          const parsed = JSON.parse(data);
+          if (parsed.type === 'error' && parsed.error) {
+            const errorMessage = `❌ ${parsed.error}`;
+            updateContextAwareAIMessage(messageId, errorMessage, true);
+            return;
+          }
+          
+          if (parsed.type === 'chunk' && parsed.content) {
+            aiResponse += parsed.content;
+            // Immediate update for responsiveness
+            updateContextAwareAIMessage(messageId, aiResponse, false);
             
-            try {
-              const parsed = JSON.parse(data);
-              if (parsed.type === 'error' && parsed.error) {
-                const errorMessage = `❌ ${parsed.error}`;
-                updateContextAwareAIMessage(messageId, errorMessage, true);
-                return;
-              }
-              
-              if (parsed.type === 'chunk' && parsed.content) {
-                aiResponse += parsed.content;
-                // Immediate update for responsiveness
-                updateContextAwareAIMessage(messageId, aiResponse, false);
-                
-                // Force immediate DOM update for ChatGPT-like feel
-                setTimeout(() => updateContextAwareAIMessage(messageId, aiResponse, false), 1);
-              } else if (parsed.content) {
-                aiResponse += parsed.content;
-                // Immediate update for responsiveness
-                updateContextAwareAIMessage(messageId, aiResponse, false);
-                
-                // Force immediate DOM update for ChatGPT-like feel
-                setTimeout(() => updateContextAwareAIMessage(messageId, aiResponse, false), 1);
-              }
-            } catch (parseError) {
-              if (data.trim()) {
-                aiResponse += data + ' ';
-                // Immediate update even for fallback text
-                updateContextAwareAIMessage(messageId, aiResponse, false);
-                setTimeout(() => updateContextAwareAIMessage(messageId, aiResponse, false), 1);
-              }
-            }
+            // Force immediate DOM update for ChatGPT-like feel
+            setTimeout(() => updateContextAwareAIMessage(messageId, aiResponse, false), 1);
+          } else if (parsed.content) {
+            aiResponse += parsed.content;
+            // Immediate update for responsiveness
+            updateContextAwareAIMessage(messageId, aiResponse, false);
+            
+            // Force immediate DOM update for ChatGPT-like feel
+            setTimeout(() => updateContextAwareAIMessage(messageId, aiResponse, false), 1);
+          }
+        } catch (parseError) {
+          if (data.trim()) {
+            aiResponse += data + ' ';
+            // Immediate update even for fallback text
+            updateContextAwareAIMessage(messageId, aiResponse, false);
+            setTimeout(() => updateContextAwareAIMessage(messageId, aiResponse, false), 1);
           }
         }
       }
     } finally {
-      reader.releaseLock();
+      stream.cancel();
     }
     
     if (aiResponse) {
@@ -10612,113 +12578,75 @@ async function streamStandaloneAIResponse(question, messageId) {
     });
     
     // ALWAYS use generic AI endpoint for standalone assistant
-    const response = await fetch(`${API_BASE_URL}/api/ai-general/general/ask-stream`, {
-      method: 'POST',
-      credentials: 'include', // Include cookies for authentication
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'text/event-stream',
-      },
-      body: JSON.stringify({ question })
-    });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    // Debug response headers for streaming
-    Logger.log('📡 Standalone AI Response headers:', {
-      'content-type': response.headers.get('content-type'),
-      'cache-control': response.headers.get('cache-control'),
-      'connection': response.headers.get('connection'),
-      'transfer-encoding': response.headers.get('transfer-encoding')
-    });
+    const stream = AskLynkApi.ai.streamGeneralAnswer(question);
+    const opened = await stream.opened;
     
-    // Verify we have a proper streaming response
-    if (!response.body) {
-      throw new Error('Response body is null - streaming not supported');
+    if (!opened.ok) {
+      throw new Error(opened.status ? `HTTP error! status: ${opened.status}` : opened.error);
     }
     
     Logger.log('🚀 Starting standalone AI streaming...');
     
     // Handle Server-Sent Events stream
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
     let aiResponse = '';
     let hasError = false; // Track if we've encountered an error
     
     try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) {
-          Logger.log('📡 Stream reading completed');
+      for await (const data of stream) {
+        Logger.log('📨 SSE data line:', data);
+        if (data === '[DONE]') {
+          Logger.log('✅ Standalone AI stream completed');
           break;
         }
         
-        const chunk = decoder.decode(value, { stream: true });
-        Logger.log('📦 Raw chunk received:', chunk.length, 'bytes:', chunk);
-        const lines = chunk.split('\n');
-        Logger.log('📝 Lines in chunk:', lines.length, lines);
-        
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            Logger.log('📨 SSE data line:', data);
-            if (data === '[DONE]') {
-              Logger.log('✅ Standalone AI stream completed');
-              break;
-            }
+        try {
+          const parsed = JSON.parse(data);
+          Logger.log('📨 Parsed Standalone AI SSE data:', parsed);
+          
+          // Handle error responses from backend
+          if (parsed.type === 'error' && parsed.error) {
+            Logger.error('❌ Standalone AI Backend error received:', parsed.error);
+            const errorMessage = `❌ ${parsed.error}`;
+            updateAIMessage(messageId, errorMessage, true);
+            hasError = true; // Mark that we've handled an error
+            return; // Stop processing further
+          }
+          
+          if (parsed.type === 'chunk' && parsed.content) {
+            aiResponse += parsed.content;
+            Logger.log('✅ Adding chunk content:', parsed.content, 'Total response:', aiResponse.length, 'chars');
+            // Immediate ChatGPT-like update
+            updateAIMessage(messageId, aiResponse, false);
+            setTimeout(() => updateAIMessage(messageId, aiResponse, false), 1);
             
-            try {
-              const parsed = JSON.parse(data);
-              Logger.log('📨 Parsed Standalone AI SSE data:', parsed);
-              
-              // Handle error responses from backend
-              if (parsed.type === 'error' && parsed.error) {
-                Logger.error('❌ Standalone AI Backend error received:', parsed.error);
-                const errorMessage = `❌ ${parsed.error}`;
-                updateAIMessage(messageId, errorMessage, true);
-                hasError = true; // Mark that we've handled an error
-                return; // Stop processing further
-              }
-              
-              if (parsed.type === 'chunk' && parsed.content) {
-                aiResponse += parsed.content;
-                Logger.log('✅ Adding chunk content:', parsed.content, 'Total response:', aiResponse.length, 'chars');
-                // Immediate ChatGPT-like update
-                updateAIMessage(messageId, aiResponse, false);
-                setTimeout(() => updateAIMessage(messageId, aiResponse, false), 1);
-                
-                // Force DOM update
-                setTimeout(() => {
-                  const contentEl = document.getElementById(`content-${messageId}`);
-                  if (contentEl) {
-                    Logger.log('🔄 DOM content updated to:', contentEl.innerHTML.length, 'chars');
-                  }
-                }, 0);
-                
-              } else if (parsed.content) {
-                aiResponse += parsed.content;
-                Logger.log('✅ Adding direct content:', parsed.content, 'Total response:', aiResponse.length, 'chars');
-                // Immediate ChatGPT-like update
-                updateAIMessage(messageId, aiResponse, false);
-                setTimeout(() => updateAIMessage(messageId, aiResponse, false), 1);
-              } else {
-                Logger.log('⚠️ No content found in parsed data:', parsed);
-              }
-            } catch (parseError) {
-              Logger.warn('❌ Failed to parse Standalone AI SSE data:', data, 'Error:', parseError.message);
-              // Fallback: treat as plain text if JSON parsing fails
-              if (data.trim()) {
-                aiResponse += data + ' ';
-                updateAIMessage(messageId, aiResponse, false);
+            // Force DOM update
+            setTimeout(() => {
+              const contentEl = document.getElementById(`content-${messageId}`);
+              if (contentEl) {
+                Logger.log('🔄 DOM content updated to:', contentEl.innerHTML.length, 'chars');
               }
-            }
+            }, 0);
+            
+          } else if (parsed.content) {
+            aiResponse += parsed.content;
+            Logger.log('✅ Adding direct content:', parsed.content, 'Total response:', aiResponse.length, 'chars');
+            // Immediate ChatGPT-like update
+            updateAIMessage(messageId, aiResponse, false);
+            setTimeout(() => updateAIMessage(messageId, aiResponse, false), 1);
+          } else {
+            Logger.log('⚠️ No content found in parsed data:', parsed);
+          }
+        } catch (parseError) {
+          Logger.warn('❌ Failed to parse Standalone AI SSE data:', data, 'Error:', parseError.message);
+          // Fallback: treat as plain text if JSON parsing fails
+          if (data.trim()) {
+            aiResponse += data + ' ';
+            updateAIMessage(messageId, aiResponse, false);
           }
         }
       }
     } finally {
-      reader.releaseLock();
+      stream.cancel();
     }
     
     // Only proceed with normal completion if we didn't encounter an error
@@ -10776,7 +12704,7 @@ async function streamAIResponse(question, messageId) {
     
     if (currentSessionId && currentUser) {
       // Use context-aware AI for session users (with session context)
-      endpoint = `${API_BASE_URL}/api/enhanced/sessions/${currentSessionId}/ask-stream`;
+      endpoint = `/api/enhanced/sessions/${currentSessionId}/ask-stream`;
       requestBody = { question };
       Logger.log(`✅ ROUTING ${currentUser?.role?.toUpperCase() || 'USER'} TO PERSONALIZED ENDPOINT:`, {
         role: currentUser?.role,
@@ -10786,7 +12714,7 @@ async function streamAIResponse(question, messageId) {
       });
     } else {
       // Use general AI for standalone users (no session context)
-      endpoint = `${API_BASE_URL}/api/ai-general/general/ask-stream`;
+      endpoint = '/api/ai-general/general/ask-stream';
       requestBody = { question };
       Logger.log(`🔄 ROUTING ${currentUser?.role?.toUpperCase() || 'USER'} TO GENERIC ENDPOINT:`, {
         role: currentUser?.role,
@@ -10801,74 +12729,55 @@ async function streamAIResponse(question, messageId) {
     
     // Handle streaming endpoints differently
     if (endpoint.includes('ask-stream')) {
-      // Use Server-Sent Events for streaming endpoints
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'text/event-stream',
-          },
-        body: JSON.stringify(requestBody)
-      });
+      // Use Server-Sent Events for streaming endpoints, relayed by the background proxy
+      const stream = AskLynkApi.stream('POST', endpoint, { body: requestBody });
+      const opened = await stream.opened;
       
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      if (!opened.ok) {
+        throw new Error(opened.status ? `HTTP error! status: ${opened.status}` : opened.error);
       }
       
       // Handle Server-Sent Events stream
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
       let aiResponse = '';
       let hasError = false; // Track if we've encountered an error
       
       try {
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-          
-          const chunk = decoder.decode(value, { stream: true });
-          const lines = chunk.split('\n');
+        for await (const data of stream) {
+          if (data === '[DONE]') {
+            break;
+          }
           
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              const data = line.slice(6);
-              if (data === '[DONE]') {
-                break;
-              }
-              
-              try {
-                const parsed = JSON.parse(data);
-                
-                // Handle error responses from backend
-                if (parsed.type === 'error' && parsed.error) {
-                  Logger.error('❌ Backend error received:', parsed.error);
-                  const errorMessage = `❌ ${parsed.error}`;
-                  updateAIMessage(messageId, errorMessage, true);
-                  hasError = true; // Mark that we've handled an error
-                  return; // Stop processing further
-                }
-                
-                // Handle both the expected structure and the actual backend structure
-                if (parsed.type === 'chunk' && parsed.content) {
-                  aiResponse += parsed.content;
-                  // Immediate ChatGPT-like update
-                  updateAIMessage(messageId, aiResponse, false);
-                  setTimeout(() => updateAIMessage(messageId, aiResponse, false), 1);
-                } else if (parsed.content) {
-                  // Fallback for direct content structure
-                  aiResponse += parsed.content;
-                  // Immediate ChatGPT-like update
-                  updateAIMessage(messageId, aiResponse, false);
-                  setTimeout(() => updateAIMessage(messageId, aiResponse, false), 1);
-                }
-              } catch (parseError) {
-                Logger.warn('Failed to parse SSE data:', data, 'Error:', parseError.message);
-              }
+          try {
+            const parsed = JSON.parse(data);
+            
+            // Handle error responses from backend
+            if (parsed.type === 'error' && parsed.error) {
+              Logger.error('❌ Backend error received:', parsed.error);
+              const errorMessage = `❌ ${parsed.error}`;
+              updateAIMessage(messageId, errorMessage, true);
+              hasError = true; // Mark that we've handled an error
+              return; // Stop processing further
+            }
+            
+            // Handle both the expected structure and the actual backend structure
+            if (parsed.type === 'chunk' && parsed.content) {
+              aiResponse += parsed.content;
+              // Immediate ChatGPT-like update
+              updateAIMessage(messageId, aiResponse, false);
+              setTimeout(() => updateAIMessage(messageId, aiResponse, false), 1);
+            } else if (parsed.content) {
+              // Fallback for direct content structure
+              aiResponse += parsed.content;
+              // Immediate ChatGPT-like update
+              updateAIMessage(messageId, aiResponse, false);
+              setTimeout(() => updateAIMessage(messageId, aiResponse, false), 1);
             }
+          } catch (parseError) {
+            Logger.warn('Failed to parse SSE data:', data, 'Error:', parseError.message);
           }
         }
       } finally {
-        reader.releaseLock();
+        stream.cancel();
       }
       
       // Only proceed with normal completion if we didn't encounter an error
@@ -10885,19 +12794,13 @@ async function streamAIResponse(question, messageId) {
       
     } else {
       // Handle regular JSON endpoints (general AI)
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          },
-        body: JSON.stringify(requestBody)
-      });
+      const response = await AskLynkApi.request('POST', endpoint, { body: requestBody });
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
       
-      const result = await response.json();
+      const result = response.data;
       Logger.log('✅ AI Response received:', result);
       
       // Extract the AI response - no frontend processing
@@ -11127,19 +13030,40 @@ async function sendMessage() {
       };
       
       // Send message to server
-      chrome.runtime.sendMessage({
-        type: 'API_CALL',
-        url: `${API_BASE_URL}/api/sessions/${sessionId}/messages`,
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: messageData
-      }, (response) => {
+      AskLynkApi.messages.send(sessionId, messageData).then((response) => {
         Logger.log('Complete response from server:', response);
         
         // Handle response
         try {
+          // Offline: keep the bubble with a pending badge until the outbox delivers it
+          if (response && response.queued) {
+            const tempMessage = document.getElementById(tempMessageId);
+            if (tempMessage && tempMessage.lastElementChild) {
+              tempMessage.lastElementChild.innerHTML = `You • ${renderOutboxBadge(response.outboxId, 'pending')}`;
+            }
+            
+            onOutboxUpdate(response.outboxId, (entry) => {
+              if (entry.status !== 'sent') {
+                showToast('A queued chat message could not be delivered', 'error');
+                return;
+              }
+              
+              chrome.storage.local.get(['sessionMessages'], (msgResult) => {
+                const messages = msgResult.sessionMessages || [];
+                const sent = entry.response && entry.response.data;
+                if (sent && !messages.some(m => m.id === sent.id)) {
+                  messages.push(sent);
+                }
+                chrome.storage.local.set({ sessionMessages: messages }, () => {
+                  const queuedMessage = document.getElementById(tempMessageId);
+                  if (queuedMessage) queuedMessage.remove();
+                  renderChatMessages(messages);
+                });
+              });
+            });
+            return;
+          }
+          
           if (!response.ok || response.error) {
             Logger.error('Error sending message:', response.error || 'Unknown error');
             
@@ -11422,20 +13346,7 @@ async function sendMessage() {
     createButton.disabled = true;
     
     try {
-      const response = await new Promise(resolve => {
-        chrome.runtime.sendMessage({
-          type: 'API_CALL',
-          url: `${API_BASE_URL}/api/sessions/${activeSession.id}/polls`,
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: {
-            question,
-            options
-          }
-        }, resolve);
-      });
+      const response = await AskLynkApi.polls.create(activeSession.id, { question, options });
   
       if (!response.ok || response.error) {
         throw new Error(response.error || 'Failed to create poll');
@@ -11701,19 +13612,29 @@ async function sendMessage() {
       submitButton.disabled = true;
       
       try {
-        const response = await new Promise(resolve => {
-          chrome.runtime.sendMessage({
-            type: 'API_CALL',
-            url: `${API_BASE_URL}/api/sessions/${activeSession.id}/polls/${pollId}/answers`,
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              },
-            body: {
-              option_index: optionId
+        const response = await AskLynkApi.polls.answer(activeSession.id, pollId, optionId);
+        
+        if (response && response.queued) {
+          submitButton.innerHTML = renderOutboxBadge(response.outboxId, 'pending');
+          pollContainer.querySelectorAll('input[type="radio"]').forEach(option => {
+            option.disabled = true;
+          });
+          onOutboxUpdate(response.outboxId, (entry) => {
+            if (entry.status === 'sent') {
+              submitButton.textContent = 'Submitted ✓';
+              submitButton.style.backgroundColor = '#4CAF50';
+            } else {
+              submitButton.textContent = originalText;
+              submitButton.disabled = false;
+              pollContainer.querySelectorAll('input[type="radio"]').forEach(option => {
+                option.disabled = false;
+              });
+              showToast('Your poll answer could not be delivered. Please try again.', 'error');
             }
-          }, resolve);
-        });
+          });
+          showToast("You're offline - your answer will be sent when you reconnect", 'info');
+          return;
+        }
     
         if (!response.ok || response.error) {
           throw new Error(response.error || 'Failed to submit poll answer');
@@ -11873,8 +13794,12 @@ function initializeExtension() {
   const currentURL = window.location.href;
   Logger.log('🚀 Initializing AskLynk on:', currentURL);
   
-  if (currentURL.includes('meet.google.com') || currentURL.includes('instructure.com')) {
-    Logger.log('✅ Supported platform detected, initializing overlay...');
+  if (currentPlatform) {
+    Logger.log('✅ Supported platform detected:', currentPlatform.label, currentPlatform.getMeetingId() || '(no meeting)');
+    const course = currentCourse();
+    if (course) {
+      Logger.log('📚 LMS course detected:', course.courseName || course.courseId, course.role ? `(${course.role})` : '');
+    }
     
     checkAuthState();
     createDraggableChatButton();
@@ -11941,6 +13866,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       stopVoiceCapture();
     }
     
+    // A different account took over: drop everything tied to the previous one
+    if (previousUser && currentUser && previousUser.id !== currentUser.id) {
+      Logger.log('🔀 Switched account - leaving the previous session');
+      if (isVoiceCapturing) stopVoiceCapture();
+      unsubscribeFromSessionEvents();
+      currentSessionId = null;
+    }
+    
+    // Stop listening to session events once signed out
+    if (!currentUser) {
+      unsubscribeFromSessionEvents();
+    } else {
+      hideReauthBanner();
+      if (!previousUser) consumePendingJoin();
+    }
+    
     // Update chat UI if it exists
     if (chatContainerCreated) {
       Logger.log('💬 Updating chat UI after auth change');
@@ -11955,6 +13896,29 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     sendResponse({ success: true });
   }
   
+  if (message.type === 'SESSION_EVENT') {
+    handleSessionEvent(message.sessionId, message.event);
+    sendResponse({ success: true });
+  }
+  
+  if (message.type === 'REAUTH_REQUIRED') {
+    Logger.warn('🔒 Session renewal needs the user:', message.reason);
+    showReauthBanner(message.reason);
+    sendResponse({ success: true });
+  }
+  
+  if (message.type === 'OUTBOX_UPDATED') {
+    handleOutboxUpdate(message.entry);
+    sendResponse({ success: true });
+  }
+  
+  if (message.type === 'REALTIME_STATUS') {
+    if (message.sessionId === realtimeSessionId) {
+      setRealtimeConnected(message.connected);
+    }
+    sendResponse({ success: true });
+  }
+  
   if (message.type === 'OPEN_CHAT') {
     if (currentUser) {
       if (!chatContainerCreated) {
@@ -12134,37 +14098,35 @@ window.testGeneralAI = async function() {
       question: 'Hello, can you help me with a math problem?'
     });
     
-    const response = await fetch(`${API_BASE_URL}/api/ai-general/general/ask-stream`, {
-      method: 'POST',
-      credentials: 'include',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'text/event-stream'
-      },
-      body: JSON.stringify({ 
-        question: 'Hello, can you help me with a math problem?' 
-      })
-    });
+    const stream = AskLynkApi.ai.streamGeneralAnswer('Hello, can you help me with a math problem?');
+    const opened = await stream.opened;
     
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    if (!opened.ok) {
+      throw new Error(opened.status ? `HTTP error! status: ${opened.status}` : opened.error);
     }
     
-    const result = await response.json();
-    Logger.log('✅ General AI Response:', result);
-    
-    if (result.type === 'success' && result.data?.aiResponse) {
-      Logger.log('💬 AI Answer:', result.data.aiResponse.answer.substring(0, 100) + '...');
-      
-      if (result.data.aiResponse.usage_info) {
-        Logger.log('📊 Usage Info:', result.data.aiResponse.usage_info);
+    let answer = '';
+    for await (const data of stream) {
+      if (data === '[DONE]') break;
+      try {
+        const parsed = JSON.parse(data);
+        if (parsed.type === 'error' && parsed.error) {
+          throw new Error(parsed.error);
+        }
+        if (parsed.content) answer += parsed.content;
+      } catch (parseError) {
+        if (!(parseError instanceof SyntaxError)) throw parseError;
       }
-      
-      return { success: true, result };
-    } else {
-      throw new Error(result.message || 'AI processing failed');
     }
     
+    Logger.log('✅ General AI Response:', answer.length, 'chars');
+    Logger.log('💬 AI Answer:', answer.substring(0, 100) + '...');
+    
+    if (!answer) {
+      throw new Error('AI processing failed');
+    }
+    return { success: true, result: answer };
+    
   } catch (error) {
     Logger.error('❌ General AI test failed:', error);
     return { success: false, error: error.message };
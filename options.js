@@ -0,0 +1,525 @@
+// AskLynk Options Page
+// Chooses which backend, transcription engine, campus LMS sites and Canvas instance the extension uses and exposes developer diagnostics
+
+console.log('⚙️ AskLynk Options Loading...');
+
+let currentEnvironment = null;
+let currentTranscription = null;
+let currentCanvas = null;
+let currentLmsSites = [];
+
+// Sections whose form has edits that are not saved yet; storage changes leave those alone
+const dirtySections = new Set();
+
+/**
+ * Initialize the options page
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+    currentEnvironment = await AskLynkEnvironments.loadTrusted();
+    currentTranscription = await loadTranscriptionSettings();
+    currentCanvas = { ...(await AskLynkCanvasSettings.load()), token: await AskLynkCanvasSettings.loadToken() };
+    currentLmsSites = await AskLynkLmsSites.load();
+    renderOptions();
+    loadAuditLog();
+    
+    // Another options tab (or a teammate's script) changed a setting: refresh only that section
+    AskLynkEnvironments.onChange(async () => {
+        currentEnvironment = await AskLynkEnvironments.loadTrusted();
+        renderHeader();
+        refreshSection('environment');
+    });
+    AskLynkTranscriptionSettings.onChange(async () => {
+        currentTranscription = await loadTranscriptionSettings();
+        refreshSection('transcription');
+    });
+    AskLynkLmsSites.onChange((sites) => {
+        currentLmsSites = sites;
+        renderLmsSiteList();
+    });
+});
+
+/**
+ * Engine and model from storage.local, endpoint and API key from the credential store
+ */
+async function loadTranscriptionSettings() {
+    return {
+        ...(await AskLynkTranscriptionSettings.load()),
+        endpoint: await AskLynkTranscriptionSettings.loadEndpoint(),
+        apiKey: await AskLynkTranscriptionSettings.loadApiKey()
+    };
+}
+
+const SECTION_RENDERERS = {
+    environment: renderEnvironmentSection,
+    transcription: renderTranscriptionSection,
+    canvas: renderCanvasSection
+};
+
+/**
+ * Show a section's stored settings unless its form has unsaved edits
+ */
+function refreshSection(name) {
+    if (dirtySections.has(name)) return;
+    SECTION_RENDERERS[name]();
+}
+
+/**
+ * The section's form was saved: show what is stored now
+ */
+function markSectionSaved(name) {
+    dirtySections.delete(name);
+    SECTION_RENDERERS[name]();
+}
+
+/**
+ * Render the page frame; each section renders into its own container
+ */
+function renderOptions() {
+    const lmsPlatformOptions = Object.entries(AskLynkLmsSites.PLATFORMS).map(([key, platform]) => `
+        <option value="${key}">${platform.label}</option>
+    `).join('');
+    
+    document.getElementById('root').innerHTML = `
+        <div style="max-width: 640px; margin: 40px auto; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;">
+            <!-- Header -->
+            <div id="optionsHeader" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 25px; border-radius: 12px 12px 0 0;"></div>
+            
+            <div style="background: white; padding: 25px; border-radius: 0 0 12px 12px; box-shadow: 0 1px 3px rgba(0,0,0,0.08);">
+                <div id="environmentSection" data-section="environment"></div>
+                
+                <div id="messageContainer" style="margin-top: 16px;"></div>
+                
+                <!-- Transcription -->
+                <div id="transcriptionSection" data-section="transcription" style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;"></div>
+                
+                <!-- Campus LMS sites -->
+                <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
+                    <h2 style="margin: 0 0 6px 0; font-size: 16px; color: #1f2937;">Campus LMS sites</h2>
+                    <p style="margin: 0 0 12px 0; color: #6b7280; font-size: 13px;">AskLynk runs on hosted Canvas, MoodleCloud, Blackboard and Brightspace. Add your school's own LMS address (e.g. https://moodle.school.edu) to use it there too; reload open LMS tabs afterwards.</p>
+                    <div id="lmsSiteList"></div>
+                    <div style="display: flex; gap: 10px;">
+                        <select id="lmsSitePlatform" style="padding: 10px 12px; border: 1px solid #d1d5db; border-radius: 8px; font-size: 14px; background: white;">
+                            ${lmsPlatformOptions}
+                        </select>
+                        <input id="lmsSiteOrigin" type="url" placeholder="https://moodle.school.edu" style="flex: 1; box-sizing: border-box; padding: 10px 12px; border: 1px solid #d1d5db; border-radius: 8px; font-size: 14px;">
+                        <button id="addLmsSiteButton" style="padding: 10px 18px; background: #4f46e5; color: white; border: none; border-radius: 8px; font-size: 14px; font-weight: 500; cursor: pointer;">
+                            Add site
+                        </button>
+                    </div>
+                </div>
+                
+                <!-- Canvas publishing -->
+                <div id="canvasSection" data-section="canvas" style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;"></div>
+                
+                <!-- Developer -->
+                <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb;">
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+                        <h2 style="margin: 0; font-size: 16px; color: #1f2937;">Security audit log</h2>
+                        <button id="refreshAuditLogButton" style="background: none; border: none; color: #4f46e5; font-size: 13px; cursor: pointer;">↻ Refresh</button>
+                    </div>
+                    <p style="margin: 0 0 10px 0; color: #6b7280; font-size: 13px;">Messages and API requests the extension refused.</p>
+                    <div id="auditLog" style="max-height: 260px; overflow-y: auto; font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; background: #f9fafb; border-radius: 8px; padding: 10px;"></div>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    // Typing in a section marks it unsaved until its Save succeeds
+    document.querySelectorAll('[data-section]').forEach(section => {
+        section.addEventListener('input', () => dirtySections.add(section.dataset.section));
+    });
+    
+    document.getElementById('addLmsSiteButton').addEventListener('click', handleAddLmsSite);
+    document.getElementById('refreshAuditLogButton').addEventListener('click', loadAuditLog);
+    
+    renderHeader();
+    renderEnvironmentSection();
+    renderTranscriptionSection();
+    renderLmsSiteList();
+    renderCanvasSection();
+}
+
+/**
+ * Show the backend the extension is connected to
+ */
+function renderHeader() {
+    document.getElementById('optionsHeader').innerHTML = `
+        <h1 style="margin: 0; font-size: 22px; font-weight: 600;">AskLynk Settings</h1>
+        <p style="margin: 4px 0 0 0; font-size: 14px; opacity: 0.85;">
+            Connected to <strong>${currentEnvironment.label}</strong> · ${currentEnvironment.apiOrigin}
+        </p>
+    `;
+}
+
+/**
+ * Render the environment form
+ */
+function renderEnvironmentSection() {
+    const environments = AskLynkEnvironments.ENVIRONMENTS;
+    const selected = currentEnvironment.environment;
+    
+    const optionRow = (key, label, detail) => `
+        <label style="display: flex; align-items: flex-start; gap: 12px; padding: 14px 16px; border: 2px solid ${selected === key ? '#c7d2fe' : '#e5e7eb'}; background: ${selected === key ? '#f5f7ff' : 'white'}; border-radius: 10px; cursor: pointer;">
+            <input type="radio" name="environment" value="${key}" ${selected === key ? 'checked' : ''} style="margin-top: 3px;">
+            <div>
+                <div style="font-weight: 600; color: #1f2937; font-size: 15px;">${label}</div>
+                <div style="color: #6b7280; font-size: 13px; margin-top: 2px;">${detail}</div>
+            </div>
+        </label>
+    `;
+    
+    const customApi = selected === 'custom' ? escapeHtml(currentEnvironment.apiOrigin) : '';
+    const customAuth = selected === 'custom' ? escapeHtml(currentEnvironment.authOrigin) : '';
+    
+    document.getElementById('environmentSection').innerHTML = `
+        <h2 style="margin: 0 0 12px 0; font-size: 16px; color: #1f2937;">Environment</h2>
+        <div style="display: flex; flex-direction: column; gap: 10px;">
+            ${optionRow('production', environments.production.label, environments.production.apiOrigin)}
+            ${optionRow('local', environments.local.label, `${environments.local.apiOrigin} · login on ${environments.local.authOrigin}`)}
+            ${optionRow('custom', 'Custom', 'Your own API and auth origins')}
+        </div>
+        
+        <div id="customOrigins" style="display: ${selected === 'custom' ? 'block' : 'none'}; margin-top: 14px; padding: 16px; background: #f9fafb; border-radius: 10px;">
+            <label style="display: block; font-size: 13px; font-weight: 600; color: #374151; margin-bottom: 6px;">API origin</label>
+            <input id="customApiOrigin" type="url" placeholder="https://api.example.com" value="${customApi}" style="width: 100%; box-sizing: border-box; padding: 10px 12px; border: 1px solid #d1d5db; border-radius: 8px; font-size: 14px; margin-bottom: 12px;">
+            <label style="display: block; font-size: 13px; font-weight: 600; color: #374151; margin-bottom: 6px;">Auth (login page) origin</label>
+            <input id="customAuthOrigin" type="url" placeholder="https://login.example.com" value="${customAuth}" style="width: 100%; box-sizing: border-box; padding: 10px 12px; border: 1px solid #d1d5db; border-radius: 8px; font-size: 14px;">
+            <p style="margin: 8px 0 0 0; color: #6b7280; font-size: 12px;">Use https:// origins. http:// is only allowed for localhost.</p>
+        </div>
+        
+        <div style="display: flex; gap: 10px; margin-top: 20px;">
+            <button id="testConnectionButton" style="padding: 10px 18px; background: white; color: #4f46e5; border: 1px solid #c7d2fe; border-radius: 8px; font-size: 14px; cursor: pointer;">
+                🩺 Test connection
+            </button>
+            <button id="saveButton" style="padding: 10px 18px; background: #4f46e5; color: white; border: none; border-radius: 8px; font-size: 14px; font-weight: 500; cursor: pointer;">
+                Save
+            </button>
+        </div>
+    `;
+    
+    document.querySelectorAll('input[name="environment"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            document.getElementById('customOrigins').style.display = radio.value === 'custom' && radio.checked ? 'block' : 'none';
+        });
+    });
+    document.getElementById('testConnectionButton').addEventListener('click', handleTestConnection);
+    document.getElementById('saveButton').addEventListener('click', handleSave);
+}
+
+/**
+ * Render the transcription engine form
+ */
+function renderTranscriptionSection() {
+    const engineOptions = Object.entries(AskLynkTranscriptionSettings.ENGINES).map(([key, label]) => `
+        <option value="${key}" ${currentTranscription.engine === key ? 'selected' : ''}>${label}</option>
+    `).join('');
+    
+    document.getElementById('transcriptionSection').innerHTML = `
+        <h2 style="margin: 0 0 6px 0; font-size: 16px; color: #1f2937;">Transcription</h2>
+        <p style="margin: 0 0 12px 0; color: #6b7280; font-size: 13px;">How lecture audio becomes text. Use an HTTP endpoint where the browser has no speech service or transcription must stay on-prem.</p>
+        <select id="transcriptionEngine" style="width: 100%; box-sizing: border-box; padding: 10px 12px; border: 1px solid #d1d5db; border-radius: 8px; font-size: 14px; margin-bottom: 12px; background: white;">
+            ${engineOptions}
+        </select>
+        <label style="display: block; font-size: 13px; font-weight: 600; color: #374151; margin-bottom: 6px;">Whisper-compatible endpoint</label>
+        <input id="transcriptionEndpoint" type="url" placeholder="${AskLynkTranscriptionSettings.DEFAULTS.endpoint}" value="${escapeHtml(currentTranscription.endpoint)}" style="width: 100%; box-sizing: border-box; padding: 10px 12px; border: 1px solid #d1d5db; border-radius: 8px; font-size: 14px; margin-bottom: 12px;">
+        <div style="display: flex; gap: 10px;">
+            <div style="flex: 1;">
+                <label style="display: block; font-size: 13px; font-weight: 600; color: #374151; margin-bottom: 6px;">Model</label>
+                <input id="transcriptionModel" type="text" value="${escapeHtml(currentTranscription.model)}" style="width: 100%; box-sizing: border-box; padding: 10px 12px; border: 1px solid #d1d5db; border-radius: 8px; font-size: 14px;">
+            </div>
+            <div style="flex: 1;">
+                <label style="display: block; font-size: 13px; font-weight: 600; color: #374151; margin-bottom: 6px;">API key (optional)</label>
+                <input id="transcriptionApiKey" type="password" value="${escapeHtml(currentTranscription.apiKey)}" autocomplete="off" style="width: 100%; box-sizing: border-box; padding: 10px 12px; border: 1px solid #d1d5db; border-radius: 8px; font-size: 14px;">
+            </div>
+        </div>
+        <label style="display: flex; align-items: center; gap: 8px; margin-top: 12px; font-size: 13px; color: #374151;">
+            <input id="transcriptionCaptionStudentNames" type="checkbox" ${currentTranscription.captionStudentNames ? 'checked' : ''}>
+            Keep students' names from meeting captions (otherwise they are sent as "Student")
+        </label>
+        <button id="saveTranscriptionButton" style="margin-top: 14px; padding: 10px 18px; background: #4f46e5; color: white; border: none; border-radius: 8px; font-size: 14px; font-weight: 500; cursor: pointer;">
+            Save transcription settings
+        </button>
+    `;
+    
+    document.getElementById('saveTranscriptionButton').addEventListener('click', handleSaveTranscription);
+}
+
+// The list has no inputs, so it always follows storage
+function renderLmsSiteList() {
+    const lmsSiteRows = currentLmsSites.map(site => `
+        <div style="display: flex; justify-content: space-between; align-items: center; padding: 8px 12px; margin-bottom: 8px; background: #f9fafb; border-radius: 8px; font-size: 14px;">
+            <span><strong>${escapeHtml(AskLynkLmsSites.PLATFORMS[site.platform].label)}</strong> · ${escapeHtml(site.origin)}</span>
+            <button class="remove-lms-site" data-origin="${escapeHtml(site.origin)}" style="background: none; border: none; color: #dc2626; font-size: 13px; cursor: pointer;">Remove</button>
+        </div>
+    `).join('');
+    
+    document.getElementById('lmsSiteList').innerHTML = lmsSiteRows || '<p style="margin: 0 0 12px 0; color: #9ca3af; font-size: 13px;">No campus sites added.</p>';
+    document.querySelectorAll('.remove-lms-site').forEach(button => {
+        button.addEventListener('click', () => handleRemoveLmsSite(button.dataset.origin));
+    });
+}
+
+/**
+ * Render the Canvas publishing form
+ */
+function renderCanvasSection() {
+    document.getElementById('canvasSection').innerHTML = `
+        <h2 style="margin: 0 0 6px 0; font-size: 16px; color: #1f2937;">Canvas publishing</h2>
+        <p style="margin: 0 0 12px 0; color: #6b7280; font-size: 13px;">Lets professors publish an ended session's recap to its Canvas course as an unpublished page or announcement. Create the token under Account → Settings → New Access Token in Canvas.</p>
+        <label style="display: block; font-size: 13px; font-weight: 600; color: #374151; margin-bottom: 6px;">Canvas URL</label>
+        <input id="canvasBaseUrl" type="url" placeholder="https://school.instructure.com" value="${escapeHtml(currentCanvas.baseUrl)}" style="width: 100%; box-sizing: border-box; padding: 10px 12px; border: 1px solid #d1d5db; border-radius: 8px; font-size: 14px; margin-bottom: 12px;">
+        <label style="display: block; font-size: 13px; font-weight: 600; color: #374151; margin-bottom: 6px;">Access token</label>
+        <input id="canvasToken" type="password" value="${escapeHtml(currentCanvas.token)}" autocomplete="off" style="width: 100%; box-sizing: border-box; padding: 10px 12px; border: 1px solid #d1d5db; border-radius: 8px; font-size: 14px;">
+        <button id="saveCanvasButton" style="margin-top: 14px; padding: 10px 18px; background: #4f46e5; color: white; border: none; border-radius: 8px; font-size: 14px; font-weight: 500; cursor: pointer;">
+            Save Canvas settings
+        </button>
+    `;
+    
+    document.getElementById('saveCanvasButton').addEventListener('click', handleSaveCanvas);
+}
+
+/**
+ * Read the form into the settings shape AskLynkEnvironments.save() expects
+ */
+function readForm() {
+    const environment = document.querySelector('input[name="environment"]:checked')?.value || AskLynkEnvironments.DEFAULT_ENVIRONMENT;
+    if (environment !== 'custom') {
+        return { environment };
+    }
+    return {
+        environment,
+        apiOrigin: document.getElementById('customApiOrigin').value,
+        authOrigin: document.getElementById('customAuthOrigin').value
+    };
+}
+
+/**
+ * Custom origins are not in the manifest's host_permissions, so ask for them
+ * (must run inside the click handler that triggered it)
+ */
+async function requestOriginAccess(origins) {
+    const patterns = origins.map(origin => `${origin}/*`);
+    const granted = await chrome.permissions.contains({ origins: patterns });
+    return granted || await chrome.permissions.request({ origins: patterns });
+}
+
+/**
+ * Ping the selected backend's health endpoint
+ */
+async function handleTestConnection() {
+    const settings = readForm();
+    const resolved = AskLynkEnvironments.resolve(settings);
+    
+    if (settings.environment === 'custom' && resolved.environment !== 'custom') {
+        showMessage('Enter valid https:// origins (http:// only for localhost).', 'error');
+        return;
+    }
+    
+    if (settings.environment === 'custom' && !(await requestOriginAccess([resolved.apiOrigin]))) {
+        showMessage('AskLynk needs permission to reach that origin.', 'error');
+        return;
+    }
+    
+    showMessage(`Checking ${resolved.apiOrigin}...`, 'info');
+    const result = await chrome.runtime.sendMessage({ type: 'VALIDATE_BACKEND', apiOrigin: resolved.apiOrigin });
+    
+    if (result && result.success) {
+        showMessage(`✅ ${resolved.apiOrigin} is reachable (${result.latencyMs} ms)`, 'success');
+    } else {
+        showMessage(`❌ ${resolved.apiOrigin} did not answer: ${escapeHtml(result?.error || 'no response')}`, 'error');
+    }
+}
+
+/**
+ * Store the chosen environment; the service worker, content scripts and popup follow it live
+ */
+async function handleSave() {
+    const settings = readForm();
+    
+    if (settings.environment === 'custom') {
+        const apiOrigin = AskLynkEnvironments.normalizeOrigin(settings.apiOrigin);
+        const authOrigin = AskLynkEnvironments.normalizeOrigin(settings.authOrigin);
+        
+        if (apiOrigin && authOrigin && !(await requestOriginAccess([apiOrigin, authOrigin]))) {
+            showMessage('AskLynk needs permission to reach those origins.', 'error');
+            return;
+        }
+    }
+    
+    const result = await AskLynkEnvironments.save(settings);
+    if (result.success) {
+        console.log('✅ Environment saved:', result.environment);
+        currentEnvironment = result.environment;
+        renderHeader();
+        markSectionSaved('environment');
+        showMessage(`Saved. AskLynk now uses ${result.environment.label} (${result.environment.apiOrigin}). You may need to sign in again.`, 'success');
+    } else {
+        showMessage(result.error, 'error');
+    }
+}
+
+/**
+ * Store the transcription engine settings; content scripts use them on the next capture
+ */
+async function handleSaveTranscription() {
+    const settings = {
+        engine: document.getElementById('transcriptionEngine').value,
+        endpoint: document.getElementById('transcriptionEndpoint').value,
+        model: document.getElementById('transcriptionModel').value,
+        apiKey: document.getElementById('transcriptionApiKey').value,
+        captionStudentNames: document.getElementById('transcriptionCaptionStudentNames').checked
+    };
+    
+    const endpoint = AskLynkTranscriptionSettings.normalizeEndpoint(settings.endpoint);
+    if (!endpoint) {
+        showMessage('Transcription endpoint must be an https:// URL (http:// only for localhost).', 'error');
+        return;
+    }
+    
+    if (settings.engine !== 'webspeech' && !(await requestOriginAccess([new URL(endpoint).origin]))) {
+        showMessage('AskLynk needs permission to reach the transcription endpoint.', 'error');
+        return;
+    }
+    
+    const result = await AskLynkTranscriptionSettings.save(settings);
+    if (result.success) {
+        console.log('✅ Transcription settings saved:', result.settings.engine);
+        currentTranscription = await loadTranscriptionSettings();
+        markSectionSaved('transcription');
+        showMessage(`Saved. Voice capture uses ${escapeHtml(AskLynkTranscriptionSettings.ENGINES[result.settings.engine])} from the next time it starts.`, 'success');
+    } else {
+        showMessage(escapeHtml(result.error), 'error');
+    }
+}
+
+/**
+ * Add a self-hosted LMS; the service worker injects AskLynk there once access is granted
+ */
+async function handleAddLmsSite() {
+    const platform = document.getElementById('lmsSitePlatform').value;
+    const origin = AskLynkLmsSites.normalizeOrigin(document.getElementById('lmsSiteOrigin').value);
+    if (!origin) {
+        showMessage('LMS address must be an https:// URL (http:// only for localhost).', 'error');
+        return;
+    }
+    
+    const site = { platform, origin };
+    if (!(await requestOriginAccess([origin]))) {
+        showMessage('AskLynk needs permission to run on that site.', 'error');
+        return;
+    }
+    
+    const result = await AskLynkLmsSites.save([...currentLmsSites.filter(existing => existing.origin !== origin), site]);
+    if (result.success) {
+        console.log('✅ Campus LMS site added:', origin);
+        currentLmsSites = result.sites;
+        renderLmsSiteList();
+        document.getElementById('lmsSiteOrigin').value = '';
+        showMessage(`Added. AskLynk now runs on ${escapeHtml(origin)} as ${escapeHtml(AskLynkLmsSites.PLATFORMS[platform].label)}; reload its open tabs.`, 'success');
+    } else {
+        showMessage(escapeHtml(result.error), 'error');
+    }
+}
+
+async function handleRemoveLmsSite(origin) {
+    const result = await AskLynkLmsSites.save(currentLmsSites.filter(site => site.origin !== origin));
+    if (result.success) {
+        currentLmsSites = result.sites;
+        renderLmsSiteList();
+        showMessage(`Removed ${escapeHtml(origin)}.`, 'success');
+    } else {
+        showMessage(escapeHtml(result.error), 'error');
+    }
+}
+
+/**
+ * Store the Canvas instance and access token used to publish session recaps
+ */
+async function handleSaveCanvas() {
+    const settings = {
+        baseUrl: document.getElementById('canvasBaseUrl').value,
+        token: document.getElementById('canvasToken').value
+    };
+    
+    const baseUrl = AskLynkCanvasSettings.normalizeBaseUrl(settings.baseUrl);
+    if (!baseUrl) {
+        showMessage('Canvas URL must be an https:// URL (http:// only for localhost).', 'error');
+        return;
+    }
+    
+    if (!(await requestOriginAccess([baseUrl]))) {
+        showMessage('AskLynk needs permission to reach your Canvas instance.', 'error');
+        return;
+    }
+    
+    const result = await AskLynkCanvasSettings.save(settings);
+    if (result.success) {
+        console.log('✅ Canvas settings saved:', result.settings.baseUrl);
+        currentCanvas = { ...result.settings, token: await AskLynkCanvasSettings.loadToken() };
+        markSectionSaved('canvas');
+        showMessage(`Saved. Session recaps are published to ${escapeHtml(result.settings.baseUrl)}.`, 'success');
+    } else {
+        showMessage(escapeHtml(result.error), 'error');
+    }
+}
+
+/**
+ * Show the most recent security audit entries
+ */
+async function loadAuditLog() {
+    const container = document.getElementById('auditLog');
+    if (!container) return;
+    
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_SECURITY_AUDIT_LOG', limit: 50 });
+        const entries = (response && response.entries) || [];
+        
+        if (entries.length === 0) {
+            container.innerHTML = '<div style="color: #9ca3af;">No security events recorded.</div>';
+            return;
+        }
+        
+        // Entries quote whatever the rejected sender supplied, so never render them as HTML
+        container.innerHTML = entries.map(entry => `
+            <div style="padding: 6px 0; border-bottom: 1px solid #e5e7eb;">
+                <span style="color: #6b7280;">${new Date(entry.at).toLocaleString()}</span>
+                <strong style="color: #b91c1c;">${escapeHtml(entry.event)}</strong>
+                <span style="color: #374151;">${escapeHtml(entry.type)} ${escapeHtml(entry.reason)}</span>
+                <div style="color: #9ca3af; word-break: break-all;">${escapeHtml(entry.url || entry.senderUrl || entry.origin)}</div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('❌ Failed to load audit log:', error);
+        container.innerHTML = '';
+    }
+}
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value == null ? '' : String(value);
+    return div.innerHTML;
+}
+
+/**
+ * Show messages with the popup's styling
+ */
+function showMessage(message, type = 'info') {
+    const container = document.getElementById('messageContainer');
+    if (!container) return;
+    
+    const colors = {
+        success: { bg: '#dcfce7', border: '#22c55e', text: '#166534' },
+        error: { bg: '#fef2f2', border: '#ef4444', text: '#991b1b' },
+        info: { bg: '#dbeafe', border: '#3b82f6', text: '#1e40af' }
+    };
+    
+    const color = colors[type] || colors.info;
+    
+    container.innerHTML = `
+        <div style="padding: 12px; background: ${color.bg}; border: 1px solid ${color.border}; border-radius: 6px; color: ${color.text}; font-size: 14px; font-weight: 500;">
+            ${message}
+        </div>
+    `;
+}
+
+console.log('✅ AskLynk Options Ready!');
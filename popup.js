@@ -9,6 +9,7 @@ console.log('🚀 AskLynk Popup Loading...');
 let currentUser = null;
 let isLoading = false;
 let authCheckInProgress = false;
+let currentEnvironment = AskLynkEnvironments.resolve(null);
 
 /**
  * Initialize popup immediately when DOM loads
@@ -19,6 +20,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Show loading state immediately
     showLoadingState();
     
+    currentEnvironment = await AskLynkEnvironments.load();
+    
     // Check auth state and render appropriate UI
     try {
         await checkAuthState();
@@ -135,14 +138,32 @@ function showAuthInterface() {
             <!-- Footer -->
             <div style="padding: 15px 25px; background: #f9fafb; border-top: 1px solid #e5e7eb; text-align: center;">
                 <div style="font-size: 12px; color: #6b7280;">
-                    <span style="color: #ef4444;">●</span> Not connected
+                    <span style="color: #ef4444;">●</span> Not connected${environmentLabel()}
                 </div>
+                <button id="openSettingsButton" style="margin-top: 6px; background: none; border: none; color: #6b7280; font-size: 12px; cursor: pointer;">⚙️ Settings</button>
             </div>
         </div>
     `;
     
     // Attach event listeners
     attachAuthEventListeners();
+    attachSettingsButton();
+}
+
+/**
+ * Name the backend in the footer when it is not production
+ */
+function environmentLabel() {
+    return currentEnvironment.environment === 'production'
+        ? ''
+        : ` · <span style="color: #b45309;" title="${currentEnvironment.apiOrigin}">${currentEnvironment.label}</span>`;
+}
+
+function attachSettingsButton() {
+    const openSettingsButton = document.getElementById('openSettingsButton');
+    if (openSettingsButton) {
+        openSettingsButton.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    }
 }
 
 /**
@@ -266,6 +287,18 @@ function showDashboard() {
                     </button>
                 </div>
                 
+                <!-- Accounts -->
+                <div style="margin-bottom: 25px;">
+                    <div style="font-size: 12px; font-weight: 600; color: #6b7280; text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 10px;">Accounts</div>
+                    <div id="accountList" style="display: flex; flex-direction: column; gap: 8px;">
+                        <div style="color: #9ca3af; font-size: 13px;">Loading accounts...</div>
+                    </div>
+                    <button id="addAccountButton" style="width: 100%; margin-top: 10px; padding: 10px; background: none; border: 1px dashed #c7d2fe; border-radius: 8px; color: #4f46e5; font-size: 14px; cursor: pointer;">
+                        + Add another account
+                    </button>
+                    <div id="messageContainer" style="margin-top: 12px;"></div>
+                </div>
+                
                 <div style="background: #f9fafb; border-radius: 8px; padding: 20px; text-align: center;">
                     <div style="font-size: 18px; margin-bottom: 8px;">🎉</div>
                     <h3 style="margin: 0 0 8px 0; color: #1f2937;">Welcome to AskLynk!</h3>
@@ -281,8 +314,11 @@ function showDashboard() {
                     <button id="signOutButton" style="background: none; border: none; color: #6b7280; font-size: 14px; cursor: pointer;">
                         🚪 Sign Out
                     </button>
+                    <button id="openSettingsButton" style="background: none; border: none; color: #6b7280; font-size: 14px; cursor: pointer;">
+                        ⚙️ Settings
+                    </button>
                     <div style="font-size: 12px; color: #10b981;">
-                        <span>●</span> Connected
+                        <span>●</span> Connected${environmentLabel()}
                     </div>
                 </div>
             </div>
@@ -291,6 +327,115 @@ function showDashboard() {
     
     // Attach dashboard event listeners
     attachDashboardEventListeners();
+    attachSettingsButton();
+    loadAccountList();
+}
+
+/**
+ * Render the signed-in account profiles with switch/remove actions
+ */
+async function loadAccountList() {
+    const container = document.getElementById('accountList');
+    if (!container) return;
+    
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'LIST_ACCOUNTS' });
+        const accounts = (response && response.accounts) || [];
+        
+        const roleColors = {
+            professor: { bg: '#ede9fe', text: '#6d28d9' },
+            student: { bg: '#dbeafe', text: '#1d4ed8' }
+        };
+        
+        container.innerHTML = accounts.map(account => {
+            const roleColor = roleColors[account.role] || { bg: '#f3f4f6', text: '#4b5563' };
+            const action = account.active
+                ? '<span style="font-size: 12px; color: #10b981; font-weight: 600;">Active</span>'
+                : `<button class="switch-account-button" data-user-id="${account.id}" style="padding: 6px 12px; background: #4f46e5; color: white; border: none; border-radius: 6px; font-size: 12px; cursor: pointer;">Switch</button>`;
+            
+            return `
+                <div style="display: flex; align-items: center; gap: 10px; padding: 10px 12px; border: 1px solid ${account.active ? '#c7d2fe' : '#e5e7eb'}; border-radius: 8px; background: ${account.active ? '#f5f7ff' : 'white'};">
+                    <div style="flex: 1; min-width: 0;">
+                        <div style="display: flex; align-items: center; gap: 6px;">
+                            <span style="font-weight: 600; color: #1f2937; font-size: 14px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${account.name}</span>
+                            ${account.role ? `<span style="padding: 1px 6px; border-radius: 9999px; font-size: 11px; background: ${roleColor.bg}; color: ${roleColor.text};">${account.role}</span>` : ''}
+                        </div>
+                        <div style="color: #6b7280; font-size: 12px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                            ${account.expired ? '⚠️ Signed out - sign in again' : account.email}
+                        </div>
+                    </div>
+                    ${action}
+                    ${account.active ? '' : `<button class="remove-account-button" data-user-id="${account.id}" title="Remove account" style="background: none; border: none; color: #9ca3af; font-size: 14px; cursor: pointer;">✕</button>`}
+                </div>
+            `;
+        }).join('');
+        
+        container.querySelectorAll('.switch-account-button').forEach(button => {
+            button.addEventListener('click', () => handleSwitchAccount(button.dataset.userId));
+        });
+        container.querySelectorAll('.remove-account-button').forEach(button => {
+            button.addEventListener('click', () => handleRemoveAccount(button.dataset.userId));
+        });
+    } catch (error) {
+        console.error('❌ Failed to load accounts:', error);
+        container.innerHTML = '';
+    }
+}
+
+/**
+ * Switch the extension to another signed-in account
+ */
+async function handleSwitchAccount(userId) {
+    try {
+        showMessage('Switching account...', 'info');
+        const response = await chrome.runtime.sendMessage({ type: 'SWITCH_ACCOUNT', userId });
+        
+        if (response && response.success) {
+            currentUser = response.user;
+            renderMainUI();
+        } else {
+            showMessage(response?.error || 'Could not switch account.', 'error');
+            loadAccountList();
+        }
+    } catch (error) {
+        console.error('❌ Switch account error:', error);
+        showMessage('An error occurred while switching accounts.', 'error');
+    }
+}
+
+/**
+ * Sign in an additional account without signing out of the current one
+ */
+async function handleAddAccount() {
+    try {
+        showMessage('Opening sign-in...', 'info');
+        const response = await chrome.runtime.sendMessage({ type: 'ADD_ACCOUNT' });
+        
+        if (response && response.success) {
+            currentUser = response.user;
+            renderMainUI();
+        } else {
+            showMessage(response?.error || 'Account was not added.', 'error');
+        }
+    } catch (error) {
+        console.error('❌ Add account error:', error);
+        showMessage('An error occurred while adding the account.', 'error');
+    }
+}
+
+/**
+ * Forget a signed-in account that is not currently active
+ */
+async function handleRemoveAccount(userId) {
+    if (!confirm('Remove this account from AskLynk?')) return;
+    
+    try {
+        await chrome.runtime.sendMessage({ type: 'REMOVE_ACCOUNT', userId });
+        loadAccountList();
+    } catch (error) {
+        console.error('❌ Remove account error:', error);
+        showMessage('Could not remove the account.', 'error');
+    }
 }
 
 /**
@@ -300,6 +445,7 @@ function attachDashboardEventListeners() {
     const openOverlayButton = document.getElementById('openOverlayButton');
     const quickChatButton = document.getElementById('quickChatButton');
     const signOutButton = document.getElementById('signOutButton');
+    const addAccountButton = document.getElementById('addAccountButton');
     
     if (openOverlayButton) {
         openOverlayButton.addEventListener('click', () => {
@@ -319,6 +465,10 @@ function attachDashboardEventListeners() {
     if (signOutButton) {
         signOutButton.addEventListener('click', handleSignOut);
     }
+    
+    if (addAccountButton) {
+        addAccountButton.addEventListener('click', handleAddAccount);
+    }
 }
 
 /**
@@ -405,6 +555,19 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         renderMainUI();
         sendResponse({ success: true });
     }
+    
+    if (message.type === 'REAUTH_REQUIRED') {
+        console.log('🔒 Session renewal needs sign-in:', message.reason);
+        showMessage('Your AskLynk session could not be renewed. Please sign in again.', 'error');
+        sendResponse({ success: true });
+    }
+});
+
+// Follow environment changes made on the options page while the popup is open
+AskLynkEnvironments.onChange((environment) => {
+    console.log('🌐 Environment changed:', environment.environment);
+    currentEnvironment = environment;
+    renderMainUI();
 });
 
 console.log('✅ AskLynk Secure Popup Ready!');
\ No newline at end of file
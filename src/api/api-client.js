@@ -1,78 +1,519 @@
-// src/api-client.js - A client for making API calls to the backend server
-
-// Base API URL - update this for production
-const API_BASE_URL = 'http://localhost:3000/api'; // Point to your Express backend
-
-// Generic API request function
-function apiRequest(path, options = {}) {
-  return new Promise((resolve, reject) => {
-    const url = `${API_BASE_URL}${path}`;
-    
-    chrome.runtime.sendMessage({
-      type: 'API_REQUEST',
-      url,
-      method: options.method || 'GET',
-      headers: options.headers || {},
-      body: options.body || null
-    }, response => {
-      if (chrome.runtime.lastError) {
-        return reject(new Error(chrome.runtime.lastError.message));
-      }
-      
-      if (!response.ok || response.error) {
-        return reject(new Error(response.error || `Request failed with status ${response.status}`));
+/**
+ * AskLynk API Client
+ *
+ * The one way the content script talks to the backend. Every call is proxied
+ * through the background service worker (API_CALL) so cookies, the offline
+ * outbox and the response cache all apply. Loaded as a classic content script
+ * ahead of content.js and exposed as `self.AskLynkApi`; logs through content.js's
+ * `Logger`, which is defined by the time any call is made.
+ *
+ * Every endpoint function resolves (never rejects) with a normalized response:
+ *   { ok, status, data, error, errorCode, requestId, queued, outboxId, cached }
+ * `error` is a human-readable string whenever `ok` is false.
+ *
+ * AI answers stream over a long-lived port instead (see `stream`).
+ */
+(function () {
+  'use strict';
+
+  // Production until content.js applies the stored environment (src/config/environments.js)
+  const DEFAULT_BASE_URL = self.AskLynkEnvironments
+    ? self.AskLynkEnvironments.ENVIRONMENTS.production.apiOrigin
+    : 'https://asklynk-backend-424701115132.us-central1.run.app';
+  const STREAM_PORT_NAME = 'asklynk-ai-stream'; // Must match STREAM_CONFIG.PORT_NAME in background.js
+
+  const RETRY_CONFIG = {
+    GET_RETRIES: 2,           // Reads are safe to repeat
+    WRITE_RETRIES: 0,         // Writes rely on the outbox instead
+    DELAY_BASE: 500,          // First retry delay (ms)
+    RETRYABLE_STATUSES: [0, 502, 503, 504]
+  };
+
+  const ERROR_CODES = {
+    0: 'NETWORK_ERROR',
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    422: 'VALIDATION_ERROR',
+    429: 'RATE_LIMITED'
+  };
+
+  let baseUrl = DEFAULT_BASE_URL;
+
+  // Cached reads: the background answers from cache, then pushes a fresher copy
+  const revalidationCallbacks = new Map(); // requestId -> callback(response)
+  const cacheSlots = new Map();            // slot -> latest requestId
+
+  function generateRequestId() {
+    return `req_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function errorCodeFor(status) {
+    if (ERROR_CODES[status]) return ERROR_CODES[status];
+    if (status >= 500) return 'SERVER_ERROR';
+    return `HTTP_${status}`;
+  }
+
+  /**
+   * Turn whatever came back from the background into the client's response shape
+   */
+  function normalizeResponse(raw, requestId) {
+    if (!raw) {
+      return {
+        ok: false,
+        status: 0,
+        data: null,
+        error: 'No response from the extension background',
+        errorCode: 'EXTENSION_UNAVAILABLE',
+        requestId
+      };
+    }
+
+    const response = {
+      ok: !!raw.ok,
+      status: raw.status || 0,
+      data: raw.data !== undefined ? raw.data : null,
+      requestId,
+      queued: !!raw.queued,
+      outboxId: raw.outboxId || null,
+      cached: !!raw.cached,
+      revalidating: !!raw.revalidating
+    };
+
+    if (!response.ok) {
+      response.error = raw.data?.error || raw.data?.message || raw.error ||
+        (response.queued ? 'Saved offline - will send when the connection returns' : `Request failed with status ${response.status}`);
+      response.errorCode = response.queued ? 'QUEUED_OFFLINE' : errorCodeFor(response.status);
+    }
+
+    return response;
+  }
+
+  function sendToBackground(message) {
+    return new Promise(resolve => {
+      try {
+        chrome.runtime.sendMessage(message, (raw) => {
+          if (chrome.runtime.lastError) {
+            resolve({ ok: false, status: 0, error: chrome.runtime.lastError.message, extensionError: true });
+            return;
+          }
+          resolve(raw);
+        });
+      } catch (error) {
+        // Extension was reloaded underneath this page
+        resolve({ ok: false, status: 0, error: error.message, extensionError: true });
       }
-      
-      resolve(response.data);
     });
-  });
-}
+  }
+
+  /**
+   * Send one request through the background proxy with retries.
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under the API origin, e.g. /api/sessions
+   * @param {Object} [options]
+   * @param {Object} [options.body] - JSON body for writes
+   * @param {Object} [options.query] - Query string parameters; empty values are skipped
+   * @param {Object} [options.outbox] - Outbox metadata ({ kind, sessionId, preview }) to queue the write while offline
+   * @param {number} [options.retries] - Override the default retry count
+   * @returns {Promise<Object>} Normalized response
+   */
+  async function request(method, path, options = {}) {
+    const requestId = generateRequestId();
+    const retries = options.retries !== undefined
+      ? options.retries
+      : (method === 'GET' ? RETRY_CONFIG.GET_RETRIES : RETRY_CONFIG.WRITE_RETRIES);
 
-// Session-specific API functions
-const SessionAPI = {
-  // Get sessions for a professor
-  getProfessorSessions: async (professorId, authToken) => {
-    return apiRequest(`/sessions/professor/${professorId}`, {
+    const message = {
+      type: 'API_CALL',
+      url: buildUrl(path, options.query),
+      method,
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${authToken}`
+        'X-Request-ID': requestId
       }
-    });
-  },
-  
-  // Get a specific session
-  getSession: async (sessionId, authToken) => {
-    return apiRequest(`/sessions/${sessionId}`, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${authToken}`
+    };
+    if (options.body !== undefined) message.body = options.body;
+    if (options.outbox) message.outbox = options.outbox;
+
+    let response;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        await delay(RETRY_CONFIG.DELAY_BASE * Math.pow(2, attempt - 1));
       }
-    });
-  },
-  
-  // Create a new session
-  createSession: async (sessionData, authToken) => {
-    return apiRequest('/sessions', {
-      method: 'POST',
+
+      const raw = await sendToBackground(message);
+      response = normalizeResponse(raw, requestId);
+      if (raw && raw.extensionError) {
+        response.errorCode = 'EXTENSION_UNAVAILABLE';
+      }
+
+      if (response.ok || response.queued || !RETRY_CONFIG.RETRYABLE_STATUSES.includes(response.status)) {
+        break;
+      }
+    }
+
+    if (!response.ok && !response.queued) {
+      Logger.warn('🌐 API call failed:', method, path, response.errorCode, response.error, requestId);
+    }
+    return response;
+  }
+
+  /**
+   * GET through the background cache. Resolves with the cached copy when there is one;
+   * `onRevalidated` runs later with the fresh copy if the server has newer data.
+   * A newer request for the same `slot` drops late copies meant for older ones.
+   */
+  async function cachedGet(path, { query, slot, onRevalidated } = {}) {
+    const requestId = generateRequestId();
+    const cacheSlot = slot || path;
+
+    const previous = cacheSlots.get(cacheSlot);
+    if (previous) revalidationCallbacks.delete(previous);
+    cacheSlots.set(cacheSlot, requestId);
+    if (onRevalidated) revalidationCallbacks.set(requestId, onRevalidated);
+
+    const raw = await sendToBackground({
+      type: 'API_CALL',
+      url: buildUrl(path, query),
+      method: 'GET',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${authToken}`
+        'X-Request-ID': requestId
       },
-      body: sessionData
+      cache: true,
+      requestId
     });
-  },
-  
-  // End a session
-  endSession: async (sessionId, authToken) => {
-    return apiRequest(`/sessions/${sessionId}/end`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${authToken}`
+
+    const response = normalizeResponse(raw, requestId);
+    if (!response.revalidating) {
+      revalidationCallbacks.delete(requestId);
+    }
+    return response;
+  }
+
+  /**
+   * GET that goes through the cache when the caller passes `cache` options.
+   * @param {string} path - API path
+   * @param {Object} [cache] - { slot, onRevalidated } to serve from cache
+   * @param {Object} [query] - Query string parameters
+   */
+  function get(path, cache, query) {
+    return cache ? cachedGet(path, { ...cache, query }) : request('GET', path, { query });
+  }
+
+  function handleRevalidated(message) {
+    const callback = revalidationCallbacks.get(message.requestId);
+    if (!callback) return;
+
+    revalidationCallbacks.delete(message.requestId);
+    if (message.changed && message.response) {
+      callback(normalizeResponse(message.response, message.requestId));
+    }
+  }
+
+  /**
+   * Open a streaming (Server-Sent Events) request through the background's stream port.
+   *
+   *   const stream = AskLynkApi.stream('POST', path, { body });
+   *   const opened = await stream.opened;         // normalized response, data is null
+   *   for await (const data of stream) { ... }   // payload of each SSE "data:" line
+   *
+   * Leaving the loop early (break/return/throw) cancels the upstream request. An error
+   * after the stream opened is thrown from the loop.
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under the API origin
+   * @param {Object} [options] - { body, query }
+   * @returns {{ opened: Promise<Object>, cancel: Function, requestId: string }} Async-iterable stream handle
+   */
+  function stream(method, path, options = {}) {
+    const requestId = generateRequestId();
+    const queue = [];
+    let waiting = null;     // resolver for a pending next()
+    let finished = false;
+    let failure = null;
+    let resolveOpened;
+    const opened = new Promise(resolve => { resolveOpened = resolve; });
+
+    const settle = () => {
+      if (waiting) {
+        const resolve = waiting;
+        waiting = null;
+        resolve();
       }
-    });
+    };
+
+    const finish = (error) => {
+      if (finished) return;
+      finished = true;
+      failure = error || null;
+      resolveOpened(normalizeResponse({ ok: false, status: 0, error: error ? error.message : 'Stream ended before it opened' }, requestId));
+      settle();
+    };
+
+    let port;
+    try {
+      port = chrome.runtime.connect({ name: STREAM_PORT_NAME });
+    } catch (error) {
+      // Extension was reloaded underneath this page
+      const response = normalizeResponse({ ok: false, status: 0, error: error.message }, requestId);
+      response.errorCode = 'EXTENSION_UNAVAILABLE';
+      resolveOpened(response);
+      finished = true;
+    }
+
+    if (port) {
+      port.onMessage.addListener((frame) => {
+        if (frame.type === 'OPEN') {
+          resolveOpened(normalizeResponse({ ok: true, status: frame.status, data: null }, requestId));
+        } else if (frame.type === 'DATA') {
+          queue.push(frame.data);
+          settle();
+        } else if (frame.type === 'END') {
+          finish(null);
+        } else if (frame.type === 'ERROR') {
+          const response = normalizeResponse({ ok: false, status: frame.status, error: frame.error }, requestId);
+          resolveOpened(response);
+          Logger.warn('🌐 API stream failed:', method, path, response.errorCode, response.error, requestId);
+          finish(new Error(response.error));
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        finish(chrome.runtime.lastError ? new Error(chrome.runtime.lastError.message) : null);
+      });
+
+      port.postMessage({
+        type: 'START',
+        url: buildUrl(path, options.query),
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream',
+          'X-Request-ID': requestId
+        },
+        body: options.body !== undefined ? options.body : null
+      });
+    }
+
+    const cancel = () => {
+      if (finished) return;
+      try {
+        port.postMessage({ type: 'CANCEL' });
+        port.disconnect();
+      } catch (error) {
+        // Port already closed
+      }
+      finish(null);
+    };
+
+    return {
+      requestId,
+      opened,
+      cancel,
+      [Symbol.asyncIterator]() {
+        return {
+          async next() {
+            while (queue.length === 0 && !finished) {
+              await new Promise(resolve => { waiting = resolve; });
+            }
+            if (queue.length > 0) return { value: queue.shift(), done: false };
+            if (failure) throw failure;
+            return { value: undefined, done: true };
+          },
+          async return() {
+            cancel();
+            return { value: undefined, done: true };
+          }
+        };
+      }
+    };
+  }
+
+  function buildUrl(path, query) {
+    let url = `${baseUrl}${path}`;
+    if (query) {
+      const params = Object.entries(query)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+      if (params.length > 0) {
+        url += `${url.includes('?') ? '&' : '?'}${params.join('&')}`;
+      }
+    }
+    return url;
   }
-};
 
-// Export the API clients
-export { apiRequest, SessionAPI };
\ No newline at end of file
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message && message.type === 'API_CACHE_REVALIDATED') {
+      handleRevalidated(message);
+    }
+  });
+
+  // ==================== ENDPOINTS ====================
+
+  const sessions = {
+    listForProfessor: (professorId, cache) => get(`/api/sessions/professor/${professorId}`, cache),
+    listForStudent: (studentId, cache) => get(`/api/students/${studentId}/sessions`, cache),
+    get: (sessionId) => get(`/api/sessions/${sessionId}`),
+    // platform/meetingId: the call the session was created in ('meet', 'zoom', 'teams', 'webex', ...);
+    // course: the LMS course page it was created from (AskLynkLms.getCourseContext), bound on the backend
+    create: ({ title, description, type, language, platform, meetingId, course }) => request('POST', '/api/sessions', {
+      body: {
+        title,
+        description: description || null,
+        type,
+        language,
+        platform: platform || null,
+        meeting_id: meetingId || null,
+        lms_platform: course?.platform || null,
+        lms_host: course?.host || null,
+        course_id: course?.courseId || null,
+        course_name: course?.courseName || null
+      }
+    }),
+    // Sessions bound to an LMS course, for one-click join from the course page; course IDs
+    // repeat across schools, so the course is named by platform, LMS host and ID
+    listForCourse: ({ platform, host, courseId }) => get(
+      `/api/courses/${encodeURIComponent(platform)}/${encodeURIComponent(host)}/${encodeURIComponent(courseId)}/sessions`
+    ),
+    // Lecture language (BCP-47, e.g. 'es-ES'); transcription and the context-aware AI follow it
+    updateLanguage: (sessionId, language) => request('PATCH', `/api/sessions/${sessionId}`, {
+      body: { language }
+    }),
+    join: (code) => request('POST', '/api/sessions/join', { body: { code } }),
+    end: (sessionId) => request('PUT', `/api/sessions/${sessionId}/end`),
+    getAnalytics: (sessionId, cache) => get(`/api/sessions/${sessionId}/analytics`, cache),
+    // Lecture transcript chunks go to the background's transcript queue, which numbers them
+    // per session and retries until acknowledged; resolves once the chunk is persisted
+    sendVoiceTranscript: async (sessionId, payload) => normalizeResponse(
+      await sendToBackground({ type: 'QUEUE_TRANSCRIPT_CHUNK', sessionId, payload }),
+      generateRequestId()
+    ),
+    // Transcript read-back for the Transcript tab; query { all: true } returns the whole transcript (export)
+    getTranscriptChunks: (sessionId, query) => get(`/api/sessions/${sessionId}/voice-transcript/chunks`, null, query),
+    // Resend whatever the backend reports missing for this session
+    reconcileVoiceTranscript: async (sessionId) => normalizeResponse(
+      await sendToBackground({ type: 'RECONCILE_TRANSCRIPT', sessionId }).then(raw => raw && {
+        ok: !!raw.success,
+        status: raw.success ? 200 : 0,
+        data: raw,
+        error: raw.error
+      }),
+      generateRequestId()
+    ),
+    // Background transcript queue counts for a session: { pending, acked, retrying, rejected, delivery }
+    getVoiceTranscriptStatus: async (sessionId) => normalizeResponse(
+      await sendToBackground({ type: 'TRANSCRIPT_STATUS', sessionId }).then(raw => raw && {
+        ok: !!raw.success,
+        status: raw.success ? 200 : 0,
+        data: raw,
+        error: raw.error
+      }),
+      generateRequestId()
+    )
+  };
+
+  const questions = {
+    // Professor dashboard listing; query takes resolved, type, minRelevance, sortBy, search
+    listForSession: (sessionId, query, cache) => get(`/api/sessions/${sessionId}/questions`, cache, query),
+    setResolvedInSession: (sessionId, questionId, resolved) => request('PUT', `/api/sessions/${sessionId}/questions/${questionId}/resolve`, {
+      body: { resolved }
+    }),
+    vote: (questionId, voteType, sessionId) => request('POST', `/api/questions/${questionId}/vote`, {
+      body: { vote_type: voteType },
+      outbox: { kind: 'vote', sessionId }
+    }),
+    markAnswered: (questionId) => request('POST', `/api/questions/${questionId}/resolve`, { body: { resolved: true } }),
+    respond: (questionId, text) => request('POST', `/api/questions/${questionId}/respond`, { body: { response: text } })
+  };
+
+  const anonymous = {
+    getIdentity: (sessionId) => get(`/api/anonymous/${sessionId}/identity`),
+    listMine: (sessionId) => get(`/api/anonymous/${sessionId}/questions`),
+    listMineForUser: (sessionId, cache) => get(`/api/anonymous/user/${sessionId}`, cache),
+    listForSession: (sessionId, limit) => get(`/api/anonymous/session/${sessionId}`, null, { limit }),
+    submitQuestion: (sessionId, content) => request('POST', `/api/anonymous/${sessionId}/questions`, {
+      body: { content, is_anonymous: true },
+      outbox: { kind: 'question', sessionId, preview: content }
+    }),
+    submitIdentifiedQuestion: (sessionId, content) => request('POST', `/api/anonymous/${sessionId}/identified-questions`, {
+      body: { content },
+      outbox: { kind: 'question', sessionId, preview: content }
+    })
+  };
+
+  const polls = {
+    list: (sessionId, cache) => get(`/api/sessions/${sessionId}/polls`, cache),
+    create: (sessionId, { question, options }) => request('POST', `/api/sessions/${sessionId}/polls`, {
+      body: { question, options }
+    }),
+    answer: (sessionId, pollId, optionIndex) => request('POST', `/api/sessions/${sessionId}/polls/${pollId}/answers`, {
+      body: { option_index: optionIndex },
+      outbox: { kind: 'poll_answer', sessionId }
+    })
+  };
+
+  const messages = {
+    list: (sessionId, cache) => get(`/api/sessions/${sessionId}/messages`, cache),
+    send: (sessionId, { content, type = 'public' }) => request('POST', `/api/sessions/${sessionId}/messages`, {
+      body: { content, type },
+      outbox: { kind: 'chat', sessionId, preview: content }
+    })
+  };
+
+  const ai = {
+    createChat: (sessionId) => request('POST', '/api/ai/chats', { body: { session_id: sessionId, store_chat: true } }),
+    listChatMessages: (chatId) => get(`/api/ai/messages/${chatId}`),
+    saveMessage: (chatId, role, content) => request('POST', '/api/ai/messages', { body: { chat_id: chatId, role, content } }),
+    logInteraction: (interaction) => request('POST', '/api/ai/interactions', { body: interaction }),
+    listSessionInteractions: (sessionId) => get(`/api/ai/interactions/session/${sessionId}`),
+    listUserInteractions: (sessionId) => get('/api/ai/interactions/user', null, { session_id: sessionId }),
+    askGeneral: (question) => request('POST', '/api/ai-general/general/ask', { body: { question } }),
+    // Streaming answers (see stream()); body is { question, ... }
+    streamSessionAnswer: (sessionId, body) => stream('POST', `/api/enhanced/sessions/${sessionId}/ask-stream`, { body }),
+    streamGeneralAnswer: (question) => stream('POST', '/api/ai-general/general/ask-stream', { body: { question } })
+  };
+
+  const canvas = {
+    // The background calls the Canvas REST API with the token from the Canvas settings;
+    // host is the course's Canvas hostname and must match the configured instance, kind is
+    // 'page' or 'announcement', body is HTML. Resolves with data.url on success,
+    // data.needsSettings when the Canvas URL or token is missing or rejected
+    publishDraft: async ({ courseId, host, kind, title, body }) => normalizeResponse(
+      await sendToBackground({ type: 'PUBLISH_TO_CANVAS', courseId, host, kind, title, body }).then(raw => raw && {
+        ok: !!raw.success,
+        status: raw.status || (raw.success ? 200 : 0),
+        data: raw,
+        error: raw.error
+      }),
+      generateRequestId()
+    )
+  };
+
+  self.AskLynkApi = {
+    /**
+     * Point the client at a different API origin
+     * @param {Object} settings - { baseUrl }
+     */
+    configure(settings = {}) {
+      if (settings.baseUrl) {
+        baseUrl = settings.baseUrl.replace(/\/+$/, '');
+      }
+    },
+    getBaseUrl: () => baseUrl,
+    request,
+    stream,
+    sessions,
+    questions,
+    anonymous,
+    polls,
+    messages,
+    ai,
+    canvas
+  };
+})();
@@ -0,0 +1,101 @@
+/**
+ * AskLynk Canvas Publishing Settings
+ *
+ * Where session recaps are published: the Canvas instance and the personal access token
+ * used with its REST API. Both are kept in the credential store (src/config/credentials.js),
+ * which only the service worker and the options page can read or write: the token is sent
+ * to the instance URL, so a content script must not be able to change either.
+ * Exposed as `self.AskLynkCanvasSettings`.
+ */
+(function () {
+  'use strict';
+
+  const BASE_URL_CREDENTIAL = 'canvas.baseUrl';
+  const TOKEN_CREDENTIAL = 'canvas.token';
+
+  const DEFAULTS = {
+    // e.g. https://school.instructure.com, or http://localhost:3000 for tools/canvas-stand-in.js
+    baseUrl: ''
+  };
+
+  const LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+
+  /**
+   * Accept an https:// Canvas origin, or http:// on this machine
+   * @returns {string|null} The origin, or null when it is not allowed
+   */
+  function normalizeBaseUrl(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    let url;
+    try {
+      url = new URL(value.trim());
+    } catch (error) {
+      return null;
+    }
+
+    if (url.username || url.password) return null;
+    if (url.protocol === 'https:' || (url.protocol === 'http:' && LOCAL_HOSTS.includes(url.hostname))) {
+      return url.origin;
+    }
+    return null;
+  }
+
+  function resolve(settings) {
+    const stored = settings || {};
+    return {
+      baseUrl: normalizeBaseUrl(stored.baseUrl) || DEFAULTS.baseUrl
+    };
+  }
+
+  /**
+   * The configured Canvas instance; service worker and options page only
+   * @returns {Promise<Object>} { baseUrl }
+   */
+  async function load() {
+    return resolve({ baseUrl: await self.AskLynkCredentials.get(BASE_URL_CREDENTIAL) });
+  }
+
+  /**
+   * The Canvas access token; service worker and options page only
+   * @returns {Promise<string>}
+   */
+  function loadToken() {
+    return self.AskLynkCredentials.get(TOKEN_CREDENTIAL);
+  }
+
+  /**
+   * Validate and store Canvas settings (options page)
+   * @param {Object} settings - { baseUrl, token }
+   * @returns {Promise<Object>} { success, settings, error }
+   */
+  async function save(settings) {
+    const baseUrl = normalizeBaseUrl(settings.baseUrl);
+    if (!baseUrl) {
+      return { success: false, error: 'Canvas URL must be an https:// URL (http:// is only allowed for localhost)' };
+    }
+
+    const token = (settings.token || '').trim();
+    if (!token) {
+      return { success: false, error: 'Enter a Canvas access token' };
+    }
+
+    try {
+      await self.AskLynkCredentials.set(BASE_URL_CREDENTIAL, baseUrl);
+      await self.AskLynkCredentials.set(TOKEN_CREDENTIAL, token);
+    } catch (error) {
+      return { success: false, error: `Could not store the Canvas settings: ${error.message}` };
+    }
+
+    return { success: true, settings: resolve({ baseUrl }) };
+  }
+
+  self.AskLynkCanvasSettings = {
+    DEFAULTS,
+    normalizeBaseUrl,
+    resolve,
+    load,
+    loadToken,
+    save
+  };
+})();
@@ -0,0 +1,77 @@
+/**
+ * AskLynk Credential Store
+ *
+ * API keys and access tokens that the service worker sends to other services (the
+ * Whisper endpoint, Canvas), and the addresses it sends them to. chrome.storage.local is
+ * readable and writable by every content script, so these live in the extension origin's
+ * IndexedDB instead: the service worker and extension pages can open it, content scripts
+ * run in the web page's origin and cannot.
+ * Never load this file as a content script. Exposed as `self.AskLynkCredentials`.
+ */
+(function () {
+  'use strict';
+
+  const DB_NAME = 'asklynk-credentials';
+  const STORE_NAME = 'credentials';
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (self.location?.protocol !== 'chrome-extension:') {
+      return Promise.reject(new Error('Credentials are only available to extension pages and the service worker'));
+    }
+    if (!dbPromise) {
+      dbPromise = new Promise((resolvePromise, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolvePromise(request.result);
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  async function run(mode, operation) {
+    const db = await openDb();
+    return new Promise((resolvePromise, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolvePromise(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * @param {string} name - e.g. 'transcription.apiKey'
+   * @returns {Promise<string>} The credential, or '' when none is stored
+   */
+  async function get(name) {
+    return (await run('readonly', store => store.get(name))) || '';
+  }
+
+  /**
+   * Store a credential; an empty value removes it
+   * @param {string} name
+   * @param {string} value
+   */
+  async function set(name, value) {
+    if (!value) {
+      return remove(name);
+    }
+    await run('readwrite', store => store.put(String(value), name));
+  }
+
+  async function remove(name) {
+    await run('readwrite', store => store.delete(name));
+  }
+
+  self.AskLynkCredentials = {
+    get,
+    set,
+    remove
+  };
+})();
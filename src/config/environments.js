@@ -0,0 +1,192 @@
+/**
+ * AskLynk Environment Settings
+ *
+ * Single source of truth for which backend the extension talks to. The options page
+ * stores the choice in the credential store (src/config/credentials.js), which content
+ * scripts can neither read nor write, and mirrors it to chrome.storage.local. The service
+ * worker only trusts the credential store copy (`loadTrusted()`); content scripts and the
+ * popup read the mirror with `load()` and follow changes live with `onChange()`. A mirror
+ * that no longer matches is put back by the service worker.
+ * Loaded as a classic script everywhere (importScripts in the service worker) and
+ * exposed as `self.AskLynkEnvironments`.
+ */
+(function () {
+  'use strict';
+
+  const STORAGE_KEY = 'environmentSettings';
+  const TRUSTED_CREDENTIAL = 'environment.settings';
+  const DEFAULT_ENVIRONMENT = 'production';
+
+  const ENVIRONMENTS = {
+    production: {
+      label: 'Production',
+      apiOrigin: 'https://asklynk-backend-424701115132.us-central1.run.app',
+      authOrigin: 'https://asklynk.vercel.app'
+    },
+    local: {
+      label: 'Local development',
+      apiOrigin: 'http://localhost:3000',
+      authOrigin: 'http://localhost:5173'
+    }
+  };
+
+  // Plain http is only accepted for a backend running on this machine
+  const LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+
+  /**
+   * Reduce a user-entered URL to its origin
+   * @param {string} value - e.g. "https://api.example.com/" or "http://localhost:3000"
+   * @returns {string|null} The origin, or null if it is not an acceptable backend origin
+   */
+  function normalizeOrigin(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    let url;
+    try {
+      url = new URL(value.trim());
+    } catch (error) {
+      return null;
+    }
+
+    if (url.protocol === 'https:') return url.origin;
+    if (url.protocol === 'http:' && LOCAL_HOSTS.includes(url.hostname)) return url.origin;
+    return null;
+  }
+
+  /**
+   * Turn stored settings into the origins to use, falling back to production
+   * @param {Object} [settings] - { environment, apiOrigin, authOrigin } as stored
+   * @returns {Object} { environment, label, apiOrigin, authOrigin, isDevelopment }
+   */
+  function resolve(settings) {
+    const environment = settings && settings.environment;
+
+    if (environment === 'custom') {
+      const apiOrigin = normalizeOrigin(settings.apiOrigin);
+      const authOrigin = normalizeOrigin(settings.authOrigin);
+      if (apiOrigin && authOrigin) {
+        return { environment, label: 'Custom', apiOrigin, authOrigin, isDevelopment: true };
+      }
+    }
+
+    const key = ENVIRONMENTS[environment] ? environment : DEFAULT_ENVIRONMENT;
+    return {
+      environment: key,
+      label: ENVIRONMENTS[key].label,
+      apiOrigin: ENVIRONMENTS[key].apiOrigin,
+      authOrigin: ENVIRONMENTS[key].authOrigin,
+      isDevelopment: key !== 'production'
+    };
+  }
+
+  /**
+   * The mirrored settings; any context, including content scripts
+   */
+  function load() {
+    return new Promise(resolvePromise => {
+      chrome.storage.local.get([STORAGE_KEY], (result) => {
+        resolvePromise(resolve(chrome.runtime.lastError ? null : result[STORAGE_KEY]));
+      });
+    });
+  }
+
+  /**
+   * The settings the options page saved; service worker and options page only
+   * @returns {Promise<Object>} See resolve()
+   */
+  async function loadTrusted() {
+    const stored = await self.AskLynkCredentials.get(TRUSTED_CREDENTIAL);
+    try {
+      return resolve(stored ? JSON.parse(stored) : null);
+    } catch (error) {
+      return resolve(null);
+    }
+  }
+
+  // Only the fields resolve() reads, so the mirror compares equal to the trusted copy
+  function toStored(environment) {
+    return environment.environment === 'custom'
+      ? { environment: 'custom', apiOrigin: environment.apiOrigin, authOrigin: environment.authOrigin }
+      : { environment: environment.environment };
+  }
+
+  /**
+   * Write a resolved environment to the storage.local mirror; every context picks it up through onChange
+   * @param {Object} environment - From resolve() or loadTrusted()
+   */
+  function mirror(environment) {
+    const stored = toStored(environment);
+    return new Promise((resolvePromise, reject) => {
+      chrome.storage.local.set({ [STORAGE_KEY]: stored }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolvePromise();
+        }
+      });
+    });
+  }
+
+  /**
+   * Whether two resolved environments point at the same backend
+   */
+  function isSame(a, b) {
+    return a.environment === b.environment && a.apiOrigin === b.apiOrigin && a.authOrigin === b.authOrigin;
+  }
+
+  /**
+   * Validate and store new settings (options page)
+   * @param {Object} settings - { environment, apiOrigin, authOrigin }
+   * @returns {Promise<Object>} { success, environment, error }
+   */
+  async function save(settings) {
+    const environment = settings && settings.environment;
+    const stored = { environment };
+
+    if (environment === 'custom') {
+      stored.apiOrigin = normalizeOrigin(settings.apiOrigin);
+      stored.authOrigin = normalizeOrigin(settings.authOrigin);
+      if (!stored.apiOrigin || !stored.authOrigin) {
+        return { success: false, error: 'Origins must be https:// URLs (http:// is only allowed for localhost)' };
+      }
+    } else if (!ENVIRONMENTS[environment]) {
+      return { success: false, error: `Unknown environment: ${environment}` };
+    }
+
+    // Trusted copy first: when the mirror changes, the service worker reads this one
+    const resolved = resolve(stored);
+    try {
+      await self.AskLynkCredentials.set(TRUSTED_CREDENTIAL, JSON.stringify(toStored(resolved)));
+      await mirror(resolved);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    return { success: true, environment: resolved };
+  }
+
+  /**
+   * Run a callback with the resolved environment whenever the stored settings change
+   * @param {Function} callback - Receives the result of resolve()
+   */
+  function onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[STORAGE_KEY]) {
+        callback(resolve(changes[STORAGE_KEY].newValue));
+      }
+    });
+  }
+
+  self.AskLynkEnvironments = {
+    STORAGE_KEY,
+    DEFAULT_ENVIRONMENT,
+    ENVIRONMENTS,
+    normalizeOrigin,
+    resolve,
+    load,
+    loadTrusted,
+    mirror,
+    isSame,
+    save,
+    onChange
+  };
+})();
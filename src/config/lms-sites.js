@@ -0,0 +1,116 @@
+/**
+ * AskLynk Campus LMS Sites
+ *
+ * Self-hosted LMS sites (a campus Moodle, Canvas on the school's own domain, ...) that
+ * AskLynk runs on besides the hosted ones in the manifest. Added on the options page,
+ * which also asks for access to the site; the service worker injects the content scripts
+ * there and accepts messages from those pages. Stored in chrome.storage.local.
+ * Exposed as `self.AskLynkLmsSites`.
+ */
+(function () {
+  'use strict';
+
+  const STORAGE_KEY = 'lmsSites';
+
+  // Paths the content scripts run on, as in the manifest's matches for the hosted versions
+  const PLATFORMS = {
+    canvas: { label: 'Canvas', path: '/*' },
+    moodle: { label: 'Moodle', path: '/*' },
+    blackboard: { label: 'Blackboard Ultra', path: '/ultra/*' },
+    d2l: { label: 'D2L Brightspace', path: '/d2l/*' }
+  };
+
+  const LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+
+  /**
+   * Accept an https:// origin, or http:// on this machine (a local test site)
+   * @returns {string|null} The origin, or null when it is not allowed
+   */
+  function normalizeOrigin(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    let url;
+    try {
+      url = new URL(value.trim());
+    } catch (error) {
+      return null;
+    }
+
+    if (url.username || url.password) return null;
+    if (url.protocol === 'https:' || (url.protocol === 'http:' && LOCAL_HOSTS.includes(url.hostname))) {
+      return url.origin;
+    }
+    return null;
+  }
+
+  /**
+   * Valid sites only, one per origin
+   * @returns {{ platform: string, origin: string }[]}
+   */
+  function resolve(sites) {
+    const seen = new Set();
+    return (Array.isArray(sites) ? sites : []).reduce((list, site) => {
+      const origin = normalizeOrigin(site?.origin);
+      if (origin && PLATFORMS[site.platform] && !seen.has(origin)) {
+        seen.add(origin);
+        list.push({ platform: site.platform, origin });
+      }
+      return list;
+    }, []);
+  }
+
+  function matchPatterns(site) {
+    return [`${site.origin}${PLATFORMS[site.platform].path}`];
+  }
+
+  function load() {
+    return new Promise(resolvePromise => {
+      chrome.storage.local.get([STORAGE_KEY], (result) => {
+        resolvePromise(resolve(chrome.runtime.lastError ? null : result[STORAGE_KEY]));
+      });
+    });
+  }
+
+  /**
+   * Validate and store the campus site list
+   * @param {Object[]} sites - { platform, origin }
+   * @returns {Promise<Object>} { success, sites, error }
+   */
+  function save(sites) {
+    const invalid = sites.find(site => !PLATFORMS[site.platform] || !normalizeOrigin(site.origin));
+    if (invalid) {
+      return Promise.resolve({ success: false, error: `Not a valid LMS site: ${invalid.origin || 'missing URL'}` });
+    }
+
+    const stored = resolve(sites);
+
+    return new Promise(resolvePromise => {
+      chrome.storage.local.set({ [STORAGE_KEY]: stored }, () => {
+        if (chrome.runtime.lastError) {
+          resolvePromise({ success: false, error: chrome.runtime.lastError.message });
+        } else {
+          resolvePromise({ success: true, sites: stored });
+        }
+      });
+    });
+  }
+
+  function onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[STORAGE_KEY]) {
+        callback(resolve(changes[STORAGE_KEY].newValue));
+      }
+    });
+  }
+
+  self.AskLynkLmsSites = {
+    STORAGE_KEY,
+    PLATFORMS,
+    normalizeOrigin,
+    resolve,
+    matchPatterns,
+    load,
+    save,
+    onChange
+  };
+})();
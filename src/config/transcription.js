@@ -0,0 +1,148 @@
+/**
+ * AskLynk Transcription Settings
+ *
+ * Which speech-to-text engine lecture capture uses, where the HTTP engine sends audio, and
+ * whether students keep their caption names in transcripts. The engine, model and name choice are stored in chrome.storage.local by the options page and
+ * read by the content script (engine and name choice) and the service worker (model). The endpoint
+ * and its API key are kept in the credential store (src/config/credentials.js), which only
+ * the service worker and the options page can read or write, so a content script cannot
+ * point the key at another server. Exposed as `self.AskLynkTranscriptionSettings`.
+ */
+(function () {
+  'use strict';
+
+  const STORAGE_KEY = 'transcriptionSettings';
+  const ENDPOINT_CREDENTIAL = 'transcription.endpoint';
+  const API_KEY_CREDENTIAL = 'transcription.apiKey';
+
+  const ENGINES = {
+    auto: 'Automatic (browser speech recognition, HTTP endpoint when unavailable)',
+    webspeech: 'Browser speech recognition (Web Speech API)',
+    whisper: 'Whisper-compatible HTTP endpoint'
+  };
+
+  const DEFAULTS = {
+    engine: 'auto',
+    // OpenAI-compatible transcription route, e.g. a local faster-whisper server
+    endpoint: 'http://localhost:8000/v1/audio/transcriptions',
+    model: 'whisper-1',
+    // Caption names of other participants are students' names; sent as "Student" unless enabled
+    captionStudentNames: false
+  };
+
+  const LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+
+  /**
+   * Accept https:// endpoints, or http:// on this machine
+   * @returns {string|null} The normalized URL, or null when it is not allowed
+   */
+  function normalizeEndpoint(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    let url;
+    try {
+      url = new URL(value.trim());
+    } catch (error) {
+      return null;
+    }
+
+    if (url.username || url.password) return null;
+    if (url.protocol === 'https:' || (url.protocol === 'http:' && LOCAL_HOSTS.includes(url.hostname))) {
+      return url.href;
+    }
+    return null;
+  }
+
+  function resolve(settings) {
+    const stored = settings || {};
+    return {
+      engine: ENGINES[stored.engine] ? stored.engine : DEFAULTS.engine,
+      model: (stored.model || DEFAULTS.model).trim(),
+      captionStudentNames: stored.captionStudentNames === true
+    };
+  }
+
+  function load() {
+    return new Promise(resolvePromise => {
+      chrome.storage.local.get([STORAGE_KEY], (result) => {
+        resolvePromise(resolve(chrome.runtime.lastError ? null : result[STORAGE_KEY]));
+      });
+    });
+  }
+
+  /**
+   * Where the HTTP engine sends audio; service worker and options page only
+   * @returns {Promise<string>}
+   */
+  async function loadEndpoint() {
+    return normalizeEndpoint(await self.AskLynkCredentials.get(ENDPOINT_CREDENTIAL)) || DEFAULTS.endpoint;
+  }
+
+  /**
+   * The HTTP endpoint's API key; service worker and options page only
+   * @returns {Promise<string>}
+   */
+  function loadApiKey() {
+    return self.AskLynkCredentials.get(API_KEY_CREDENTIAL);
+  }
+
+  /**
+   * Validate and store transcription settings (options page)
+   * @param {Object} settings - { engine, endpoint, model, apiKey, captionStudentNames }
+   * @returns {Promise<Object>} { success, settings, error }
+   */
+  async function save(settings) {
+    if (!ENGINES[settings.engine]) {
+      return Promise.resolve({ success: false, error: `Unknown transcription engine: ${settings.engine}` });
+    }
+
+    const endpoint = normalizeEndpoint(settings.endpoint);
+    if (!endpoint) {
+      return Promise.resolve({ success: false, error: 'Transcription endpoint must be an https:// URL (http:// is only allowed for localhost)' });
+    }
+
+    const stored = {
+      engine: settings.engine,
+      model: (settings.model || DEFAULTS.model).trim(),
+      captionStudentNames: settings.captionStudentNames === true
+    };
+
+    try {
+      await self.AskLynkCredentials.set(ENDPOINT_CREDENTIAL, endpoint);
+      await self.AskLynkCredentials.set(API_KEY_CREDENTIAL, (settings.apiKey || '').trim());
+    } catch (error) {
+      return { success: false, error: `Could not store the endpoint and API key: ${error.message}` };
+    }
+
+    return new Promise(resolvePromise => {
+      chrome.storage.local.set({ [STORAGE_KEY]: stored }, () => {
+        if (chrome.runtime.lastError) {
+          resolvePromise({ success: false, error: chrome.runtime.lastError.message });
+        } else {
+          resolvePromise({ success: true, settings: { ...resolve(stored), endpoint } });
+        }
+      });
+    });
+  }
+
+  function onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[STORAGE_KEY]) {
+        callback(resolve(changes[STORAGE_KEY].newValue));
+      }
+    });
+  }
+
+  self.AskLynkTranscriptionSettings = {
+    STORAGE_KEY,
+    ENGINES,
+    DEFAULTS,
+    normalizeEndpoint,
+    resolve,
+    load,
+    loadEndpoint,
+    loadApiKey,
+    save,
+    onChange
+  };
+})();
@@ -0,0 +1,196 @@
+/**
+ * AskLynk Platform Adapters
+ *
+ * Everything content.js needs to know about the page it runs on lives in one adapter per
+ * platform: whether a meeting is in progress, the meeting's ID and title, where the floating
+ * button can sit without covering the platform's own controls, and how to read its live
+ * captions. Loaded as a classic content script ahead of the transcription engines and
+ * content.js, and exposed as `self.AskLynkPlatforms`.
+ *
+ * Adapter interface:
+ *   adapter.id                 'meet' | 'zoom' | 'teams' | 'webex' | LMS adapters (lms.js) | adapters added with registerAdapter()
+ *   adapter.label              Human-readable platform name
+ *   adapter.matches(loc)       Whether the adapter handles this page (window.location)
+ *   adapter.isInMeeting()      A call is in progress (not the lobby or a landing page)
+ *   adapter.getMeetingId()     Stable meeting ID, or null
+ *   adapter.getMeetingTitle()  Meeting title, or null
+ *   adapter.buttonOffset       { bottom, right } in px for the floating button
+ *   adapter.captions           null, or { selectors: { region, block, speaker, text }, enableHint }
+ *   adapter.lms                LMS adapters only: reads the page's course (see lms.js)
+ *
+ * Web clients rename their classes between releases, so every selector list goes from most
+ * stable (ARIA, data-* test hooks) to least.
+ */
+(function () {
+  'use strict';
+
+  const adapters = [];
+
+  function queryText(selectors) {
+    for (const selector of selectors) {
+      const element = document.querySelector(selector);
+      const text = element && (element.getAttribute('data-meeting-title') || element.textContent || '').trim();
+      if (text) return text;
+    }
+    return null;
+  }
+
+  function hasAny(selectors) {
+    return selectors.some(selector => document.querySelector(selector));
+  }
+
+  // Page title without the platform's own suffix/prefix ("Meet - Calc I" → "Calc I")
+  function titleFromDocument(pattern) {
+    const title = document.title.replace(pattern, '').trim();
+    return title || null;
+  }
+
+  // ==================== GOOGLE MEET ====================
+
+  const meet = {
+    id: 'meet',
+    label: 'Google Meet',
+    matches: (loc) => loc.hostname === 'meet.google.com',
+    getMeetingId: () => (location.pathname.match(/^\/([a-z]{3}-[a-z]{4}-[a-z]{3})\b/) || [])[1] || null,
+    isInMeeting: () => !!meet.getMeetingId() && hasAny([
+      'button[aria-label*="Leave call" i]',
+      '[jsname="CQylAd"]',
+      '[data-self-name]'
+    ]),
+    getMeetingTitle: () => queryText(['[data-meeting-title]', 'div[jscontroller="yEvoid"]']) ||
+      titleFromDocument(/^Meet\s*[-–]\s*|\s*[-–]\s*Google Meet$/i),
+    buttonOffset: { bottom: 96, right: 20 },  // Call controls run along the bottom
+    captions: {
+      selectors: {
+        region: ['div[role="region"][aria-label*="aption" i]', 'div[jsname="dsyhDe"]', '.a4cQT'],
+        block: ['.nMcdL', '.TBMuR', 'div[jsname="tgaKEf"]'],
+        speaker: ['.NWpY1d', '.KcIKyf', '.zs7s8d'],
+        text: ['.ygicle', '.iTTPOb', 'div[jsname="YSxPC"]']
+      },
+      enableHint: 'Turn on captions in Meet (CC button or press C)'
+    }
+  };
+
+  // ==================== ZOOM WEB CLIENT ====================
+
+  const zoom = {
+    id: 'zoom',
+    label: 'Zoom',
+    // Only the browser client (/wc/...); zoom.us landing and join pages hand off to the desktop app
+    matches: (loc) => /(^|\.)zoom\.us$/.test(loc.hostname) && loc.pathname.startsWith('/wc/'),
+    getMeetingId: () => (location.pathname.match(/^\/wc\/(?:join\/)?(\d{9,11})\b/) || [])[1] || null,
+    isInMeeting: () => hasAny([
+      '.footer__leave-btn',
+      'button[aria-label*="Leave" i][class*="footer"]',
+      '#wc-footer',
+      '.meeting-app'
+    ]),
+    getMeetingTitle: () => queryText([
+      '.meeting-info-container__meeting-topic',
+      '.meeting-topic',
+      '[class*="meeting-title"]'
+    ]) || titleFromDocument(/\s*[-–|]\s*Zoom$/i),
+    buttonOffset: { bottom: 90, right: 20 },  // Footer toolbar
+    captions: {
+      selectors: {
+        region: ['#live-transcription-subtitle', '.live-transcription-subtitle__box', '[aria-label*="caption" i][aria-live]'],
+        block: ['.live-transcription-subtitle__item', '.live-transcription-subtitle__box > div'],
+        speaker: ['.live-transcription-subtitle__speaker', '[class*="subtitle__name"]'],
+        text: ['.live-transcription-subtitle__text', '.live-transcription-subtitle__item span:last-child']
+      },
+      enableHint: 'Turn on captions in Zoom (Captions / Show Captions in the toolbar)'
+    }
+  };
+
+  // ==================== MICROSOFT TEAMS ====================
+
+  const teams = {
+    id: 'teams',
+    label: 'Microsoft Teams',
+    matches: (loc) => loc.hostname === 'teams.microsoft.com' || loc.hostname === 'teams.live.com',
+    getMeetingId: () => {
+      const decoded = decodeURIComponent(location.href);
+      return (decoded.match(/19:meeting_[^@/?#]+@thread\.v2/) || [])[0] || null;
+    },
+    isInMeeting: () => hasAny([
+      '#hangup-button',
+      '[data-tid="hangup-main-btn"]',
+      '[data-tid="call-hangup"]',
+      'button[aria-label*="Leave" i][data-tid*="hangup"]'
+    ]),
+    getMeetingTitle: () => queryText([
+      '[data-tid="call-title"]',
+      '[data-tid="meeting-title"]',
+      '[data-tid="call-status-container-test-id"] h2'
+    ]) || titleFromDocument(/\s*\|\s*Microsoft Teams$/i),
+    // Teams keeps its call controls at the top; the bottom right is only the captions' end
+    buttonOffset: { bottom: 24, right: 24 },
+    captions: {
+      selectors: {
+        region: ['[data-tid="closed-caption-renderer-wrapper"]', '[data-tid="closed-captions-renderer"]', '[aria-label*="Captions" i][role="log"]'],
+        block: ['[data-tid="closed-caption-message"]', '.fui-ChatMessageCompact', '.ui-chat__item'],
+        speaker: ['[data-tid="author"]', '.ui-chat__message__author'],
+        text: ['[data-tid="closed-caption-text"]', '.ui-chat__message__content']
+      },
+      enableHint: 'Turn on live captions in Teams (More → Language and speech → Turn on live captions)'
+    }
+  };
+
+  // ==================== WEBEX ====================
+
+  const webex = {
+    id: 'webex',
+    label: 'Webex',
+    matches: (loc) => /(^|\.)webex\.com$/.test(loc.hostname),
+    getMeetingId: () => {
+      const params = new URLSearchParams(location.search);
+      return params.get('MTID') ||
+        (location.pathname.match(/\/(?:meet|join|j\.php)\/?([^/?#]+)/) || [])[1] || null;
+    },
+    isInMeeting: () => hasAny([
+      '[data-test="end-meeting-button"]',
+      '[data-test="leave-meeting-button"]',
+      'button[aria-label*="Leave meeting" i]',
+      'button[aria-label*="End meeting" i]'
+    ]),
+    getMeetingTitle: () => queryText([
+      '[data-test="meeting-title"]',
+      '[data-test="meeting-info-title"]',
+      '.meeting-title'
+    ]) || titleFromDocument(/\s*[-–|]\s*Webex$|^Webex\s*[-–|]\s*/i),
+    buttonOffset: { bottom: 96, right: 20 },  // Control bar along the bottom
+    captions: {
+      selectors: {
+        region: ['[data-test="closed-caption-container"]', '.closed-caption-container', '[aria-label*="caption" i][role="log"]'],
+        block: ['[data-test="closed-caption-item"]', '.caption-item', '.closed-caption-container > div'],
+        speaker: ['[data-test="caption-speaker"]', '.caption-speaker-name'],
+        text: ['[data-test="caption-text"]', '.caption-text']
+      },
+      enableHint: 'Turn on closed captions in Webex (CC button in the control bar)'
+    }
+  };
+
+  /**
+   * Add an adapter; adapters registered later are checked first
+   * @param {Object} adapter - See the interface above
+   */
+  function registerAdapter(adapter) {
+    adapters.unshift(adapter);
+  }
+
+  /**
+   * The adapter for a page, or null when AskLynk doesn't support it
+   * @param {Location} [loc] - Defaults to the current page
+   */
+  function detect(loc = location) {
+    return adapters.find(adapter => adapter.matches(loc)) || null;
+  }
+
+  [webex, teams, zoom, meet].forEach(registerAdapter);
+
+  self.AskLynkPlatforms = {
+    registerAdapter,
+    detect,
+    list: () => adapters.slice()
+  };
+})();
@@ -0,0 +1,259 @@
+/**
+ * AskLynk LMS Adapters
+ *
+ * Platform adapters (see adapters.js) for the learning management systems AskLynk runs on:
+ * Canvas, Moodle, Blackboard Ultra and D2L Brightspace. Besides the usual adapter fields,
+ * each one has an `lms` object that reads the course the page belongs to, so sessions can
+ * be tied to a course on whichever LMS a campus uses. Loaded as a classic content script
+ * right after adapters.js, registers its adapters with `self.AskLynkPlatforms`, and
+ * exposes `self.AskLynkLms`.
+ *
+ * LMS interface (adapter.lms):
+ *   getCourseId()     Course ID from the URL or page, or null outside a course
+ *   getCourseName()   Course name, or null
+ *   getPageTitle()    Title of the current module, page or activity, or null
+ *   getUserRole()     'instructor' | 'student' | null when the page doesn't say
+ *   contentSelectors  Where the page's readable content lives, most specific first (page-context.js)
+ *   isTakingQuiz()    Optional; true while a quiz attempt is open, so its questions are never
+ *                     offered to the assistant
+ *
+ * Only what the page shows is used: content scripts can't see the LMS's own JavaScript
+ * globals, so roles come from inline bootstrap data or instructor-only controls.
+ *
+ * Campus-hosted sites added on the options page get a marker script injected first
+ * (src/platforms/sites/), which sets `self.AskLynkCampusSite` to the platform ID.
+ */
+(function () {
+  'use strict';
+
+  function queryText(selectors) {
+    for (const selector of selectors) {
+      const element = document.querySelector(selector);
+      const text = element && (element.textContent || '').replace(/\s+/g, ' ').trim();
+      if (text) return text;
+    }
+    return null;
+  }
+
+  function hasAny(selectors) {
+    return selectors.some(selector => document.querySelector(selector));
+  }
+
+  function titleFromDocument(pattern) {
+    const title = document.title.replace(pattern, '').trim();
+    return title || null;
+  }
+
+  // LMS role names → the two roles AskLynk cares about
+  const INSTRUCTOR_ROLES = ['teacher', 'ta', 'designer', 'admin', 'root_admin', 'instructor', 'editingteacher', 'manager', 'coursecreator'];
+  const STUDENT_ROLES = ['student', 'observer', 'learner'];
+
+  function isCampusSite(platformId) {
+    return self.AskLynkCampusSite === platformId;
+  }
+
+  function normalizeRole(roles) {
+    const list = (Array.isArray(roles) ? roles : [roles]).map(role => String(role || '').toLowerCase());
+    if (list.some(role => INSTRUCTOR_ROLES.includes(role))) return 'instructor';
+    if (list.some(role => STUDENT_ROLES.includes(role))) return 'student';
+    return null;
+  }
+
+  // ==================== CANVAS ====================
+
+  // Canvas renders its ENV object into an inline script; the role list is readable from its text
+  function canvasEnvRoles() {
+    for (const script of document.querySelectorAll('script:not([src])')) {
+      const match = script.textContent.match(/"current_user_roles"\s*:\s*(\[[^\]]*\])/);
+      if (!match) continue;
+      try {
+        return JSON.parse(match[1]);
+      } catch (error) {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  const canvas = {
+    id: 'canvas',
+    label: 'Canvas',
+    matches: (loc) => /(^|\.)instructure\.com$/.test(loc.hostname) || isCampusSite('canvas'),
+    isInMeeting: () => false,
+    getMeetingId: () => null,
+    getMeetingTitle: () => null,
+    buttonOffset: { bottom: 20, right: 20 },
+    captions: null,
+    lms: {
+      getCourseId: () => (location.pathname.match(/^\/courses\/(\d+)/) || [])[1] || null,
+      getCourseName: () => queryText([
+        '#breadcrumbs li a[href^="/courses/"] .ellipsible',
+        '#breadcrumbs li a[href^="/courses/"]',
+        '.mobile-header-title .mobile-header-title-text'
+      ]),
+      getPageTitle: () => queryText([
+        '#content h1.page-title',
+        '#content h1.title',
+        '#assignment_show h1',
+        '#quiz_show h1',
+        '#breadcrumbs li:last-child .ellipsible'
+      ]) || titleFromDocument(/:\s*[^:]*$/),
+      // Only the submitted attempt's results page; the take page is a quiz still being answered
+      isTakingQuiz: () => /^\/courses\/\d+\/quizzes\/\d+\/take/.test(location.pathname),
+      // Wiki page, assignment, quiz review, discussion, then any rich content
+      contentSelectors: [
+        '#wiki_page_show .show-content',
+        '#assignment_show .description',
+        '#questions.assessment_results',
+        '.discussion-section .message.user_content',
+        '#content .user_content',
+        '#content'
+      ],
+      getUserRole: () => {
+        // Course-level roles win over the account-level ones in ENV
+        if (hasAny(['a.student_view_button', '#easy_student_view', 'a[href*="/student_view"]'])) return 'instructor';
+        return normalizeRole(canvasEnvRoles() || []);
+      }
+    }
+  };
+
+  // ==================== MOODLE ====================
+
+  const moodle = {
+    id: 'moodle',
+    label: 'Moodle',
+    // MoodleCloud, or a campus Moodle added on the options page
+    matches: (loc) => /(^|\.)moodlecloud\.com$/.test(loc.hostname) || isCampusSite('moodle'),
+    isInMeeting: () => false,
+    getMeetingId: () => null,
+    getMeetingTitle: () => null,
+    buttonOffset: { bottom: 72, right: 20 },  // Clear of the footer help button
+    captions: null,
+    lms: {
+      // Every course page carries a course-<id> body class; the URL only has it on /course/view.php
+      getCourseId: () => {
+        const fromBody = [...document.body.classList].map(name => (name.match(/^course-(\d+)$/) || [])[1]).find(Boolean);
+        const fromUrl = location.pathname.endsWith('/course/view.php') ? new URLSearchParams(location.search).get('id') : null;
+        const id = fromBody || fromUrl;
+        return id && id !== '1' ? id : null;  // Course 1 is the site front page
+      },
+      getCourseName: () => queryText([
+        '.breadcrumb a[href*="/course/view.php"]',
+        'body.pagelayout-course .page-header-headings h1',
+        '#page-header .page-context-header h1'
+      ]),
+      getPageTitle: () => queryText([
+        '#region-main .activity-header h2',
+        '#region-main h2',
+        '.page-header-headings h1'
+      ]) || titleFromDocument(/\s*\|\s*[^|]*$/),
+      isTakingQuiz: () => location.pathname.endsWith('/mod/quiz/attempt.php'),
+      contentSelectors: ['#region-main [role="main"]', '#region-main .box.generalbox', '#region-main'],
+      getUserRole: () => {
+        if (document.body.classList.contains('notloggedin')) return null;
+        // Edit mode toggle (4.x) or turn-editing-on button (3.x) are only there for teachers
+        return hasAny([
+          'form.editmode-switch-form',
+          'input[name="setmode"]',
+          'a[href*="edit=on"]',
+          'body.editing'
+        ]) ? 'instructor' : 'student';
+      }
+    }
+  };
+
+  // ==================== BLACKBOARD ULTRA ====================
+
+  const blackboard = {
+    id: 'blackboard',
+    label: 'Blackboard',
+    matches: (loc) => (/(^|\.)blackboard\.com$/.test(loc.hostname) || isCampusSite('blackboard')) && loc.pathname.startsWith('/ultra'),
+    isInMeeting: () => false,
+    getMeetingId: () => null,
+    getMeetingTitle: () => null,
+    buttonOffset: { bottom: 20, right: 88 },  // Ultra keeps its own chat/help button bottom right
+    captions: null,
+    lms: {
+      // Ultra is a single-page app; read the URL each time instead of caching it
+      getCourseId: () => (location.pathname.match(/\/ultra\/courses\/(_\d+_\d+)/) || [])[1] || null,
+      getCourseName: () => queryText([
+        '[data-analytics-id="course.header.courseName"]',
+        '#course-outline-header h1',
+        '.course-title',
+        'bb-base-course-header h1'
+      ]),
+      getPageTitle: () => queryText([
+        '.panel-title h1',
+        '.js-content-title',
+        'main h1'
+      ]) || titleFromDocument(/\s*[-–|]\s*Blackboard.*$/i),
+      contentSelectors: ['.js-content-panel .bb-editor-content', '.panel-content .bb-editor-content', '.js-content-panel', 'main'],
+      getUserRole: () => hasAny([
+        'button[aria-label*="Student preview" i]',
+        '#student-preview-button',
+        'button[aria-label*="Add content" i]'
+      ]) ? 'instructor' : (blackboard.lms.getCourseId() ? 'student' : null)
+    }
+  };
+
+  // ==================== D2L BRIGHTSPACE ====================
+
+  const d2l = {
+    id: 'd2l',
+    label: 'D2L Brightspace',
+    matches: (loc) => (/(^|\.)(brightspace|desire2learn)\.com$/.test(loc.hostname) || isCampusSite('d2l')) && loc.pathname.startsWith('/d2l/'),
+    isInMeeting: () => false,
+    getMeetingId: () => null,
+    getMeetingTitle: () => null,
+    buttonOffset: { bottom: 20, right: 20 },
+    captions: null,
+    lms: {
+      // Courses are org units: /d2l/home/6606, /d2l/le/content/6606/..., or ?ou=6606
+      getCourseId: () => (location.pathname.match(/^\/d2l\/(?:home|le\/[a-z]+|lms\/[a-z]+)\/(\d+)/) || [])[1] ||
+        new URLSearchParams(location.search).get('ou') || null,
+      getCourseName: () => queryText([
+        '.d2l-navigation-s-title-container a',
+        'a.d2l-navigation-s-link[href*="/d2l/home/"]',
+        '.d2l-course-banner-title'
+      ]) || document.title.split(' - ')[1]?.trim() || null,  // "Content - Course Name - School"
+      getPageTitle: () => queryText([
+        'h1.d2l-page-title',
+        '.d2l-page-title',
+        '.d2l-heading h1'
+      ]),
+      contentSelectors: ['#ContentView .d2l-htmlblock', '.d2l-htmlblock', '#ContentView', '.d2l-page-main'],
+      getUserRole: () => hasAny([
+        'a[href*="/d2l/lp/cmc/"]',
+        'd2l-navigation-link[href*="/d2l/lp/cmc/"]',
+        'a[href*="/d2l/lms/manageCourses"]'
+      ]) ? 'instructor' : (d2l.lms.getCourseId() ? 'student' : null)
+    }
+  };
+
+  [canvas, moodle, blackboard, d2l].forEach(adapter => self.AskLynkPlatforms.registerAdapter(adapter));
+
+  /**
+   * The course the current page belongs to, or null off an LMS or outside a course
+   * @param {Object} [adapter] - Defaults to the adapter for the current page
+   * @returns {{ platform: string, host: string, courseId: string, courseName: string|null, pageTitle: string|null, role: string|null }|null}
+   *   host is the LMS instance: course IDs are only unique within one school's LMS
+   */
+  function getCourseContext(adapter = self.AskLynkPlatforms.detect()) {
+    if (!adapter?.lms) return null;
+    const courseId = adapter.lms.getCourseId();
+    if (!courseId) return null;
+    return {
+      platform: adapter.id,
+      host: location.hostname,
+      courseId,
+      courseName: adapter.lms.getCourseName(),
+      pageTitle: adapter.lms.getPageTitle(),
+      role: adapter.lms.getUserRole()
+    };
+  }
+
+  self.AskLynkLms = {
+    getCourseContext,
+    normalizeRole
+  };
+})();
@@ -0,0 +1,140 @@
+/**
+ * AskLynk Page Context
+ *
+ * Extracts the readable content of the LMS page a student is on (assignment, module page,
+ * quiz review, ...) so "Ask about this page" can send it to the AI with the question.
+ * Navigation, scripts, forms and AskLynk's own overlay are dropped, and the text is
+ * trimmed to a token budget at a paragraph or word boundary. Pages with a quiz attempt in
+ * progress (adapter.lms.isTakingQuiz) are never extracted. Loaded as a classic
+ * content script after the platform adapters and exposed as `self.AskLynkPageContext`.
+ */
+(function () {
+  'use strict';
+
+  const PAGE_CONTEXT_CONFIG = {
+    TOKEN_BUDGET: 1500,       // Default budget for the page text sent with one question
+    CHARS_PER_TOKEN: 4,       // Rough English average; the backend re-counts
+    PREVIEW_CHARS: 280        // Excerpt shown under an answer when the backend names none
+  };
+
+  // Used when the adapter has no content selectors, or none of them match
+  const FALLBACK_ROOTS = ['main', '[role="main"]', '#content', 'article'];
+
+  // Never part of the readable content
+  const STRIP_SELECTORS = [
+    'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'button', 'select',
+    'nav', 'header', 'footer', 'aside', '[role="navigation"]', '[aria-hidden="true"]',
+    '.screenreader-only', '.sr-only', '[id^="lynkk-"]'
+  ];
+
+  const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, dt, dd, figcaption, th, td';
+
+  function estimateTokens(text) {
+    return Math.ceil((text || '').length / PAGE_CONTEXT_CONFIG.CHARS_PER_TOKEN);
+  }
+
+  function findRoot(adapter) {
+    const selectors = [...(adapter?.lms?.contentSelectors || []), ...FALLBACK_ROOTS];
+    for (const selector of selectors) {
+      const element = document.querySelector(selector);
+      if (element && element.textContent.trim()) return element;
+    }
+    return document.body;
+  }
+
+  /**
+   * Readable text blocks in document order; headings keep a Markdown marker so the
+   * model sees the page structure
+   */
+  function collectBlocks(root) {
+    const clone = root.cloneNode(true);
+    clone.querySelectorAll(STRIP_SELECTORS.join(', ')).forEach(element => element.remove());
+
+    const blocks = [];
+    clone.querySelectorAll(BLOCK_SELECTOR).forEach(element => {
+      // Nested blocks (a <p> inside an <li>) are covered by their outermost block
+      if (element.parentElement?.closest(BLOCK_SELECTOR)) return;
+      const text = element.textContent.replace(/\s+/g, ' ').trim();
+      if (!text) return;
+      const level = /^H([1-6])$/.exec(element.tagName);
+      blocks.push(level ? `${'#'.repeat(Number(level[1]))} ${text}` : text);
+    });
+
+    // Pages built from bare <div>s have no blocks; fall back to the whole text
+    if (blocks.length === 0) {
+      const text = clone.textContent.replace(/\s+/g, ' ').trim();
+      if (text) blocks.push(text);
+    }
+    return blocks;
+  }
+
+  /**
+   * Keep whole blocks until the budget is spent, then as many whole words of the next one as fit
+   */
+  function trimToBudget(blocks, tokenBudget) {
+    const maxChars = tokenBudget * PAGE_CONTEXT_CONFIG.CHARS_PER_TOKEN;
+    const kept = [];
+    let length = 0;
+
+    for (const block of blocks) {
+      const separator = kept.length > 0 ? 2 : 0;
+      if (length + separator + block.length <= maxChars) {
+        kept.push(block);
+        length += separator + block.length;
+        continue;
+      }
+      const room = maxChars - length - separator;
+      const cut = block.slice(0, Math.max(0, room)).replace(/\s+\S*$/, '');
+      if (cut.length > 40) kept.push(`${cut} …`);
+      return { text: kept.join('\n\n'), truncated: true };
+    }
+    return { text: kept.join('\n\n'), truncated: false };
+  }
+
+  /**
+   * Readable content of the current page
+   * @param {Object} adapter - Platform adapter for the page (AskLynkPlatforms.detect())
+   * @param {{ tokenBudget?: number }} [options]
+   * @returns {{ title: string, url: string, text: string, truncated: boolean, estimatedTokens: number }|null}
+   *   null when the page has no readable text
+   */
+  /**
+   * Whether the page may be offered at all: never while a quiz attempt is open
+   */
+  function isAvailable(adapter) {
+    return !!adapter?.lms && !adapter.lms.isTakingQuiz?.();
+  }
+
+  function extract(adapter, { tokenBudget = PAGE_CONTEXT_CONFIG.TOKEN_BUDGET } = {}) {
+    if (!isAvailable(adapter)) return null;
+    const blocks = collectBlocks(findRoot(adapter));
+    const { text, truncated } = trimToBudget(blocks, tokenBudget);
+    if (!text) return null;
+
+    return {
+      title: adapter?.lms?.getPageTitle() || document.title.trim() || 'This page',
+      // Query strings can carry session tokens; the path is enough to identify the page
+      url: `${location.origin}${location.pathname}`,
+      text,
+      truncated,
+      estimatedTokens: estimateTokens(text)
+    };
+  }
+
+  /**
+   * Short excerpt for display: the start of the page text, without heading markers
+   */
+  function preview(text) {
+    const plain = (text || '').replace(/^#+\s+/gm, '').replace(/\s+/g, ' ').trim();
+    if (plain.length <= PAGE_CONTEXT_CONFIG.PREVIEW_CHARS) return plain;
+    return `${plain.slice(0, PAGE_CONTEXT_CONFIG.PREVIEW_CHARS).replace(/\s+\S*$/, '')} …`;
+  }
+
+  self.AskLynkPageContext = {
+    TOKEN_BUDGET: PAGE_CONTEXT_CONFIG.TOKEN_BUDGET,
+    isAvailable,
+    extract,
+    preview,
+    estimateTokens
+  };
+})();
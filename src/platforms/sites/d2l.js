@@ -0,0 +1,3 @@
+// Injected ahead of the content scripts on a campus-hosted D2L Brightspace site added on the
+// options page (src/config/lms-sites.js), so lms.js picks its adapter for this host
+self.AskLynkCampusSite = 'd2l';
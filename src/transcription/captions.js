@@ -0,0 +1,224 @@
+/**
+ * AskLynk Meeting Captions Engine
+ *
+ * A transcription engine that reads the meeting platform's own live captions (Meet, Zoom,
+ * Teams, Webex) instead of holding the microphone. A MutationObserver watches the caption
+ * region; platforms rewrite each speaker's caption block word by word, so words are only
+ * emitted once a sentence has ended or the block has stopped changing. Registered with
+ * AskLynkTranscription as 'captions'.
+ *
+ * Where the captions are comes from the page's platform adapter (src/platforms/adapters.js):
+ * each element is looked up through its list of selectors, most stable first.
+ */
+(function () {
+  'use strict';
+
+  const CAPTIONS_CONFIG = {
+    STABLE_MS: 2000,          // A block unchanged this long is treated as final
+    SCAN_THROTTLE_MS: 200,    // Meeting pages mutate constantly; read captions at most this often
+    SWEEP_INTERVAL_MS: 1000,  // How often stable blocks are flushed
+    TAIL_WORDS: 4             // Words used to re-find our place after a block is rewritten
+  };
+
+  const SENTENCE_END = /[.!?…]["')\]]*$/;
+
+  function currentPlatform() {
+    return self.AskLynkPlatforms ? self.AskLynkPlatforms.detect() : null;
+  }
+
+  function queryFirst(root, selectors) {
+    for (const selector of selectors) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+    }
+    return null;
+  }
+
+  function queryAll(root, selectors) {
+    for (const selector of selectors) {
+      const elements = root.querySelectorAll(selector);
+      if (elements.length > 0) return Array.from(elements);
+    }
+    return [];
+  }
+
+  function splitWords(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+  }
+
+  // Index just past `tail` in `words`, or -1 (searching from the end: the latest occurrence wins)
+  function findAfterTail(words, tail) {
+    if (tail.length === 0) return 0;
+    const normalize = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    const target = tail.map(normalize);
+
+    for (let start = words.length - target.length; start >= 0; start--) {
+      if (target.every((word, offset) => normalize(words[start + offset]) === word)) {
+        return start + target.length;
+      }
+    }
+    return -1;
+  }
+
+  function createCaptionsEngine(handlers) {
+    const platform = currentPlatform();
+    const SELECTORS = platform.captions.selectors;
+    const blocks = new Map();  // caption block element -> { speaker, committed, tail, text, changedAt }
+    let observer = null;
+    let sweepTimer = null;
+    let scanTimer = null;
+    let running = false;
+    let captionsMissingReported = false;
+
+    const readBlock = (element) => {
+      const speakerElement = queryFirst(element, SELECTORS.speaker);
+      const textElement = queryFirst(element, SELECTORS.text);
+      return {
+        speaker: speakerElement ? speakerElement.textContent.trim() : null,
+        text: (textElement || element).textContent
+      };
+    };
+
+    /**
+     * Emit the block's new words up to `limit` (a word count) as final text
+     */
+    const commitWords = (state, words, limit) => {
+      if (limit <= state.committed) return;
+
+      const finalText = words.slice(state.committed, limit).join(' ');
+      state.committed = limit;
+      state.tail = words.slice(Math.max(0, limit - CAPTIONS_CONFIG.TAIL_WORDS), limit);
+      handlers.onResult({ finalText, interimText: '', speaker: state.speaker });
+    };
+
+    const updateBlock = (element) => {
+      const { speaker, text } = readBlock(element);
+      let state = blocks.get(element);
+      if (!state) {
+        state = { speaker, committed: 0, tail: [], text: '', changedAt: Date.now() };
+        blocks.set(element, state);
+      }
+      if (speaker) state.speaker = speaker;
+      if (text === state.text) return;
+
+      state.text = text;
+      state.changedAt = Date.now();
+      const words = splitWords(text);
+
+      // Platforms trim and rewrite earlier words; re-anchor on the last words we emitted
+      const anchor = findAfterTail(words, state.tail);
+      state.committed = anchor >= 0 ? anchor : Math.min(state.committed, words.length);
+
+      // Everything up to the last finished sentence (that isn't the very end) is settled
+      let settled = state.committed;
+      for (let i = words.length - 2; i >= state.committed; i--) {
+        if (SENTENCE_END.test(words[i])) {
+          settled = i + 1;
+          break;
+        }
+      }
+      commitWords(state, words, settled);
+
+      handlers.onResult({
+        finalText: '',
+        interimText: words.slice(state.committed).join(' '),
+        speaker: state.speaker
+      });
+    };
+
+    /**
+     * Emit whatever the block has left; returns whether there was anything
+     */
+    const flushBlock = (element, state) => {
+      const words = splitWords(state.text);
+      const pending = words.length > state.committed;
+      commitWords(state, words, words.length);
+      return pending;
+    };
+
+    const scan = () => {
+      const region = queryFirst(document, SELECTORS.region);
+      if (!region) {
+        if (!captionsMissingReported) {
+          captionsMissingReported = true;
+          handlers.onError('captions-off');
+        }
+        return;
+      }
+      captionsMissingReported = false;
+
+      const current = queryAll(region, SELECTORS.block);
+      (current.length > 0 ? current : [region]).forEach(updateBlock);
+
+      // Blocks the platform has removed are finished
+      blocks.forEach((state, element) => {
+        if (!element.isConnected) {
+          flushBlock(element, state);
+          blocks.delete(element);
+        }
+      });
+    };
+
+    const scheduleScan = () => {
+      if (scanTimer) return;
+      scanTimer = setTimeout(() => {
+        scanTimer = null;
+        if (running) scan();
+      }, CAPTIONS_CONFIG.SCAN_THROTTLE_MS);
+    };
+
+    const sweep = () => {
+      const now = Date.now();
+      let settled = false;
+      blocks.forEach((state, element) => {
+        if (now - state.changedAt >= CAPTIONS_CONFIG.STABLE_MS && flushBlock(element, state)) {
+          settled = true;
+        }
+      });
+      // Captions unchanged for STABLE_MS: the speaker has paused
+      if (settled) handlers.onPause();
+    };
+
+    return {
+      id: 'captions',
+      label: `${platform.label} captions`,
+      usesMicrophone: false,
+      start() {
+        if (running) return;
+        running = true;
+        captionsMissingReported = false;
+
+        // The caption region comes and goes with the CC button, so watch the whole page
+        observer = new MutationObserver(scheduleScan);
+        observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+        sweepTimer = setInterval(sweep, CAPTIONS_CONFIG.SWEEP_INTERVAL_MS);
+
+        handlers.onStart();
+        scan();
+      },
+      stop() {
+        if (!running) return;
+        running = false;
+
+        observer.disconnect();
+        observer = null;
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+        clearTimeout(scanTimer);
+        scanTimer = null;
+
+        if (queryFirst(document, SELECTORS.region)) scan();
+        blocks.forEach((state, element) => flushBlock(element, state));
+        blocks.clear();
+        handlers.onEnd();
+      }
+    };
+  }
+
+  if (self.AskLynkTranscription) {
+    self.AskLynkTranscription.registerEngine('captions', {
+      isSupported: () => !!currentPlatform()?.captions,
+      create: createCaptionsEngine
+    });
+  }
+})();
@@ -0,0 +1,115 @@
+/**
+ * AskLynk Transcript Chunking
+ *
+ * Decides when buffered lecture speech becomes a transcript chunk. Chunks end on a
+ * sentence boundary or a pause in speech once they reach a profile's minimum size,
+ * and are forced out at its maximum size or duration. The tail of each chunk is kept
+ * as a short overlap for the next one, so embeddings keep the context across the cut.
+ * Loaded as a classic content script ahead of content.js and exposed as `self.AskLynkChunking`.
+ */
+(function () {
+  'use strict';
+
+  // Chunking profiles a professor can pick per session
+  const PROFILES = {
+    responsive: {
+      label: 'Responsive (short chunks)',
+      minChars: 80,            // Never flush less than this on a sentence end or pause
+      maxChars: 400,           // Always flush at this size
+      maxDurationMs: 8000,     // ...or once the chunk is this old
+      silenceMs: 1200,         // No new speech for this long counts as a pause
+      overlapChars: 60         // Tail of the previous chunk sent along with the next
+    },
+    balanced: {
+      label: 'Balanced',
+      minChars: 200,
+      maxChars: 900,
+      maxDurationMs: 20000,
+      silenceMs: 2000,
+      overlapChars: 120
+    },
+    'long-form': {
+      label: 'Long-form (whole explanations)',
+      minChars: 500,
+      maxChars: 1800,
+      maxDurationMs: 45000,
+      silenceMs: 3000,
+      overlapChars: 200
+    }
+  };
+  const DEFAULT_PROFILE = 'balanced';
+
+  // Sentence end, allowing closing quotes/brackets after the punctuation
+  const SENTENCE_END = /[.!?…。！？]["'”’)\]]*$/;
+
+  function resolveProfile(id) {
+    return PROFILES[id] ? id : DEFAULT_PROFILE;
+  }
+
+  function endsSentence(text) {
+    return SENTENCE_END.test((text || '').trim());
+  }
+
+  /**
+   * Why the buffer should be flushed now, or null to keep buffering
+   * @param {{ text: string, startedAt: number, lastSpeechAt: number, paused?: boolean, now?: number }} buffer
+   *   paused: the recognizer reported the speaker stopped
+   * @param {string} profileId
+   * @returns {'max-size' | 'max-duration' | 'sentence' | 'pause' | null}
+   */
+  function flushReason(buffer, profileId) {
+    const profile = PROFILES[resolveProfile(profileId)];
+    const text = (buffer.text || '').trim();
+    if (!text) return null;
+
+    const now = buffer.now || Date.now();
+    if (text.length >= profile.maxChars) return 'max-size';
+    if (buffer.startedAt && now - buffer.startedAt >= profile.maxDurationMs) return 'max-duration';
+    if (text.length < profile.minChars) return null;
+    if (endsSentence(text)) return 'sentence';
+    if (buffer.paused || (buffer.lastSpeechAt && now - buffer.lastSpeechAt >= profile.silenceMs)) return 'pause';
+    return null;
+  }
+
+  /**
+   * How long to wait before checking the buffer again (next pause or the duration limit)
+   */
+  function nextCheckDelay(buffer, profileId) {
+    const profile = PROFILES[resolveProfile(profileId)];
+    const now = buffer.now || Date.now();
+    const untilSilence = buffer.lastSpeechAt ? buffer.lastSpeechAt + profile.silenceMs - now : profile.silenceMs;
+    const untilMaxDuration = buffer.startedAt ? buffer.startedAt + profile.maxDurationMs - now : profile.maxDurationMs;
+    // A pause that already passed without a flush (chunk too small) leaves only the duration limit
+    return Math.max(0, untilSilence > 0 ? Math.min(untilSilence, untilMaxDuration) : untilMaxDuration);
+  }
+
+  /**
+   * The end of a chunk to carry into the next one: its last sentence(s) when they fit,
+   * otherwise the last whole words within the profile's overlap size
+   */
+  function overlapTail(text, profileId) {
+    const limit = PROFILES[resolveProfile(profileId)].overlapChars;
+    const trimmed = (text || '').trim();
+    if (!limit || !trimmed) return '';
+    if (trimmed.length <= limit) return trimmed;
+
+    const window = trimmed.slice(-limit);
+    const sentenceStart = window.search(/[.!?…。！？]["'”’)\]]*\s+\S/);
+    if (sentenceStart >= 0) {
+      const rest = window.slice(sentenceStart).replace(/^[.!?…。！？"'”’)\]]*\s+/, '');
+      if (rest) return rest;
+    }
+    const wordStart = window.indexOf(' ');
+    return wordStart >= 0 ? window.slice(wordStart + 1) : window;
+  }
+
+  self.AskLynkChunking = {
+    PROFILES,
+    DEFAULT_PROFILE,
+    resolveProfile,
+    endsSentence,
+    flushReason,
+    nextCheckDelay,
+    overlapTail
+  };
+})();
@@ -0,0 +1,266 @@
+/**
+ * AskLynk Transcription Engines
+ *
+ * Lecture capture talks to a small engine interface instead of webkitSpeechRecognition
+ * directly, so the browser's speech service and an HTTP speech-to-text server are
+ * interchangeable. Loaded as a classic content script ahead of content.js and exposed
+ * as `self.AskLynkTranscription`; logs through content.js's `Logger`.
+ *
+ * Engine interface:
+ *   engine.id                  'webspeech' | 'whisper' | engines added with registerEngine()
+ *   engine.label               Human-readable name
+ *   engine.usesMicrophone      Whether capture needs microphone permission
+ *   engine.start()             Begin listening (Web Speech throws if already started)
+ *   engine.stop()              Stop listening; onEnd fires once it has stopped
+ *
+ * Handlers passed to createEngine():
+ *   onStart()                          Listening began
+ *   onResult({ finalText, interimText, speaker }) Recognized speech; speaker only when the source knows it
+ *   onPause()                          The speaker stopped talking (chunking flushes on silences)
+ *   onError(code)                      'not-allowed' | 'no-speech' | 'network' | 'aborted' | 'audio-capture'
+ *                                      | 'segment-failed' (one HTTP segment was lost; recording continues) | other
+ *   onEnd()                            Engine stopped (content.js decides whether to restart)
+ */
+(function () {
+  'use strict';
+
+  const WHISPER_CONFIG = {
+    SEGMENT_MS: 10000,         // Length of each recorded audio segment
+    MIN_SEGMENT_BYTES: 4000,   // Smaller segments are almost always silence
+    MIME_TYPES: ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus']
+  };
+
+  const noop = () => {};
+
+  function withDefaults(handlers) {
+    return {
+      onStart: handlers.onStart || noop,
+      onResult: handlers.onResult || noop,
+      onError: handlers.onError || noop,
+      onPause: handlers.onPause || noop,
+      onEnd: handlers.onEnd || noop
+    };
+  }
+
+  // ==================== WEB SPEECH ENGINE ====================
+
+  function isWebSpeechSupported() {
+    return 'webkitSpeechRecognition' in window || 'SpeechRecognition' in window;
+  }
+
+  /**
+   * Browser speech recognition (Google's service in Chrome)
+   */
+  function createWebSpeechEngine(handlers, { lang }) {
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    const recognition = new SpeechRecognition();
+
+    recognition.continuous = true;
+    recognition.interimResults = true;
+    recognition.lang = lang;
+    recognition.maxAlternatives = 1;
+
+    recognition.onresult = (event) => {
+      let finalText = '';
+      let interimText = '';
+
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        const transcript = event.results[i][0].transcript;
+        if (event.results[i].isFinal) {
+          finalText += transcript;
+        } else {
+          interimText += transcript;
+        }
+      }
+
+      handlers.onResult({ finalText, interimText });
+    };
+    recognition.onerror = (event) => handlers.onError(event.error);
+    recognition.onspeechend = () => handlers.onPause();
+    recognition.onend = () => handlers.onEnd();
+    recognition.onstart = () => handlers.onStart();
+
+    return {
+      id: 'webspeech',
+      label: 'Browser speech recognition',
+      usesMicrophone: true,
+      start: () => recognition.start(),
+      stop: () => recognition.stop()
+    };
+  }
+
+  // ==================== WHISPER HTTP ENGINE ====================
+
+  function isWhisperSupported() {
+    return typeof MediaRecorder !== 'undefined' && !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+  }
+
+  function pickMimeType() {
+    return WHISPER_CONFIG.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+  }
+
+  function blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * Record short MediaRecorder segments and transcribe each one through the background
+   * (TRANSCRIBE_AUDIO), which posts it to the Whisper-compatible endpoint from settings.
+   * Each segment is a complete audio file, so the recorder is restarted per segment.
+   */
+  function createWhisperEngine(handlers, { lang }) {
+    let stream = null;
+    let recorder = null;
+    let segmentTimer = null;
+    let running = false;
+    let uploads = Promise.resolve(); // Keeps transcripts in recording order
+
+    const transcribeSegment = (blob) => {
+      if (blob.size < WHISPER_CONFIG.MIN_SEGMENT_BYTES) {
+        handlers.onPause();
+        return;
+      }
+
+      uploads = uploads.then(async () => {
+        const audio = await blobToBase64(blob);
+        const response = await new Promise(resolve => {
+          chrome.runtime.sendMessage({
+            type: 'TRANSCRIBE_AUDIO',
+            audio,
+            mimeType: blob.type || 'audio/webm',
+            language: lang
+          }, (result) => resolve(chrome.runtime.lastError ? null : result));
+        });
+
+        if (!response || !response.success) {
+          Logger.warn('🎙️ Transcription segment failed:', response?.error);
+          handlers.onError('segment-failed');
+          return;
+        }
+
+        const text = (response.text || '').trim();
+        if (text) {
+          handlers.onResult({ finalText: text, interimText: '' });
+        } else {
+          handlers.onPause();
+          handlers.onError('no-speech');
+        }
+      }).catch(error => {
+        Logger.warn('🎙️ Transcription segment error:', error);
+        handlers.onError('segment-failed');
+      });
+    };
+
+    const recordSegment = () => {
+      const mimeType = pickMimeType();
+      recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+
+      recorder.ondataavailable = (event) => {
+        if (event.data && event.data.size > 0) transcribeSegment(event.data);
+      };
+      recorder.onstop = () => {
+        if (running) {
+          recordSegment();
+        } else {
+          stream.getTracks().forEach(track => track.stop());
+          stream = null;
+          handlers.onEnd();
+        }
+      };
+      recorder.onerror = () => handlers.onError('audio-capture');
+
+      recorder.start();
+      segmentTimer = setTimeout(() => {
+        if (recorder && recorder.state === 'recording') recorder.stop();
+      }, WHISPER_CONFIG.SEGMENT_MS);
+    };
+
+    return {
+      id: 'whisper',
+      label: 'Whisper HTTP endpoint',
+      usesMicrophone: true,
+      start() {
+        if (running) return;
+        running = true;
+
+        navigator.mediaDevices.getUserMedia({ audio: true })
+          .then((mediaStream) => {
+            if (!running) {
+              mediaStream.getTracks().forEach(track => track.stop());
+              return;
+            }
+            stream = mediaStream;
+            recordSegment();
+            handlers.onStart();
+          })
+          .catch((error) => {
+            running = false;
+            handlers.onError(error.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture');
+            handlers.onEnd();
+          });
+      },
+      stop() {
+        if (!running) return;
+        running = false;
+        clearTimeout(segmentTimer);
+
+        // Flushes the last partial segment, then onstop releases the microphone
+        if (recorder && recorder.state === 'recording') {
+          recorder.stop();
+        } else if (stream) {
+          stream.getTracks().forEach(track => track.stop());
+          stream = null;
+          handlers.onEnd();
+        }
+      }
+    };
+  }
+
+  // ==================== FACTORY ====================
+
+  const ENGINE_FACTORIES = {
+    webspeech: { isSupported: isWebSpeechSupported, create: createWebSpeechEngine },
+    whisper: { isSupported: isWhisperSupported, create: createWhisperEngine }
+  };
+
+  /**
+   * Add an engine that isn't speech-to-text, e.g. a meeting platform's captions
+   * @param {string} id - Engine id passed to createEngine()
+   * @param {Object} factory - { isSupported(): boolean, create(handlers, options): engine }
+   */
+  function registerEngine(id, factory) {
+    ENGINE_FACTORIES[id] = factory;
+  }
+
+  /**
+   * Build the engine for a setting, falling back as 'auto' allows
+   * @param {string} preference - 'auto' | 'webspeech' | 'whisper' | a registered engine id
+   * @param {Object} handlers - See the interface above
+   * @param {Object} [options] - { lang } BCP-47 language tag
+   * @returns {Object|null} An engine, or null when none is usable in this browser
+   */
+  function createEngine(preference, handlers, options = {}) {
+    const order = preference === 'auto' || !ENGINE_FACTORIES[preference]
+      ? ['webspeech', 'whisper']
+      : [preference];
+    const engineOptions = { lang: options.lang || 'en-US' };
+
+    for (const id of order) {
+      if (ENGINE_FACTORIES[id].isSupported()) {
+        return ENGINE_FACTORIES[id].create(withDefaults(handlers), engineOptions);
+      }
+    }
+    return null;
+  }
+
+  self.AskLynkTranscription = {
+    createEngine,
+    registerEngine,
+    isSupported: (id) => !!ENGINE_FACTORIES[id] && ENGINE_FACTORIES[id].isSupported()
+  };
+})();
@@ -0,0 +1,232 @@
+/**
+ * AskLynk Transcript Export
+ *
+ * Turns a session's stored transcript chunks into a timestamped transcript for download:
+ * plain text, SRT or WebVTT captions (for the Meet recording), or Markdown with section
+ * headings (for posting to Canvas). Redaction is re-applied with the session's current
+ * terms, so names masked after class are masked in the export too.
+ * Loaded as a classic content script ahead of content.js and exposed as `self.AskLynkTranscriptExport`.
+ */
+(function () {
+  'use strict';
+
+  const EXPORT_CONFIG = {
+    WORDS_PER_MINUTE: 150,          // Estimates a chunk's start when only its send time is known
+    CAPTION_MAX_CHARS: 84,          // Two 42-character caption lines
+    SECTION_MS: 5 * 60 * 1000       // Markdown heading every 5 minutes of lecture
+  };
+
+  const FORMATS = {
+    txt: { label: 'Plain text (.txt)', extension: 'txt', mimeType: 'text/plain' },
+    srt: { label: 'SubRip captions (.srt)', extension: 'srt', mimeType: 'application/x-subrip' },
+    vtt: { label: 'WebVTT captions (.vtt)', extension: 'vtt', mimeType: 'text/vtt' },
+    md: { label: 'Markdown (.md)', extension: 'md', mimeType: 'text/markdown' }
+  };
+
+  function toTime(value) {
+    const time = new Date(value).getTime();
+    return Number.isFinite(time) ? time : null;
+  }
+
+  function estimateDurationMs(text) {
+    const words = text.split(/\s+/).filter(Boolean).length;
+    return Math.max(1000, Math.round(words / EXPORT_CONFIG.WORDS_PER_MINUTE * 60000));
+  }
+
+  /**
+   * Timed, redacted transcript entries from stored chunks
+   * @param {Object[]} chunks - { transcript|content, timestamp|created_at, sequence, speakerSegments? }
+   * @param {{ terms?: string[] }} [options]
+   * @returns {{ start: number, end: number, text: string, speaker: string|null, role: string|null }[]} times in ms since the transcript start
+   */
+  function buildEntries(chunks, { terms = [] } = {}) {
+    const ordered = (chunks || [])
+      .map(chunk => ({
+        text: (chunk.transcript || chunk.content || '').trim(),
+        sentAt: toTime(chunk.timestamp || chunk.created_at),
+        sequence: chunk.sequence ?? chunk.chunkIndex ?? null,
+        speakerSegments: Array.isArray(chunk.speakerSegments) ? chunk.speakerSegments : []
+      }))
+      .filter(chunk => chunk.text && chunk.sentAt !== null)
+      .sort((a, b) => (a.sequence !== null && b.sequence !== null ? a.sequence - b.sequence : a.sentAt - b.sentAt));
+
+    const entries = [];
+    let previousEnd = null;
+
+    ordered.forEach(chunk => {
+      const end = chunk.sentAt;
+      const estimatedStart = end - estimateDurationMs(chunk.text);
+      const start = previousEnd !== null ? Math.min(Math.max(previousEnd, estimatedStart), end) : estimatedStart;
+
+      // Speaker segments carry their own start times; otherwise the chunk is one entry
+      const parts = chunk.speakerSegments.length > 0
+        ? chunk.speakerSegments.map(segment => ({
+          text: (segment.text || '').trim(),
+          start: toTime(segment.startedAt),
+          speaker: segment.speaker || null,
+          role: segment.role || null
+        }))
+        : [{ text: chunk.text, start, speaker: null, role: null }];
+
+      parts.forEach((part, index) => {
+        if (!part.text) return;
+        // Recorded start times are kept, as long as they don't overlap the previous chunk
+        const partStart = part.start !== null
+          ? Math.min(Math.max(part.start, previousEnd ?? part.start), end)
+          : start;
+        const next = parts[index + 1];
+        const partEnd = next && next.start !== null ? Math.min(Math.max(next.start, partStart), end) : end;
+
+        entries.push({
+          start: partStart,
+          end: Math.max(partEnd, partStart + 500),
+          text: self.AskLynkRedaction.redact(part.text, { terms }).text,
+          speaker: part.speaker ? self.AskLynkRedaction.redact(part.speaker, { terms }).text : null,
+          role: part.role
+        });
+      });
+      previousEnd = end;
+    });
+
+    const origin = entries.length > 0 ? entries[0].start : 0;
+    return entries.map(entry => ({ ...entry, start: entry.start - origin, end: entry.end - origin }));
+  }
+
+  /**
+   * 01:02:03,456 (SRT) or 01:02:03.456 (WebVTT); clock() gives 1:02:03 / 02:03
+   */
+  function timestamp(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor(total / 60000) % 60;
+    const seconds = Math.floor(total / 1000) % 60;
+    const pad = (value, size = 2) => String(value).padStart(size, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+  }
+
+  function clock(ms) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(total / 3600);
+    const minutes = String(Math.floor(total / 60) % 60).padStart(2, '0');
+    const seconds = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+  }
+
+  /**
+   * Split an entry into caption-sized cues, sharing its time in proportion to text length
+   */
+  function toCues(entries) {
+    const cues = [];
+    entries.forEach(entry => {
+      const pieces = [];
+      let current = '';
+      entry.text.split(/\s+/).forEach(word => {
+        const candidate = current ? `${current} ${word}` : word;
+        if (candidate.length > EXPORT_CONFIG.CAPTION_MAX_CHARS && current) {
+          pieces.push(current);
+          current = word;
+        } else {
+          current = candidate;
+        }
+      });
+      if (current) pieces.push(current);
+
+      const totalChars = pieces.reduce((sum, piece) => sum + piece.length, 0) || 1;
+      let cursor = entry.start;
+      pieces.forEach((piece, index) => {
+        const end = index === pieces.length - 1
+          ? entry.end
+          : cursor + (entry.end - entry.start) * (piece.length / totalChars);
+        cues.push({
+          start: cursor,
+          end,
+          text: index === 0 && entry.speaker ? `${entry.speaker}: ${piece}` : piece,
+          speaker: entry.speaker
+        });
+        cursor = end;
+      });
+    });
+    return cues;
+  }
+
+  function toText(entries, meta) {
+    const header = [meta.title, meta.date].filter(Boolean).join(' — ');
+    const lines = entries.map(entry => `[${clock(entry.start)}] ${entry.speaker ? `${entry.speaker}: ` : ''}${entry.text}`);
+    return (header ? `${header}\n\n` : '') + lines.join('\n') + '\n';
+  }
+
+  function toSrt(entries) {
+    return toCues(entries)
+      .map((cue, index) => `${index + 1}\n${timestamp(cue.start, ',')} --> ${timestamp(cue.end, ',')}\n${cue.text}\n`)
+      .join('\n');
+  }
+
+  function toVtt(entries, meta) {
+    const escapeCue = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const cues = toCues(entries).map(cue => {
+      // Speaker as a voice span instead of a "Name:" prefix
+      const text = cue.speaker && cue.text.startsWith(`${cue.speaker}: `)
+        ? `<v ${escapeCue(cue.speaker)}>${escapeCue(cue.text.slice(cue.speaker.length + 2))}`
+        : escapeCue(cue.text);
+      return `${timestamp(cue.start, '.')} --> ${timestamp(cue.end, '.')}\n${text}\n`;
+    });
+    const title = meta.title ? ` - ${meta.title.replace(/[\r\n]+|-->/g, ' ')}` : '';
+    return `WEBVTT${title}\n\n${cues.join('\n')}`;
+  }
+
+  function toMarkdown(entries, meta) {
+    const escapeMarkdown = (text) => text.replace(/([\\`*_[\]#<>|])/g, '\\$1');
+    const lines = [`# ${escapeMarkdown(meta.title || 'Lecture transcript')}`, ''];
+    if (meta.date) lines.push(`*${escapeMarkdown(meta.date)}*`, '');
+
+    let section = -1;
+    entries.forEach(entry => {
+      const entrySection = Math.floor(entry.start / EXPORT_CONFIG.SECTION_MS);
+      if (entrySection !== section) {
+        section = entrySection;
+        const from = section * EXPORT_CONFIG.SECTION_MS;
+        lines.push(`## ${clock(from)} – ${clock(from + EXPORT_CONFIG.SECTION_MS)}`, '');
+      }
+      const speaker = entry.speaker ? `**${escapeMarkdown(entry.speaker)}:** ` : '';
+      lines.push(`\`${clock(entry.start)}\` ${speaker}${escapeMarkdown(entry.text)}`, '');
+    });
+    return lines.join('\n');
+  }
+
+  const BUILDERS = { txt: toText, srt: toSrt, vtt: toVtt, md: toMarkdown };
+
+  function filenameFor(title, startedAt, extension) {
+    const slug = (title || 'lecture').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'lecture';
+    const day = toTime(startedAt) !== null ? new Date(startedAt).toISOString().slice(0, 10) : '';
+    return `${slug}${day ? `-${day}` : ''}-transcript.${extension}`;
+  }
+
+  /**
+   * Build a downloadable transcript
+   * @param {string} format - 'txt' | 'srt' | 'vtt' | 'md'
+   * @param {Object[]} chunks - Stored transcript chunks for the session
+   * @param {{ title?: string, startedAt?: string, terms?: string[] }} [options]
+   * @returns {{ filename: string, mimeType: string, content: string, entryCount: number }}
+   */
+  function build(format, chunks, { title = '', startedAt = null, terms = [] } = {}) {
+    const type = FORMATS[format] ? format : 'txt';
+    const entries = buildEntries(chunks, { terms });
+    const date = toTime(startedAt) !== null
+      ? new Date(startedAt).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' })
+      : '';
+
+    return {
+      filename: filenameFor(title, startedAt, FORMATS[type].extension),
+      mimeType: FORMATS[type].mimeType,
+      content: BUILDERS[type](entries, { title, date }),
+      entryCount: entries.length
+    };
+  }
+
+  self.AskLynkTranscriptExport = {
+    FORMATS,
+    build,
+    buildEntries
+  };
+})();
@@ -0,0 +1,111 @@
+/**
+ * AskLynk Session Recap
+ *
+ * Builds the recap of an ended session that professors publish to Canvas: the transcript
+ * summary, the resolved questions with their responses, and poll results, as HTML for a
+ * Canvas page or announcement body. Students are not named, and redaction is applied with
+ * the session's terms like the transcript export.
+ * Loaded as a classic content script ahead of content.js and exposed as `self.AskLynkRecap`.
+ */
+(function () {
+  'use strict';
+
+  const RECAP_CONFIG = {
+    MAX_QUESTIONS: 50,     // Most-upvoted first when a session has more
+    MAX_TITLE_LENGTH: 200  // Canvas caps titles at 255
+  };
+
+  function escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function clean(text, terms) {
+    const value = String(text || '').trim();
+    return value ? self.AskLynkRedaction.redact(value, { terms }).text : '';
+  }
+
+  // Escaped, with the text's own line breaks kept
+  function paragraph(text) {
+    return `<p>${escapeHtml(text).replace(/\n+/g, '<br>')}</p>`;
+  }
+
+  function formatDate(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    return date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+  }
+
+  function questionResponse(question) {
+    return question.response || question.professor_response || question.answer || '';
+  }
+
+  function renderQuestions(questions, terms) {
+    const items = questions.map(question => {
+      const response = clean(questionResponse(question), terms);
+      return `<li><p><strong>${escapeHtml(clean(question.content, terms))}</strong></p>` +
+        (response ? paragraph(response) : '<p><em>Resolved in class</em></p>') +
+        '</li>';
+    });
+    return `<ol>${items.join('')}</ol>`;
+  }
+
+  function renderPolls(polls) {
+    return polls.map(poll => {
+      const total = poll.totalVotes || (poll.options || []).reduce((sum, option) => sum + (option.votes || 0), 0);
+      const options = (poll.options || []).map(option => {
+        const percentage = total > 0 ? Math.round((option.votes || 0) / total * 100) : 0;
+        return `<li>${escapeHtml(option.text)}: ${option.votes || 0} (${percentage}%)</li>`;
+      });
+      return `<p><strong>${escapeHtml(poll.question)}</strong> <em>(${total} ${total === 1 ? 'vote' : 'votes'})</em></p><ul>${options.join('')}</ul>`;
+    }).join('');
+  }
+
+  /**
+   * Recap of an ended session
+   * @param {Object} recap
+   * @param {Object} recap.session - { title, created_at, summary? }
+   * @param {Object[]} [recap.questions] - Resolved questions: { content, response?, upvotes }
+   * @param {Object[]} [recap.polls] - { question, options: [{ text, votes }], totalVotes }
+   * @param {string} [recap.transcriptSummary] - From the session analytics
+   * @param {string[]} [recap.terms] - Session redaction terms
+   * @returns {{ title: string, html: string, counts: { questions: number, polls: number, summary: boolean } }}
+   */
+  function build({ session, questions = [], polls = [], transcriptSummary = '', terms = [] }) {
+    const sessionTitle = (session.title || 'Class session').trim();
+    const date = formatDate(session.created_at || session.createdAt);
+    const title = `Session recap: ${sessionTitle}${date ? ` (${date})` : ''}`.slice(0, RECAP_CONFIG.MAX_TITLE_LENGTH);
+
+    const summary = clean(transcriptSummary || session.summary, terms);
+    const answered = questions
+      .filter(question => question.content)
+      .sort((a, b) => (b.upvotes || 0) - (a.upvotes || 0))
+      .slice(0, RECAP_CONFIG.MAX_QUESTIONS);
+    const votedPolls = polls.filter(poll => poll.question && Array.isArray(poll.options) && poll.options.length);
+
+    const sections = [`<p><em>Recap of the AskLynk session "${escapeHtml(sessionTitle)}"${date ? ` on ${escapeHtml(date)}` : ''}.</em></p>`];
+    if (summary) {
+      sections.push('<h2>Summary</h2>', paragraph(summary));
+    }
+    if (answered.length) {
+      sections.push('<h2>Questions and answers</h2>', renderQuestions(answered, terms));
+    }
+    if (votedPolls.length) {
+      sections.push('<h2>Poll results</h2>', renderPolls(votedPolls));
+    }
+
+    return {
+      title,
+      html: sections.join('\n'),
+      counts: { questions: answered.length, polls: votedPolls.length, summary: !!summary }
+    };
+  }
+
+  self.AskLynkRecap = {
+    build
+  };
+})();
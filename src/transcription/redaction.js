@@ -0,0 +1,148 @@
+/**
+ * AskLynk Transcript Redaction
+ *
+ * Masks personal information in lecture transcript text before it leaves the browser:
+ * email addresses (typed or spoken), phone numbers, social security numbers, student
+ * ID numbers, and a professor-maintained list of names and terms for the session.
+ * The patterns stay narrow so lecture content survives: a spoken address needs a real
+ * top-level domain, IDs need a letter prefix, and digits after a decimal point are never
+ * a phone number or ID ("pi is 3.141592").
+ * Numeric-only IDs can be added as session terms.
+ * Loaded as a classic content script ahead of content.js and exposed as `self.AskLynkRedaction`.
+ */
+(function () {
+  'use strict';
+
+  // Top-level domains a spoken address can end in; "the dot product" is not an address
+  const SPOKEN_TLDS = ['com', 'edu', 'org', 'net', 'gov', 'io', 'co', 'us', 'uk', 'ca', 'de', 'au', 'in', 'me', 'info'];
+
+  // Not preceded by "<digit>." or "<digit>,", i.e. not the fraction or a thousands group of a number
+  const NOT_IN_NUMBER = '(?<!\\d[.,])';
+
+  // Applied in order; earlier rules win (an SSN is not also counted as a phone number)
+  const RULES = [
+    {
+      kind: 'email',
+      label: 'Emails',
+      pattern: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi,
+      mask: '[EMAIL]'
+    },
+    {
+      // Speech recognition spells addresses out: "jane dot doe at gmail dot com"
+      kind: 'email',
+      label: 'Emails',
+      pattern: new RegExp(
+        '\\b[a-z0-9]+(?:\\s+(?:dot|underscore|dash)\\s+[a-z0-9]+)*' +
+        '\\s+at\\s+(?!(?:the|a|an|this|that|my|our|your)\\s)[a-z0-9-]+' +
+        `(?:\\s+dot\\s+[a-z0-9-]+)*\\s+dot\\s+(?:${SPOKEN_TLDS.join('|')})\\b`,
+        'gi'
+      ),
+      mask: '[EMAIL]'
+    },
+    {
+      kind: 'ssn',
+      label: 'SSNs',
+      pattern: /\b\d{3}[-\s]\d{2}[-\s]\d{4}\b/g,
+      mask: '[SSN]'
+    },
+    {
+      kind: 'phone',
+      label: 'Phone numbers',
+      pattern: new RegExp(`${NOT_IN_NUMBER}(?:\\+?1[\\s.-]?)?(?:\\(\\d{3}\\)|\\b\\d{3})[\\s.-]?\\d{3}[\\s.-]?\\d{4}\\b(?![.,]\\d)`, 'g'),
+      mask: '[PHONE]'
+    },
+    {
+      // University IDs with a letter prefix (A01234567); bare digit runs are too often counts or measurements
+      kind: 'studentId',
+      label: 'ID numbers',
+      pattern: new RegExp(`${NOT_IN_NUMBER}\\b[A-Z]\\d{6,}\\b`, 'gi'),
+      mask: '[ID]'
+    }
+  ];
+
+  const TERM_MASK = '[REDACTED]';
+  const KIND_LABELS = RULES.reduce((labels, rule) => ({ ...labels, [rule.kind]: rule.label }), { term: 'Names & terms' });
+
+  function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Build one case-insensitive, whole-word pattern for the session's terms
+   * @param {string[]} terms - Names and terms to mask
+   * @returns {RegExp|null}
+   */
+  function buildTermPattern(terms) {
+    const cleaned = (terms || [])
+      .map(term => String(term).trim())
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length) // "Ana Lopez" before "Ana"
+      .map(term => escapeRegExp(term).replace(/\s+/g, '\\s+'));
+
+    if (cleaned.length === 0) return null;
+    return new RegExp(`(^|[^\\p{L}\\p{N}])(${cleaned.join('|')})(?=$|[^\\p{L}\\p{N}])`, 'giu');
+  }
+
+  /**
+   * Mask PII in a transcript chunk
+   * @param {string} text - Transcript text
+   * @param {Object} [options]
+   * @param {string[]} [options.terms] - Session names and terms to mask as well
+   * @returns {{ text: string, counts: Object, total: number }} Redacted text and matches per kind
+   */
+  function redact(text, options = {}) {
+    const counts = {};
+    let redacted = text || '';
+
+    const count = (kind) => {
+      counts[kind] = (counts[kind] || 0) + 1;
+    };
+
+    RULES.forEach(rule => {
+      redacted = redacted.replace(rule.pattern, () => {
+        count(rule.kind);
+        return rule.mask;
+      });
+    });
+
+    // After the patterns, so a name inside an email address doesn't break the email match
+    const termPattern = buildTermPattern(options.terms);
+    if (termPattern) {
+      redacted = redacted.replace(termPattern, (match, prefix) => {
+        count('term');
+        return prefix + TERM_MASK;
+      });
+    }
+
+    const total = Object.values(counts).reduce((sum, value) => sum + value, 0);
+    return { text: redacted, counts, total };
+  }
+
+  /**
+   * Add one chunk's counts into a running total
+   */
+  function mergeCounts(total, counts) {
+    const merged = { ...total };
+    Object.entries(counts || {}).forEach(([kind, value]) => {
+      merged[kind] = (merged[kind] || 0) + value;
+    });
+    return merged;
+  }
+
+  /**
+   * "2 Emails, 1 Phone numbers" style summary for tooltips
+   */
+  function describeCounts(counts) {
+    return Object.entries(counts || {})
+      .filter(([, value]) => value > 0)
+      .map(([kind, value]) => `${value} ${KIND_LABELS[kind] || kind}`)
+      .join(', ');
+  }
+
+  self.AskLynkRedaction = {
+    redact,
+    mergeCounts,
+    describeCounts,
+    KIND_LABELS
+  };
+})();
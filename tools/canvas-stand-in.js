@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// AskLynk Canvas API stand-in
+// Answers the two Canvas REST calls recap publishing makes, and serves a bare course page at
+// /courses/:id, so "Publish Recap" can be tried end to end without a Canvas instance. Run it,
+// then on the options page set the Canvas URL to http://localhost:3000 and the access token to
+// the one printed at startup, and add http://localhost:3000 as a campus Canvas site. Recaps are
+// only published to courses on the Canvas URL's host, so create the session from
+// http://localhost:3000/courses/42 (or publish from that page).
+//
+//   node tools/canvas-stand-in.js [port]
+//
+// CANVAS_STAND_IN_TOKEN overrides the accepted token. Created drafts are logged and listed at
+// GET /drafts; requests are checked the way Canvas checks them (bearer token, numeric course ID,
+// title present) so the extension's error paths can be exercised too.
+
+const http = require('http');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 3000);
+const TOKEN = process.env.CANVAS_STAND_IN_TOKEN || 'stand-in-token';
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const drafts = [];
+let nextId = 1;
+
+function send(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+// Just what the Canvas adapter in src/platforms/lms.js reads: course ID from the path, the
+// breadcrumb course name and the teacher role from ENV
+function coursePage(courseId) {
+    return `<!DOCTYPE html>
+<html>
+<head><title>Course ${courseId}: Stand-in Course ${courseId}</title></head>
+<body>
+<script>ENV = { "current_user_roles": ["user", "teacher"] };</script>
+<nav id="breadcrumbs"><ul><li><a href="/courses/${courseId}"><span class="ellipsible">Stand-in Course ${courseId}</span></a></li></ul></nav>
+<div id="content"><h1 class="page-title">Stand-in Course ${courseId}</h1><div class="user_content"><p>Local Canvas course page for trying AskLynk.</p></div></div>
+</body>
+</html>`;
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (error) {
+                reject(new Error('Request body is not JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Canvas' own shapes for a created wiki page and announcement, trimmed to what the extension reads
+function createDraft(courseId, kind, body) {
+    const id = nextId++;
+    const base = `http://localhost:${PORT}/courses/${courseId}`;
+
+    if (kind === 'pages') {
+        const page = body.wiki_page || {};
+        if (!page.title) return { status: 400, data: { errors: { title: [{ message: 'title is required' }] } } };
+        const slug = `${String(page.title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-${id}`;
+        return {
+            status: 200,
+            data: { page_id: id, url: slug, title: page.title, body: page.body || '', published: !!page.published, html_url: `${base}/pages/${slug}` }
+        };
+    }
+
+    if (!body.title) return { status: 400, data: { errors: { title: [{ message: 'title is required' }] } } };
+    return {
+        status: 200,
+        data: { id, title: body.title, message: body.message || '', is_announcement: !!body.is_announcement, published: !!body.published, html_url: `${base}/discussion_topics/${id}` }
+    };
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === 'GET' && url.pathname === '/drafts') {
+        send(res, 200, drafts);
+        return;
+    }
+
+    const page = url.pathname.match(/^\/courses\/(\d+)\/?$/);
+    if (req.method === 'GET' && page) {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(coursePage(page[1]));
+        return;
+    }
+
+    const match = url.pathname.match(/^\/api\/v1\/courses\/([^/]+)\/(pages|discussion_topics)$/);
+    if (req.method !== 'POST' || !match) {
+        send(res, 404, { errors: [{ message: 'The specified resource does not exist.' }] });
+        return;
+    }
+
+    if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+        console.log(`🔒 401 ${url.pathname} (wrong or missing access token)`);
+        send(res, 401, { errors: [{ message: 'Invalid access token.' }] });
+        return;
+    }
+
+    const [, courseId, kind] = match;
+    if (!/^\d+$/.test(courseId)) {
+        send(res, 404, { errors: [{ message: 'The specified resource does not exist.' }] });
+        return;
+    }
+
+    let body;
+    try {
+        body = await readJson(req);
+    } catch (error) {
+        send(res, 400, { errors: [{ message: error.message }] });
+        return;
+    }
+
+    const result = createDraft(courseId, kind, body);
+    if (result.status === 200) {
+        drafts.push({ courseId, kind, ...result.data });
+        console.log(`📤 ${kind === 'pages' ? 'Page' : 'Announcement'} draft in course ${courseId}: "${result.data.title}" (published: ${result.data.published})`);
+    }
+    send(res, result.status, result.data);
+});
+
+server.listen(PORT, 'localhost', () => {
+    console.log(`🎓 Canvas API stand-in on http://localhost:${PORT}`);
+    console.log(`🔑 Access token: ${TOKEN}`);
+});